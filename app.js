@@ -1,3 +1,4 @@
+const path = require("path")
 const express = require("express")
 const mongoose = require("mongoose")
 const cors = require("cors")
@@ -13,10 +14,16 @@ const clientRoutes = require("./routes/client")
 const partnerRoutes = require("./routes/partner")
 const adminRoutes = require("./routes/admin")
 const inquiryRoutes = require("./routes/inquiry")
+const bookingRoutes = require("./routes/booking")
+const paymentRoutes = require("./routes/payment")
+const invoiceRoutes = require("./routes/invoice")
+const notificationRoutes = require("./routes/notification")
 
 // Import middleware
 const errorHandler = require("./middlewares/errorHandler")
 const logger = require("./utils/logger")
+const jobScheduler = require("./services/jobs")
+const notificationService = require("./services/notificationService")
 
 const app = express()
 
@@ -39,13 +46,31 @@ const limiter = rateLimit({
   message: "Too many requests from this IP, please try again later.",
   standardHeaders: true,
   legacyHeaders: false,
+  // Gateway webhooks come in bursts from a few IPs and are authenticated by their signature
+  skip: (req) => req.method === "POST" && req.path === "/payments/webhook",
 })
 app.use("/api/", limiter)
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }))
+// Keep the raw body around for verifying payment webhook signatures
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    },
+  }),
+)
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
+// Serve locally stored uploads (images are embedded by the frontend on another origin)
+app.use(
+  "/uploads",
+  express.static(path.join(__dirname, "uploads"), {
+    setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+  }),
+)
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
@@ -90,12 +115,19 @@ app.get("/health", (req, res) => {
   })
 })
 
+// Deliver notifications for the domain events emitted while handling requests and jobs
+notificationService.subscribe()
+
 // API routes
 app.use("/api/auth", authRoutes)
 app.use("/api/client", clientRoutes)
 app.use("/api/partner", partnerRoutes)
 app.use("/api/admin", adminRoutes)
 app.use("/api/inquiry", inquiryRoutes)
+app.use("/api/bookings", bookingRoutes)
+app.use("/api/payments", paymentRoutes)
+app.use("/api/invoices", invoiceRoutes)
+app.use("/api/notifications", notificationRoutes)
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -131,6 +163,11 @@ if (process.env.NODE_ENV !== "test") {
       logger.info(`Server running on port ${PORT}`)
       logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`)
     })
+
+    // Background jobs can be left to a single instance by disabling them on the others
+    if (process.env.DISABLE_JOBS !== "true") {
+      jobScheduler.start()
+    }
   })
 }
 
@@ -2,7 +2,24 @@ const User = require("../models/User")
 const Partner = require("../models/Partner")
 const Inquiry = require("../models/Inquiry")
 const Portfolio = require("../models/Portfolio")
-const { sendPartnerVerificationEmail } = require("../utils/email")
+const AdminInvite = require("../models/AdminInvite")
+const Review = require("../models/Review")
+const Booking = require("../models/Booking")
+const CommissionRule = require("../models/CommissionRule")
+const Payout = require("../models/Payout")
+const PromoCode = require("../models/PromoCode")
+const PromoRedemption = require("../models/PromoRedemption")
+const inquiryStatusService = require("../services/inquiryStatusService")
+const { InquiryTransitionError } = require("../services/inquiryStatusService")
+const bookingService = require("../services/bookingService")
+const ledgerService = require("../services/ledgerService")
+const payoutService = require("../services/payoutService")
+const { PayoutError } = require("../services/payoutService")
+const { DEFAULT_COMMISSION_PERCENT } = require("../services/commissionService")
+const promoCodeService = require("../services/promoCodeService")
+const eventBus = require("../services/eventBus")
+const { EVENTS } = require("../services/eventBus")
+const { LOCALES, renderEmail, listTemplates, getSampleData } = require("../utils/templates")
 const logger = require("../utils/logger")
 
 /**
@@ -27,9 +44,9 @@ const getDashboard = async (req, res) => {
     const pendingVerifications = await Partner.countDocuments({ "verification.status": "pending" })
     const totalInquiries = await Inquiry.countDocuments()
     const activeInquiries = await Inquiry.countDocuments({
-      status: { $in: ["new", "assigned", "responded"] },
+      status: { $in: ["new", "assigned", "responded", "negotiating"] },
     })
-    const completedBookings = await Inquiry.countDocuments({ status: "booked" })
+    const bookings = await bookingService.countByStatus()
 
     // Recent activities
     const recentUsers = await User.find().select("email role profile createdAt").sort({ createdAt: -1 }).limit(5)
@@ -52,9 +69,8 @@ const getDashboard = async (req, res) => {
     const monthlyInquiries = await Inquiry.countDocuments({
       createdAt: { $gte: currentMonth },
     })
-    const monthlyBookings = await Inquiry.countDocuments({
-      status: "booked",
-      updatedAt: { $gte: currentMonth },
+    const monthlyBookings = await Booking.countDocuments({
+      createdAt: { $gte: currentMonth },
     })
 
     res.status(200).json({
@@ -68,7 +84,8 @@ const getDashboard = async (req, res) => {
           pendingVerifications,
           totalInquiries,
           activeInquiries,
-          completedBookings,
+          completedBookings: bookings.completed,
+          bookings,
         },
         monthly: {
           users: monthlyUsers,
@@ -218,12 +235,12 @@ const updateVerification = async (req, res) => {
       })
     }
 
-    // Send verification email
-    try {
-      await sendPartnerVerificationEmail(partner.userId.email, partner.userId.profile.firstName, status, comment)
-    } catch (emailError) {
-      logger.error("Failed to send verification email:", emailError)
-    }
+    eventBus.emit(EVENTS.VERIFICATION_DECIDED, {
+      userId: partner.userId._id,
+      partnerId: partner._id,
+      status,
+      comment,
+    })
 
     logger.info(`Partner ${partnerId} verification ${status} by admin ${adminId}`)
 
@@ -459,72 +476,328 @@ const togglePartnerFeatured = async (req, res) => {
 
 /**
  * @swagger
- * /api/admin/inquiries:
+ * /api/admin/partners/{id}/tier:
+ *   put:
+ *     summary: Set a partner's tier
+ *     description: Tiers let commission rules charge partners differently.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tier
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 enum: [standard, silver, gold]
+ *     responses:
+ *       200:
+ *         description: Partner tier updated successfully
+ *       404:
+ *         description: Partner not found
+ */
+const updatePartnerTier = async (req, res) => {
+  try {
+    const partnerId = req.params.id
+    const adminId = req.user.id
+    const { tier } = req.body
+
+    const partner = await Partner.findByIdAndUpdate(partnerId, { $set: { tier } }, { new: true, runValidators: true })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found",
+      })
+    }
+
+    logger.info(`Partner ${partnerId} moved to tier ${tier} by admin ${adminId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Partner tier updated successfully",
+      data: {
+        partner: {
+          id: partner._id,
+          businessName: partner.businessInfo.businessName,
+          tier: partner.tier,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Update partner tier error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating partner tier",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/commission-rules:
  *   get:
- *     summary: Get all inquiries with filtering
+ *     summary: List commission rules
+ *     description: Featured-partner rules override tier rules, which override category rules. The default rate applies when none match.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Commission rules retrieved successfully
+ */
+const getCommissionRules = async (req, res) => {
+  try {
+    const rules = await CommissionRule.find().populate("createdBy", "profile email").sort({ type: 1, updatedAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        defaultPercent: DEFAULT_COMMISSION_PERCENT,
+      },
+    })
+  } catch (error) {
+    logger.error("Get commission rules error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving commission rules",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/commission-rules:
+ *   post:
+ *     summary: Create a commission rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRule'
+ *     responses:
+ *       201:
+ *         description: Commission rule created successfully
+ *       400:
+ *         description: Validation error
+ */
+const createCommissionRule = async (req, res) => {
+  try {
+    const { name, type, category, tier, percent, isActive } = req.body
+
+    const rule = await CommissionRule.create({
+      name,
+      type,
+      category: type === "category" ? category : undefined,
+      tier: type === "tier" ? tier : undefined,
+      percent,
+      isActive,
+      createdBy: req.user.id,
+    })
+
+    logger.info(`Commission rule ${rule._id} created by admin ${req.user.id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Commission rule created successfully",
+      data: { rule },
+    })
+  } catch (error) {
+    logger.error("Create commission rule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error creating commission rule",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/commission-rules/{id}:
+ *   put:
+ *     summary: Update a commission rule
+ *     description: Only affects payments made afterwards, earlier payments keep the commission they were charged.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: status
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRule'
+ *     responses:
+ *       200:
+ *         description: Commission rule updated successfully
+ *       404:
+ *         description: Commission rule not found
+ */
+const updateCommissionRule = async (req, res) => {
+  try {
+    const { name, type, category, tier, percent, isActive } = req.body
+
+    const rule = await CommissionRule.findById(req.params.id)
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Commission rule not found",
+      })
+    }
+
+    Object.assign(rule, {
+      name,
+      type,
+      category: type === "category" ? category : undefined,
+      tier: type === "tier" ? tier : undefined,
+      percent,
+      isActive: isActive === undefined ? rule.isActive : isActive,
+    })
+    await rule.save()
+
+    logger.info(`Commission rule ${rule._id} updated by admin ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rule updated successfully",
+      data: { rule },
+    })
+  } catch (error) {
+    logger.error("Update commission rule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating commission rule",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/commission-rules/{id}:
+ *   delete:
+ *     summary: Delete a commission rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [new, assigned, responded, booked, closed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Commission rule deleted successfully
+ *       404:
+ *         description: Commission rule not found
+ */
+const deleteCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id)
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Commission rule not found",
+      })
+    }
+
+    logger.info(`Commission rule ${rule._id} deleted by admin ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rule deleted successfully",
+    })
+  } catch (error) {
+    logger.error("Delete commission rule error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error deleting commission rule",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/promo-codes:
+ *   get:
+ *     summary: List promo codes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: query
- *         name: category
+ *         name: status
  *         schema:
  *           type: string
+ *           enum: [active, inactive, expired]
  *       - in: query
- *         name: priority
+ *         name: search
  *         schema:
  *           type: string
- *           enum: [low, medium, high, urgent]
+ *         description: Start of the code
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           minimum: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
  *     responses:
  *       200:
- *         description: Inquiries retrieved successfully
+ *         description: Promo codes retrieved successfully
  */
-const getInquiries = async (req, res) => {
+const getPromoCodes = async (req, res) => {
   try {
-    const { status, category, priority, page = 1, limit = 10 } = req.query
+    const { status, search, page = 1, limit = 10 } = req.query
 
     // Build query
     const query = {}
-    if (status) query.status = status
-    if (category) query.category = category
-    if (priority) query.priority = priority
+    if (status === "active") {
+      query.isActive = true
+      query.$or = [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+    }
+    if (status === "inactive") query.isActive = false
+    if (status === "expired") query.endsAt = { $lte: new Date() }
+    if (search) query.code = new RegExp(`^${search.toUpperCase().replace(/[^A-Z0-9_-]/g, "")}`)
 
-    const inquiries = await Inquiry.find(query)
-      .populate("clientId", "profile email")
-      .populate({
-        path: "assignedPartners.partnerId",
-        populate: {
-          path: "userId",
-          select: "profile",
-        },
-      })
-      .populate("selectedPartner")
+    const promoCodes = await PromoCode.find(query)
+      .populate("createdBy", "profile email")
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
 
-    const total = await Inquiry.countDocuments(query)
+    const total = await PromoCode.countDocuments(query)
 
     res.status(200).json({
       success: true,
       data: {
-        inquiries,
+        promoCodes,
         pagination: {
           current: Number.parseInt(page),
           pages: Math.ceil(total / limit),
@@ -533,10 +806,1018 @@ const getInquiries = async (req, res) => {
       },
     })
   } catch (error) {
-    logger.error("Get admin inquiries error:", error)
+    logger.error("Get promo codes error:", error)
     res.status(500).json({
       success: false,
-      message: "Error retrieving inquiries",
+      message: "Error retrieving promo codes",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/promo-codes/{id}:
+ *   get:
+ *     summary: Get a promo code with its redemptions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code retrieved successfully
+ *       404:
+ *         description: Promo code not found
+ */
+const getPromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id).populate("createdBy", "profile email")
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      })
+    }
+
+    const [summary, redemptions] = await Promise.all([
+      promoCodeService.summarize(promoCode._id),
+      PromoRedemption.find({ promoCodeId: promoCode._id })
+        .populate("clientId", "profile email")
+        .populate("bookingId", "status quote.total")
+        .sort({ createdAt: -1 })
+        .limit(20),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: { promoCode, summary, redemptions },
+    })
+  } catch (error) {
+    logger.error("Get promo code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving promo code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/promo-codes:
+ *   post:
+ *     summary: Create a promo code
+ *     description: The platform funds the discount, partners are paid on the undiscounted quotation.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       201:
+ *         description: Promo code created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already exists
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minOrderAmount,
+      categories,
+      cities,
+      startsAt,
+      endsAt,
+      usageLimit,
+      perUserLimit,
+      isActive,
+    } = req.body
+
+    if (await PromoCode.exists({ code: code.toUpperCase() })) {
+      return res.status(409).json({
+        success: false,
+        message: "Promo code already exists",
+      })
+    }
+
+    const promoCode = await PromoCode.create({
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minOrderAmount,
+      categories,
+      cities,
+      startsAt,
+      endsAt,
+      usageLimit,
+      perUserLimit,
+      isActive,
+      createdBy: req.user.id,
+    })
+
+    logger.info(`Promo code ${promoCode.code} created by admin ${req.user.id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      data: { promoCode },
+    })
+  } catch (error) {
+    logger.error("Create promo code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error creating promo code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/promo-codes/{id}:
+ *   put:
+ *     summary: Update a promo code
+ *     description: Bookings already made keep the discount they were given.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCode'
+ *     responses:
+ *       200:
+ *         description: Promo code updated successfully
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: Code already exists
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minOrderAmount,
+      categories,
+      cities,
+      startsAt,
+      endsAt,
+      usageLimit,
+      perUserLimit,
+      isActive,
+    } = req.body
+
+    const promoCode = await PromoCode.findById(req.params.id)
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      })
+    }
+
+    if (await PromoCode.exists({ code: code.toUpperCase(), _id: { $ne: promoCode._id } })) {
+      return res.status(409).json({
+        success: false,
+        message: "Promo code already exists",
+      })
+    }
+
+    Object.assign(promoCode, {
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount,
+      minOrderAmount: minOrderAmount || 0,
+      categories: categories || [],
+      cities: cities || [],
+      startsAt: startsAt || promoCode.startsAt,
+      endsAt,
+      usageLimit,
+      perUserLimit: perUserLimit || promoCode.perUserLimit,
+      isActive: isActive === undefined ? promoCode.isActive : isActive,
+    })
+    await promoCode.save()
+
+    logger.info(`Promo code ${promoCode.code} updated by admin ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Promo code updated successfully",
+      data: { promoCode },
+    })
+  } catch (error) {
+    logger.error("Update promo code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating promo code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/promo-codes/{id}:
+ *   delete:
+ *     summary: Delete a promo code
+ *     description: Codes that were already redeemed are deactivated instead, so their bookings keep a record of them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promo code deleted or deactivated
+ *       404:
+ *         description: Promo code not found
+ */
+const deletePromoCode = async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findById(req.params.id)
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      })
+    }
+
+    const redeemed = await PromoRedemption.exists({ promoCodeId: promoCode._id })
+    if (redeemed) {
+      promoCode.isActive = false
+      await promoCode.save()
+    } else {
+      await promoCode.deleteOne()
+    }
+
+    logger.info(`Promo code ${promoCode.code} ${redeemed ? "deactivated" : "deleted"} by admin ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      message: redeemed ? "Promo code was already used, it has been deactivated" : "Promo code deleted successfully",
+    })
+  } catch (error) {
+    logger.error("Delete promo code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error deleting promo code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/payouts:
+ *   get:
+ *     summary: List partner payouts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, failed]
+ *       - in: query
+ *         name: batch
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Payouts with totals per status and the platform's account balances
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const { status, batch, partnerId, page = 1, limit = 10 } = req.query
+
+    // Build query
+    const query = {}
+    if (status) query.status = status
+    if (batch) query.batch = batch
+    if (partnerId) query.partnerId = partnerId
+
+    const payouts = await Payout.find(query)
+      .populate("partnerId", "businessInfo.businessName documents.panNumber")
+      .populate("processedBy", "profile email")
+      .sort({ batch: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const [total, summary, accounts] = await Promise.all([
+      Payout.countDocuments(query),
+      payoutService.summarize(batch),
+      ledgerService.getAccountBalances(),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payouts,
+        summary,
+        accounts,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get payouts error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving payouts",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/payouts/batches:
+ *   post:
+ *     summary: Create today's payout batch now
+ *     description: Batches run daily on their own, partners already in today's batch are skipped.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Payout batch created
+ */
+const createPayoutBatch = async (req, res) => {
+  try {
+    const paymentsBooked = await ledgerService.recordMissingPayments()
+    const result = await payoutService.createBatch()
+
+    logger.info(`Payout batch ${result.batch} run by admin ${req.user.id}`)
+
+    res.status(201).json({
+      success: true,
+      message: `${result.payoutCount} payouts added to batch ${result.batch}`,
+      data: { ...result, paymentsBooked },
+    })
+  } catch (error) {
+    logger.error("Create payout batch error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error creating payout batch",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/payouts/{id}:
+ *   put:
+ *     summary: Mark a payout as paid or failed
+ *     description: Failed payouts return to the partner's available balance and are picked up by the next batch.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, failed]
+ *               bankReference:
+ *                 type: string
+ *                 description: Required when paid
+ *               failureReason:
+ *                 type: string
+ *                 description: Required when failed
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payout updated successfully
+ *       404:
+ *         description: Payout not found
+ *       409:
+ *         description: Payout was already processed
+ */
+const updatePayout = async (req, res) => {
+  try {
+    const { status, bankReference, failureReason, note } = req.body
+
+    const payout = await payoutService.markPayout(req.params.id, status, {
+      adminId: req.user.id,
+      bankReference,
+      failureReason,
+      note,
+    })
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Payout marked as ${status}`,
+      data: { payout },
+    })
+  } catch (error) {
+    if (error instanceof PayoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Update payout error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating payout",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/inquiries:
+ *   get:
+ *     summary: Get all inquiries with filtering
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, assigned, responded, negotiating, booked, closed, cancelled]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Inquiries retrieved successfully
+ */
+const getInquiries = async (req, res) => {
+  try {
+    const { status, category, priority, page = 1, limit = 10 } = req.query
+
+    // Build query
+    const query = {}
+    if (status) query.status = status
+    if (category) query.category = category
+    if (priority) query.priority = priority
+
+    const inquiries = await Inquiry.find(query)
+      .populate("clientId", "profile email")
+      .populate({
+        path: "assignedPartners.partnerId",
+        populate: {
+          path: "userId",
+          select: "profile",
+        },
+      })
+      .populate("selectedPartner")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Inquiry.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inquiries,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get admin inquiries error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving inquiries",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/inquiries/{id}/status:
+ *   put:
+ *     summary: Change an inquiry's status
+ *     description: The change must be allowed by the inquiry state machine and is recorded in the inquiry timeline.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [assigned, cancelled, closed]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Inquiry status updated successfully
+ *       404:
+ *         description: Inquiry not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+const updateInquiryStatus = async (req, res) => {
+  try {
+    const inquiryId = req.params.id
+    const { status, reason } = req.body
+    const adminId = req.user.id
+
+    const inquiry = await inquiryStatusService.transition(inquiryId, status, {
+      actor: { userId: adminId, role: "admin" },
+      reason,
+    })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Inquiry status updated successfully",
+      data: { inquiry },
+    })
+  } catch (error) {
+    if (error instanceof InquiryTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Update inquiry status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating inquiry status",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/email-templates:
+ *   get:
+ *     summary: List the email templates and the locales they are available in
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Template names and locales
+ */
+const getEmailTemplates = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { templates: listTemplates(), locales: LOCALES },
+    })
+  } catch (error) {
+    logger.error("Get email templates error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error fetching email templates",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/preview:
+ *   get:
+ *     summary: Render an email template with sample data
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: otp
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [en, hi]
+ *           default: en
+ *       - in: query
+ *         name: format
+ *         description: json returns the subject and both bodies, html and text return that body as the email client would show it
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *       404:
+ *         description: Email template not found
+ */
+const previewEmailTemplate = async (req, res) => {
+  try {
+    const { name } = req.params
+    const { locale, format = "json" } = req.query
+
+    if (!listTemplates().includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: "Email template not found",
+      })
+    }
+
+    const email = renderEmail(name, getSampleData(name) || {}, locale)
+
+    if (format === "html") {
+      return res.status(200).type("html").send(email.html)
+    }
+    if (format === "text") {
+      return res.status(200).type("text").send(email.text)
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { template: name, ...email },
+    })
+  } catch (error) {
+    logger.error("Preview email template error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error rendering email template",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   post:
+ *     summary: Invite a new admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *       400:
+ *         description: User already exists with this email
+ */
+const createInvite = async (req, res) => {
+  try {
+    const adminId = req.user.id
+    const { email } = req.body
+
+    const existingUser = await User.findOne({ email })
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      })
+    }
+
+    // Re-inviting supersedes any earlier pending invitation
+    await AdminInvite.updateMany(
+      { email, status: "pending" },
+      { $set: { status: "revoked", revokedAt: new Date(), revokedBy: adminId } },
+    )
+
+    const invite = new AdminInvite({
+      email,
+      invitedBy: adminId,
+    })
+    const token = invite.generateToken()
+    await invite.save()
+
+    const inviteUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/admin/accept-invite?token=${token}`
+    const [emailSent = false] = await eventBus.emitAndWait(EVENTS.ADMIN_INVITED, {
+      email,
+      inviteUrl,
+      invitedBy: req.user.fullName,
+      expiresAt: invite.expiresAt,
+    })
+
+    logger.info(`Admin invite ${invite._id} created for ${email} by admin ${adminId}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation created successfully",
+      data: {
+        invite,
+        emailSent,
+      },
+    })
+  } catch (error) {
+    logger.error("Create admin invite error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error creating invitation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   get:
+ *     summary: List admin invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+const getInvites = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query
+
+    // Build query
+    const query = {}
+    if (status === "expired") {
+      query.status = "pending"
+      query.expiresAt = { $lte: new Date() }
+    } else if (status === "pending") {
+      query.status = "pending"
+      query.expiresAt = { $gt: new Date() }
+    } else if (status) {
+      query.status = status
+    }
+
+    const invites = await AdminInvite.find(query)
+      .populate("invitedBy", "profile email")
+      .populate("revokedBy", "profile email")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await AdminInvite.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get admin invites error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving invitations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending admin invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Pending invitation not found
+ */
+const revokeInvite = async (req, res) => {
+  try {
+    const inviteId = req.params.id
+    const adminId = req.user.id
+
+    const invite = await AdminInvite.findOneAndUpdate(
+      { _id: inviteId, status: "pending" },
+      { $set: { status: "revoked", revokedAt: new Date(), revokedBy: adminId } },
+      { new: true },
+    )
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      })
+    }
+
+    logger.info(`Admin invite ${inviteId} revoked by admin ${adminId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully",
+      data: { invite },
+    })
+  } catch (error) {
+    logger.error("Revoke admin invite error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error revoking invitation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/admin/reviews/{id}:
+ *   delete:
+ *     summary: Remove a review
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review removed successfully
+ *       404:
+ *         description: Review not found
+ */
+const removeReview = async (req, res) => {
+  try {
+    const reviewId = req.params.id
+    const adminId = req.user.id
+
+    const review = await Review.findOneAndDelete({ _id: reviewId })
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      })
+    }
+
+    logger.info(`Review ${reviewId} removed by admin ${adminId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Review removed successfully",
+    })
+  } catch (error) {
+    logger.error("Remove review error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error removing review",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -549,5 +1830,25 @@ module.exports = {
   getUsers,
   toggleUserStatus,
   togglePartnerFeatured,
+  updatePartnerTier,
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPayouts,
+  createPayoutBatch,
+  updatePayout,
   getInquiries,
+  updateInquiryStatus,
+  getEmailTemplates,
+  previewEmailTemplate,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  removeReview,
 }
@@ -1,14 +1,16 @@
-const jwt = require("jsonwebtoken")
 const User = require("../models/User")
-const { sendOTPEmail, sendWelcomeEmail } = require("../utils/email")
+const AdminInvite = require("../models/AdminInvite")
+const tokenService = require("../services/tokenService")
+const eventBus = require("../services/eventBus")
+const { EVENTS } = require("../services/eventBus")
+const { LOCALES } = require("../utils/templates")
 const logger = require("../utils/logger")
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  })
-}
+// Request details stored alongside refresh tokens
+const getRequestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+})
 
 /**
  * @swagger
@@ -36,7 +38,7 @@ const generateToken = (id) => {
  *                 minLength: 6
  *               role:
  *                 type: string
- *                 enum: [client, partner, admin]
+ *                 enum: [client, partner]
  *               profile:
  *                 type: object
  *                 properties:
@@ -46,6 +48,10 @@ const generateToken = (id) => {
  *                     type: string
  *                   phone:
  *                     type: string
+ *               locale:
+ *                 type: string
+ *                 enum: [en, hi]
+ *                 description: Language of emails, taken from the Accept-Language header when left out
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -54,7 +60,7 @@ const generateToken = (id) => {
  */
 const signup = async (req, res) => {
   try {
-    const { email, password, role, profile } = req.body
+    const { email, password, role, profile, locale } = req.body
 
     // Check if user already exists
     const existingUser = await User.findOne({ email })
@@ -71,6 +77,7 @@ const signup = async (req, res) => {
       password,
       role,
       profile,
+      locale: locale || req.acceptsLanguages(...LOCALES) || undefined,
     })
 
     // Generate OTP
@@ -78,7 +85,12 @@ const signup = async (req, res) => {
     await user.save()
 
     // Send OTP email
-    const emailSent = await sendOTPEmail(email, otp, profile.firstName)
+    const [emailSent = false] = await eventBus.emitAndWait(EVENTS.OTP_REQUESTED, {
+      email,
+      otp,
+      firstName: profile.firstName,
+      locale: user.locale,
+    })
 
     logger.info(`User registered: ${email} (${role})`)
 
@@ -128,7 +140,9 @@ const signup = async (req, res) => {
  *       200:
  *         description: OTP verified successfully
  *       400:
- *         description: Invalid or expired OTP
+ *         description: Invalid, expired or missing OTP
+ *       429:
+ *         description: Too many failed attempts, verification is temporarily locked
  */
 const verifyOTP = async (req, res) => {
   try {
@@ -149,10 +163,30 @@ const verifyOTP = async (req, res) => {
       })
     }
 
-    if (!user.verifyOTP(otp)) {
+    const result = user.verifyOTP(otp)
+    if (!result.valid) {
+      // Persist the failed attempt count and any lockout
+      await user.save()
+
+      if (result.reason === "locked") {
+        res.set("Retry-After", String(result.retryAfter))
+        return res.status(429).json({
+          success: false,
+          message: `Too many failed attempts. Please try again in ${Math.ceil(result.retryAfter / 60)} minutes.`,
+          data: { reason: result.reason, retryAfter: result.retryAfter },
+        })
+      }
+
+      const messages = {
+        missing: "No active OTP. Please request a new one.",
+        expired: "OTP has expired. Please request a new one.",
+        invalid: `Invalid OTP. ${result.attemptsRemaining} attempts remaining.`,
+      }
+
       return res.status(400).json({
         success: false,
-        message: "Invalid or expired OTP",
+        message: messages[result.reason],
+        data: { reason: result.reason, attemptsRemaining: result.attemptsRemaining },
       })
     }
 
@@ -161,11 +195,10 @@ const verifyOTP = async (req, res) => {
     user.otp = undefined
     await user.save()
 
-    // Send welcome email
-    await sendWelcomeEmail(user.email, user.profile.firstName, user.role)
+    eventBus.emit(EVENTS.ACCOUNT_VERIFIED, { userId: user._id, role: user.role })
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, getRequestContext(req))
 
     logger.info(`User verified: ${email}`)
 
@@ -174,6 +207,8 @@ const verifyOTP = async (req, res) => {
       message: "Account verified successfully",
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: user._id,
           email: user.email,
@@ -268,8 +303,8 @@ const login = async (req, res) => {
     user.lastLogin = new Date()
     await user.save()
 
-    // Generate token
-    const token = generateToken(user._id)
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(user, getRequestContext(req))
 
     logger.info(`User logged in: ${email}`)
 
@@ -278,6 +313,8 @@ const login = async (req, res) => {
       message: "Login successful",
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: user._id,
           email: user.email,
@@ -321,6 +358,8 @@ const login = async (req, res) => {
  *         description: OTP sent successfully
  *       400:
  *         description: User not found or already verified
+ *       429:
+ *         description: Resend cooldown active, hourly limit reached or verification locked
  */
 const resendOTP = async (req, res) => {
   try {
@@ -341,12 +380,33 @@ const resendOTP = async (req, res) => {
       })
     }
 
+    const resendStatus = user.getOTPResendStatus()
+    if (!resendStatus.allowed) {
+      const messages = {
+        locked: "Verification is locked after too many failed attempts. Please try again later.",
+        cooldown: `Please wait ${resendStatus.retryAfter} seconds before requesting another OTP.`,
+        limit: "Too many OTP requests. Please try again later.",
+      }
+
+      res.set("Retry-After", String(resendStatus.retryAfter))
+      return res.status(429).json({
+        success: false,
+        message: messages[resendStatus.reason],
+        data: { reason: resendStatus.reason, retryAfter: resendStatus.retryAfter },
+      })
+    }
+
     // Generate new OTP
     const otp = user.generateOTP()
     await user.save()
 
     // Send OTP email
-    const emailSent = await sendOTPEmail(email, otp, user.profile.firstName)
+    const [emailSent = false] = await eventBus.emitAndWait(EVENTS.OTP_REQUESTED, {
+      email,
+      otp,
+      firstName: user.profile.firstName,
+      locale: user.locale,
+    })
 
     logger.info(`OTP resent to: ${email}`)
 
@@ -367,6 +427,448 @@ const resendOTP = async (req, res) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    const result = await tokenService.rotateRefreshToken(refreshToken, getRequestContext(req))
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tokens refreshed successfully",
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
+      },
+    })
+  } catch (error) {
+    logger.error("Refresh token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error refreshing tokens",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    await tokenService.revokeAccessToken(req.token)
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, req.user.id)
+    }
+
+    logger.info(`User logged out: ${req.user.email}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    logger.error("Logout error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error during logout",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllForUser(req.user.id)
+
+    logger.info(`User logged out from all devices: ${req.user.email}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices successfully",
+    })
+  } catch (error) {
+    logger.error("Logout all error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error logging out from all devices",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists and no code was sent to it too recently
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+
+    // Respond the same way whether or not the account exists or a code may be sent, to avoid leaking registered emails
+    const resetStatus = user && user.isActive ? user.getPasswordResetStatus() : null
+    if (resetStatus && !resetStatus.allowed) {
+      logger.warn(`Password reset for ${email} not sent (${resetStatus.reason}, retry in ${resetStatus.retryAfter}s)`)
+    } else if (resetStatus) {
+      const code = user.generatePasswordReset()
+      await user.save()
+
+      eventBus.emit(EVENTS.PASSWORD_RESET_REQUESTED, {
+        email,
+        code,
+        firstName: user.profile.firstName,
+        locale: user.locale,
+      })
+
+      logger.info(`Password reset requested: ${email}`)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "If an account exists for this email, a password reset code has been sent.",
+    })
+  } catch (error) {
+    logger.error("Forgot password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error requesting password reset",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - code
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               code:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset code
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { email, code, password } = req.body
+
+    const user = await User.findOne({ email })
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset code",
+      })
+    }
+
+    if (!user.verifyPasswordReset(code)) {
+      // Persist the failed attempt count
+      await user.save()
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset code",
+      })
+    }
+
+    // Codes are single-use
+    user.password = password
+    user.passwordReset = undefined
+    await user.save()
+
+    // Sign out every existing session
+    await tokenService.revokeAllForUser(user._id)
+
+    logger.info(`Password reset: ${email}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully. Please log in with your new password.",
+    })
+  } catch (error) {
+    logger.error("Reset password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error resetting password",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password for the logged in user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    const user = await User.findById(req.user.id).select("+password")
+
+    const isPasswordValid = await user.comparePassword(currentPassword)
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      })
+    }
+
+    user.password = newPassword
+    await user.save()
+
+    // Sign out other sessions and hand this one a fresh token pair
+    const updatedUser = await tokenService.revokeAllForUser(user._id)
+    const { token, refreshToken, expiresIn } = await tokenService.issueTokens(updatedUser, getRequestContext(req))
+
+    logger.info(`Password changed: ${user.email}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully",
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+      },
+    })
+  } catch (error) {
+    logger.error("Change password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error changing password",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept an admin invitation and set a password
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - profile
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               profile:
+ *                 type: object
+ *                 properties:
+ *                   firstName:
+ *                     type: string
+ *                   lastName:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Admin account created successfully
+ *       400:
+ *         description: Invalid, expired or revoked invitation
+ */
+const acceptInvite = async (req, res) => {
+  try {
+    const { token, password, profile } = req.body
+
+    const invite = await AdminInvite.findUsableByToken(token)
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitation is invalid, expired or has been revoked",
+      })
+    }
+
+    const existingUser = await User.findOne({ email: invite.email })
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      })
+    }
+
+    // The invite link proves ownership of the email, so no OTP step is needed
+    const user = new User({
+      email: invite.email,
+      password,
+      role: "admin",
+      profile,
+      isVerified: true,
+    })
+    await user.save()
+
+    invite.status = "accepted"
+    invite.acceptedAt = new Date()
+    invite.acceptedUser = user._id
+    await invite.save()
+
+    const tokens = await tokenService.issueTokens(user, getRequestContext(req))
+
+    logger.info(`Admin invite ${invite._id} accepted: ${user.email}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Admin account created successfully",
+      data: {
+        ...tokens,
+        user: {
+          id: user._id,
+          email: user.email,
+          role: user.role,
+          profile: user.profile,
+          isVerified: user.isVerified,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Accept invite error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invitation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
 /**
  * @swagger
  * /api/auth/me:
@@ -415,5 +917,12 @@ module.exports = {
   verifyOTP,
   login,
   resendOTP,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  acceptInvite,
   getMe,
 }
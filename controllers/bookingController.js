@@ -0,0 +1,345 @@
+const Booking = require("../models/Booking")
+const Payment = require("../models/Payment")
+const Partner = require("../models/Partner")
+const bookingService = require("../services/bookingService")
+const cancellationService = require("../services/cancellationService")
+const { BookingTransitionError } = require("../services/bookingService")
+const { InquiryTransitionError } = require("../services/inquiryStatusService")
+const logger = require("../utils/logger")
+
+/**
+ * Restrict a booking query to the caller's own bookings
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Query filter, or null if the caller has no partner profile
+ */
+const getOwnerFilter = async (user) => {
+  if (user.role === "client") {
+    return { clientId: user.id }
+  }
+  if (user.role === "partner") {
+    const partner = await Partner.findOne({ userId: user.id })
+    return partner ? { partnerId: partner._id } : null
+  }
+  // Admins can see all bookings
+  return {}
+}
+
+/**
+ * @swagger
+ * /api/bookings:
+ *   get:
+ *     summary: List bookings
+ *     description: Clients see their own bookings, partners the bookings made with them and admins all bookings.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, in_progress, delivered, completed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bookings retrieved successfully
+ *       403:
+ *         description: Partner profile not found
+ */
+const getBookings = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query
+
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (status) {
+      query.status = status
+    }
+
+    const bookings = await Booking.find(query)
+      .populate("clientId", "profile email")
+      .populate("partnerId", "businessInfo.businessName location.city")
+      .populate("inquiryId", "category")
+      .sort({ "schedule.eventDate": -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Booking.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookings,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get bookings error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving bookings",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/bookings/{id}:
+ *   get:
+ *     summary: Get booking details
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Booking with its payments, status timeline and the transitions available to the caller.
+ *           While the caller can still cancel, refundIfCancelled shows what the client would get back.
+ *       404:
+ *         description: Booking not found
+ */
+const getBooking = async (req, res) => {
+  try {
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const booking = await Booking.findOne({ _id: req.params.id, ...query })
+      .populate("clientId", "profile email")
+      .populate({ path: "partnerId", populate: { path: "userId", select: "profile email" } })
+      .populate("inquiryId", "category requirements")
+      .populate("quotationId")
+      .populate("statusHistory.changedBy", "profile.firstName profile.lastName role")
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      })
+    }
+
+    const payments = await Payment.find({ bookingId: booking._id }).select("-events").sort({ dueBy: 1 })
+    const availableTransitions = bookingService.getAvailableTransitions(booking.status, req.user.role)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        booking,
+        payments,
+        timeline: booking.statusHistory,
+        availableTransitions,
+        refundIfCancelled: availableTransitions.includes("cancelled")
+          ? cancellationService.calculateRefund(booking, req.user.role)
+          : undefined,
+      },
+    })
+  } catch (error) {
+    logger.error("Get booking error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving booking",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/bookings/{id}/status:
+ *   put:
+ *     summary: Move a booking through its lifecycle
+ *     description: |
+ *       Partners start (in_progress) and deliver bookings, clients confirm delivery (completed).
+ *       Starting needs the client's deposit and delivering the balance payment.
+ *       Clients and partners may cancel a booking before it starts, admins at any point before delivery.
+ *       Completing a booking closes its inquiry, cancelling it cancels the inquiry and frees the partner's calendar.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_progress, delivered, completed, cancelled]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required when cancelling
+ *               deliveryNote:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Where and how the photos were delivered
+ *     responses:
+ *       200:
+ *         description: Booking status updated successfully, cancelled bookings carry the refund outcome in booking.refund
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+const updateBookingStatus = async (req, res) => {
+  try {
+    const { status, reason, deliveryNote } = req.body
+
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const set = {}
+    if (status === "delivered" && deliveryNote) {
+      set.deliveryNote = deliveryNote
+    }
+
+    const booking = await bookingService.transition(req.params.id, status, {
+      actor: { userId: req.user.id, role: req.user.role },
+      reason,
+      filter: query,
+      set,
+    })
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Booking status updated successfully",
+      data: {
+        booking,
+        availableTransitions: bookingService.getAvailableTransitions(booking.status, req.user.role),
+      },
+    })
+  } catch (error) {
+    if (error instanceof BookingTransitionError || error instanceof InquiryTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Update booking status error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating booking status",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/bookings/{id}/refund:
+ *   post:
+ *     summary: Retry the failed refund of a cancelled booking (Admin only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund retried, booking.refund holds the outcome
+ *       404:
+ *         description: No cancelled booking with a failed refund
+ *       409:
+ *         description: The refund is already being processed
+ */
+const retryRefund = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      status: "cancelled",
+      "refund.status": { $in: ["failed", "processing"] },
+    })
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "No failed refund found for this booking",
+      })
+    }
+
+    // A refund left processing can only be retried once its claim has lapsed
+    const updated = await bookingService.processRefund(booking)
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "The refund is already being processed",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: updated.refund.status === "processed" ? "Refund processed successfully" : "Refund failed again",
+      data: { booking: updated },
+    })
+  } catch (error) {
+    logger.error("Retry refund error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrying refund",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+module.exports = {
+  getBookings,
+  getBooking,
+  updateBookingStatus,
+  retryRefund,
+}
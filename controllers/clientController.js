@@ -1,9 +1,48 @@
 const Inquiry = require("../models/Inquiry")
 const Partner = require("../models/Partner")
 const Portfolio = require("../models/Portfolio")
+const Review = require("../models/Review")
+const Package = require("../models/Package")
 const matchingService = require("../services/matchingService")
+const packageService = require("../services/packageService")
+const quotationService = require("../services/quotationService")
+const negotiationService = require("../services/negotiationService")
+const { NegotiationError } = require("../services/negotiationService")
+const availabilityService = require("../services/availabilityService")
+const messageService = require("../services/messageService")
+const inquiryStatusService = require("../services/inquiryStatusService")
+const { InquiryTransitionError } = require("../services/inquiryStatusService")
+const bookingService = require("../services/bookingService")
+const eventBus = require("../services/eventBus")
+const { EVENTS } = require("../services/eventBus")
+const promoCodeService = require("../services/promoCodeService")
+const { PromoCodeError } = require("../services/promoCodeService")
+const { withinRadius, distanceKm } = require("../utils/geo")
 const logger = require("../utils/logger")
 
+const DEFAULT_SEARCH_RADIUS_KM = 25
+
+// Undo a partner selection whose booking couldn't be completed so the client can select again
+// Every step is attempted even if an earlier one fails
+const undoPartnerSelection = async (inquiry, quote, revertUpdate) => {
+  const { from } = inquiry.statusHistory[inquiry.statusHistory.length - 1]
+  const steps = [
+    () => availabilityService.releaseForInquiry(inquiry._id),
+    () => bookingService.discardForQuotation(inquiry._id, quote._id),
+    () => quotationService.reopen(quote),
+    () =>
+      inquiryStatusService.revert(inquiry._id, from, "booked", {
+        reason: "Booking could not be completed",
+        filter: { "assignedPartners.partnerId": quote.partnerId },
+        update: revertUpdate,
+      }),
+  ]
+
+  for (const step of steps) {
+    await step().catch((error) => logger.error(`Failed to undo partner selection on inquiry ${inquiry._id}:`, error))
+  }
+}
+
 /**
  * @swagger
  * /api/client/partners:
@@ -18,10 +57,17 @@ const logger = require("../utils/logger")
  *           enum: [wedding, maternity, portrait, event, commercial, fashion, product, real-estate]
  *       - in: query
  *         name: city
+ *         description: Matches partners based in the city or serving it, results include their travel fee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         description: Also match partners serving the whole state
  *         schema:
  *           type: string
  *       - in: query
  *         name: minPrice
+ *         description: Compared against package prices, or the overall price range for partners without packages
  *         schema:
  *           type: number
  *       - in: query
@@ -53,33 +99,93 @@ const logger = require("../utils/logger")
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [rating, price, experience, bookings]
+ *           enum: [rating, price, experience, bookings, distance]
+ *         description: Defaults to distance when lat and lng are given, otherwise rating
+ *       - in: query
+ *         name: lat
+ *         description: Latitude to search around, requires lng
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *       - in: query
+ *         name: lng
+ *         description: Longitude to search around, requires lat
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *       - in: query
+ *         name: radiusKm
+ *         description: Search radius in kilometers (25 by default)
+ *         schema:
+ *           type: number
+ *           maximum: 500
+ *       - in: query
+ *         name: imageSize
+ *         description: Portfolio image variant to return, thumbnails by default
+ *         schema:
+ *           type: string
+ *           enum: [thumbnail, medium, large, original]
  *     responses:
  *       200:
  *         description: Partners retrieved successfully
  */
 const searchPartners = async (req, res) => {
   try {
-    const { category, city, minPrice, maxPrice, rating, featured, page = 1, limit = 12, sortBy = "rating" } = req.query
+    const {
+      category,
+      city,
+      state,
+      minPrice,
+      maxPrice,
+      rating,
+      featured,
+      page = 1,
+      limit = 12,
+      lat,
+      lng,
+      radiusKm = DEFAULT_SEARCH_RADIUS_KM,
+      imageSize = "thumbnail",
+    } = req.query
+
+    const origin =
+      lat !== undefined && lng !== undefined
+        ? { latitude: Number.parseFloat(lat), longitude: Number.parseFloat(lng) }
+        : null
+    const radius = Number.parseFloat(radiusKm)
+    const sortBy = req.query.sortBy || (origin ? "distance" : "rating")
 
     // Build search query
     const query = {
       "verification.status": "verified",
       isActive: true,
+      $and: [],
     }
 
     if (category) {
       query["businessInfo.categories"] = category
     }
 
-    if (city) {
-      query["location.city"] = { $regex: new RegExp(city, "i") }
+    // Match the partner's home city as well as the cities and states they travel to
+    if (city || state) {
+      const areaQuery = matchingService.buildServiceAreaQuery({ city, state })
+      if (state && !city) {
+        areaQuery.$or.push({ "location.state": matchingService.buildNameRegex(state) })
+      }
+      query.$and.push(areaQuery)
     }
 
+    // Compare package prices, or the overall price range for partners without packages
     if (minPrice || maxPrice) {
-      query["businessInfo.priceRange.min"] = {}
-      if (minPrice) query["businessInfo.priceRange.min"].$gte = Number.parseFloat(minPrice)
-      if (maxPrice) query["businessInfo.priceRange.max"] = { $lte: Number.parseFloat(maxPrice) }
+      const min = minPrice ? Number.parseFloat(minPrice) : undefined
+      const max = maxPrice ? Number.parseFloat(maxPrice) : undefined
+
+      const priceRangeQuery = {}
+      if (min !== undefined) priceRangeQuery["businessInfo.priceRange.min"] = { $gte: min }
+      if (max !== undefined) priceRangeQuery["businessInfo.priceRange.max"] = { $lte: max }
+
+      query.$and.push(await packageService.buildBudgetQuery({ category, min, max }, priceRangeQuery))
     }
 
     if (rating) {
@@ -90,6 +196,29 @@ const searchPartners = async (req, res) => {
       query.isFeatured = true
     }
 
+    if (origin) {
+      query["location.geo"] = withinRadius(origin.latitude, origin.longitude, radius)
+    }
+
+    // MongoDB rejects an empty $and
+    if (query.$and.length === 0) {
+      delete query.$and
+    }
+
+    // $nearSphere returns nearest first but can't be counted, so only the page query uses it
+    const findQuery =
+      sortBy === "distance"
+        ? {
+            ...query,
+            "location.geo": {
+              $nearSphere: {
+                $geometry: { type: "Point", coordinates: [origin.longitude, origin.latitude] },
+                $maxDistance: radius * 1000,
+              },
+            },
+          }
+        : query
+
     // Build sort options
     let sortOptions = {}
     switch (sortBy) {
@@ -105,12 +234,15 @@ const searchPartners = async (req, res) => {
       case "bookings":
         sortOptions = { totalBookings: -1 }
         break
+      case "distance":
+        sortOptions = {}
+        break
       default:
         sortOptions = { isFeatured: -1, "rating.average": -1 }
     }
 
     // Execute search with pagination
-    const partners = await Partner.find(query)
+    const partners = await Partner.find(findQuery)
       .populate("userId", "profile")
       .populate({
         path: "portfolio",
@@ -122,10 +254,34 @@ const searchPartners = async (req, res) => {
 
     const total = await Partner.countDocuments(query)
 
+    const startingPrices = await packageService.getStartingPrices(
+      partners.map((partner) => partner._id),
+      category,
+    )
+
+    // Listing pages only need small images, so resolve portfolio images to the requested variant
+    const results = partners.map((partner) => {
+      const data = partner.toJSON()
+      const partnerKey = partner._id.toString()
+      data.startingPrice = startingPrices.has(partnerKey) ? startingPrices.get(partnerKey) : null
+      if (imageSize !== "original") {
+        data.portfolio = partner.portfolio.map((item) => item.toImageSize(imageSize))
+      }
+      if (city) {
+        const area = partner.findServiceArea({ city, state })
+        data.travelFee = area ? area.travelFee : null
+      }
+      if (origin) {
+        const distance = distanceKm(origin, partner.location.coordinates)
+        data.distanceKm = distance === null ? null : Math.round(distance * 10) / 10
+      }
+      return data
+    })
+
     res.status(200).json({
       success: true,
       data: {
-        partners,
+        partners: results,
         pagination: {
           current: Number.parseInt(page),
           pages: Math.ceil(total / limit),
@@ -134,11 +290,16 @@ const searchPartners = async (req, res) => {
         filters: {
           category,
           city,
+          state,
           minPrice,
           maxPrice,
           rating,
           featured,
           sortBy,
+          lat,
+          lng,
+          radiusKm: origin ? radius : undefined,
+          imageSize,
         },
       },
     })
@@ -164,15 +325,27 @@ const searchPartners = async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: reviewPage
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: reviewLimit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *     responses:
  *       200:
- *         description: Partner details retrieved successfully
+ *         description: Partner details with active packages and paginated reviews
  *       404:
  *         description: Partner not found
  */
 const getPartnerDetails = async (req, res) => {
   try {
     const partnerId = req.params.id
+    const { reviewPage = 1, reviewLimit = 10 } = req.query
 
     const partner = await Partner.findById(partnerId).populate("userId", "profile").populate("portfolio")
 
@@ -183,12 +356,34 @@ const getPartnerDetails = async (req, res) => {
       })
     }
 
+    const packages = await Package.find({ partnerId, isActive: true }).sort({ category: 1, price: 1 })
+
     // Increment view count (optional)
     // You could track partner profile views here
 
+    // Paginated reviews, newest first
+    const reviews = await Review.find({ partnerId })
+      .populate("clientId", "profile.firstName profile.lastName profile.avatar")
+      .sort({ createdAt: -1 })
+      .limit(reviewLimit * 1)
+      .skip((reviewPage - 1) * reviewLimit)
+
+    const totalReviews = await Review.countDocuments({ partnerId })
+
     res.status(200).json({
       success: true,
-      data: { partner },
+      data: {
+        partner,
+        packages,
+        reviews: {
+          items: reviews,
+          pagination: {
+            current: Number.parseInt(reviewPage),
+            pages: Math.ceil(totalReviews / reviewLimit),
+            total: totalReviews,
+          },
+        },
+      },
     })
   } catch (error) {
     logger.error("Get partner details error:", error)
@@ -213,7 +408,7 @@ const getPartnerDetails = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [new, assigned, responded, booked, closed, cancelled]
+ *           enum: [new, assigned, responded, negotiating, booked, closed, cancelled]
  *       - in: query
  *         name: page
  *         schema:
@@ -361,42 +556,262 @@ const getInquiryDetails = async (req, res) => {
  *             properties:
  *               partnerId:
  *                 type: string
+ *               quotationVersion:
+ *                 type: integer
+ *                 description: Version the client reviewed, rejected if the partner has revised it since
+ *               billing:
+ *                 type: object
+ *                 description: Name and GST number to put on invoices, for business clients
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   gstNumber:
+ *                     type: string
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to take off the quotation before GST
  *     responses:
  *       200:
- *         description: Partner selected successfully
+ *         description: Partner selected, their current quotation accepted and the booking created
  *       404:
- *         description: Inquiry or partner not found
+ *         description: Inquiry, partner or promo code not found
+ *       409:
+ *         description: Partner unavailable, quotation missing, revised or expired, or inquiry cannot be booked
+ *       422:
+ *         description: Promo code doesn't apply to this booking
  */
 const selectPartner = async (req, res) => {
   try {
     const clientId = req.user.id
     const inquiryId = req.params.id
-    const { partnerId } = req.body
-
-    // Find and update inquiry
-    const inquiry = await Inquiry.findOneAndUpdate(
-      {
-        _id: inquiryId,
-        clientId,
-        "assignedPartners.partnerId": partnerId,
-      },
-      {
+    const { partnerId, quotationVersion, billing, promoCode } = req.body
+
+    const existingInquiry = await Inquiry.findOne({
+      _id: inquiryId,
+      clientId,
+      "assignedPartners.partnerId": partnerId,
+    })
+
+    if (!existingInquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found or partner not assigned to this inquiry",
+      })
+    }
+
+    // Make sure the partner has not been booked or blocked for the event since the lead was assigned
+    const { eventDate, eventTime, duration } = existingInquiry.eventDetails
+    const isAvailable = await matchingService.checkPartnerAvailability(partnerId, eventDate, eventTime, duration)
+    if (!isAvailable) {
+      return res.status(409).json({
+        success: false,
+        message: "Partner is not available on the event date",
+      })
+    }
+
+    // The booking accepts the partner's current quotation
+    const quote = await quotationService.getActive(inquiryId, partnerId)
+    if (!quote) {
+      return res.status(409).json({
+        success: false,
+        message: "Partner has not sent a quotation yet",
+      })
+    }
+
+    if (quotationVersion && Number(quotationVersion) !== quote.version) {
+      return res.status(409).json({
+        success: false,
+        message: `Quotation has been revised, please review version ${quote.version}`,
+      })
+    }
+
+    if (quote.isExpired) {
+      return res.status(409).json({
+        success: false,
+        message: "Quotation has expired, please ask the partner for a new one",
+      })
+    }
+
+    // Claim the promo code up front so its discount is part of the accepted total
+    // The code isn't used up by a booking that doesn't happen, so any failure from here on gives it back
+    let promo
+    const releasePromo = async () => {
+      if (promo) {
+        await promoCodeService
+          .release({ _id: promo.redemption._id })
+          .catch((error) => logger.error(`Failed to release promo code on inquiry ${inquiryId}:`, error))
+      }
+    }
+
+    let inquiry
+    let booking
+    try {
+      if (promoCode) {
+        promo = await promoCodeService.redeem(promoCode, { clientId, inquiry: existingInquiry, quote })
+        await quotationService.applyPromo(quote, promo.promoCode, promo.amount)
+      }
+
+      const bookingUpdate = {
         $set: {
           selectedPartner: partnerId,
-          status: "booked",
           "assignedPartners.$.response.isAccepted": true,
+          acceptedQuotation: {
+            quotationId: quote._id,
+            version: quote.version,
+            total: quote.total,
+            acceptedAt: new Date(),
+          },
         },
+      }
+
+      // Undone again if the booking can't be completed
+      const revertUpdate = {
+        $set: { "assignedPartners.$.response.isAccepted": false },
+        $unset: { selectedPartner: "", acceptedQuotation: "" },
+      }
+
+      // Close an ongoing negotiation with the partner by accepting their latest offer
+      const assignment = negotiationService.getAssignment(existingInquiry, partnerId)
+      if (negotiationService.isOpen(assignment)) {
+        bookingUpdate.$set["assignedPartners.$.negotiation.status"] = "agreed"
+        bookingUpdate.$push = {
+          "assignedPartners.$.negotiation.log": {
+            by: "client",
+            action: "accept",
+            price: quotationService.getServicePrice(quote),
+            quotationVersion: quote.version,
+            createdAt: new Date(),
+          },
+        }
+        revertUpdate.$set["assignedPartners.$.negotiation.status"] = assignment.negotiation.status
+        revertUpdate.$pop = { "assignedPartners.$.negotiation.log": 1 }
+      }
+
+      // Book the partner
+      inquiry = await inquiryStatusService.transition(inquiryId, "booked", {
+        actor: { userId: clientId, role: "client" },
+        reason: `Client accepted quotation v${quote.version}`,
+        filter: { clientId, "assignedPartners.partnerId": partnerId },
+        update: bookingUpdate,
+      })
+
+      if (!inquiry) {
+        await releasePromo()
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found or partner not assigned to this inquiry",
+        })
+      }
+
+      try {
+        await quotationService.accept(quote)
+
+        // The booking carries the agreed quote and schedule from here on, and updates the partner's booking count
+        booking = await bookingService.createFromQuotation(inquiry, quote, billing)
+        if (promo) {
+          await promoCodeService.attachBooking(promo.redemption, booking._id)
+        }
+
+        // Reserve the event slot in the partner's calendar
+        await availabilityService.reserveForInquiry(partnerId, inquiry)
+      } catch (error) {
+        await undoPartnerSelection(inquiry, quote, revertUpdate)
+        throw error
+      }
+    } catch (error) {
+      await releasePromo()
+      throw error
+    }
+
+    await inquiry.populate([
+      { path: "selectedPartner" },
+      { path: "assignedPartners.partnerId", populate: { path: "userId", select: "profile" } },
+    ])
+
+    eventBus.emit(EVENTS.PARTNER_SELECTED, {
+      partnerId,
+      inquiryId: inquiry._id,
+      bookingId: booking._id,
+      booking: {
+        clientName: req.user.fullName,
+        category: inquiry.category,
+        city: inquiry.location.city,
+        eventDate: booking.schedule.eventDate,
+        total: booking.quote.total,
       },
-      { new: true },
-    )
-      .populate("selectedPartner")
-      .populate({
-        path: "assignedPartners.partnerId",
-        populate: {
-          path: "userId",
-          select: "profile",
-        },
+    })
+
+    logger.info(`Client ${clientId} selected partner ${partnerId} for inquiry ${inquiryId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Partner selected successfully",
+      data: { inquiry, booking },
+    })
+  } catch (error) {
+    if (error instanceof InquiryTransitionError || error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
       })
+    }
+
+    logger.error("Select partner error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error selecting partner",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/inquiries/{id}/promo-code:
+ *   post:
+ *     summary: Check a promo code against a partner's quotation
+ *     description: Shows what the quotation would cost with the code, nothing is redeemed until select-partner
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partnerId
+ *               - promoCode
+ *             properties:
+ *               partnerId:
+ *                 type: string
+ *               promoCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discount and the quotation totals with the code applied
+ *       404:
+ *         description: Inquiry, quotation or promo code not found
+ *       422:
+ *         description: Promo code doesn't apply to this quotation
+ */
+const previewPromoCode = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const { partnerId, promoCode } = req.body
+
+    const inquiry = await Inquiry.findOne({
+      _id: req.params.id,
+      clientId,
+      "assignedPartners.partnerId": partnerId,
+    })
 
     if (!inquiry) {
       return res.status(404).json({
@@ -405,23 +820,407 @@ const selectPartner = async (req, res) => {
       })
     }
 
-    // Update partner's total bookings
-    await Partner.findByIdAndUpdate(partnerId, {
-      $inc: { totalBookings: 1 },
+    const quote = await quotationService.getActive(inquiry._id, partnerId)
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner has not sent a quotation yet",
+      })
+    }
+
+    const { promoCode: promo, amount } = await promoCodeService.check(promoCode, { clientId, inquiry, quote })
+    await quotationService.applyPromo(quote, promo, amount)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: promo.code,
+        description: promo.description,
+        discount: amount,
+        quotation: {
+          version: quote.version,
+          subtotal: quote.subtotal,
+          discountAmount: quote.discount.amount,
+          promoDiscount: quote.promo.amount,
+          taxableAmount: quote.taxableAmount,
+          gstAmount: quote.gstAmount,
+          total: quote.total,
+        },
+      },
     })
+  } catch (error) {
+    if (error instanceof PromoCodeError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
 
-    logger.info(`Client ${clientId} selected partner ${partnerId} for inquiry ${inquiryId}`)
+    logger.error("Preview promo code error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error checking promo code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/inquiries/{id}/negotiations/{partnerId}:
+ *   post:
+ *     summary: Counter or reject a partner's quotation
+ *     description: |
+ *       A counter proposes a service price (before travel fee and GST) and/or a scope change in the message.
+ *       To accept the partner's current quotation, book them via select-partner.
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [counter, reject]
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Offer sent to the partner
+ *       404:
+ *         description: Inquiry not found or partner not assigned
+ *       409:
+ *         description: Waiting on the partner, nothing to reject, or no quotation yet
+ */
+const negotiateQuotation = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const { id: inquiryId, partnerId } = req.params
+    const { action, price, message } = req.body
+
+    const inquiry = await negotiationService.clientRespond(inquiryId, clientId, partnerId, { action, price, message })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found or partner not assigned to this inquiry",
+      })
+    }
+
+    logger.info(`Client ${clientId} sent a ${action} to partner ${partnerId} on inquiry ${inquiryId}`)
 
     res.status(200).json({
       success: true,
-      message: "Partner selected successfully",
+      message: action === "counter" ? "Counter-offer sent successfully" : "Partner's offer rejected",
       data: { inquiry },
     })
   } catch (error) {
-    logger.error("Select partner error:", error)
+    if (error instanceof NegotiationError || error instanceof InquiryTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Negotiate quotation error:", error)
     res.status(500).json({
       success: false,
-      message: "Error selecting partner",
+      message: "Error sending offer",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/inquiries/{id}/review:
+ *   post:
+ *     summary: Review the partner booked for an inquiry
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Review submitted successfully
+ *       400:
+ *         description: Inquiry has already been reviewed
+ *       404:
+ *         description: Booked inquiry not found
+ */
+const createReview = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const inquiryId = req.params.id
+    const { rating, comment } = req.body
+
+    // Only bookings can be reviewed
+    const inquiry = await Inquiry.findOne({
+      _id: inquiryId,
+      clientId,
+      status: { $in: ["booked", "closed"] },
+      selectedPartner: { $exists: true },
+    })
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Booked inquiry not found",
+      })
+    }
+
+    const existingReview = await Review.findOne({ inquiryId })
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this booking",
+      })
+    }
+
+    const review = new Review({
+      partnerId: inquiry.selectedPartner,
+      clientId,
+      inquiryId,
+      rating,
+      comment,
+    })
+
+    await review.save()
+
+    logger.info(`Client ${clientId} reviewed partner ${inquiry.selectedPartner} for inquiry ${inquiryId}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted successfully",
+      data: { review },
+    })
+  } catch (error) {
+    logger.error("Create review error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error submitting review",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/reviews:
+ *   get:
+ *     summary: Get reviews written by the client
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ */
+const getMyReviews = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const { page = 1, limit = 10 } = req.query
+
+    const reviews = await Review.find({ clientId })
+      .populate("partnerId", "businessInfo.businessName")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Review.countDocuments({ clientId })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get client reviews error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving reviews",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/reviews/{id}:
+ *   put:
+ *     summary: Edit a review
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       404:
+ *         description: Review not found
+ */
+const updateReview = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const reviewId = req.params.id
+    const { rating, comment } = req.body
+
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, clientId },
+      { $set: { rating, comment } },
+      { new: true, runValidators: true },
+    )
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      })
+    }
+
+    logger.info(`Review ${reviewId} updated by client ${clientId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Review updated successfully",
+      data: { review },
+    })
+  } catch (error) {
+    logger.error("Update review error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating review",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/client/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Client]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       404:
+ *         description: Review not found
+ */
+const deleteReview = async (req, res) => {
+  try {
+    const clientId = req.user.id
+    const reviewId = req.params.id
+
+    const review = await Review.findOneAndDelete({ _id: reviewId, clientId })
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      })
+    }
+
+    logger.info(`Review ${reviewId} deleted by client ${clientId}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+    })
+  } catch (error) {
+    logger.error("Delete review error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error deleting review",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -447,12 +1246,10 @@ const getDashboard = async (req, res) => {
     const totalInquiries = await Inquiry.countDocuments({ clientId })
     const activeInquiries = await Inquiry.countDocuments({
       clientId,
-      status: { $in: ["new", "assigned", "responded"] },
-    })
-    const completedBookings = await Inquiry.countDocuments({
-      clientId,
-      status: "booked",
+      status: { $in: ["new", "assigned", "responded", "negotiating"] },
     })
+    const bookings = await bookingService.countByStatus({ clientId })
+    const unreadMessages = await messageService.getUnreadCount(clientId)
 
     // Recent inquiries
     const recentInquiries = await Inquiry.find({ clientId })
@@ -472,7 +1269,10 @@ const getDashboard = async (req, res) => {
         stats: {
           totalInquiries,
           activeInquiries,
-          completedBookings,
+          upcomingBookings: bookings.confirmed + bookings.in_progress,
+          completedBookings: bookings.completed,
+          bookings,
+          unreadMessages,
         },
         recentInquiries,
       },
@@ -493,5 +1293,11 @@ module.exports = {
   getInquiries,
   getInquiryDetails,
   selectPartner,
+  previewPromoCode,
+  negotiateQuotation,
+  createReview,
+  getMyReviews,
+  updateReview,
+  deleteReview,
   getDashboard,
 }
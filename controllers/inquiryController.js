@@ -1,7 +1,30 @@
 const Inquiry = require("../models/Inquiry")
+const Quotation = require("../models/Quotation")
+const Booking = require("../models/Booking")
 const matchingService = require("../services/matchingService")
+const inquiryStatusService = require("../services/inquiryStatusService")
+const { InquiryTransitionError } = require("../services/inquiryStatusService")
+const bookingService = require("../services/bookingService")
+const { BookingTransitionError } = require("../services/bookingService")
 const logger = require("../utils/logger")
 
+// Fields only the platform may set, never taken from the request body
+const PROTECTED_FIELDS = [
+  "clientId",
+  "status",
+  "statusHistory",
+  "assignedPartners",
+  "selectedPartner",
+  "cancelledAt",
+  "cancellationReason",
+]
+
+const omitProtectedFields = (data) => {
+  const sanitized = { ...data }
+  PROTECTED_FIELDS.forEach((field) => delete sanitized[field])
+  return sanitized
+}
+
 /**
  * @swagger
  * /api/inquiry:
@@ -25,7 +48,7 @@ const logger = require("../utils/logger")
 const createInquiry = async (req, res) => {
   try {
     const clientId = req.user.id
-    const inquiryData = req.body
+    const inquiryData = omitProtectedFields(req.body)
 
     // Create inquiry
     const inquiry = new Inquiry({
@@ -37,7 +60,7 @@ const createInquiry = async (req, res) => {
 
     // Find matching partners
     try {
-      const matchingPartnerIds = await matchingService.findMatchingPartners(inquiry, 5)
+      const matchingPartnerIds = await matchingService.findMatchingPartners(inquiry)
 
       if (matchingPartnerIds.length > 0) {
         // Distribute inquiry to matching partners
@@ -86,7 +109,7 @@ const createInquiry = async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Inquiry details retrieved successfully
+ *         description: Inquiry details with its status timeline and the transitions available to the caller
  *       404:
  *         description: Inquiry not found
  */
@@ -126,6 +149,7 @@ const getInquiry = async (req, res) => {
         },
       })
       .populate("selectedPartner")
+      .populate("statusHistory.changedBy", "profile.firstName profile.lastName role")
 
     if (!inquiry) {
       return res.status(404).json({
@@ -136,7 +160,11 @@ const getInquiry = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: { inquiry },
+      data: {
+        inquiry,
+        timeline: inquiry.statusHistory,
+        availableTransitions: inquiryStatusService.getAvailableTransitions(inquiry.status, userRole),
+      },
     })
   } catch (error) {
     logger.error("Get inquiry error:", error)
@@ -178,7 +206,7 @@ const updateInquiry = async (req, res) => {
   try {
     const inquiryId = req.params.id
     const clientId = req.user.id
-    const updateData = req.body
+    const updateData = omitProtectedFields(req.body)
 
     // Only allow clients to update their own inquiries
     // and only if status is 'new' or 'assigned'
@@ -229,6 +257,7 @@ const updateInquiry = async (req, res) => {
  * /api/inquiry/{id}/cancel:
  *   post:
  *     summary: Cancel inquiry
+ *     description: Booked inquiries are cancelled through their booking, which refunds the client under the partner's cancellation policy.
  *     tags: [Inquiry]
  *     security:
  *       - bearerAuth: []
@@ -249,9 +278,11 @@ const updateInquiry = async (req, res) => {
  *                 maxLength: 500
  *     responses:
  *       200:
- *         description: Inquiry cancelled successfully
+ *         description: Inquiry cancelled successfully, with the cancelled booking and its refund if it was booked
  *       404:
  *         description: Inquiry not found
+ *       409:
+ *         description: Inquiry cannot be cancelled in its current status
  */
 const cancelInquiry = async (req, res) => {
   try {
@@ -259,26 +290,42 @@ const cancelInquiry = async (req, res) => {
     const clientId = req.user.id
     const { reason } = req.body
 
-    const inquiry = await Inquiry.findOneAndUpdate(
-      {
-        _id: inquiryId,
-        clientId,
-        status: { $nin: ["booked", "closed", "cancelled"] },
-      },
-      {
+    const booking = await Booking.findOne({ inquiryId, clientId }).select("_id")
+    if (booking) {
+      const cancelled = await bookingService.transition(booking._id, "cancelled", {
+        actor: { userId: clientId, role: "client" },
+        reason,
+      })
+
+      logger.info(`Booked inquiry ${inquiryId} cancelled by client ${clientId}`)
+
+      return res.status(200).json({
+        success: true,
+        message: "Booking cancelled successfully",
+        data: {
+          inquiry: await Inquiry.findById(inquiryId),
+          booking: cancelled,
+          refund: cancelled.refund,
+        },
+      })
+    }
+
+    const inquiry = await inquiryStatusService.transition(inquiryId, "cancelled", {
+      actor: { userId: clientId, role: "client" },
+      reason,
+      filter: { clientId },
+      update: {
         $set: {
-          status: "cancelled",
           cancellationReason: reason,
           cancelledAt: new Date(),
         },
       },
-      { new: true },
-    )
+    })
 
     if (!inquiry) {
       return res.status(404).json({
         success: false,
-        message: "Inquiry not found or cannot be cancelled",
+        message: "Inquiry not found",
       })
     }
 
@@ -290,6 +337,13 @@ const cancelInquiry = async (req, res) => {
       data: { inquiry },
     })
   } catch (error) {
+    if (error instanceof InquiryTransitionError || error instanceof BookingTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
     logger.error("Cancel inquiry error:", error)
     res.status(500).json({
       success: false,
@@ -299,9 +353,91 @@ const cancelInquiry = async (req, res) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/inquiry/{id}/quotations:
+ *   get:
+ *     summary: Get quotation versions for an inquiry
+ *     description: Clients and admins see every partner's versions, partners only see their own. Newest version first.
+ *     tags: [Inquiry]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: partnerId
+ *         description: Only return versions from this partner
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quotations retrieved successfully
+ *       404:
+ *         description: Inquiry not found
+ */
+const getQuotations = async (req, res) => {
+  try {
+    const inquiryId = req.params.id
+    const userId = req.user.id
+    const userRole = req.user.role
+
+    const inquiryQuery = { _id: inquiryId }
+    const quotationQuery = { inquiryId }
+
+    if (req.query.partnerId) {
+      quotationQuery.partnerId = req.query.partnerId
+    }
+
+    // Role-based access control
+    if (userRole === "client") {
+      inquiryQuery.clientId = userId
+    } else if (userRole === "partner") {
+      const Partner = require("../models/Partner")
+      const partner = await Partner.findOne({ userId })
+      if (!partner) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        })
+      }
+      inquiryQuery["assignedPartners.partnerId"] = partner._id
+      quotationQuery.partnerId = partner._id
+    }
+
+    const inquiry = await Inquiry.exists(inquiryQuery)
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found",
+      })
+    }
+
+    const quotations = await Quotation.find(quotationQuery)
+      .populate("partnerId", "businessInfo.businessName")
+      .sort({ partnerId: 1, version: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: { quotations },
+    })
+  } catch (error) {
+    logger.error("Get quotations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving quotations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
 module.exports = {
   createInquiry,
   getInquiry,
   updateInquiry,
   cancelInquiry,
+  getQuotations,
 }
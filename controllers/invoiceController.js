@@ -0,0 +1,229 @@
+const Invoice = require("../models/Invoice")
+const Partner = require("../models/Partner")
+const invoiceService = require("../services/invoiceService")
+const logger = require("../utils/logger")
+
+/**
+ * Restrict an invoice query to the caller's own invoices
+ * @param {Object} user - Authenticated user
+ * @returns {Object|null} Query filter, or null if the caller has no partner profile
+ */
+const getOwnerFilter = async (user) => {
+  if (user.role === "client") {
+    return { clientId: user.id }
+  }
+  if (user.role === "partner") {
+    const partner = await Partner.findOne({ userId: user.id })
+    return partner ? { partnerId: partner._id } : null
+  }
+  // Admins can see all invoices
+  return {}
+}
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: List invoices
+ *     description: Clients see invoices issued to them, partners invoices issued in their name and admins all invoices.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+const getInvoices = async (req, res) => {
+  try {
+    const { bookingId, page = 1, limit = 10 } = req.query
+
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (bookingId) {
+      query.bookingId = bookingId
+    }
+
+    const invoices = await Invoice.find(query)
+      .select("invoiceNumber type issuedAt bookingId paymentId supplier.name recipient.name total totalTax")
+      .sort({ issuedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Invoice.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get invoices error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving invoices",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       404:
+ *         description: Invoice not found
+ */
+const getInvoice = async (req, res) => {
+  try {
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...query })
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { invoice },
+    })
+  } catch (error) {
+    logger.error("Get invoice error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving invoice",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/invoices/{id}/download:
+ *   get:
+ *     summary: Download an invoice as a PDF or JSON file
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Invoice file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       404:
+ *         description: Invoice not found
+ */
+const downloadInvoice = async (req, res) => {
+  try {
+    const format = req.query.format || "pdf"
+
+    const query = await getOwnerFilter(req.user)
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, ...query })
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      })
+    }
+
+    const filename = `invoice-${invoice.invoiceNumber.replace(/\//g, "-")}.${format}`
+    res.set("Content-Disposition", `attachment; filename="${filename}"`)
+
+    if (format === "json") {
+      return res.status(200).json(invoice)
+    }
+
+    res.status(200).type("application/pdf").send(invoiceService.renderPdf(invoice))
+  } catch (error) {
+    logger.error("Download invoice error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error downloading invoice",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  downloadInvoice,
+}
@@ -0,0 +1,389 @@
+const Message = require("../models/Message")
+const Inquiry = require("../models/Inquiry")
+const Partner = require("../models/Partner")
+const messageService = require("../services/messageService")
+const logger = require("../utils/logger")
+
+/**
+ * @swagger
+ * /api/inquiry/{id}/threads:
+ *   get:
+ *     summary: List message threads for an inquiry
+ *     description: Clients see one thread per assigned partner, partners only see their own thread.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Threads retrieved successfully
+ *       404:
+ *         description: Inquiry not found
+ */
+const getThreads = async (req, res) => {
+  try {
+    const inquiryId = req.params.id
+    const userId = req.user.id
+
+    let partnerIds = []
+
+    if (req.user.role === "client") {
+      const inquiry = await Inquiry.findOne({ _id: inquiryId, clientId: userId })
+      if (inquiry) {
+        partnerIds = inquiry.assignedPartners.map((assignment) => assignment.partnerId.toString())
+      }
+    } else {
+      const partner = await Partner.findOne({ userId })
+      const inquiry = partner && (await Inquiry.findOne({ _id: inquiryId, "assignedPartners.partnerId": partner._id }))
+      if (inquiry) {
+        partnerIds = [partner._id.toString()]
+      }
+    }
+
+    if (partnerIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found",
+      })
+    }
+
+    const threads = await messageService.getThreadSummaries(inquiryId, userId, partnerIds)
+
+    res.status(200).json({
+      success: true,
+      data: { threads },
+    })
+  } catch (error) {
+    logger.error("Get threads error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving threads",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/inquiry/{id}/threads/{partnerId}/messages:
+ *   get:
+ *     summary: Get messages in a thread
+ *     description: Messages addressed to the caller are marked as read.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *       404:
+ *         description: Thread not found
+ */
+const getMessages = async (req, res) => {
+  try {
+    const { id: inquiryId, partnerId } = req.params
+    const { page = 1, limit = 50 } = req.query
+
+    const thread = await messageService.resolveThread(req.user, inquiryId, partnerId)
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      })
+    }
+
+    const query = { inquiryId, partnerId }
+
+    const messages = await Message.find(query)
+      .populate("senderId", "profile.firstName profile.lastName profile.avatar")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Message.countDocuments(query)
+
+    await messageService.markThreadRead(inquiryId, partnerId, req.user.id)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get messages error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving messages",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/inquiry/{id}/threads/{partnerId}/messages:
+ *   post:
+ *     summary: Send a message in a thread
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent successfully
+ *       400:
+ *         description: Empty message or invalid attachment
+ *       404:
+ *         description: Thread not found
+ */
+const sendMessage = async (req, res) => {
+  try {
+    const { id: inquiryId, partnerId } = req.params
+    const { body } = req.body
+
+    if (!body && req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Message must have text or an attachment",
+      })
+    }
+
+    const thread = await messageService.resolveThread(req.user, inquiryId, partnerId)
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      })
+    }
+
+    const attachments = await messageService.storeAttachments(req.files, inquiryId, partnerId)
+
+    const message = new Message({
+      inquiryId,
+      partnerId,
+      senderId: req.user.id,
+      senderRole: req.user.role,
+      recipientId: thread.recipientId,
+      body,
+      attachments,
+    })
+
+    await message.save()
+
+    logger.info(`Message ${message._id} sent by ${req.user.role} ${req.user.id} on inquiry ${inquiryId}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent successfully",
+      data: { message },
+    })
+  } catch (error) {
+    logger.error("Send message error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error sending message",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/inquiry/{id}/threads/{partnerId}/read:
+ *   post:
+ *     summary: Mark a thread as read
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thread marked as read
+ *       404:
+ *         description: Thread not found
+ */
+const markThreadRead = async (req, res) => {
+  try {
+    const { id: inquiryId, partnerId } = req.params
+
+    const thread = await messageService.resolveThread(req.user, inquiryId, partnerId)
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      })
+    }
+
+    const markedCount = await messageService.markThreadRead(inquiryId, partnerId, req.user.id)
+
+    res.status(200).json({
+      success: true,
+      message: "Thread marked as read",
+      data: { markedCount },
+    })
+  } catch (error) {
+    logger.error("Mark thread read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error marking thread as read",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/inquiry/{id}/threads/{partnerId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a message attachment
+ *     description: Only the participants of the thread can download its attachments.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Thread or attachment not found
+ */
+const getAttachment = async (req, res) => {
+  try {
+    const { id: inquiryId, partnerId, attachmentId } = req.params
+
+    const thread = await messageService.resolveThread(req.user, inquiryId, partnerId)
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: "Thread not found",
+      })
+    }
+
+    const file = await messageService.getAttachment(inquiryId, partnerId, attachmentId)
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      })
+    }
+
+    const filename = (file.attachment.filename || "attachment").replace(/["\\\r\n]/g, "_")
+    res.set("Content-Disposition", `inline; filename="${filename}"`)
+    res.set("Cache-Control", "private, no-store")
+    res
+      .status(200)
+      .type(file.attachment.mimetype || "application/octet-stream")
+      .send(file.buffer)
+  } catch (error) {
+    logger.error("Get attachment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving attachment",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+module.exports = {
+  getThreads,
+  getMessages,
+  sendMessage,
+  markThreadRead,
+  getAttachment,
+}
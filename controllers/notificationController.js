@@ -0,0 +1,238 @@
+const notificationService = require("../services/notificationService")
+const logger = require("../utils/logger")
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List your in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only list unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully, with the number still unread
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query
+
+    const { notifications, total, unreadCount } = await notificationService.list(req.user.id, { unread, page, limit })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get notifications error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving notifications",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.user.id, req.params.id)
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { notification },
+    })
+  } catch (error) {
+    logger.error("Mark notification read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updatedCount = await notificationService.markAllRead(req.user.id)
+
+    res.status(200).json({
+      success: true,
+      data: { updatedCount },
+    })
+  } catch (error) {
+    logger.error("Mark all notifications read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating notifications",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the channels you receive each notification on
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Language of your emails and preferences for the notification events relevant to your role
+ */
+const getPreferences = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        locale: req.user.locale,
+        preferences: notificationService.getPreferences(req.user),
+      },
+    })
+  } catch (error) {
+    logger.error("Get notification preferences error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving notification preferences",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Choose the channels and language you receive notifications in
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 enum: [en, hi]
+ *                 description: Language emails are sent in
+ *               preferences:
+ *                 type: array
+ *                 description: Events left out keep their current channels
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - event
+ *                   properties:
+ *                     event:
+ *                       type: string
+ *                     inApp:
+ *                       type: boolean
+ *                     email:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated
+ *       400:
+ *         description: Validation error
+ */
+const updatePreferences = async (req, res) => {
+  try {
+    const { locale, preferences } = req.body
+
+    const updated = await notificationService.updatePreferences(req.user.id, { locale, preferences })
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: updated,
+    })
+  } catch (error) {
+    logger.error("Update notification preferences error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating notification preferences",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+}
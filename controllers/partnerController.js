@@ -2,8 +2,53 @@ const Partner = require("../models/Partner")
 const Portfolio = require("../models/Portfolio")
 const Inquiry = require("../models/Inquiry")
 const User = require("../models/User")
+const Availability = require("../models/Availability")
+const Package = require("../models/Package")
+const availabilityService = require("../services/availabilityService")
+const portfolioImageService = require("../services/portfolioImageService")
+const messageService = require("../services/messageService")
+const matchingService = require("../services/matchingService")
+const inquiryStatusService = require("../services/inquiryStatusService")
+const quotationService = require("../services/quotationService")
+const negotiationService = require("../services/negotiationService")
+const { NegotiationError } = require("../services/negotiationService")
+const { InquiryTransitionError } = require("../services/inquiryStatusService")
+const bookingService = require("../services/bookingService")
+const cancellationService = require("../services/cancellationService")
+const ledgerService = require("../services/ledgerService")
+const payoutService = require("../services/payoutService")
+const eventBus = require("../services/eventBus")
+const { EVENTS } = require("../services/eventBus")
 const logger = require("../utils/logger")
 
+// Profile fields only admins or the platform may set, never taken from the request body
+const PROTECTED_PROFILE_FIELDS = [
+  "userId",
+  "verification",
+  "isFeatured",
+  "tier",
+  "rating",
+  "totalBookings",
+  "responseStats",
+]
+
+// Multipart list fields arrive as repeated fields, a JSON array or a single value
+const parseListField = (value, separator) => {
+  if (value === undefined || value === null || value === "") return []
+  if (Array.isArray(value)) return value
+  if (typeof value === "string" && value.trim().startsWith("[")) {
+    try {
+      return JSON.parse(value)
+    } catch (error) {
+      return [value]
+    }
+  }
+  return separator ? String(value).split(separator) : [value]
+}
+
+// Image fields a partner may set by URL, stored files and their sizes only ever come from uploads
+const toLinkedImage = ({ url, caption, index }) => ({ url, caption, index })
+
 /**
  * @swagger
  * /api/partner/profile:
@@ -27,7 +72,8 @@ const logger = require("../utils/logger")
 const createOrUpdateProfile = async (req, res) => {
   try {
     const userId = req.user.id
-    const profileData = req.body
+    const profileData = { ...req.body }
+    PROTECTED_PROFILE_FIELDS.forEach((field) => delete profileData[field])
 
     // Check if partner profile already exists
     let partner = await Partner.findOne({ userId })
@@ -109,6 +155,133 @@ const getProfile = async (req, res) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/partner/cancellation-policy:
+ *   get:
+ *     summary: Get the partner's cancellation policy
+ *     description: Returns the tiers the partner set and the tiers that apply, which are the platform default when none are set.
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancellation policy retrieved successfully
+ *       404:
+ *         description: Partner profile not found
+ */
+const getCancellationPolicy = async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ userId: req.user.id }).select("cancellationPolicy")
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cancellationPolicy: partner.cancellationPolicy,
+        effectivePolicy: cancellationService.getPolicy(partner.cancellationPolicy),
+        isDefault: partner.cancellationPolicy.length === 0,
+      },
+    })
+  } catch (error) {
+    logger.error("Get cancellation policy error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving cancellation policy",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/cancellation-policy:
+ *   put:
+ *     summary: Set the partner's cancellation policy
+ *     description: |
+ *       Each tier refunds a share of what the client paid when they cancel at least daysBefore days ahead of the event.
+ *       Send an empty list to go back to the platform default. Existing bookings keep the policy they were made under.
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tiers
+ *             properties:
+ *               tiers:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     daysBefore:
+ *                       type: integer
+ *                       minimum: 0
+ *                     refundPercent:
+ *                       type: number
+ *                       minimum: 0
+ *                       maximum: 100
+ *                 example:
+ *                   - daysBefore: 30
+ *                     refundPercent: 100
+ *                   - daysBefore: 7
+ *                     refundPercent: 50
+ *     responses:
+ *       200:
+ *         description: Cancellation policy updated successfully
+ *       404:
+ *         description: Partner profile not found
+ */
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    // Stored furthest from the event first, an empty list falls back to the platform default
+    const cancellationPolicy = req.body.tiers.length > 0 ? cancellationService.getPolicy(req.body.tiers) : []
+
+    const partner = await Partner.findOneAndUpdate(
+      { userId: req.user.id },
+      { $set: { cancellationPolicy } },
+      { new: true, runValidators: true },
+    ).select("cancellationPolicy")
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    logger.info(`Cancellation policy updated for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Cancellation policy updated successfully",
+      data: {
+        cancellationPolicy: partner.cancellationPolicy,
+        effectivePolicy: cancellationService.getPolicy(partner.cancellationPolicy),
+        isDefault: partner.cancellationPolicy.length === 0,
+      },
+    })
+  } catch (error) {
+    logger.error("Update cancellation policy error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating cancellation policy",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
 /**
  * @swagger
  * /api/partner/leads:
@@ -122,7 +295,7 @@ const getProfile = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [new, assigned, responded, booked, closed, cancelled]
+ *           enum: [new, assigned, responded, negotiating, booked, closed, cancelled]
  *       - in: query
  *         name: page
  *         schema:
@@ -152,9 +325,11 @@ const getLeads = async (req, res) => {
       })
     }
 
-    // Build query
+    // Build query, leaving out leads the partner declined or let expire
     const query = {
-      "assignedPartners.partnerId": partner._id,
+      assignedPartners: {
+        $elemMatch: { partnerId: partner._id, declinedAt: { $exists: false }, expiredAt: { $exists: false } },
+      },
     }
 
     if (status) {
@@ -196,6 +371,9 @@ const getLeads = async (req, res) => {
  * /api/partner/leads/{id}/respond:
  *   post:
  *     summary: Respond to a lead
+ *     description: |
+ *       Each call creates a new quotation version. The travel fee of the partner's service area covering
+ *       the venue is added to the items, then the discount and GST (for GST-registered partners) are applied.
  *     tags: [Partner]
  *     security:
  *       - bearerAuth: []
@@ -213,7 +391,6 @@ const getLeads = async (req, res) => {
  *             type: object
  *             required:
  *               - message
- *               - quotation
  *             properties:
  *               message:
  *                 type: string
@@ -221,17 +398,51 @@ const getLeads = async (req, res) => {
  *               quotation:
  *                 type: number
  *                 minimum: 0
+ *                 description: Single service price, used when no items are given
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - description
+ *                     - unitPrice
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unitPrice:
+ *                       type: number
+ *                       minimum: 0
+ *               discount:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [percentage, fixed]
+ *                   value:
+ *                     type: number
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to 14 days from now
+ *               terms:
+ *                 type: string
+ *                 maxLength: 2000
  *     responses:
  *       200:
  *         description: Response submitted successfully
  *       404:
  *         description: Lead not found
+ *       409:
+ *         description: Lead can no longer be responded to
  */
 const respondToLead = async (req, res) => {
   try {
     const userId = req.user.id
     const leadId = req.params.id
-    const { message, quotation } = req.body
+    const { message, quotation, items, discount, validUntil, terms } = req.body
 
     // Find partner
     const partner = await Partner.findOne({ userId })
@@ -242,24 +453,66 @@ const respondToLead = async (req, res) => {
       })
     }
 
-    // Find and update inquiry
-    const inquiry = await Inquiry.findOneAndUpdate(
-      {
-        _id: leadId,
-        "assignedPartners.partnerId": partner._id,
-      },
-      {
-        $set: {
-          "assignedPartners.$.response": {
-            message,
-            quotation,
-            respondedAt: new Date(),
+    const lead = await Inquiry.findOne({ _id: leadId, "assignedPartners.partnerId": partner._id }).select(
+      "location status assignedPartners",
+    )
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found or not assigned to you",
+      })
+    }
+
+    const assignment = negotiationService.getAssignment(lead, partner._id)
+    if (assignment.declinedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "You have declined this lead",
+      })
+    }
+    if (assignment.expiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: "The time to respond to this lead has passed",
+      })
+    }
+
+    if (assignment.negotiation.status === "awaiting_partner") {
+      return res.status(409).json({
+        success: false,
+        message: "The client sent a counter-offer, please reply to it instead",
+      })
+    }
+
+    // Add the travel fee of the service area covering the venue
+    const serviceArea = matchingService.resolveServiceArea(partner, lead.location)
+    const travelFee = serviceArea ? serviceArea.travelFee : 0
+
+    // Every response is a new quotation version, earlier versions stay visible to the client
+    const quote = await quotationService.buildVersion(lead, partner, {
+      items,
+      quotation,
+      travelFee,
+      discount,
+      validUntil,
+      terms,
+      message,
+    })
+
+    // Record the response and move the inquiry to responded, unless a negotiation is already going on
+    const nextStatus = lead.status === "negotiating" ? "negotiating" : "responded"
+    const inquiry = await quotationService.publishVersion(quote, () =>
+      inquiryStatusService.transition(leadId, nextStatus, {
+        actor: { userId, role: "partner" },
+        reason: `Partner ${partner.businessInfo.businessName} sent quotation v${quote.version}`,
+        filter: { assignedPartners: { $elemMatch: { partnerId: partner._id, expiredAt: { $exists: false } } } },
+        update: {
+          $set: {
+            "assignedPartners.$.response": quotationService.toResponseSummary(quote),
           },
-          status: "responded",
         },
-      },
-      { new: true },
-    ).populate("clientId", "profile email")
+      }),
+    )
 
     if (!inquiry) {
       return res.status(404).json({
@@ -268,14 +521,37 @@ const respondToLead = async (req, res) => {
       })
     }
 
+    // Only the first quotation counts towards the partner's response time
+    if (!assignment.response || !assignment.response.respondedAt) {
+      await Partner.recordLeadOutcome(partner._id, "responded", assignment.assignedAt)
+    }
+
+    await inquiry.populate("clientId", "profile email")
+
+    eventBus.emit(EVENTS.PARTNER_RESPONDED, {
+      clientId: inquiry.clientId._id,
+      inquiryId: inquiry._id,
+      partnerId: partner._id,
+      quotationId: quote._id,
+      businessName: partner.businessInfo.businessName,
+      quote: { total: quote.total, category: inquiry.category, validUntil: quote.validUntil },
+    })
+
     logger.info(`Partner ${partner._id} responded to inquiry ${leadId}`)
 
     res.status(200).json({
       success: true,
       message: "Response submitted successfully",
-      data: { inquiry },
+      data: { inquiry, quotation: quote },
     })
   } catch (error) {
+    if (error instanceof InquiryTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
     logger.error("Respond to lead error:", error)
     res.status(500).json({
       success: false,
@@ -287,26 +563,61 @@ const respondToLead = async (req, res) => {
 
 /**
  * @swagger
- * /api/partner/portfolio:
+ * /api/partner/leads/{id}/negotiation:
  *   post:
- *     summary: Add portfolio item
+ *     summary: Reply to a client's counter-offer
+ *     description: |
+ *       Accepting issues a new quotation version at the client's price (or the current items for a scope-only change).
+ *       Countering takes the same quotation fields as responding to a lead and issues a new version.
  *     tags: [Partner]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Portfolio'
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reject, counter]
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *               quotation:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               discount:
+ *                 type: object
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               terms:
+ *                 type: string
  *     responses:
- *       201:
- *         description: Portfolio item added successfully
+ *       200:
+ *         description: Reply sent successfully
+ *       404:
+ *         description: Lead not found
+ *       409:
+ *         description: No counter-offer waiting for a reply
  */
-const addPortfolioItem = async (req, res) => {
+const respondToNegotiation = async (req, res) => {
   try {
     const userId = req.user.id
-    const portfolioData = req.body
+    const leadId = req.params.id
 
     // Find partner
     const partner = await Partner.findOne({ userId })
@@ -317,30 +628,34 @@ const addPortfolioItem = async (req, res) => {
       })
     }
 
-    // Create portfolio item
-    const portfolio = new Portfolio({
-      partnerId: partner._id,
-      ...portfolioData,
-    })
-
-    await portfolio.save()
+    const result = await negotiationService.partnerRespond(leadId, partner, userId, req.body)
 
-    // Add to partner's portfolio array
-    partner.portfolio.push(portfolio._id)
-    await partner.save()
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found or not assigned to you",
+      })
+    }
 
-    logger.info(`Portfolio item added for partner ${partner._id}`)
+    logger.info(`Partner ${partner._id} replied ${req.body.action} to the counter-offer on inquiry ${leadId}`)
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Portfolio item added successfully",
-      data: { portfolio },
+      message: "Reply sent successfully",
+      data: result,
     })
   } catch (error) {
-    logger.error("Add portfolio item error:", error)
+    if (error instanceof NegotiationError || error instanceof InquiryTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Respond to negotiation error:", error)
     res.status(500).json({
       success: false,
-      message: "Error adding portfolio item",
+      message: "Error replying to counter-offer",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -348,19 +663,44 @@ const addPortfolioItem = async (req, res) => {
 
 /**
  * @swagger
- * /api/partner/portfolio:
- *   get:
- *     summary: Get partner portfolio
+ * /api/partner/leads/{id}/decline:
+ *   post:
+ *     summary: Decline a lead
+ *     description: The lead is removed from the partner's list and the inquiry is re-matched if too few partners remain.
  *     tags: [Partner]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
  *     responses:
  *       200:
- *         description: Portfolio retrieved successfully
+ *         description: Lead declined successfully
+ *       404:
+ *         description: Lead not found
+ *       409:
+ *         description: Lead already declined, already responded to, or no longer open
  */
-const getPortfolio = async (req, res) => {
+const declineLead = async (req, res) => {
   try {
     const userId = req.user.id
+    const leadId = req.params.id
+    const { reason } = req.body
 
     // Find partner
     const partner = await Partner.findOne({ userId })
@@ -371,18 +711,83 @@ const getPortfolio = async (req, res) => {
       })
     }
 
-    // Get portfolio items
-    const portfolio = await Portfolio.find({ partnerId: partner._id }).sort({ createdAt: -1 })
+    const lead = await Inquiry.findOne({ _id: leadId, "assignedPartners.partnerId": partner._id })
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found or not assigned to you",
+      })
+    }
+
+    const assignment = negotiationService.getAssignment(lead, partner._id)
+    if (assignment.declinedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already declined this lead",
+      })
+    }
+    if (assignment.expiredAt) {
+      return res.status(409).json({
+        success: false,
+        message: "The time to respond to this lead has passed",
+      })
+    }
+    if (assignment.response && assignment.response.respondedAt) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already responded to this lead",
+      })
+    }
+
+    const declined = await Inquiry.findOneAndUpdate(
+      {
+        _id: leadId,
+        status: { $in: ["assigned", "responded", "negotiating"] },
+        assignedPartners: {
+          $elemMatch: {
+            partnerId: partner._id,
+            declinedAt: { $exists: false },
+            expiredAt: { $exists: false },
+            "response.respondedAt": { $exists: false },
+          },
+        },
+      },
+      {
+        $set: {
+          "assignedPartners.$.declinedAt": new Date(),
+          "assignedPartners.$.declineReason": reason,
+        },
+      },
+      { new: true },
+    )
+
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        message: "Lead is no longer open",
+      })
+    }
+
+    await Partner.recordLeadOutcome(partner._id, "declined")
+
+    logger.info(`Partner ${partner._id} declined inquiry ${leadId}: ${reason}`)
+
+    // Replace the partner if too few are left, the decline stands even if re-matching fails
+    try {
+      await matchingService.rematchInquiry(leadId)
+    } catch (matchingError) {
+      logger.error("Error re-matching declined lead:", matchingError)
+    }
 
     res.status(200).json({
       success: true,
-      data: { portfolio },
+      message: "Lead declined successfully",
     })
   } catch (error) {
-    logger.error("Get portfolio error:", error)
+    logger.error("Decline lead error:", error)
     res.status(500).json({
       success: false,
-      message: "Error retrieving portfolio",
+      message: "Error declining lead",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -390,18 +795,12 @@ const getPortfolio = async (req, res) => {
 
 /**
  * @swagger
- * /api/partner/portfolio/{id}:
- *   put:
- *     summary: Update portfolio item
+ * /api/partner/portfolio:
+ *   post:
+ *     summary: Add portfolio item
  *     tags: [Partner]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -409,14 +808,793 @@ const getPortfolio = async (req, res) => {
  *           schema:
  *             $ref: '#/components/schemas/Portfolio'
  *     responses:
- *       200:
- *         description: Portfolio item updated successfully
+ *       201:
+ *         description: Portfolio item added successfully
+ */
+const addPortfolioItem = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const portfolioData = req.body
+    if (Array.isArray(portfolioData.images)) {
+      portfolioData.images = portfolioData.images.map(toLinkedImage)
+    }
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    // Create portfolio item
+    const portfolio = new Portfolio({
+      partnerId: partner._id,
+      ...portfolioData,
+    })
+
+    await portfolio.save()
+
+    // Add to partner's portfolio array
+    partner.portfolio.push(portfolio._id)
+    await partner.save()
+
+    logger.info(`Portfolio item added for partner ${partner._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Portfolio item added successfully",
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Add portfolio item error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error adding portfolio item",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio:
+ *   get:
+ *     summary: Get partner portfolio
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Portfolio retrieved successfully
+ */
+const getPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.id
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    // Get portfolio items
+    const portfolio = await Portfolio.find({ partnerId: partner._id }).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Get portfolio error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving portfolio",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio/{id}:
+ *   put:
+ *     summary: Update portfolio item
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *     responses:
+ *       200:
+ *         description: Portfolio item updated successfully
+ */
+const updatePortfolioItem = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const portfolioId = req.params.id
+    const updateData = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const existing = await Portfolio.findOne({ _id: portfolioId, partnerId: partner._id })
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio item not found",
+      })
+    }
+
+    // Uploaded images keep their stored files and variants when resubmitted by URL
+    let removedImages = []
+    if (Array.isArray(updateData.images)) {
+      const existingByUrl = new Map(existing.images.map((image) => [image.url, image]))
+      updateData.images = updateData.images.map(toLinkedImage).map((image) => {
+        const match = existingByUrl.get(image.url)
+        if (!match || !match.storageKey) return image
+
+        const { storageKey, width, height, variants } = match.toObject()
+        return { ...image, storageKey, width, height, variants }
+      })
+
+      const keptUrls = new Set(updateData.images.map((image) => image.url))
+      removedImages = existing.images.filter((image) => !keptUrls.has(image.url))
+    }
+
+    // Update portfolio item
+    const portfolio = await Portfolio.findOneAndUpdate({ _id: portfolioId, partnerId: partner._id }, updateData, {
+      new: true,
+      runValidators: true,
+    })
+
+    await portfolioImageService.removeImages(removedImages)
+
+    logger.info(`Portfolio item ${portfolioId} updated for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Portfolio item updated successfully",
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Update portfolio item error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating portfolio item",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio/{id}:
+ *   delete:
+ *     summary: Delete portfolio item
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Portfolio item deleted successfully
+ */
+const deletePortfolioItem = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const portfolioId = req.params.id
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    // Delete portfolio item
+    const portfolio = await Portfolio.findOneAndDelete({
+      _id: portfolioId,
+      partnerId: partner._id,
+    })
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio item not found",
+      })
+    }
+
+    // Remove from partner's portfolio array
+    partner.portfolio.pull(portfolioId)
+    await partner.save()
+
+    // Delete uploaded files
+    await portfolioImageService.removeImages(portfolio.images)
+
+    logger.info(`Portfolio item ${portfolioId} deleted for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Portfolio item deleted successfully",
+    })
+  } catch (error) {
+    logger.error("Delete portfolio item error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error deleting portfolio item",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio/upload:
+ *   post:
+ *     summary: Create a portfolio item from uploaded images
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - category
+ *               - images
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [wedding, maternity, portrait, event, commercial, fashion, product, real-estate]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               captions:
+ *                 type: array
+ *                 description: Captions in the same order as the uploaded images
+ *                 items:
+ *                   type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Portfolio item created successfully
+ *       400:
+ *         description: Invalid image type or size
+ */
+const uploadPortfolioItem = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { title, description, category } = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const images = await portfolioImageService.storeImages(req.files, {
+      partnerId: partner._id,
+      captions: parseListField(req.body.captions),
+    })
+
+    const portfolio = new Portfolio({
+      partnerId: partner._id,
+      title,
+      description,
+      category,
+      tags: parseListField(req.body.tags, ",").map((tag) => String(tag).trim()),
+      images,
+    })
+
+    try {
+      await portfolio.save()
+    } catch (saveError) {
+      await portfolioImageService.removeImages(images)
+      throw saveError
+    }
+
+    // Add to partner's portfolio array
+    partner.portfolio.push(portfolio._id)
+    await partner.save()
+
+    logger.info(`Portfolio item ${portfolio._id} uploaded with ${images.length} images for partner ${partner._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Portfolio item added successfully",
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Upload portfolio item error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error uploading portfolio item",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio/{id}/images:
+ *   post:
+ *     summary: Upload images to an existing portfolio item
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               captions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images uploaded successfully
+ *       404:
+ *         description: Portfolio item not found
+ */
+const uploadPortfolioImages = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const portfolioId = req.params.id
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, partnerId: partner._id })
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio item not found",
+      })
+    }
+
+    // New images are appended after the current last index
+    const startIndex = portfolio.images.reduce((max, image) => Math.max(max, image.index + 1), 0)
+
+    const images = await portfolioImageService.storeImages(req.files, {
+      partnerId: partner._id,
+      captions: parseListField(req.body.captions),
+      startIndex,
+    })
+
+    portfolio.images.push(...images)
+
+    try {
+      await portfolio.save()
+    } catch (saveError) {
+      await portfolioImageService.removeImages(images)
+      throw saveError
+    }
+
+    logger.info(`${images.length} images uploaded to portfolio item ${portfolioId} for partner ${partner._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Images uploaded successfully",
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Upload portfolio images error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error uploading images",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/portfolio/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Remove an image from a portfolio item
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image removed successfully
+ *       404:
+ *         description: Portfolio item or image not found
+ */
+const deletePortfolioImage = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { id: portfolioId, imageId } = req.params
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, partnerId: partner._id })
+    const image = portfolio && portfolio.images.id(imageId)
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: "Portfolio image not found",
+      })
+    }
+
+    image.deleteOne()
+    await portfolio.save()
+
+    await portfolioImageService.removeImages([image])
+
+    logger.info(`Image ${imageId} removed from portfolio item ${portfolioId} for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Image removed successfully",
+      data: { portfolio },
+    })
+  } catch (error) {
+    logger.error("Delete portfolio image error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error removing image",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/availability:
+ *   get:
+ *     summary: Get partner availability calendar
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [blocked, booked]
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { from, to, type } = req.query
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    // Build query
+    const query = { partnerId: partner._id }
+    if (type) query.type = type
+    if (from) query.endsAt = { $gte: new Date(from) }
+    if (to) query.startsAt = { $lte: new Date(to) }
+
+    const slots = await Availability.find(query).populate("inquiryId", "category eventDetails").sort({ startsAt: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: { slots },
+    })
+  } catch (error) {
+    logger.error("Get availability error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving availability",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/availability:
+ *   post:
+ *     summary: Block a date or time slot
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *                 description: HH:MM, omit with endTime to block the whole day
+ *               endTime:
+ *                 type: string
+ *                 description: HH:MM
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Slot blocked successfully
+ *       409:
+ *         description: Slot overlaps an existing entry
+ */
+const addAvailabilitySlot = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { date, startTime, endTime, reason } = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const { start, end, allDay } = availabilityService.getSlotWindow(date, startTime, endTime)
+
+    const isAvailable = await availabilityService.isAvailable(partner._id, start, end)
+    if (!isAvailable) {
+      return res.status(409).json({
+        success: false,
+        message: "Slot overlaps an existing blocked or booked slot",
+      })
+    }
+
+    const slot = new Availability({
+      partnerId: partner._id,
+      type: "blocked",
+      startsAt: start,
+      endsAt: end,
+      allDay,
+      reason,
+    })
+
+    await slot.save()
+
+    logger.info(`Availability slot ${slot._id} blocked for partner ${partner._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Slot blocked successfully",
+      data: { slot },
+    })
+  } catch (error) {
+    logger.error("Add availability slot error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error blocking slot",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/availability/{id}:
+ *   put:
+ *     summary: Update a blocked slot
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Slot updated successfully
+ *       404:
+ *         description: Slot not found
+ *       409:
+ *         description: Slot overlaps an existing entry
+ */
+const updateAvailabilitySlot = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const slotId = req.params.id
+    const { date, startTime, endTime, reason } = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    // Booked slots are managed through inquiries and cannot be edited directly
+    const slot = await Availability.findOne({ _id: slotId, partnerId: partner._id, type: "blocked" })
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: "Blocked slot not found",
+      })
+    }
+
+    const { start, end, allDay } = availabilityService.getSlotWindow(date, startTime, endTime)
+
+    const isAvailable = await availabilityService.isAvailable(partner._id, start, end, slot._id)
+    if (!isAvailable) {
+      return res.status(409).json({
+        success: false,
+        message: "Slot overlaps an existing blocked or booked slot",
+      })
+    }
+
+    slot.startsAt = start
+    slot.endsAt = end
+    slot.allDay = allDay
+    slot.reason = reason
+    await slot.save()
+
+    logger.info(`Availability slot ${slotId} updated for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Slot updated successfully",
+      data: { slot },
+    })
+  } catch (error) {
+    logger.error("Update availability slot error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error updating slot",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/availability/{id}:
+ *   delete:
+ *     summary: Remove a blocked slot
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot removed successfully
+ *       404:
+ *         description: Slot not found
  */
-const updatePortfolioItem = async (req, res) => {
+const deleteAvailabilitySlot = async (req, res) => {
   try {
     const userId = req.user.id
-    const portfolioId = req.params.id
-    const updateData = req.body
+    const slotId = req.params.id
 
     // Find partner
     const partner = await Partner.findOne({ userId })
@@ -427,31 +1605,225 @@ const updatePortfolioItem = async (req, res) => {
       })
     }
 
-    // Update portfolio item
-    const portfolio = await Portfolio.findOneAndUpdate({ _id: portfolioId, partnerId: partner._id }, updateData, {
+    const slot = await Availability.findOneAndDelete({
+      _id: slotId,
+      partnerId: partner._id,
+      type: "blocked",
+    })
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: "Blocked slot not found",
+      })
+    }
+
+    logger.info(`Availability slot ${slotId} removed for partner ${partner._id}`)
+
+    res.status(200).json({
+      success: true,
+      message: "Slot removed successfully",
+    })
+  } catch (error) {
+    logger.error("Delete availability slot error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error removing slot",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/packages:
+ *   get:
+ *     summary: Get partner packages
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [wedding, maternity, portrait, event, commercial, fashion, product, real-estate]
+ *     responses:
+ *       200:
+ *         description: Packages retrieved successfully
+ */
+const getPackages = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { category } = req.query
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const query = { partnerId: partner._id }
+    if (category) query.category = category
+
+    const packages = await Package.find(query).sort({ category: 1, price: 1 })
+
+    res.status(200).json({
+      success: true,
+      data: { packages },
+    })
+  } catch (error) {
+    logger.error("Get packages error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving packages",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/packages:
+ *   post:
+ *     summary: Add a package
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Package'
+ *     responses:
+ *       201:
+ *         description: Package added successfully
+ *       400:
+ *         description: Category not offered by the partner
+ */
+const addPackage = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { partnerId, ...packageData } = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    if (!partner.businessInfo.categories.includes(packageData.category)) {
+      return res.status(400).json({
+        success: false,
+        message: "Package category must be one of your business categories",
+      })
+    }
+
+    const pkg = new Package({
+      partnerId: partner._id,
+      ...packageData,
+    })
+
+    await pkg.save()
+
+    logger.info(`Package ${pkg._id} added for partner ${partner._id}`)
+
+    res.status(201).json({
+      success: true,
+      message: "Package added successfully",
+      data: { package: pkg },
+    })
+  } catch (error) {
+    logger.error("Add package error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error adding package",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/partner/packages/{id}:
+ *   put:
+ *     summary: Update a package
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Package'
+ *     responses:
+ *       200:
+ *         description: Package updated successfully
+ *       400:
+ *         description: Category not offered by the partner
+ *       404:
+ *         description: Package not found
+ */
+const updatePackage = async (req, res) => {
+  try {
+    const userId = req.user.id
+    const packageId = req.params.id
+    const { partnerId, ...updateData } = req.body
+
+    // Find partner
+    const partner = await Partner.findOne({ userId })
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    if (!partner.businessInfo.categories.includes(updateData.category)) {
+      return res.status(400).json({
+        success: false,
+        message: "Package category must be one of your business categories",
+      })
+    }
+
+    const pkg = await Package.findOneAndUpdate({ _id: packageId, partnerId: partner._id }, updateData, {
       new: true,
       runValidators: true,
     })
 
-    if (!portfolio) {
+    if (!pkg) {
       return res.status(404).json({
         success: false,
-        message: "Portfolio item not found",
+        message: "Package not found",
       })
     }
 
-    logger.info(`Portfolio item ${portfolioId} updated for partner ${partner._id}`)
+    logger.info(`Package ${packageId} updated for partner ${partner._id}`)
 
     res.status(200).json({
       success: true,
-      message: "Portfolio item updated successfully",
-      data: { portfolio },
+      message: "Package updated successfully",
+      data: { package: pkg },
     })
   } catch (error) {
-    logger.error("Update portfolio item error:", error)
+    logger.error("Update package error:", error)
     res.status(500).json({
       success: false,
-      message: "Error updating portfolio item",
+      message: "Error updating package",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -459,9 +1831,9 @@ const updatePortfolioItem = async (req, res) => {
 
 /**
  * @swagger
- * /api/partner/portfolio/{id}:
+ * /api/partner/packages/{id}:
  *   delete:
- *     summary: Delete portfolio item
+ *     summary: Delete a package
  *     tags: [Partner]
  *     security:
  *       - bearerAuth: []
@@ -473,12 +1845,14 @@ const updatePortfolioItem = async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Portfolio item deleted successfully
+ *         description: Package deleted successfully
+ *       404:
+ *         description: Package not found
  */
-const deletePortfolioItem = async (req, res) => {
+const deletePackage = async (req, res) => {
   try {
     const userId = req.user.id
-    const portfolioId = req.params.id
+    const packageId = req.params.id
 
     // Find partner
     const partner = await Partner.findOne({ userId })
@@ -489,34 +1863,26 @@ const deletePortfolioItem = async (req, res) => {
       })
     }
 
-    // Delete portfolio item
-    const portfolio = await Portfolio.findOneAndDelete({
-      _id: portfolioId,
-      partnerId: partner._id,
-    })
+    const pkg = await Package.findOneAndDelete({ _id: packageId, partnerId: partner._id })
 
-    if (!portfolio) {
+    if (!pkg) {
       return res.status(404).json({
         success: false,
-        message: "Portfolio item not found",
+        message: "Package not found",
       })
     }
 
-    // Remove from partner's portfolio array
-    partner.portfolio.pull(portfolioId)
-    await partner.save()
-
-    logger.info(`Portfolio item ${portfolioId} deleted for partner ${partner._id}`)
+    logger.info(`Package ${packageId} deleted for partner ${partner._id}`)
 
     res.status(200).json({
       success: true,
-      message: "Portfolio item deleted successfully",
+      message: "Package deleted successfully",
     })
   } catch (error) {
-    logger.error("Delete portfolio item error:", error)
+    logger.error("Delete package error:", error)
     res.status(500).json({
       success: false,
-      message: "Error deleting portfolio item",
+      message: "Error deleting package",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     })
   }
@@ -554,18 +1920,18 @@ const getDashboard = async (req, res) => {
 
     const respondedLeads = await Inquiry.countDocuments({
       "assignedPartners.partnerId": partner._id,
-      status: "responded",
+      status: { $in: ["responded", "negotiating"] },
     })
 
-    const bookedLeads = await Inquiry.countDocuments({
-      "assignedPartners.partnerId": partner._id,
-      status: "booked",
-    })
+    const bookings = await bookingService.countByStatus({ partnerId: partner._id })
 
     const portfolioCount = await Portfolio.countDocuments({
       partnerId: partner._id,
     })
 
+    const unreadMessages = await messageService.getUnreadCount(userId)
+    const balance = await ledgerService.getPartnerBalance(partner._id)
+
     // Recent leads
     const recentLeads = await Inquiry.find({
       "assignedPartners.partnerId": partner._id,
@@ -580,12 +1946,17 @@ const getDashboard = async (req, res) => {
         stats: {
           totalLeads,
           respondedLeads,
-          bookedLeads,
+          bookedLeads: bookings.confirmed + bookings.in_progress,
+          bookings,
           portfolioCount,
+          unreadMessages,
           verificationStatus: partner.verification.status,
           rating: partner.rating.average,
           totalBookings: partner.totalBookings,
+          averageResponseMinutes: partner.averageResponseMinutes,
+          responseRate: partner.responseRate,
         },
+        balance,
         recentLeads,
       },
     })
@@ -599,14 +1970,111 @@ const getDashboard = async (req, res) => {
   }
 }
 
+/**
+ * @swagger
+ * /api/partner/statement:
+ *   get:
+ *     summary: Get the partner's earnings statement
+ *     description: |
+ *       Ledger entries of what the partner earned after commission, refunds, released earnings and payouts.
+ *       Earnings are pending until the booking is completed, then available until they are paid out.
+ *     tags: [Partner]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Statement with current balances, period totals and recent payouts
+ *       404:
+ *         description: Partner profile not found
+ */
+const getStatement = async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 20 } = req.query
+
+    const partner = await Partner.findOne({ userId: req.user.id }).select("_id")
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      })
+    }
+
+    const [statement, balance, payouts] = await Promise.all([
+      ledgerService.getPartnerStatement(partner._id, { from, to, page, limit }),
+      ledgerService.getPartnerBalance(partner._id),
+      payoutService.getRecentPayouts(partner._id),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance,
+        totals: statement.totals,
+        entries: statement.entries,
+        payouts,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(statement.total / limit),
+          total: statement.total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get partner statement error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving statement",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
 module.exports = {
   createOrUpdateProfile,
   getProfile,
+  getCancellationPolicy,
+  updateCancellationPolicy,
   getLeads,
   respondToLead,
+  respondToNegotiation,
+  declineLead,
   addPortfolioItem,
   getPortfolio,
   updatePortfolioItem,
   deletePortfolioItem,
+  uploadPortfolioItem,
+  uploadPortfolioImages,
+  deletePortfolioImage,
+  getAvailability,
+  addAvailabilitySlot,
+  updateAvailabilitySlot,
+  deleteAvailabilitySlot,
+  getPackages,
+  addPackage,
+  updatePackage,
+  deletePackage,
   getDashboard,
+  getStatement,
 }
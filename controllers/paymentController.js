@@ -0,0 +1,268 @@
+const Payment = require("../models/Payment")
+const Partner = require("../models/Partner")
+const paymentService = require("../services/paymentService")
+const { PaymentError } = require("../services/paymentService")
+const logger = require("../utils/logger")
+
+/**
+ * @swagger
+ * /api/payments:
+ *   get:
+ *     summary: List payments
+ *     description: Clients see the payments they owe or made, partners the payments for their bookings and admins all.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, paid, failed, refunded, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ */
+const getPayments = async (req, res) => {
+  try {
+    const { bookingId, status, page = 1, limit = 10 } = req.query
+
+    const query = {}
+    if (req.user.role === "client") {
+      query.clientId = req.user.id
+    } else if (req.user.role === "partner") {
+      const partner = await Partner.findOne({ userId: req.user.id })
+      if (!partner) {
+        return res.status(404).json({
+          success: false,
+          message: "Partner profile not found",
+        })
+      }
+      query.partnerId = partner._id
+    }
+
+    if (bookingId) query.bookingId = bookingId
+    if (status) query.status = status
+
+    const payments = await Payment.find(query)
+      .select("-events")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+
+    const total = await Payment.countDocuments(query)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          current: Number.parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    })
+  } catch (error) {
+    logger.error("Get payments error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving payments",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/payments/{id}/checkout:
+ *   post:
+ *     summary: Start paying a deposit or milestone
+ *     description: Returns the options to open the gateway's checkout with. Retrying reuses the same gateway order.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout options for the gateway
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment already settled, or the deposit is still outstanding
+ */
+const startCheckout = async (req, res) => {
+  try {
+    const result = await paymentService.startCheckout(req.params.id, req.user.id)
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Checkout started",
+      data: result,
+    })
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Start checkout error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error starting checkout",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/payments/{id}/verify:
+ *   post:
+ *     summary: Confirm a payment with the result of the gateway's checkout
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - gatewayPaymentId
+ *               - signature
+ *             properties:
+ *               gatewayPaymentId:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment confirmed
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: Payment not found
+ */
+const verifyPayment = async (req, res) => {
+  try {
+    const { gatewayPaymentId, signature } = req.body
+
+    const payment = await paymentService.confirmCheckout(req.params.id, req.user.id, { gatewayPaymentId, signature })
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payment confirmed",
+      data: { payment },
+    })
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Verify payment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error verifying payment",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive payment status updates from the gateway
+ *     description: Requests must carry the gateway's signature of the raw body, unsigned or tampered requests are rejected.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed or ignored
+ *       400:
+ *         description: Invalid signature
+ */
+const handleWebhook = async (req, res) => {
+  try {
+    const payment = await paymentService.handleWebhook(req.rawBody, req.headers, req.body)
+
+    res.status(200).json({
+      success: true,
+      message: payment ? "Event processed" : "Event ignored",
+    })
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      logger.warn(`Rejected payment webhook from ${req.ip}: ${error.message}`)
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    logger.error("Payment webhook error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error processing webhook",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    })
+  }
+}
+
+module.exports = {
+  getPayments,
+  startCheckout,
+  verifyPayment,
+  handleWebhook,
+}
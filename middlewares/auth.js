@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const tokenService = require("../services/tokenService")
 const logger = require("../utils/logger")
 
 // Verify JWT token
@@ -34,7 +35,15 @@ const authenticate = async (req, res, next) => {
         })
       }
 
+      if (await tokenService.isAccessTokenRevoked(decoded, user)) {
+        return res.status(401).json({
+          success: false,
+          message: "Token has been revoked.",
+        })
+      }
+
       req.user = user
+      req.token = decoded
       next()
     } catch (jwtError) {
       logger.error("JWT verification failed:", jwtError)
@@ -88,8 +97,9 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
       const user = await User.findById(decoded.id).select("-password")
 
-      if (user && user.isActive) {
+      if (user && user.isActive && !(await tokenService.isAccessTokenRevoked(decoded, user))) {
         req.user = user
+        req.token = decoded
       }
     } catch (jwtError) {
       // Silently fail for optional auth
@@ -0,0 +1,127 @@
+const multer = require("multer")
+
+const MAX_FILE_SIZE_MB = Number.parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10
+const MAX_FILES = 20
+
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+}
+
+const ATTACHMENT_TYPES = {
+  ...IMAGE_TYPES,
+  "application/pdf": "pdf",
+}
+
+// Detect the real file type from its signature, the client-supplied mimetype can't be trusted
+const detectFileType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg"
+  }
+  if (buffer.length >= 8 && buffer.toString("hex", 0, 8) === "89504e470d0a1a0a") {
+    return "image/png"
+  }
+  if (buffer.length >= 6 && ["GIF87a", "GIF89a"].includes(buffer.toString("ascii", 0, 6))) {
+    return "image/gif"
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp"
+  }
+  if (buffer.length >= 5 && buffer.toString("ascii", 0, 5) === "%PDF-") {
+    return "application/pdf"
+  }
+  return null
+}
+
+/**
+ * Build a multipart handler that accepts files of the allowed types and verifies their contents
+ * @param {string} fieldName - Multipart field holding the files
+ * @param {Object} options - allowedTypes (mimetype to extension), maxFiles, required and typeLabel
+ * @returns {Function} Express middleware
+ */
+const createUploadHandler = (fieldName, { allowedTypes, maxFiles, required, typeLabel }) => {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+      files: maxFiles,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes[file.mimetype]) {
+        return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname))
+      }
+      cb(null, true)
+    },
+  }).array(fieldName, maxFiles)
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each file must be smaller than ${MAX_FILE_SIZE_MB}MB`,
+          LIMIT_FILE_COUNT: `You can upload at most ${maxFiles} files at once`,
+          LIMIT_UNEXPECTED_FILE: `Only ${typeLabel} files are allowed`,
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: messages[err.code] || err.message,
+        })
+      }
+
+      if (err) {
+        return next(err)
+      }
+
+      req.files = req.files || []
+
+      if (required && req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one file is required",
+        })
+      }
+
+      for (const file of req.files) {
+        const detectedType = detectFileType(file.buffer)
+        if (!detectedType || !allowedTypes[detectedType]) {
+          return res.status(400).json({
+            success: false,
+            message: `${file.originalname} is not a valid ${typeLabel} file`,
+          })
+        }
+
+        file.mimetype = detectedType
+        file.extension = allowedTypes[detectedType]
+      }
+
+      next()
+    })
+  }
+}
+
+// Accept up to MAX_FILES portfolio images
+const uploadImages = (fieldName) =>
+  createUploadHandler(fieldName, {
+    allowedTypes: IMAGE_TYPES,
+    maxFiles: MAX_FILES,
+    required: true,
+    typeLabel: "JPEG, PNG, GIF or WebP image",
+  })
+
+// Accept optional message attachments (images and PDFs)
+const uploadAttachments = (fieldName) =>
+  createUploadHandler(fieldName, {
+    allowedTypes: ATTACHMENT_TYPES,
+    maxFiles: 5,
+    required: false,
+    typeLabel: "image or PDF",
+  })
+
+module.exports = {
+  uploadImages,
+  uploadAttachments,
+  detectFileType,
+}
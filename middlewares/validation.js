@@ -21,7 +21,7 @@ const handleValidationErrors = (req, res, next) => {
 const validateSignup = [
   body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
   body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
-  body("role").isIn(["client", "partner", "admin"]).withMessage("Role must be client, partner, or admin"),
+  body("role").isIn(["client", "partner"]).withMessage("Role must be client or partner"),
   body("profile.firstName")
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -34,6 +34,7 @@ const validateSignup = [
     .optional()
     .matches(/^[6-9]\d{9}$/)
     .withMessage("Please provide a valid Indian phone number"),
+  body("locale").optional().isIn(["en", "hi"]).withMessage("Locale must be en or hi"),
   handleValidationErrors,
 ]
 
@@ -43,6 +44,63 @@ const validateLogin = [
   handleValidationErrors,
 ]
 
+const validateRefreshToken = [
+  body("refreshToken").isString().notEmpty().withMessage("Refresh token is required"),
+  handleValidationErrors,
+]
+
+const validateForgotPassword = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+  handleValidationErrors,
+]
+
+const validateResetPassword = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Reset code must be a 6 digit number"),
+  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  handleValidationErrors,
+]
+
+const validateChangePassword = [
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+  body("newPassword")
+    .isLength({ min: 6 })
+    .withMessage("New password must be at least 6 characters long")
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error("New password must be different from the current password")
+      }
+      return true
+    }),
+  handleValidationErrors,
+]
+
+// Admin invitation validation rules
+const validateAdminInvite = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
+  handleValidationErrors,
+]
+
+const validateAcceptInvite = [
+  body("token").isString().notEmpty().withMessage("Invitation token is required"),
+  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  body("profile.firstName")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters"),
+  body("profile.lastName")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters"),
+  body("profile.phone")
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage("Please provide a valid Indian phone number"),
+  handleValidationErrors,
+]
+
 // Partner validation rules
 const validatePartnerProfile = [
   body("businessInfo.businessName")
@@ -69,6 +127,37 @@ const validatePartnerProfile = [
     .trim()
     .isLength({ min: 10, max: 200 })
     .withMessage("Address must be between 10 and 200 characters"),
+  body("location.coordinates.latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .toFloat()
+    .withMessage("Latitude must be between -90 and 90"),
+  body("location.coordinates.longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .toFloat()
+    .withMessage("Longitude must be between -180 and 180"),
+  body("serviceAreas")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Service areas must be an array of at most 50 areas"),
+  body("serviceAreas.*.city")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Service area city must be between 2 and 50 characters"),
+  body("serviceAreas.*.state")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Service area state must be between 2 and 50 characters"),
+  body("serviceAreas.*.travelFee")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Travel fee must be a non-negative number"),
+  body("serviceAreas.*.maxDistanceKm")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("Maximum distance must be at least 1 km"),
   body("documents.aadharNumber")
     .matches(/^[2-9]{1}[0-9]{3}[0-9]{4}[0-9]{4}$/)
     .withMessage("Please provide a valid Aadhar number"),
@@ -83,6 +172,30 @@ const validatePartnerProfile = [
   handleValidationErrors,
 ]
 
+// Cancellation policy validation rules
+const validateCancellationPolicy = [
+  body("tiers")
+    .isArray({ max: 10 })
+    .withMessage("Tiers must be an array of at most 10 tiers")
+    .bail()
+    .custom((tiers) => {
+      const days = tiers.map((tier) => Number(tier.daysBefore))
+      if (new Set(days).size !== days.length) {
+        throw new Error("Each tier must have a different number of days before the event")
+      }
+      return true
+    }),
+  body("tiers.*.daysBefore")
+    .isInt({ min: 0, max: 365 })
+    .toInt()
+    .withMessage("Days before the event must be between 0 and 365"),
+  body("tiers.*.refundPercent")
+    .isFloat({ min: 0, max: 100 })
+    .toFloat()
+    .withMessage("Refund percentage must be between 0 and 100"),
+  handleValidationErrors,
+]
+
 // Inquiry validation rules
 const validateInquiry = [
   body("category")
@@ -110,6 +223,16 @@ const validateInquiry = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage("Venue must be between 2 and 100 characters"),
+  body("location.coordinates.latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .toFloat()
+    .withMessage("Latitude must be between -90 and 90"),
+  body("location.coordinates.longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .toFloat()
+    .withMessage("Longitude must be between -180 and 180"),
   body("requirements").optional().isLength({ max: 1000 }).withMessage("Requirements cannot exceed 1000 characters"),
   body("referenceImages").optional().isArray().withMessage("Reference images must be an array"),
   body("referenceImages.*").optional().isURL().withMessage("Each reference image must be a valid URL"),
@@ -136,12 +259,455 @@ const validatePortfolio = [
   handleValidationErrors,
 ]
 
+// Multipart portfolio upload rules (list fields arrive as repeated fields or JSON strings)
+const validatePortfolioUpload = [
+  body("title").trim().isLength({ min: 2, max: 100 }).withMessage("Title must be between 2 and 100 characters"),
+  body("description").optional().isLength({ max: 500 }).withMessage("Description cannot exceed 500 characters"),
+  body("category")
+    .isIn(["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"])
+    .withMessage("Invalid category"),
+  handleValidationErrors,
+]
+
+// Lead response validation rules
+// Quotation fields, field() lets callers add a condition before the rules
+const quotationRules = (field = body) => [
+  field("quotation")
+    .if(body("items").not().exists())
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Quotation must be a non-negative number when no items are given"),
+  field("items").optional().isArray({ min: 1, max: 50 }).withMessage("Items must be an array of 1 to 50 entries"),
+  field("items.*.description")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Item description must be between 1 and 200 characters"),
+  field("items.*.quantity").optional().isInt({ min: 1 }).toInt().withMessage("Item quantity must be at least 1"),
+  field("items.*.unitPrice").isFloat({ min: 0 }).toFloat().withMessage("Item price must be a non-negative number"),
+  field("discount.type")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+  field("discount.value")
+    .if(body("discount.type").exists())
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Discount value must be a non-negative number")
+    .custom((value, { req }) => {
+      if (req.body.discount.type === "percentage" && value > 100) {
+        throw new Error("Percentage discount cannot exceed 100")
+      }
+      return true
+    }),
+  field("validUntil")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .custom((value) => {
+      if (value < new Date()) {
+        throw new Error("Validity date must be in the future")
+      }
+      return true
+    }),
+  field("terms").optional().isLength({ max: 2000 }).withMessage("Terms cannot exceed 2000 characters"),
+]
+
+const validateLeadResponse = [
+  body("message")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Response message must be between 1 and 500 characters"),
+  ...quotationRules(),
+  handleValidationErrors,
+]
+
+const validateDeclineLead = [
+  body("reason").trim().isLength({ min: 3, max: 500 }).withMessage("Reason must be between 3 and 500 characters"),
+  handleValidationErrors,
+]
+
+// Negotiation validation rules
+const validateClientNegotiation = [
+  body("action").isIn(["counter", "reject"]).withMessage("Action must be counter or reject"),
+  body("price").optional().isFloat({ min: 0 }).toFloat().withMessage("Price must be a non-negative number"),
+  body("message").optional().trim().isLength({ max: 500 }).withMessage("Message cannot exceed 500 characters"),
+  body("action").custom((value, { req }) => {
+    if (value === "counter" && !req.body.message && req.body.price === undefined) {
+      throw new Error("A counter-offer needs a price or a message describing the change")
+    }
+    return true
+  }),
+  handleValidationErrors,
+]
+
+const validatePartnerNegotiation = [
+  body("action").isIn(["accept", "reject", "counter"]).withMessage("Action must be accept, reject or counter"),
+  body("message").optional().trim().isLength({ max: 500 }).withMessage("Message cannot exceed 500 characters"),
+  ...quotationRules((name) => body(name).if(body("action").equals("counter"))),
+  handleValidationErrors,
+]
+
+// Partner selection validation rules
+const validateSelectPartner = [
+  body("partnerId").isMongoId().withMessage("partnerId must be a valid MongoDB ObjectId"),
+  body("quotationVersion")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Quotation version must be a positive integer"),
+  body("billing.name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Billing name must be between 2 and 100 characters"),
+  body("billing.gstNumber")
+    .optional()
+    .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/)
+    .withMessage("Please provide a valid GST number"),
+  body("promoCode").optional().trim().isLength({ min: 3, max: 30 }).withMessage("Please provide a valid promo code"),
+  handleValidationErrors,
+]
+
+const validatePromoCodePreview = [
+  body("partnerId").isMongoId().withMessage("partnerId must be a valid MongoDB ObjectId"),
+  body("promoCode").trim().isLength({ min: 3, max: 30 }).withMessage("Please provide a valid promo code"),
+  handleValidationErrors,
+]
+
+const validateQuotationQuery = [
+  query("partnerId").optional().isMongoId().withMessage("partnerId must be a valid MongoDB ObjectId"),
+  handleValidationErrors,
+]
+
+// Inquiry status change validation rules
+const validateInquiryStatus = [
+  body("status")
+    .isIn(["new", "assigned", "responded", "negotiating", "booked", "closed", "cancelled"])
+    .withMessage("Invalid inquiry status"),
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  handleValidationErrors,
+]
+
+// Booking validation rules
+const validateBookingQuery = [
+  query("status")
+    .optional()
+    .isIn(["confirmed", "in_progress", "delivered", "completed", "cancelled"])
+    .withMessage("Invalid booking status"),
+  handleValidationErrors,
+]
+
+const validateBookingStatus = [
+  body("status")
+    .isIn(["in_progress", "delivered", "completed", "cancelled"])
+    .withMessage("Status must be in_progress, delivered, completed or cancelled"),
+  body("reason")
+    .if(body("status").equals("cancelled"))
+    .trim()
+    .notEmpty()
+    .withMessage("Reason is required when cancelling a booking"),
+  body("reason").optional().trim().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  body("deliveryNote")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Delivery note cannot exceed 1000 characters"),
+  handleValidationErrors,
+]
+
+// Payment validation rules
+const validatePaymentQuery = [
+  query("bookingId").optional().isMongoId().withMessage("bookingId must be a valid MongoDB ObjectId"),
+  query("status")
+    .optional()
+    .isIn(["pending", "processing", "paid", "failed", "refunded", "cancelled"])
+    .withMessage("Invalid payment status"),
+  handleValidationErrors,
+]
+
+const validatePaymentVerification = [
+  body("gatewayPaymentId").trim().notEmpty().withMessage("Gateway payment ID is required"),
+  body("signature").trim().notEmpty().withMessage("Signature is required"),
+  handleValidationErrors,
+]
+
+// Invoice validation rules
+const validateInvoiceQuery = [
+  query("bookingId").optional().isMongoId().withMessage("bookingId must be a valid MongoDB ObjectId"),
+  query("format").optional().isIn(["pdf", "json"]).withMessage("Format must be pdf or json"),
+  handleValidationErrors,
+]
+
+// Notification validation rules
+const validateNotificationQuery = [
+  query("unread").optional().isBoolean().toBoolean().withMessage("unread must be a boolean"),
+  handleValidationErrors,
+]
+
+const validateNotificationPreferences = [
+  body("locale").optional().isIn(["en", "hi"]).withMessage("Locale must be en or hi"),
+  body("preferences").optional().isArray().withMessage("Preferences must be an array"),
+  body("preferences.*.event")
+    .isIn([
+      "account.verified",
+      "lead.assigned",
+      "lead.reminder",
+      "partner.responded",
+      "quotation.expiring",
+      "partner.selected",
+      "booking.cancelled",
+      "verification.decided",
+    ])
+    .withMessage("Invalid notification event"),
+  body("preferences.*.inApp").optional().isBoolean().toBoolean().withMessage("inApp must be a boolean"),
+  body("preferences.*.email").optional().isBoolean().toBoolean().withMessage("email must be a boolean"),
+  handleValidationErrors,
+]
+
+const validateEmailTemplatePreview = [
+  param("name")
+    .matches(/^[a-z][a-z-]*$/)
+    .withMessage("Invalid template name"),
+  query("locale").optional().isIn(["en", "hi"]).withMessage("Locale must be en or hi"),
+  query("format").optional().isIn(["json", "html", "text"]).withMessage("Format must be json, html or text"),
+  handleValidationErrors,
+]
+
+// Commission and payout validation rules
+const validatePartnerTier = [
+  body("tier").isIn(["standard", "silver", "gold"]).withMessage("Tier must be standard, silver or gold"),
+  handleValidationErrors,
+]
+
+const validateCommissionRule = [
+  body("name").trim().isLength({ min: 2, max: 100 }).withMessage("Name must be between 2 and 100 characters"),
+  body("type").isIn(["category", "tier", "featured"]).withMessage("Type must be category, tier or featured"),
+  body("category")
+    .if(body("type").equals("category"))
+    .isIn(["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"])
+    .withMessage("A valid category is required for category rules"),
+  body("tier")
+    .if(body("type").equals("tier"))
+    .isIn(["standard", "silver", "gold"])
+    .withMessage("A valid tier is required for tier rules"),
+  body("percent").isFloat({ min: 0, max: 100 }).toFloat().withMessage("Percent must be between 0 and 100"),
+  body("isActive").optional().isBoolean().toBoolean().withMessage("isActive must be a boolean"),
+  handleValidationErrors,
+]
+
+const validatePayoutQuery = [
+  query("status").optional().isIn(["pending", "paid", "failed"]).withMessage("Invalid payout status"),
+  query("batch").optional().isISO8601().withMessage("Batch must be a date"),
+  query("partnerId").optional().isMongoId().withMessage("partnerId must be a valid MongoDB ObjectId"),
+  handleValidationErrors,
+]
+
+const validatePayoutUpdate = [
+  body("status").isIn(["paid", "failed"]).withMessage("Status must be paid or failed"),
+  body("bankReference")
+    .if(body("status").equals("paid"))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Bank reference is required when marking a payout paid"),
+  body("failureReason")
+    .if(body("status").equals("failed"))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Failure reason is required when marking a payout failed"),
+  body("note").optional().trim().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  handleValidationErrors,
+]
+
+const validateStatementQuery = [
+  query("from").optional().isISO8601().withMessage("From must be a date"),
+  query("to").optional().isISO8601().withMessage("To must be a date"),
+  handleValidationErrors,
+]
+
+// Promo code validation rules
+const validatePromoCode = [
+  body("code")
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage("Code must be 3 to 30 letters, digits, dashes or underscores"),
+  body("description").optional().trim().isLength({ max: 200 }).withMessage("Description cannot exceed 200 characters"),
+  body("discountType").isIn(["percentage", "flat"]).withMessage("Discount type must be percentage or flat"),
+  body("value")
+    .isFloat({ gt: 0 })
+    .toFloat()
+    .withMessage("Discount value must be a positive number")
+    .custom((value, { req }) => {
+      if (req.body.discountType === "percentage" && value > 100) {
+        throw new Error("Percentage discount cannot exceed 100")
+      }
+      return true
+    }),
+  body("maxDiscount")
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .toFloat()
+    .withMessage("Maximum discount must be a positive number"),
+  body("minOrderAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Minimum order amount must be a non-negative number"),
+  body("categories").optional().isArray().withMessage("Categories must be an array"),
+  body("categories.*")
+    .isIn(["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"])
+    .withMessage("Invalid category"),
+  body("cities").optional().isArray().withMessage("Cities must be an array"),
+  body("cities.*").trim().isLength({ min: 2, max: 50 }).withMessage("City must be between 2 and 50 characters"),
+  body("startsAt").optional().isISO8601().toDate().withMessage("Start date must be a date"),
+  body("endsAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage("End date must be a date")
+    .custom((value, { req }) => {
+      if (value <= (req.body.startsAt ? new Date(req.body.startsAt) : new Date())) {
+        throw new Error("End date must be after the start date")
+      }
+      return true
+    }),
+  body("usageLimit")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Usage limit must be at least 1"),
+  body("perUserLimit").optional().isInt({ min: 1 }).toInt().withMessage("Per user limit must be at least 1"),
+  body("isActive").optional().isBoolean().toBoolean().withMessage("isActive must be a boolean"),
+  handleValidationErrors,
+]
+
+const validatePromoCodeQuery = [
+  query("status")
+    .optional()
+    .isIn(["active", "inactive", "expired"])
+    .withMessage("Status must be active, inactive or expired"),
+  query("search").optional().trim().isLength({ max: 30 }).withMessage("Search cannot exceed 30 characters"),
+  handleValidationErrors,
+]
+
+// Package validation rules
+const validatePackage = [
+  body("name").trim().isLength({ min: 2, max: 100 }).withMessage("Package name must be between 2 and 100 characters"),
+  body("category")
+    .isIn(["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"])
+    .withMessage("Invalid category"),
+  body("description").optional().isLength({ max: 1000 }).withMessage("Description cannot exceed 1000 characters"),
+  body("price").isFloat({ min: 0 }).toFloat().withMessage("Price must be a non-negative number"),
+  body("hoursCovered").optional().isFloat({ min: 0 }).withMessage("Hours covered must be a non-negative number"),
+  body("deliverables.editedPhotos")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Edited photos must be a non-negative integer"),
+  body("deliverables.albums").optional().isInt({ min: 0 }).withMessage("Albums must be a non-negative integer"),
+  body("deliverables.videoMinutes")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Video minutes must be a non-negative integer"),
+  body("deliverables.deliveryDays").optional().isInt({ min: 1 }).withMessage("Delivery time must be at least 1 day"),
+  body("addOns").optional().isArray({ max: 20 }).withMessage("Add-ons must be an array of at most 20 items"),
+  body("addOns.*.name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Add-on name must be between 2 and 100 characters"),
+  body("addOns.*.price").isFloat({ min: 0 }).withMessage("Add-on price must be a non-negative number"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be a boolean"),
+  handleValidationErrors,
+]
+
+// Review validation rules
+const validateReview = [
+  body("rating").isInt({ min: 1, max: 5 }).withMessage("Rating must be an integer between 1 and 5"),
+  body("comment").optional().trim().isLength({ max: 1000 }).withMessage("Comment cannot exceed 1000 characters"),
+  handleValidationErrors,
+]
+
+// Message validation rules
+const validateMessage = [
+  body("body").optional().trim().isLength({ max: 2000 }).withMessage("Message cannot exceed 2000 characters"),
+  handleValidationErrors,
+]
+
+// Availability validation rules
+const validateAvailability = [
+  body("date").isISO8601().withMessage("Please provide a valid date"),
+  body("startTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please provide a valid start time in HH:MM format"),
+  body("endTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please provide a valid end time in HH:MM format")
+    .custom((value, { req }) => {
+      if (req.body.startTime && value.padStart(5, "0") <= req.body.startTime.padStart(5, "0")) {
+        throw new Error("End time must be after start time")
+      }
+      return true
+    }),
+  body("reason").optional().isLength({ max: 200 }).withMessage("Reason cannot exceed 200 characters"),
+  handleValidationErrors,
+]
+
 // Common parameter validations
 const validateObjectId = (paramName) => [
   param(paramName).isMongoId().withMessage(`${paramName} must be a valid MongoDB ObjectId`),
   handleValidationErrors,
 ]
 
+const validateReviewPagination = [
+  query("reviewPage").optional().isInt({ min: 1 }).withMessage("Review page must be a positive integer"),
+  query("reviewLimit").optional().isInt({ min: 1, max: 50 }).withMessage("Review limit must be between 1 and 50"),
+  handleValidationErrors,
+]
+
+const validatePartnerSearch = [
+  query("imageSize")
+    .optional()
+    .isIn(["thumbnail", "medium", "large", "original"])
+    .withMessage("Image size must be thumbnail, medium, large or original"),
+  query("lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90")
+    .custom((value, { req }) => {
+      if (req.query.lng === undefined) {
+        throw new Error("Longitude is required when latitude is provided")
+      }
+      return true
+    }),
+  query("lng")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180")
+    .custom((value, { req }) => {
+      if (req.query.lat === undefined) {
+        throw new Error("Latitude is required when longitude is provided")
+      }
+      return true
+    }),
+  query("state")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("State must be between 2 and 50 characters"),
+  query("radiusKm").optional().isFloat({ gt: 0, max: 500 }).withMessage("Radius must be between 0 and 500 km"),
+  query("sortBy")
+    .optional()
+    .isIn(["rating", "price", "experience", "bookings", "distance"])
+    .withMessage("Sort must be rating, price, experience, bookings or distance")
+    .custom((value, { req }) => {
+      if (value === "distance" && req.query.lat === undefined) {
+        throw new Error("Sorting by distance requires lat and lng")
+      }
+      return true
+    }),
+  handleValidationErrors,
+]
+
 const validatePagination = [
   query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
   query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
@@ -151,10 +717,47 @@ const validatePagination = [
 module.exports = {
   validateSignup,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateAdminInvite,
+  validateAcceptInvite,
   validatePartnerProfile,
+  validateCancellationPolicy,
   validateInquiry,
+  validateInquiryStatus,
+  validateBookingQuery,
+  validateBookingStatus,
+  validatePaymentQuery,
+  validatePaymentVerification,
+  validateInvoiceQuery,
+  validateNotificationQuery,
+  validateNotificationPreferences,
+  validateEmailTemplatePreview,
+  validatePartnerTier,
+  validateCommissionRule,
+  validatePayoutQuery,
+  validatePayoutUpdate,
+  validateStatementQuery,
+  validatePromoCode,
+  validatePromoCodeQuery,
+  validateLeadResponse,
+  validateDeclineLead,
+  validateClientNegotiation,
+  validatePartnerNegotiation,
+  validateSelectPartner,
+  validatePromoCodePreview,
+  validateQuotationQuery,
   validatePortfolio,
+  validatePortfolioUpload,
+  validatePackage,
+  validateReview,
+  validateMessage,
+  validateAvailability,
   validateObjectId,
   validatePagination,
+  validateReviewPagination,
+  validatePartnerSearch,
   handleValidationErrors,
 }
@@ -0,0 +1,114 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+
+const INVITE_EXPIRE_HOURS = Number.parseInt(process.env.ADMIN_INVITE_EXPIRE_HOURS) || 72
+
+const hashToken = (token) =>
+  crypto
+    .createHash("sha256")
+    .update(String(token || ""))
+    .digest("hex")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminInvite:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         invitedBy:
+ *           type: string
+ *           format: objectId
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const adminInviteSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+adminInviteSchema.index({ email: 1, status: 1 })
+adminInviteSchema.index({ createdAt: -1 })
+
+// Pending invites past their expiry are reported as expired
+adminInviteSchema.virtual("effectiveStatus").get(function () {
+  if (this.status === "pending" && this.expiresAt < new Date()) {
+    return "expired"
+  }
+  return this.status
+})
+
+// Generate the invite token, only its hash is stored
+adminInviteSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString("hex")
+  this.tokenHash = hashToken(token)
+  this.expiresAt = new Date(Date.now() + INVITE_EXPIRE_HOURS * 60 * 60 * 1000)
+  return token
+}
+
+// Find a pending, unexpired invite by its raw token
+adminInviteSchema.statics.findUsableByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  })
+}
+
+module.exports = mongoose.model("AdminInvite", adminInviteSchema)
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Availability:
+ *       type: object
+ *       properties:
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         type:
+ *           type: string
+ *           enum: [blocked, booked]
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         allDay:
+ *           type: boolean
+ *         reason:
+ *           type: string
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ */
+
+const availabilitySchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["blocked", "booked"],
+      default: "blocked",
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+    allDay: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+    },
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+availabilitySchema.index({ partnerId: 1, startsAt: 1, endsAt: 1 })
+availabilitySchema.index({ inquiryId: 1 })
+
+// Validate slot range
+availabilitySchema.pre("save", function (next) {
+  if (this.startsAt >= this.endsAt) {
+    return next(new Error("End time must be after start time"))
+  }
+  next()
+})
+
+module.exports = mongoose.model("Availability", availabilitySchema)
@@ -0,0 +1,355 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Booking:
+ *       type: object
+ *       properties:
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         clientId:
+ *           type: string
+ *           format: objectId
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         quotationId:
+ *           type: string
+ *           format: objectId
+ *         quote:
+ *           type: object
+ *           description: Snapshot of the accepted quotation
+ *           properties:
+ *             version:
+ *               type: integer
+ *             subtotal:
+ *               type: number
+ *             travelFee:
+ *               type: number
+ *             discountAmount:
+ *               type: number
+ *             promoCode:
+ *               type: string
+ *             promoDiscount:
+ *               type: number
+ *               description: Promo code discount before GST, funded by the platform
+ *             gstRate:
+ *               type: number
+ *             gstAmount:
+ *               type: number
+ *             total:
+ *               type: number
+ *         schedule:
+ *           type: object
+ *           properties:
+ *             eventDate:
+ *               type: string
+ *               format: date
+ *             eventTime:
+ *               type: string
+ *             duration:
+ *               type: number
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *             venue:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *         status:
+ *           type: string
+ *           enum: [confirmed, in_progress, delivered, completed, cancelled]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *                 format: objectId
+ *               actorRole:
+ *                 type: string
+ *                 enum: [client, partner, admin, system]
+ *               reason:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         billing:
+ *           type: object
+ *           description: Invoice details of the client, the GST number is needed to claim input tax credit
+ *           properties:
+ *             name:
+ *               type: string
+ *             gstNumber:
+ *               type: string
+ *         paymentStatus:
+ *           type: string
+ *           enum: [unpaid, deposit_paid, paid, partially_refunded, refunded]
+ *         amountPaid:
+ *           type: number
+ *         amountRefunded:
+ *           type: number
+ *         cancellationPolicy:
+ *           type: array
+ *           description: Partner's refund tiers at the time of booking
+ *           items:
+ *             type: object
+ *             properties:
+ *               daysBefore:
+ *                 type: integer
+ *               refundPercent:
+ *                 type: number
+ *         deliveryNote:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ *         cancelledBy:
+ *           type: string
+ *           format: objectId
+ *         cancelledByRole:
+ *           type: string
+ *           enum: [client, partner, admin]
+ *         refund:
+ *           type: object
+ *           description: Refund owed to the client for a cancelled booking
+ *           properties:
+ *             percent:
+ *               type: number
+ *             amount:
+ *               type: number
+ *             daysBeforeEvent:
+ *               type: integer
+ *             rule:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [none, pending, processing, processed, failed]
+ *             processedAt:
+ *               type: string
+ *               format: date-time
+ *             failureReason:
+ *               type: string
+ */
+
+const bookingSchema = new mongoose.Schema(
+  {
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+      unique: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    quotationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quotation",
+      required: true,
+    },
+    quote: {
+      version: {
+        type: Number,
+        required: true,
+      },
+      subtotal: Number,
+      travelFee: Number,
+      discountAmount: Number,
+      promoCode: String,
+      promoDiscount: {
+        type: Number,
+        default: 0,
+      },
+      gstRate: Number,
+      gstAmount: Number,
+      total: {
+        type: Number,
+        required: true,
+      },
+    },
+    schedule: {
+      eventDate: {
+        type: Date,
+        required: true,
+      },
+      eventTime: String,
+      duration: Number,
+      start: Date,
+      end: Date,
+      venue: String,
+      city: String,
+      state: String,
+    },
+    status: {
+      type: String,
+      enum: ["confirmed", "in_progress", "delivered", "completed", "cancelled"],
+      default: "confirmed",
+    },
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          default: null,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        actorRole: {
+          type: String,
+          enum: ["client", "partner", "admin", "system"],
+          required: true,
+        },
+        reason: {
+          type: String,
+          maxlength: [500, "Reason cannot exceed 500 characters"],
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    billing: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      gstNumber: {
+        type: String,
+        match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, "Please enter a valid GST number"],
+      },
+    },
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "deposit_paid", "paid", "partially_refunded", "refunded"],
+      default: "unpaid",
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    // Copied from the partner so later policy changes don't affect existing bookings
+    cancellationPolicy: [
+      {
+        _id: false,
+        daysBefore: {
+          type: Number,
+          required: true,
+        },
+        refundPercent: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    deliveryNote: {
+      type: String,
+      maxlength: [1000, "Delivery note cannot exceed 1000 characters"],
+    },
+    startedAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledByRole: {
+      type: String,
+      enum: ["client", "partner", "admin"],
+    },
+    refund: {
+      percent: Number,
+      amount: Number,
+      daysBeforeEvent: Number,
+      rule: String,
+      status: {
+        type: String,
+        enum: ["none", "pending", "processing", "processed", "failed"],
+      },
+      // When the refund was last claimed for processing
+      claimedAt: Date,
+      processedAt: Date,
+      failureReason: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+bookingSchema.index({ clientId: 1, createdAt: -1 })
+bookingSchema.index({ partnerId: 1, status: 1 })
+bookingSchema.index({ status: 1, deliveredAt: 1 })
+bookingSchema.index({ "schedule.eventDate": 1 })
+bookingSchema.index({ "refund.status": 1 })
+
+// Start the status timeline with the confirmation of the booking
+bookingSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.clientId,
+      actorRole: "client",
+      reason: "Quotation accepted",
+    })
+  }
+  next()
+})
+
+module.exports = mongoose.model("Booking", bookingSchema)
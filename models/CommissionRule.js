@@ -0,0 +1,93 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommissionRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *         - percent
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [category, tier, featured]
+ *           description: Featured rules override tier rules, which override category rules
+ *         category:
+ *           type: string
+ *           enum: [wedding, maternity, portrait, event, commercial, fashion, product, real-estate]
+ *           description: Required for category rules
+ *         tier:
+ *           type: string
+ *           enum: [standard, silver, gold]
+ *           description: Required for tier rules
+ *         percent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Share of each payment kept by the platform
+ *         isActive:
+ *           type: boolean
+ */
+
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["category", "tier", "featured"],
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"],
+      required: [
+        function () {
+          return this.type === "category"
+        },
+        "Category is required for category rules",
+      ],
+    },
+    tier: {
+      type: String,
+      enum: ["standard", "silver", "gold"],
+      required: [
+        function () {
+          return this.type === "tier"
+        },
+        "Tier is required for tier rules",
+      ],
+    },
+    percent: {
+      type: Number,
+      required: [true, "Commission percentage is required"],
+      min: [0, "Commission cannot be negative"],
+      max: [100, "Commission cannot exceed 100%"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+commissionRuleSchema.index({ type: 1, isActive: 1 })
+
+module.exports = mongoose.model("CommissionRule", commissionRuleSchema)
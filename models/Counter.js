@@ -0,0 +1,31 @@
+const mongoose = require("mongoose")
+
+// Named sequences incremented atomically, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+/**
+ * Take the next number of a sequence, starting at 1
+ * @param {string} name - Sequence name
+ * @returns {number} Next number
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate({ name }, { $inc: { seq: 1 } }, { new: true, upsert: true })
+  return counter.seq
+}
+
+module.exports = mongoose.model("Counter", counterSchema)
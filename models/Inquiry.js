@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { toGeoPoint } = require("../utils/geo")
 
 /**
  * @swagger
@@ -41,6 +42,13 @@ const mongoose = require("mongoose")
  *               type: string
  *             venue:
  *               type: string
+ *             coordinates:
+ *               type: object
+ *               properties:
+ *                 latitude:
+ *                   type: number
+ *                 longitude:
+ *                   type: number
  *         requirements:
  *           type: string
  *         referenceImages:
@@ -49,7 +57,27 @@ const mongoose = require("mongoose")
  *             type: string
  *         status:
  *           type: string
- *           enum: [new, assigned, responded, booked, closed, cancelled]
+ *           enum: [new, assigned, responded, negotiating, booked, closed, cancelled]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *                 format: objectId
+ *               actorRole:
+ *                 type: string
+ *                 enum: [client, partner, admin, system]
+ *               reason:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
  *         assignedPartners:
  *           type: array
  *           items:
@@ -61,6 +89,21 @@ const mongoose = require("mongoose")
  *               assignedAt:
  *                 type: string
  *                 format: date-time
+ *               respondBy:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deadline after which the partner may be replaced
+ *               remindedAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiredAt:
+ *                 type: string
+ *                 format: date-time
+ *               declinedAt:
+ *                 type: string
+ *                 format: date-time
+ *               declineReason:
+ *                 type: string
  *               response:
  *                 type: object
  *                 properties:
@@ -68,6 +111,62 @@ const mongoose = require("mongoose")
  *                     type: string
  *                   quotation:
  *                     type: number
+ *                   travelFee:
+ *                     type: number
+ *                     description: Travel fee of the partner's service area covering the venue
+ *                   total:
+ *                     type: number
+ *                     description: Quoted total including travel fee, discount and GST
+ *                   quotationId:
+ *                     type: string
+ *                     format: objectId
+ *                   quotationVersion:
+ *                     type: integer
+ *               negotiation:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [awaiting_partner, awaiting_client, agreed, rejected]
+ *                   log:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         by:
+ *                           type: string
+ *                           enum: [client, partner]
+ *                         action:
+ *                           type: string
+ *                           enum: [counter, accept, reject]
+ *                         price:
+ *                           type: number
+ *                           description: Service price proposed, before travel fee and GST
+ *                         message:
+ *                           type: string
+ *                         quotationVersion:
+ *                           type: integer
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *         acceptedQuotation:
+ *           type: object
+ *           properties:
+ *             quotationId:
+ *               type: string
+ *               format: objectId
+ *             version:
+ *               type: integer
+ *             total:
+ *               type: number
+ *             acceptedAt:
+ *               type: string
+ *               format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
  *                   respondedAt:
  *                     type: string
  *                     format: date-time
@@ -133,6 +232,11 @@ const inquirySchema = new mongoose.Schema(
         latitude: Number,
         longitude: Number,
       },
+      // GeoJSON copy of coordinates for 2dsphere queries, kept in sync by the hooks below
+      geo: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
     },
     requirements: {
       type: String,
@@ -149,9 +253,39 @@ const inquirySchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["new", "assigned", "responded", "booked", "closed", "cancelled"],
+      enum: ["new", "assigned", "responded", "negotiating", "booked", "closed", "cancelled"],
       default: "new",
     },
+    // Status changes go through services/inquiryStatusService, which appends to this timeline
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          default: null,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        actorRole: {
+          type: String,
+          enum: ["client", "partner", "admin", "system"],
+          required: true,
+        },
+        reason: {
+          type: String,
+          maxlength: [500, "Reason cannot exceed 500 characters"],
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     assignedPartners: [
       {
         partnerId: {
@@ -163,6 +297,22 @@ const inquirySchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        respondBy: {
+          type: Date,
+        },
+        remindedAt: {
+          type: Date,
+        },
+        expiredAt: {
+          type: Date,
+        },
+        declinedAt: {
+          type: Date,
+        },
+        declineReason: {
+          type: String,
+          maxlength: [500, "Decline reason cannot exceed 500 characters"],
+        },
         response: {
           message: {
             type: String,
@@ -172,6 +322,22 @@ const inquirySchema = new mongoose.Schema(
             type: Number,
             min: [0, "Quotation cannot be negative"],
           },
+          travelFee: {
+            type: Number,
+            default: 0,
+            min: [0, "Travel fee cannot be negative"],
+          },
+          total: {
+            type: Number,
+            min: [0, "Total cannot be negative"],
+          },
+          quotationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Quotation",
+          },
+          quotationVersion: {
+            type: Number,
+          },
           respondedAt: {
             type: Date,
           },
@@ -180,12 +346,69 @@ const inquirySchema = new mongoose.Schema(
             default: false,
           },
         },
+        negotiation: {
+          status: {
+            type: String,
+            enum: ["awaiting_partner", "awaiting_client", "agreed", "rejected"],
+          },
+          log: [
+            {
+              by: {
+                type: String,
+                enum: ["client", "partner"],
+                required: true,
+              },
+              action: {
+                type: String,
+                enum: ["counter", "accept", "reject"],
+                required: true,
+              },
+              price: {
+                type: Number,
+                min: [0, "Price cannot be negative"],
+              },
+              message: {
+                type: String,
+                maxlength: [500, "Negotiation message cannot exceed 500 characters"],
+              },
+              quotationVersion: {
+                type: Number,
+              },
+              createdAt: {
+                type: Date,
+                default: Date.now,
+              },
+            },
+          ],
+        },
       },
     ],
     selectedPartner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Partner",
     },
+    acceptedQuotation: {
+      quotationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quotation",
+      },
+      version: {
+        type: Number,
+      },
+      total: {
+        type: Number,
+      },
+      acceptedAt: {
+        type: Date,
+      },
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
     priority: {
       type: String,
       enum: ["low", "medium", "high", "urgent"],
@@ -210,6 +433,7 @@ inquirySchema.index({ category: 1 })
 inquirySchema.index({ status: 1 })
 inquirySchema.index({ "eventDetails.eventDate": 1 })
 inquirySchema.index({ "location.city": 1 })
+inquirySchema.index({ "location.geo": "2dsphere" })
 inquirySchema.index({ "assignedPartners.partnerId": 1 })
 inquirySchema.index({ createdAt: -1 })
 
@@ -224,15 +448,46 @@ inquirySchema.virtual("client", {
 // Validate budget range
 inquirySchema.pre("save", function (next) {
   if (this.budget.min > this.budget.max) {
-    next(new Error("Minimum budget cannot be greater than maximum budget"))
+    return next(new Error("Minimum budget cannot be greater than maximum budget"))
   }
   next()
 })
 
-// Validate event date is in future
+// Validate event date is in future (only when it is set, so past inquiries can still be saved)
 inquirySchema.pre("save", function (next) {
-  if (this.eventDetails.eventDate < new Date()) {
-    next(new Error("Event date must be in the future"))
+  if (this.isModified("eventDetails.eventDate") && this.eventDetails.eventDate < new Date()) {
+    return next(new Error("Event date must be in the future"))
+  }
+  next()
+})
+
+// Start the status timeline with the creation of the inquiry
+inquirySchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.clientId,
+      actorRole: "client",
+      reason: "Inquiry created",
+    })
+  }
+  next()
+})
+
+// Keep the GeoJSON point in sync with the stored coordinates
+inquirySchema.pre("save", function (next) {
+  if (this.isModified("location")) {
+    this.location.geo = toGeoPoint(this.location.coordinates)
+  }
+  next()
+})
+
+inquirySchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate()
+  const changes = update.$set || update
+  if (changes.location) {
+    changes.location.geo = toGeoPoint(changes.location.coordinates)
   }
   next()
 })
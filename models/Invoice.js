@@ -0,0 +1,219 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         invoiceNumber:
+ *           type: string
+ *           example: PX/26-27/00042
+ *         type:
+ *           type: string
+ *           enum: [tax_invoice, bill_of_supply]
+ *           description: Partners without a GST registration issue a bill of supply without tax
+ *         paymentId:
+ *           type: string
+ *           format: objectId
+ *         bookingId:
+ *           type: string
+ *           format: objectId
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         clientId:
+ *           type: string
+ *           format: objectId
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         supplier:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             gstin:
+ *               type: string
+ *             pan:
+ *               type: string
+ *             address:
+ *               type: string
+ *             state:
+ *               type: string
+ *             stateCode:
+ *               type: string
+ *         recipient:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *             gstin:
+ *               type: string
+ *             state:
+ *               type: string
+ *             stateCode:
+ *               type: string
+ *         placeOfSupply:
+ *           type: object
+ *           properties:
+ *             state:
+ *               type: string
+ *             stateCode:
+ *               type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               sacCode:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               taxableValue:
+ *                 type: number
+ *         gstRate:
+ *           type: number
+ *         taxableAmount:
+ *           type: number
+ *         cgst:
+ *           type: number
+ *         sgst:
+ *           type: number
+ *         igst:
+ *           type: number
+ *         totalTax:
+ *           type: number
+ *         total:
+ *           type: number
+ */
+
+const partySchema = {
+  name: String,
+  gstin: String,
+  state: String,
+  stateCode: String,
+}
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["tax_invoice", "bill_of_supply"],
+      required: true,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+      unique: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    supplier: {
+      ...partySchema,
+      pan: String,
+      address: String,
+    },
+    recipient: {
+      ...partySchema,
+      email: String,
+    },
+    placeOfSupply: {
+      state: String,
+      stateCode: String,
+    },
+    items: [
+      {
+        description: {
+          type: String,
+          required: true,
+        },
+        sacCode: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        taxableValue: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    gstRate: {
+      type: Number,
+      default: 0,
+    },
+    taxableAmount: {
+      type: Number,
+      required: true,
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+    },
+    igst: {
+      type: Number,
+      default: 0,
+    },
+    totalTax: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+invoiceSchema.index({ clientId: 1, issuedAt: -1 })
+invoiceSchema.index({ partnerId: 1, issuedAt: -1 })
+invoiceSchema.index({ bookingId: 1 })
+
+module.exports = mongoose.model("Invoice", invoiceSchema)
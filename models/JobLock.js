@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+// Lease that lets only one server instance run a scheduled job at a time
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Earliest time the next run may start
+    nextRunAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    lastDurationMs: {
+      type: Number,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("JobLock", jobLockSchema)
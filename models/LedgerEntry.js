@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LedgerEntry:
+ *       type: object
+ *       description: One side of a balanced transaction, every transaction's debits equal its credits
+ *       properties:
+ *         transactionId:
+ *           type: string
+ *           example: payment:665f1c2e8a1b2c3d4e5f6789
+ *         type:
+ *           type: string
+ *           enum: [payment, refund, release, payout, payout_paid, payout_failed]
+ *         account:
+ *           type: string
+ *           enum: [cash, commission, promotions, partner_pending, partner_payable, payout_in_transit]
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         bookingId:
+ *           type: string
+ *           format: objectId
+ *         paymentId:
+ *           type: string
+ *           format: objectId
+ *         payoutId:
+ *           type: string
+ *           format: objectId
+ *         debit:
+ *           type: number
+ *         credit:
+ *           type: number
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["payment", "refund", "release", "payout", "payout_paid", "payout_failed"],
+      required: true,
+    },
+    // cash: money held at the gateway or in the bank, commission: platform revenue,
+    // promotions: promo code discounts the platform pays partners for,
+    // partner_pending: owed for bookings not yet completed, partner_payable: ready to be paid out,
+    // payout_in_transit: batched for payout but not yet confirmed by the bank
+    account: {
+      type: String,
+      enum: ["cash", "commission", "promotions", "partner_pending", "partner_payable", "payout_in_transit"],
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    payoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: [0, "Debit cannot be negative"],
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: [0, "Credit cannot be negative"],
+    },
+    description: {
+      type: String,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+// A transaction touches each account once, so posting it twice fails on this index
+ledgerEntrySchema.index({ transactionId: 1, account: 1 }, { unique: true })
+ledgerEntrySchema.index({ partnerId: 1, account: 1, createdAt: -1 })
+ledgerEntrySchema.index({ bookingId: 1, account: 1 })
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema)
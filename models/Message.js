@@ -0,0 +1,118 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Message:
+ *       type: object
+ *       properties:
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         senderId:
+ *           type: string
+ *           format: objectId
+ *         senderRole:
+ *           type: string
+ *           enum: [client, partner]
+ *         recipientId:
+ *           type: string
+ *           format: objectId
+ *         body:
+ *           type: string
+ *         attachments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: Authenticated download route, only thread participants can fetch it
+ *               filename:
+ *                 type: string
+ *               mimetype:
+ *                 type: string
+ *               size:
+ *                 type: number
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const messageSchema = new mongoose.Schema(
+  {
+    // A thread is the conversation between an inquiry's client and one assigned partner
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    senderRole: {
+      type: String,
+      enum: ["client", "partner"],
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    attachments: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        storageKey: String,
+        filename: String,
+        mimetype: String,
+        size: Number,
+      },
+    ],
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+messageSchema.index({ inquiryId: 1, partnerId: 1, createdAt: -1 })
+messageSchema.index({ recipientId: 1, readAt: 1 })
+
+// A message needs text or at least one attachment
+messageSchema.pre("save", function (next) {
+  if (!this.body && this.attachments.length === 0) {
+    return next(new Error("Message must have text or an attachment"))
+  }
+  next()
+})
+
+module.exports = mongoose.model("Message", messageSchema)
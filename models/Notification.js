@@ -0,0 +1,92 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           format: objectId
+ *         event:
+ *           type: string
+ *           enum: [account.verified, lead.assigned, lead.reminder, partner.responded, quotation.expiring, partner.selected, booking.cancelled, verification.decided]
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: IDs of the inquiry, quotation, booking or partner the notification is about
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           description: Unset while the notification is unread
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: {
+      type: String,
+      enum: [
+        "account.verified",
+        "lead.assigned",
+        "lead.reminder",
+        "partner.responded",
+        "quotation.expiring",
+        "partner.selected",
+        "booking.cancelled",
+        "verification.decided",
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    data: {
+      inquiryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Inquiry",
+      },
+      quotationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quotation",
+      },
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Booking",
+      },
+      partnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Partner",
+      },
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 })
+notificationSchema.index({ userId: 1, readAt: 1 })
+
+module.exports = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,141 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Package:
+ *       type: object
+ *       required:
+ *         - name
+ *         - category
+ *         - price
+ *       properties:
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         name:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [wedding, maternity, portrait, event, commercial, fashion, product, real-estate]
+ *         description:
+ *           type: string
+ *         price:
+ *           type: number
+ *         hoursCovered:
+ *           type: number
+ *         deliverables:
+ *           type: object
+ *           properties:
+ *             editedPhotos:
+ *               type: number
+ *             albums:
+ *               type: number
+ *             videoMinutes:
+ *               type: number
+ *             deliveryDays:
+ *               type: number
+ *         addOns:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *         isActive:
+ *           type: boolean
+ */
+
+const packageSchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Package name is required"],
+      trim: true,
+      maxlength: [100, "Package name cannot exceed 100 characters"],
+    },
+    category: {
+      type: String,
+      enum: ["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"],
+      required: [true, "Category is required"],
+    },
+    description: {
+      type: String,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    price: {
+      type: Number,
+      required: [true, "Price is required"],
+      min: [0, "Price cannot be negative"],
+    },
+    hoursCovered: {
+      type: Number,
+      min: [0, "Hours covered cannot be negative"],
+    },
+    deliverables: {
+      editedPhotos: {
+        type: Number,
+        default: 0,
+        min: [0, "Edited photos cannot be negative"],
+      },
+      albums: {
+        type: Number,
+        default: 0,
+        min: [0, "Albums cannot be negative"],
+      },
+      videoMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, "Video length cannot be negative"],
+      },
+      deliveryDays: {
+        type: Number,
+        min: [1, "Delivery time must be at least 1 day"],
+      },
+    },
+    addOns: [
+      {
+        name: {
+          type: String,
+          required: [true, "Add-on name is required"],
+          trim: true,
+          maxlength: [100, "Add-on name cannot exceed 100 characters"],
+        },
+        description: {
+          type: String,
+          maxlength: [300, "Add-on description cannot exceed 300 characters"],
+        },
+        price: {
+          type: Number,
+          required: [true, "Add-on price is required"],
+          min: [0, "Add-on price cannot be negative"],
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+packageSchema.index({ partnerId: 1, category: 1 })
+packageSchema.index({ category: 1, price: 1 })
+
+module.exports = mongoose.model("Package", packageSchema)
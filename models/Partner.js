@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { toGeoPoint, distanceKm } = require("../utils/geo")
 
 /**
  * @swagger
@@ -41,6 +42,29 @@ const mongoose = require("mongoose")
  *               type: string
  *             address:
  *               type: string
+ *             coordinates:
+ *               type: object
+ *               properties:
+ *                 latitude:
+ *                   type: number
+ *                 longitude:
+ *                   type: number
+ *         serviceAreas:
+ *           type: array
+ *           description: Cities or states the partner travels to besides their home city
+ *           items:
+ *             type: object
+ *             properties:
+ *               city:
+ *                 type: string
+ *                 description: Leave empty to cover the whole state
+ *               state:
+ *                 type: string
+ *               travelFee:
+ *                 type: number
+ *               maxDistanceKm:
+ *                 type: number
+ *                 description: Furthest the partner travels from their home location for this area
  *         documents:
  *           type: object
  *           properties:
@@ -50,6 +74,42 @@ const mongoose = require("mongoose")
  *               type: string
  *             gstNumber:
  *               type: string
+ *         responseStats:
+ *           type: object
+ *           description: How the partner handles assigned leads
+ *           properties:
+ *             respondedCount:
+ *               type: integer
+ *             declinedCount:
+ *               type: integer
+ *             expiredCount:
+ *               type: integer
+ *             totalResponseMinutes:
+ *               type: number
+ *         averageResponseMinutes:
+ *           type: number
+ *           readOnly: true
+ *         responseRate:
+ *           type: number
+ *           readOnly: true
+ *           description: Percentage of leads answered with a quotation
+ *         tier:
+ *           type: string
+ *           enum: [standard, silver, gold]
+ *           description: Set by admins, commission rules can depend on it
+ *         cancellationPolicy:
+ *           type: array
+ *           description: Refund tiers applied when a client cancels a booking, the platform default applies when empty
+ *           items:
+ *             type: object
+ *             properties:
+ *               daysBefore:
+ *                 type: integer
+ *                 description: Minimum days between cancellation and the event for this tier
+ *               refundPercent:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
  *         verification:
  *           type: object
  *           properties:
@@ -131,7 +191,50 @@ const partnerSchema = new mongoose.Schema(
         latitude: Number,
         longitude: Number,
       },
+      // GeoJSON copy of coordinates for 2dsphere queries, kept in sync by the hooks below
+      geo: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
     },
+    serviceAreas: [
+      {
+        city: {
+          type: String,
+          trim: true,
+        },
+        state: {
+          type: String,
+          required: [true, "Service area state is required"],
+          trim: true,
+        },
+        travelFee: {
+          type: Number,
+          default: 0,
+          min: [0, "Travel fee cannot be negative"],
+        },
+        maxDistanceKm: {
+          type: Number,
+          min: [1, "Maximum distance must be at least 1 km"],
+        },
+      },
+    ],
+    cancellationPolicy: [
+      {
+        _id: false,
+        daysBefore: {
+          type: Number,
+          required: [true, "Days before the event is required"],
+          min: [0, "Days before the event cannot be negative"],
+        },
+        refundPercent: {
+          type: Number,
+          required: [true, "Refund percentage is required"],
+          min: [0, "Refund percentage cannot be negative"],
+          max: [100, "Refund percentage cannot exceed 100"],
+        },
+      },
+    ],
     documents: {
       aadharNumber: {
         type: String,
@@ -195,6 +298,29 @@ const partnerSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    tier: {
+      type: String,
+      enum: ["standard", "silver", "gold"],
+      default: "standard",
+    },
+    responseStats: {
+      respondedCount: {
+        type: Number,
+        default: 0,
+      },
+      declinedCount: {
+        type: Number,
+        default: 0,
+      },
+      expiredCount: {
+        type: Number,
+        default: 0,
+      },
+      totalResponseMinutes: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   {
     timestamps: true,
@@ -209,6 +335,9 @@ partnerSchema.index({ "verification.status": 1 })
 partnerSchema.index({ "businessInfo.categories": 1 })
 partnerSchema.index({ "location.city": 1 })
 partnerSchema.index({ "location.state": 1 })
+partnerSchema.index({ "location.geo": "2dsphere" })
+partnerSchema.index({ "serviceAreas.city": 1 })
+partnerSchema.index({ "serviceAreas.state": 1 })
 partnerSchema.index({ isFeatured: 1 })
 partnerSchema.index({ "rating.average": -1 })
 
@@ -220,6 +349,67 @@ partnerSchema.virtual("user", {
   justOne: true,
 })
 
+partnerSchema.virtual("averageResponseMinutes").get(function () {
+  const stats = this.responseStats
+  if (!stats || !stats.respondedCount) {
+    return null
+  }
+  return Math.round(stats.totalResponseMinutes / stats.respondedCount)
+})
+
+partnerSchema.virtual("responseRate").get(function () {
+  const stats = this.responseStats
+  const total = stats ? stats.respondedCount + stats.declinedCount + stats.expiredCount : 0
+  if (!total) {
+    return null
+  }
+  return Math.round((stats.respondedCount / total) * 100)
+})
+
+/**
+ * Record how a partner handled an assigned lead
+ * @param {string} partnerId - Partner ID
+ * @param {string} outcome - responded, declined or expired
+ * @param {Date} assignedAt - When the lead was assigned, used to time responses
+ */
+partnerSchema.statics.recordLeadOutcome = function (partnerId, outcome, assignedAt) {
+  const inc = { [`responseStats.${outcome}Count`]: 1 }
+  if (outcome === "responded" && assignedAt) {
+    inc["responseStats.totalResponseMinutes"] = Math.max(0, Math.round((Date.now() - assignedAt.getTime()) / 60000))
+  }
+  return this.updateOne({ _id: partnerId }, { $inc: inc })
+}
+
+const sameName = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase()
+
+/**
+ * Find the area under which the partner serves a location
+ * @param {Object} location - { city, state, coordinates }
+ * @returns {Object|null} { city, state, travelFee, isHomeCity } or null if the location isn't served
+ */
+partnerSchema.methods.findServiceArea = function (location) {
+  if (sameName(this.location.city, location.city)) {
+    return { city: this.location.city, state: this.location.state, travelFee: 0, isHomeCity: true }
+  }
+
+  const distance = distanceKm(this.location.coordinates, location.coordinates)
+
+  // City areas take precedence over state-wide ones
+  const candidates = [
+    ...this.serviceAreas.filter((area) => area.city && sameName(area.city, location.city)),
+    ...this.serviceAreas.filter((area) => !area.city && sameName(area.state, location.state)),
+  ]
+
+  const area = candidates.find(
+    (candidate) => !candidate.maxDistanceKm || distance === null || distance <= candidate.maxDistanceKm,
+  )
+  if (!area) {
+    return null
+  }
+
+  return { city: area.city, state: area.state, travelFee: area.travelFee, isHomeCity: false }
+}
+
 // Validate price range
 partnerSchema.pre("save", function (next) {
   if (this.businessInfo.priceRange.min > this.businessInfo.priceRange.max) {
@@ -228,4 +418,12 @@ partnerSchema.pre("save", function (next) {
   next()
 })
 
+// Keep the GeoJSON point in sync with the stored coordinates
+partnerSchema.pre("save", function (next) {
+  if (this.isModified("location")) {
+    this.location.geo = toGeoPoint(this.location.coordinates)
+  }
+  next()
+})
+
 module.exports = mongoose.model("Partner", partnerSchema)
@@ -0,0 +1,221 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         bookingId:
+ *           type: string
+ *           format: objectId
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         clientId:
+ *           type: string
+ *           format: objectId
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         type:
+ *           type: string
+ *           enum: [deposit, milestone]
+ *           description: Advance deposit due at booking, or milestone due before delivery
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         dueBy:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, paid, failed, refunded, cancelled]
+ *         gateway:
+ *           type: string
+ *         gatewayOrderId:
+ *           type: string
+ *         gatewayPaymentId:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         failureReason:
+ *           type: string
+ *         events:
+ *           type: array
+ *           description: Gateway callbacks applied to the payment
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [checkout, webhook, system]
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *         promoSubsidy:
+ *           type: number
+ *           description: Share of the booking's promo discount the platform adds to the partner's earnings on this payment
+ *         commission:
+ *           type: object
+ *           description: Platform commission recorded in the ledger when the payment was made
+ *           properties:
+ *             percent:
+ *               type: number
+ *             amount:
+ *               type: number
+ *             ruleId:
+ *               type: string
+ *               format: objectId
+ *         refundedAmount:
+ *           type: number
+ *           description: Part of the amount returned to the client, the payment is refunded once it all is
+ *         refunds:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               refundId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+const paymentSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["deposit", "milestone"],
+      required: true,
+    },
+    description: {
+      type: String,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    dueBy: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "paid", "failed", "refunded", "cancelled"],
+      default: "pending",
+    },
+    gateway: {
+      type: String,
+    },
+    gatewayOrderId: {
+      type: String,
+    },
+    gatewayPaymentId: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    promoSubsidy: {
+      type: Number,
+      default: 0,
+    },
+    commission: {
+      percent: Number,
+      amount: Number,
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CommissionRule",
+      },
+    },
+    // Invoice number reserved for the payment, kept so a retried invoice reuses it
+    invoiceNumber: {
+      type: String,
+    },
+    invoiceClaimedAt: {
+      type: Date,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        refundId: String,
+        amount: Number,
+        status: String,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    events: [
+      {
+        event: String,
+        status: String,
+        source: {
+          type: String,
+          enum: ["checkout", "webhook", "system"],
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+paymentSchema.index({ bookingId: 1 })
+paymentSchema.index({ inquiryId: 1 })
+paymentSchema.index({ clientId: 1, createdAt: -1 })
+paymentSchema.index({ partnerId: 1, status: 1 })
+paymentSchema.index({ gatewayOrderId: 1 }, { unique: true, sparse: true })
+
+module.exports = mongoose.model("Payment", paymentSchema)
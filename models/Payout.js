@@ -0,0 +1,89 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payout:
+ *       type: object
+ *       properties:
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         batch:
+ *           type: string
+ *           description: Day the payout batch was created
+ *           example: "2026-10-19"
+ *         amount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, failed]
+ *         bankReference:
+ *           type: string
+ *           description: UTR or other reference of the bank transfer
+ *         note:
+ *           type: string
+ *         failureReason:
+ *           type: string
+ *         processedBy:
+ *           type: string
+ *           format: objectId
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const payoutSchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    batch: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed"],
+      default: "pending",
+    },
+    bankReference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Bank reference cannot exceed 100 characters"],
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    failureReason: {
+      type: String,
+      maxlength: [500, "Failure reason cannot exceed 500 characters"],
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+// One payout per partner per batch, so a batch can safely be created again
+payoutSchema.index({ partnerId: 1, batch: 1 }, { unique: true })
+payoutSchema.index({ status: 1, batch: -1 })
+
+module.exports = mongoose.model("Payout", payoutSchema)
@@ -24,6 +24,22 @@ const mongoose = require("mongoose")
  *             properties:
  *               url:
  *                 type: string
+ *               storageKey:
+ *                 type: string
+ *                 description: Set for images uploaded through the storage backend
+ *               width:
+ *                 type: number
+ *               height:
+ *                 type: number
+ *               variants:
+ *                 type: object
+ *                 properties:
+ *                   thumbnail:
+ *                     $ref: '#/components/schemas/ImageVariant'
+ *                   medium:
+ *                     $ref: '#/components/schemas/ImageVariant'
+ *                   large:
+ *                     $ref: '#/components/schemas/ImageVariant'
  *               caption:
  *                 type: string
  *               index:
@@ -36,8 +52,27 @@ const mongoose = require("mongoose")
  *           type: boolean
  *         isFeatured:
  *           type: boolean
+ *     ImageVariant:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
  */
 
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: String,
+    storageKey: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false },
+)
+
 const portfolioSchema = new mongoose.Schema(
   {
     partnerId: {
@@ -69,6 +104,16 @@ const portfolioSchema = new mongoose.Schema(
             message: "Please provide a valid image URL",
           },
         },
+        storageKey: {
+          type: String,
+        },
+        width: Number,
+        height: Number,
+        variants: {
+          thumbnail: imageVariantSchema,
+          medium: imageVariantSchema,
+          large: imageVariantSchema,
+        },
         caption: {
           type: String,
           maxlength: [200, "Caption cannot exceed 200 characters"],
@@ -135,4 +180,25 @@ portfolioSchema.pre("save", function (next) {
   next()
 })
 
+// Serialize with every image resolved to one variant size, falling back to the original
+portfolioSchema.methods.toImageSize = function (size) {
+  const data = this.toJSON()
+
+  data.images = this.images.map((image) => {
+    const variant = image.variants && image.variants[size]
+    const source = variant && variant.url ? variant : image
+
+    return {
+      _id: image._id,
+      url: source.url,
+      width: source.width,
+      height: source.height,
+      caption: image.caption,
+      index: image.index,
+    }
+  })
+
+  return data
+}
+
 module.exports = mongoose.model("Portfolio", portfolioSchema)
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCode:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountType
+ *         - value
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: WEDDING10
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, flat]
+ *         value:
+ *           type: number
+ *           description: Percentage off, or rupees off for flat discounts
+ *         maxDiscount:
+ *           type: number
+ *           description: Cap on a percentage discount
+ *         minOrderAmount:
+ *           type: number
+ *           description: Smallest quotation amount before GST the code applies to
+ *         categories:
+ *           type: array
+ *           description: Inquiry categories the code is limited to, all when empty
+ *           items:
+ *             type: string
+ *         cities:
+ *           type: array
+ *           description: Event cities the code is limited to, all when empty
+ *           items:
+ *             type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         usageLimit:
+ *           type: integer
+ *           description: Total number of bookings the code can be used for, unlimited when empty
+ *         perUserLimit:
+ *           type: integer
+ *           description: Number of bookings each client can use the code for
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         isActive:
+ *           type: boolean
+ */
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, "Code must be 3 to 30 letters, digits, dashes or underscores"],
+    },
+    description: {
+      type: String,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount cannot be negative"],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== "percentage" || value <= 100
+        },
+        message: "Percentage discount cannot exceed 100",
+      },
+    },
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order amount cannot be negative"],
+    },
+    categories: [
+      {
+        type: String,
+        enum: ["wedding", "maternity", "portrait", "event", "commercial", "fashion", "product", "real-estate"],
+      },
+    ],
+    cities: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endsAt: {
+      type: Date,
+    },
+    usageLimit: {
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, "Per user limit must be at least 1"],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+promoCodeSchema.index({ isActive: 1, endsAt: 1 })
+
+// Validate validity window
+promoCodeSchema.pre("save", function (next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    return next(new Error("End date must be after the start date"))
+  }
+  next()
+})
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema)
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoRedemption:
+ *       type: object
+ *       properties:
+ *         promoCodeId:
+ *           type: string
+ *           format: objectId
+ *         code:
+ *           type: string
+ *         clientId:
+ *           type: string
+ *           format: objectId
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         quotationId:
+ *           type: string
+ *           format: objectId
+ *         bookingId:
+ *           type: string
+ *           format: objectId
+ *         discountAmount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [applied, released]
+ *           description: Released redemptions, e.g. of cancelled bookings, don't count towards usage limits
+ */
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+    },
+    quotationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quotation",
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+    },
+    discountAmount: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["applied", "released"],
+      default: "applied",
+    },
+    releasedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+promoRedemptionSchema.index({ promoCodeId: 1, clientId: 1, status: 1 })
+promoRedemptionSchema.index({ bookingId: 1 })
+promoRedemptionSchema.index({ inquiryId: 1 })
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema)
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Quotation:
+ *       type: object
+ *       properties:
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         version:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unitPrice:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *         travelFee:
+ *           type: number
+ *         discount:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [percentage, fixed]
+ *             value:
+ *               type: number
+ *             amount:
+ *               type: number
+ *         promo:
+ *           type: object
+ *           description: Promo code the client applied when accepting, taken off after the partner's discount
+ *           properties:
+ *             code:
+ *               type: string
+ *             amount:
+ *               type: number
+ *         gstRate:
+ *           type: number
+ *         subtotal:
+ *           type: number
+ *         taxableAmount:
+ *           type: number
+ *         gstAmount:
+ *           type: number
+ *         total:
+ *           type: number
+ *         validUntil:
+ *           type: string
+ *           format: date-time
+ *         terms:
+ *           type: string
+ *         message:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, superseded, accepted]
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         reminderSentAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+const quotationSchema = new mongoose.Schema(
+  {
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    items: {
+      type: [
+        {
+          description: {
+            type: String,
+            required: [true, "Item description is required"],
+            trim: true,
+            maxlength: [200, "Item description cannot exceed 200 characters"],
+          },
+          quantity: {
+            type: Number,
+            default: 1,
+            min: [1, "Quantity must be at least 1"],
+          },
+          unitPrice: {
+            type: Number,
+            required: [true, "Unit price is required"],
+            min: [0, "Unit price cannot be negative"],
+          },
+          amount: {
+            type: Number,
+          },
+        },
+      ],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A quotation needs at least one item",
+      },
+    },
+    travelFee: {
+      type: Number,
+      default: 0,
+      min: [0, "Travel fee cannot be negative"],
+    },
+    discount: {
+      type: {
+        type: String,
+        enum: ["percentage", "fixed"],
+      },
+      value: {
+        type: Number,
+        min: [0, "Discount cannot be negative"],
+      },
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    promo: {
+      promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PromoCode",
+      },
+      code: String,
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    gstRate: {
+      type: Number,
+      required: true,
+      min: [0, "GST rate cannot be negative"],
+      max: [28, "GST rate cannot exceed 28%"],
+    },
+    subtotal: Number,
+    taxableAmount: Number,
+    gstAmount: Number,
+    total: Number,
+    validUntil: {
+      type: Date,
+      required: [true, "Validity date is required"],
+    },
+    terms: {
+      type: String,
+      maxlength: [2000, "Terms cannot exceed 2000 characters"],
+    },
+    message: {
+      type: String,
+      maxlength: [500, "Message cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "superseded", "accepted"],
+      default: "active",
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    reminderSentAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+quotationSchema.index({ inquiryId: 1, partnerId: 1, version: -1 }, { unique: true })
+quotationSchema.index({ partnerId: 1, status: 1 })
+quotationSchema.index({ status: 1, validUntil: 1 })
+
+quotationSchema.virtual("isExpired").get(function () {
+  return this.status === "active" && this.validUntil < new Date()
+})
+
+// Work out line amounts, discounts, GST and total from the submitted items
+quotationSchema.pre("validate", function (next) {
+  let itemsTotal = 0
+  this.items.forEach((item) => {
+    item.amount = roundAmount(item.quantity * item.unitPrice)
+    itemsTotal += item.amount
+  })
+
+  this.subtotal = roundAmount(itemsTotal + (this.travelFee || 0))
+
+  let discountAmount = 0
+  if (this.discount && this.discount.type === "percentage") {
+    discountAmount = (this.subtotal * Math.min(this.discount.value || 0, 100)) / 100
+  } else if (this.discount && this.discount.type === "fixed") {
+    discountAmount = Math.min(this.discount.value || 0, this.subtotal)
+  }
+  this.discount.amount = roundAmount(discountAmount)
+
+  // A promo code comes off what is left after the partner's own discount, before GST
+  this.promo.amount = roundAmount(Math.min(this.promo.amount || 0, this.subtotal - this.discount.amount))
+
+  this.taxableAmount = roundAmount(this.subtotal - this.discount.amount - this.promo.amount)
+  this.gstAmount = roundAmount((this.taxableAmount * this.gstRate) / 100)
+  this.total = roundAmount(this.taxableAmount + this.gstAmount)
+  next()
+})
+
+module.exports = mongoose.model("Quotation", quotationSchema)
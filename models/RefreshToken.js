@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens produced by rotating the same login share a family
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    createdByIp: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for better query performance
+refreshTokenSchema.index({ userId: 1 })
+refreshTokenSchema.index({ family: 1 })
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema)
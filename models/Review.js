@@ -0,0 +1,101 @@
+const mongoose = require("mongoose")
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         partnerId:
+ *           type: string
+ *           format: objectId
+ *         clientId:
+ *           type: string
+ *           format: objectId
+ *         inquiryId:
+ *           type: string
+ *           format: objectId
+ *         rating:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const reviewSchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Partner",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // One review per booking
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      required: true,
+      unique: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be at least 1"],
+      max: [5, "Rating cannot exceed 5"],
+    },
+    comment: {
+      type: String,
+      maxlength: [1000, "Comment cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// Indexes for better query performance
+reviewSchema.index({ partnerId: 1, createdAt: -1 })
+reviewSchema.index({ clientId: 1 })
+
+// Recompute the partner's rating summary from all of their reviews
+reviewSchema.statics.updatePartnerRating = async function (partnerId) {
+  const Partner = mongoose.model("Partner")
+
+  const [summary] = await this.aggregate([
+    { $match: { partnerId: new mongoose.Types.ObjectId(partnerId) } },
+    { $group: { _id: "$partnerId", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ])
+
+  await Partner.findByIdAndUpdate(partnerId, {
+    $set: {
+      "rating.average": summary ? Math.round(summary.average * 10) / 10 : 0,
+      "rating.count": summary ? summary.count : 0,
+    },
+  })
+}
+
+// Keep Partner.rating in sync whenever a review is created, edited or removed
+reviewSchema.post("save", async function (doc) {
+  await doc.constructor.updatePartnerRating(doc.partnerId)
+})
+
+reviewSchema.post("findOneAndUpdate", async function (doc) {
+  if (doc) await doc.constructor.updatePartnerRating(doc.partnerId)
+})
+
+reviewSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) await doc.constructor.updatePartnerRating(doc.partnerId)
+})
+
+module.exports = mongoose.model("Review", reviewSchema)
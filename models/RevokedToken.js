@@ -0,0 +1,28 @@
+const mongoose = require("mongoose")
+
+// Access tokens revoked before their natural expiry (e.g. on logout)
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema)
@@ -1,6 +1,42 @@
+const crypto = require("crypto")
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
 
+// OTP security settings
+const OTP_EXPIRY_MS = 10 * 60 * 1000 // 10 minutes
+const OTP_MAX_ATTEMPTS = Number.parseInt(process.env.OTP_MAX_ATTEMPTS) || 5
+const OTP_LOCKOUT_MS = Number.parseInt(process.env.OTP_LOCKOUT_MS) || 15 * 60 * 1000
+const OTP_RESEND_COOLDOWN_MS = Number.parseInt(process.env.OTP_RESEND_COOLDOWN_MS) || 60 * 1000
+const OTP_MAX_SENDS_PER_HOUR = Number.parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5
+
+// Hash one-time codes so they are never stored in plaintext
+const hashCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code || ""))
+    .digest("hex")
+
+const matchesHash = (candidate, hash) => crypto.timingSafeEqual(Buffer.from(hashCode(candidate)), Buffer.from(hash))
+
+// Resend cooldown and hourly limit shared by OTPs and password reset codes
+const getSendStatus = (record, now) => {
+  if (record.lastSentAt && now - record.lastSentAt < OTP_RESEND_COOLDOWN_MS) {
+    const retryAfter = Math.ceil((OTP_RESEND_COOLDOWN_MS - (now - record.lastSentAt)) / 1000)
+    return { allowed: false, reason: "cooldown", retryAfter }
+  }
+
+  if (
+    record.sendWindowStart &&
+    now - record.sendWindowStart < 60 * 60 * 1000 &&
+    record.sendCount >= OTP_MAX_SENDS_PER_HOUR
+  ) {
+    const retryAfter = Math.ceil((60 * 60 * 1000 - (now - record.sendWindowStart)) / 1000)
+    return { allowed: false, reason: "limit", retryAfter }
+  }
+
+  return { allowed: true }
+}
+
 /**
  * @swagger
  * components:
@@ -36,6 +72,22 @@ const bcrypt = require("bcryptjs")
  *           type: boolean
  *         isActive:
  *           type: boolean
+ *         locale:
+ *           type: string
+ *           enum: [en, hi]
+ *           description: Language emails are sent in
+ *         notificationPreferences:
+ *           type: array
+ *           description: Channels chosen per notification event, events not listed use their defaults
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *               inApp:
+ *                 type: boolean
+ *               email:
+ *                 type: boolean
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -92,8 +144,60 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     otp: {
-      code: String,
+      codeHash: String,
       expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: Date,
+      lastSentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0,
+      },
+      sendWindowStart: Date,
+    },
+    passwordReset: {
+      codeHash: String,
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lastSentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0,
+      },
+      sendWindowStart: Date,
+    },
+    locale: {
+      type: String,
+      enum: ["en", "hi"],
+      default: "en",
+    },
+    notificationPreferences: [
+      {
+        _id: false,
+        event: {
+          type: String,
+          required: true,
+        },
+        inApp: {
+          type: Boolean,
+          default: true,
+        },
+        email: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
+    // Incremented to invalidate every access token issued before
+    tokenVersion: {
+      type: Number,
+      default: 0,
     },
   },
   {
@@ -133,25 +237,119 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 
 // Generate OTP
 userSchema.methods.generateOTP = function () {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString()
+  const otp = crypto.randomInt(100000, 1000000).toString()
+  const now = new Date()
+  const previous = this.otp || {}
+
+  // Sends are counted per rolling hour
+  const inSendWindow = previous.sendWindowStart && now - previous.sendWindowStart < 60 * 60 * 1000
+
   this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    codeHash: hashCode(otp),
+    expiresAt: new Date(now.getTime() + OTP_EXPIRY_MS),
+    attempts: 0,
+    lockedUntil: previous.lockedUntil,
+    lastSentAt: now,
+    sendCount: inSendWindow ? previous.sendCount + 1 : 1,
+    sendWindowStart: inSendWindow ? previous.sendWindowStart : now,
   }
   return otp
 }
 
-// Verify OTP
+// Check whether a new OTP may be sent
+userSchema.methods.getOTPResendStatus = function () {
+  const now = new Date()
+  const otp = this.otp || {}
+
+  if (otp.lockedUntil && otp.lockedUntil > now) {
+    return { allowed: false, reason: "locked", retryAfter: Math.ceil((otp.lockedUntil - now) / 1000) }
+  }
+
+  return getSendStatus(otp, now)
+}
+
+// Verify OTP, counting failed attempts. Callers must save the user afterwards.
 userSchema.methods.verifyOTP = function (candidateOTP) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
+  const now = new Date()
+
+  if (!this.otp) {
+    return { valid: false, reason: "missing" }
+  }
+
+  if (this.otp.lockedUntil && this.otp.lockedUntil > now) {
+    return { valid: false, reason: "locked", retryAfter: Math.ceil((this.otp.lockedUntil - now) / 1000) }
+  }
+
+  if (!this.otp.codeHash || !this.otp.expiresAt) {
+    return { valid: false, reason: "missing" }
+  }
+
+  if (this.otp.expiresAt < now) {
+    return { valid: false, reason: "expired" }
+  }
+
+  if (matchesHash(candidateOTP, this.otp.codeHash)) {
+    return { valid: true }
+  }
+
+  this.otp.attempts = (this.otp.attempts || 0) + 1
+
+  // Too many wrong guesses burns the code and locks verification for a while
+  if (this.otp.attempts >= OTP_MAX_ATTEMPTS) {
+    this.otp.codeHash = undefined
+    this.otp.lockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MS)
+    return { valid: false, reason: "locked", retryAfter: Math.ceil(OTP_LOCKOUT_MS / 1000) }
+  }
+
+  return { valid: false, reason: "invalid", attemptsRemaining: OTP_MAX_ATTEMPTS - this.otp.attempts }
+}
+
+// Generate password reset code
+userSchema.methods.generatePasswordReset = function () {
+  const code = crypto.randomInt(100000, 1000000).toString()
+  const now = new Date()
+  const previous = this.passwordReset || {}
+
+  // Sends are counted per rolling hour, like OTPs
+  const inSendWindow = previous.sendWindowStart && now - previous.sendWindowStart < 60 * 60 * 1000
+
+  this.passwordReset = {
+    codeHash: hashCode(code),
+    expiresAt: new Date(now.getTime() + 15 * 60 * 1000), // 15 minutes
+    attempts: 0,
+    lastSentAt: now,
+    sendCount: inSendWindow ? previous.sendCount + 1 : 1,
+    sendWindowStart: inSendWindow ? previous.sendWindowStart : now,
+  }
+  return code
+}
+
+// Check whether a new password reset code may be sent
+userSchema.methods.getPasswordResetStatus = function () {
+  return getSendStatus(this.passwordReset || {}, new Date())
+}
+
+// Verify password reset code. Callers must save the user afterwards.
+userSchema.methods.verifyPasswordReset = function (candidateCode) {
+  if (!this.passwordReset || !this.passwordReset.codeHash || !this.passwordReset.expiresAt) {
     return false
   }
 
-  if (this.otp.expiresAt < new Date()) {
+  if (this.passwordReset.expiresAt < new Date()) {
     return false
   }
 
-  return this.otp.code === candidateOTP
+  if (matchesHash(candidateCode, this.passwordReset.codeHash)) {
+    return true
+  }
+
+  // The same attempt limit as OTPs applies, after which a new code must be requested
+  this.passwordReset.attempts = (this.passwordReset.attempts || 0) + 1
+  if (this.passwordReset.attempts >= OTP_MAX_ATTEMPTS) {
+    this.passwordReset.codeHash = undefined
+  }
+
+  return false
 }
 
 module.exports = mongoose.model("User", userSchema)
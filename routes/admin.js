@@ -1,6 +1,18 @@
 const express = require("express")
 const { authenticate, authorize } = require("../middlewares/auth")
-const { validateObjectId, validatePagination } = require("../middlewares/validation")
+const {
+  validateObjectId,
+  validatePagination,
+  validateAdminInvite,
+  validateInquiryStatus,
+  validatePartnerTier,
+  validateCommissionRule,
+  validatePromoCode,
+  validatePromoCodeQuery,
+  validatePayoutQuery,
+  validatePayoutUpdate,
+  validateEmailTemplatePreview,
+} = require("../middlewares/validation")
 const {
   getDashboard,
   getVerifications,
@@ -8,7 +20,27 @@ const {
   getUsers,
   toggleUserStatus,
   togglePartnerFeatured,
+  updatePartnerTier,
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+  getPromoCodes,
+  getPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  getPayouts,
+  createPayoutBatch,
+  updatePayout,
   getInquiries,
+  updateInquiryStatus,
+  getEmailTemplates,
+  previewEmailTemplate,
+  createInvite,
+  getInvites,
+  revokeInvite,
+  removeReview,
 } = require("../controllers/adminController")
 
 const router = express.Router()
@@ -36,8 +68,40 @@ router.put("/users/:id/toggle-status", validateObjectId("id"), toggleUserStatus)
 
 // Partner management
 router.put("/partners/:id/feature", validateObjectId("id"), togglePartnerFeatured)
+router.put("/partners/:id/tier", validateObjectId("id"), validatePartnerTier, updatePartnerTier)
+
+// Commission rules
+router.get("/commission-rules", getCommissionRules)
+router.post("/commission-rules", validateCommissionRule, createCommissionRule)
+router.put("/commission-rules/:id", validateObjectId("id"), validateCommissionRule, updateCommissionRule)
+router.delete("/commission-rules/:id", validateObjectId("id"), deleteCommissionRule)
+
+// Promo codes
+router.get("/promo-codes", validatePagination, validatePromoCodeQuery, getPromoCodes)
+router.get("/promo-codes/:id", validateObjectId("id"), getPromoCode)
+router.post("/promo-codes", validatePromoCode, createPromoCode)
+router.put("/promo-codes/:id", validateObjectId("id"), validatePromoCode, updatePromoCode)
+router.delete("/promo-codes/:id", validateObjectId("id"), deletePromoCode)
+
+// Partner payouts
+router.get("/payouts", validatePagination, validatePayoutQuery, getPayouts)
+router.post("/payouts/batches", createPayoutBatch)
+router.put("/payouts/:id", validateObjectId("id"), validatePayoutUpdate, updatePayout)
 
 // Inquiry management
 router.get("/inquiries", validatePagination, getInquiries)
+router.put("/inquiries/:id/status", validateObjectId("id"), validateInquiryStatus, updateInquiryStatus)
+
+// Email templates
+router.get("/email-templates", getEmailTemplates)
+router.get("/email-templates/:name/preview", validateEmailTemplatePreview, previewEmailTemplate)
+
+// Admin invitations
+router.post("/invites", validateAdminInvite, createInvite)
+router.get("/invites", validatePagination, getInvites)
+router.delete("/invites/:id", validateObjectId("id"), revokeInvite)
+
+// Review moderation
+router.delete("/reviews/:id", validateObjectId("id"), removeReview)
 
 module.exports = router
@@ -1,7 +1,28 @@
 const express = require("express")
 const { authenticate } = require("../middlewares/auth")
-const { validateSignup, validateLogin } = require("../middlewares/validation")
-const { signup, verifyOTP, login, resendOTP, getMe } = require("../controllers/authController")
+const {
+  validateSignup,
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateAcceptInvite,
+} = require("../middlewares/validation")
+const {
+  signup,
+  verifyOTP,
+  login,
+  resendOTP,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  acceptInvite,
+  getMe,
+} = require("../controllers/authController")
 
 const router = express.Router()
 
@@ -16,6 +37,13 @@ router.post("/signup", validateSignup, signup)
 router.post("/verify-otp", verifyOTP)
 router.post("/login", validateLogin, login)
 router.post("/resend-otp", resendOTP)
+router.post("/refresh", validateRefreshToken, refresh)
+router.post("/logout", authenticate, logout)
+router.post("/logout-all", authenticate, logoutAll)
+router.post("/forgot-password", validateForgotPassword, forgotPassword)
+router.post("/reset-password", validateResetPassword, resetPassword)
+router.post("/change-password", authenticate, validateChangePassword, changePassword)
+router.post("/accept-invite", validateAcceptInvite, acceptInvite)
 router.get("/me", authenticate, getMe)
 
 module.exports = router
@@ -0,0 +1,28 @@
+const express = require("express")
+const { authenticate, authorize } = require("../middlewares/auth")
+const {
+  validateObjectId,
+  validatePagination,
+  validateBookingQuery,
+  validateBookingStatus,
+} = require("../middlewares/validation")
+const { getBookings, getBooking, updateBookingStatus, retryRefund } = require("../controllers/bookingController")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookings
+ *   description: Bookings created from accepted quotations and their lifecycle
+ */
+
+// All booking routes require authentication, access is scoped to the caller's role in the controller
+router.use(authenticate)
+
+router.get("/", validatePagination, validateBookingQuery, getBookings)
+router.get("/:id", validateObjectId("id"), getBooking)
+router.put("/:id/status", validateObjectId("id"), validateBookingStatus, updateBookingStatus)
+router.post("/:id/refund", authorize("admin"), validateObjectId("id"), retryRefund)
+
+module.exports = router
@@ -1,12 +1,27 @@
 const express = require("express")
 const { authenticate, authorize } = require("../middlewares/auth")
-const { validateObjectId, validatePagination } = require("../middlewares/validation")
+const {
+  validateObjectId,
+  validatePagination,
+  validatePartnerSearch,
+  validateReview,
+  validateReviewPagination,
+  validateSelectPartner,
+  validatePromoCodePreview,
+  validateClientNegotiation,
+} = require("../middlewares/validation")
 const {
   searchPartners,
   getPartnerDetails,
   getInquiries,
   getInquiryDetails,
   selectPartner,
+  previewPromoCode,
+  negotiateQuotation,
+  createReview,
+  getMyReviews,
+  updateReview,
+  deleteReview,
   getDashboard,
 } = require("../controllers/clientController")
 
@@ -20,15 +35,27 @@ const router = express.Router()
  */
 
 // Public routes (no authentication required)
-router.get("/partners", validatePagination, searchPartners)
-router.get("/partners/:id", validateObjectId("id"), getPartnerDetails)
+router.get("/partners", validatePagination, validatePartnerSearch, searchPartners)
+router.get("/partners/:id", validateObjectId("id"), validateReviewPagination, getPartnerDetails)
 
 // Protected client routes
 router.use(authenticate, authorize("client"))
 
 router.get("/inquiries", validatePagination, getInquiries)
 router.get("/inquiries/:id", validateObjectId("id"), getInquiryDetails)
-router.post("/inquiries/:id/select-partner", validateObjectId("id"), selectPartner)
+router.post("/inquiries/:id/select-partner", validateObjectId("id"), validateSelectPartner, selectPartner)
+router.post("/inquiries/:id/promo-code", validateObjectId("id"), validatePromoCodePreview, previewPromoCode)
+router.post(
+  "/inquiries/:id/negotiations/:partnerId",
+  validateObjectId("id"),
+  validateObjectId("partnerId"),
+  validateClientNegotiation,
+  negotiateQuotation,
+)
+router.post("/inquiries/:id/review", validateObjectId("id"), validateReview, createReview)
+router.get("/reviews", validatePagination, getMyReviews)
+router.put("/reviews/:id", validateObjectId("id"), validateReview, updateReview)
+router.delete("/reviews/:id", validateObjectId("id"), deleteReview)
 router.get("/dashboard", getDashboard)
 
 module.exports = router
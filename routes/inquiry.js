@@ -1,7 +1,27 @@
 const express = require("express")
 const { authenticate, authorize } = require("../middlewares/auth")
-const { validateInquiry, validateObjectId } = require("../middlewares/validation")
-const { createInquiry, getInquiry, updateInquiry, cancelInquiry } = require("../controllers/inquiryController")
+const { uploadAttachments } = require("../middlewares/upload")
+const {
+  validateInquiry,
+  validateObjectId,
+  validatePagination,
+  validateMessage,
+  validateQuotationQuery,
+} = require("../middlewares/validation")
+const {
+  createInquiry,
+  getInquiry,
+  updateInquiry,
+  cancelInquiry,
+  getQuotations,
+} = require("../controllers/inquiryController")
+const {
+  getThreads,
+  getMessages,
+  sendMessage,
+  markThreadRead,
+  getAttachment,
+} = require("../controllers/messageController")
 
 const router = express.Router()
 
@@ -12,6 +32,13 @@ const router = express.Router()
  *   description: Service inquiry management
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Messages
+ *   description: Client–partner messaging threads per inquiry
+ */
+
 // All inquiry routes require authentication
 router.use(authenticate)
 
@@ -19,5 +46,41 @@ router.post("/", authorize("client"), validateInquiry, createInquiry)
 router.get("/:id", validateObjectId("id"), getInquiry)
 router.put("/:id", authorize("client"), validateObjectId("id"), validateInquiry, updateInquiry)
 router.post("/:id/cancel", authorize("client"), validateObjectId("id"), cancelInquiry)
+router.get("/:id/quotations", validateObjectId("id"), validateQuotationQuery, getQuotations)
+
+// Messaging threads between the client and each assigned partner
+router.get("/:id/threads", authorize("client", "partner"), validateObjectId("id"), getThreads)
+router.get(
+  "/:id/threads/:partnerId/messages",
+  authorize("client", "partner"),
+  validateObjectId("id"),
+  validateObjectId("partnerId"),
+  validatePagination,
+  getMessages,
+)
+router.post(
+  "/:id/threads/:partnerId/messages",
+  authorize("client", "partner"),
+  validateObjectId("id"),
+  validateObjectId("partnerId"),
+  uploadAttachments("attachments"),
+  validateMessage,
+  sendMessage,
+)
+router.post(
+  "/:id/threads/:partnerId/read",
+  authorize("client", "partner"),
+  validateObjectId("id"),
+  validateObjectId("partnerId"),
+  markThreadRead,
+)
+router.get(
+  "/:id/threads/:partnerId/attachments/:attachmentId",
+  authorize("client", "partner"),
+  validateObjectId("id"),
+  validateObjectId("partnerId"),
+  validateObjectId("attachmentId"),
+  getAttachment,
+)
 
 module.exports = router
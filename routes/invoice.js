@@ -0,0 +1,22 @@
+const express = require("express")
+const { authenticate } = require("../middlewares/auth")
+const { validateObjectId, validatePagination, validateInvoiceQuery } = require("../middlewares/validation")
+const { getInvoices, getInvoice, downloadInvoice } = require("../controllers/invoiceController")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: GST invoices issued for completed payments
+ */
+
+// All invoice routes require authentication, access is scoped to the caller's role in the controller
+router.use(authenticate)
+
+router.get("/", validatePagination, validateInvoiceQuery, getInvoices)
+router.get("/:id", validateObjectId("id"), getInvoice)
+router.get("/:id/download", validateObjectId("id"), validateInvoiceQuery, downloadInvoice)
+
+module.exports = router
@@ -0,0 +1,35 @@
+const express = require("express")
+const { authenticate } = require("../middlewares/auth")
+const {
+  validateObjectId,
+  validatePagination,
+  validateNotificationQuery,
+  validateNotificationPreferences,
+} = require("../middlewares/validation")
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+} = require("../controllers/notificationController")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications and notification channel preferences
+ */
+
+// Every user has their own inbox
+router.use(authenticate)
+
+router.get("/", validatePagination, validateNotificationQuery, getNotifications)
+router.put("/read-all", markAllNotificationsRead)
+router.get("/preferences", getPreferences)
+router.put("/preferences", validateNotificationPreferences, updatePreferences)
+router.put("/:id/read", validateObjectId("id"), markNotificationRead)
+
+module.exports = router
@@ -1,21 +1,46 @@
 const express = require("express")
 const { authenticate, authorize } = require("../middlewares/auth")
+const { uploadImages } = require("../middlewares/upload")
 const {
   validatePartnerProfile,
+  validateCancellationPolicy,
   validatePortfolio,
+  validatePortfolioUpload,
+  validateAvailability,
+  validateLeadResponse,
+  validatePartnerNegotiation,
+  validateDeclineLead,
+  validatePackage,
   validateObjectId,
   validatePagination,
+  validateStatementQuery,
 } = require("../middlewares/validation")
 const {
   createOrUpdateProfile,
   getProfile,
+  getCancellationPolicy,
+  updateCancellationPolicy,
   getLeads,
   respondToLead,
+  respondToNegotiation,
+  declineLead,
   addPortfolioItem,
   getPortfolio,
   updatePortfolioItem,
   deletePortfolioItem,
+  uploadPortfolioItem,
+  uploadPortfolioImages,
+  deletePortfolioImage,
+  getAvailability,
+  addAvailabilitySlot,
+  updateAvailabilitySlot,
+  deleteAvailabilitySlot,
+  getPackages,
+  addPackage,
+  updatePackage,
+  deletePackage,
   getDashboard,
+  getStatement,
 } = require("../controllers/partnerController")
 
 const router = express.Router()
@@ -33,10 +58,14 @@ router.use(authenticate, authorize("partner"))
 // Profile management
 router.post("/profile", validatePartnerProfile, createOrUpdateProfile)
 router.get("/profile", getProfile)
+router.get("/cancellation-policy", getCancellationPolicy)
+router.put("/cancellation-policy", validateCancellationPolicy, updateCancellationPolicy)
 
 // Lead management
 router.get("/leads", validatePagination, getLeads)
-router.post("/leads/:id/respond", validateObjectId("id"), respondToLead)
+router.post("/leads/:id/respond", validateObjectId("id"), validateLeadResponse, respondToLead)
+router.post("/leads/:id/decline", validateObjectId("id"), validateDeclineLead, declineLead)
+router.post("/leads/:id/negotiation", validateObjectId("id"), validatePartnerNegotiation, respondToNegotiation)
 
 // Portfolio management
 router.post("/portfolio", validatePortfolio, addPortfolioItem)
@@ -44,7 +73,32 @@ router.get("/portfolio", getPortfolio)
 router.put("/portfolio/:id", validateObjectId("id"), validatePortfolio, updatePortfolioItem)
 router.delete("/portfolio/:id", validateObjectId("id"), deletePortfolioItem)
 
+// Portfolio image uploads (multipart/form-data)
+router.post("/portfolio/upload", uploadImages("images"), validatePortfolioUpload, uploadPortfolioItem)
+router.post("/portfolio/:id/images", validateObjectId("id"), uploadImages("images"), uploadPortfolioImages)
+router.delete(
+  "/portfolio/:id/images/:imageId",
+  validateObjectId("id"),
+  validateObjectId("imageId"),
+  deletePortfolioImage,
+)
+
+// Availability calendar
+router.get("/availability", getAvailability)
+router.post("/availability", validateAvailability, addAvailabilitySlot)
+router.put("/availability/:id", validateObjectId("id"), validateAvailability, updateAvailabilitySlot)
+router.delete("/availability/:id", validateObjectId("id"), deleteAvailabilitySlot)
+
+// Packages and price catalog
+router.get("/packages", getPackages)
+router.post("/packages", validatePackage, addPackage)
+router.put("/packages/:id", validateObjectId("id"), validatePackage, updatePackage)
+router.delete("/packages/:id", validateObjectId("id"), deletePackage)
+
 // Dashboard
 router.get("/dashboard", getDashboard)
 
+// Earnings and payouts
+router.get("/statement", validatePagination, validateStatementQuery, getStatement)
+
 module.exports = router
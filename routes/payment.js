@@ -0,0 +1,29 @@
+const express = require("express")
+const { authenticate, authorize } = require("../middlewares/auth")
+const {
+  validateObjectId,
+  validatePagination,
+  validatePaymentQuery,
+  validatePaymentVerification,
+} = require("../middlewares/validation")
+const { getPayments, startCheckout, verifyPayment, handleWebhook } = require("../controllers/paymentController")
+
+const router = express.Router()
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Booking deposits and milestone payments through the payment gateway
+ */
+
+// Gateway callbacks are authenticated by their signature instead of a token
+router.post("/webhook", handleWebhook)
+
+router.use(authenticate)
+
+router.get("/", validatePagination, validatePaymentQuery, getPayments)
+router.post("/:id/checkout", authorize("client"), validateObjectId("id"), startCheckout)
+router.post("/:id/verify", authorize("client"), validateObjectId("id"), validatePaymentVerification, verifyPayment)
+
+module.exports = router
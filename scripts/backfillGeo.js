@@ -0,0 +1,68 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const Partner = require("../models/Partner")
+const Inquiry = require("../models/Inquiry")
+const { toGeoPoint } = require("../utils/geo")
+
+// Documents written per bulk update
+const BATCH_SIZE = 500
+
+// Set location.geo on documents saved with coordinates before it existed, so geo search and matching find them
+const backfillModel = async (Model) => {
+  const cursor = Model.find({
+    "location.coordinates.latitude": { $type: "number" },
+    "location.coordinates.longitude": { $type: "number" },
+    "location.geo.coordinates": { $exists: false },
+  })
+    .select("location.coordinates")
+    .lean()
+    .cursor()
+
+  let operations = []
+  let updated = 0
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { "location.geo": toGeoPoint(doc.location.coordinates) } },
+      },
+    })
+
+    if (operations.length === BATCH_SIZE) {
+      await Model.bulkWrite(operations, { ordered: false })
+      updated += operations.length
+      operations = []
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations, { ordered: false })
+    updated += operations.length
+  }
+
+  return updated
+}
+
+const backfillGeo = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log("Connected to MongoDB")
+
+    const partners = await backfillModel(Partner)
+    console.log(`Partners updated: ${partners}`)
+
+    const inquiries = await backfillModel(Inquiry)
+    console.log(`Inquiries updated: ${inquiries}`)
+
+    console.log("Geo backfill completed successfully!")
+  } catch (error) {
+    console.error("Error backfilling geo points:", error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+backfillGeo()
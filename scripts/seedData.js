@@ -85,6 +85,13 @@ const seedData = async () => {
           state: ["Maharashtra", "Delhi", "Karnataka", "Tamil Nadu", "West Bengal"][i - 1],
           pincode: `40000${i}`,
           address: `${i}th Floor, Photography Building, Studio Street`,
+          coordinates: [
+            { latitude: 19.076, longitude: 72.8777 },
+            { latitude: 28.6139, longitude: 77.209 },
+            { latitude: 12.9716, longitude: 77.5946 },
+            { latitude: 13.0827, longitude: 80.2707 },
+            { latitude: 22.5726, longitude: 88.3639 },
+          ][i - 1],
         },
         documents: {
           aadharNumber: `${2000 + i}${1000 + i}${2000 + i}${3000 + i}`,
@@ -159,6 +166,7 @@ const seedData = async () => {
         city: "Mumbai",
         state: "Maharashtra",
         venue: "Grand Ballroom, Hotel Taj",
+        coordinates: { latitude: 18.9217, longitude: 72.8332 },
       },
       requirements: "Looking for a professional wedding photographer with experience in Indian weddings",
       referenceImages: ["https://picsum.photos/400/300?random=100", "https://picsum.photos/400/300?random=101"],
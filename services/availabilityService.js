@@ -0,0 +1,135 @@
+const Availability = require("../models/Availability")
+const logger = require("../utils/logger")
+
+class AvailabilityService {
+  /**
+   * Build the time window an event occupies
+   * @param {Date} eventDate - Event date
+   * @param {string} eventTime - Start time in HH:MM format
+   * @param {number} duration - Duration in hours
+   * @returns {Object} Window with start and end dates
+   */
+  getEventWindow(eventDate, eventTime, duration) {
+    const start = new Date(eventDate)
+
+    if (eventTime) {
+      const [hours, minutes] = eventTime.split(":").map(Number)
+      start.setHours(hours, minutes, 0, 0)
+    } else {
+      start.setHours(0, 0, 0, 0)
+    }
+
+    // Without a duration the event is assumed to take the whole day
+    const end = new Date(start.getTime() + (duration || 24) * 60 * 60 * 1000)
+
+    return { start, end }
+  }
+
+  /**
+   * Build the slot window from a calendar date and optional HH:MM times
+   * @param {Date|string} date - Calendar date
+   * @param {string} startTime - Optional start time in HH:MM format
+   * @param {string} endTime - Optional end time in HH:MM format
+   * @returns {Object} Window with start, end and allDay flag
+   */
+  getSlotWindow(date, startTime, endTime) {
+    const start = new Date(date)
+    const end = new Date(date)
+
+    if (!startTime && !endTime) {
+      start.setHours(0, 0, 0, 0)
+      end.setHours(23, 59, 59, 999)
+      return { start, end, allDay: true }
+    }
+
+    const [startHours, startMinutes] = (startTime || "00:00").split(":").map(Number)
+    const [endHours, endMinutes] = (endTime || "23:59").split(":").map(Number)
+    start.setHours(startHours, startMinutes, 0, 0)
+    end.setHours(endHours, endMinutes, 0, 0)
+
+    return { start, end, allDay: false }
+  }
+
+  /**
+   * Find partners with a blocked or booked slot overlapping a window
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @param {Array} partnerIds - Optional partner IDs to restrict the lookup to
+   * @returns {Array} Array of unavailable partner IDs
+   */
+  async findUnavailablePartnerIds(start, end, partnerIds) {
+    const query = {
+      startsAt: { $lt: end },
+      endsAt: { $gt: start },
+    }
+
+    if (partnerIds) {
+      query.partnerId = { $in: partnerIds }
+    }
+
+    return Availability.distinct("partnerId", query)
+  }
+
+  /**
+   * Check whether a partner is free for the whole window
+   * @param {string} partnerId - Partner ID
+   * @param {Date} start - Window start
+   * @param {Date} end - Window end
+   * @param {string} excludeId - Optional slot ID to ignore (when editing a slot)
+   * @returns {boolean} Availability status
+   */
+  async isAvailable(partnerId, start, end, excludeId) {
+    const query = {
+      partnerId,
+      startsAt: { $lt: end },
+      endsAt: { $gt: start },
+    }
+
+    if (excludeId) {
+      query._id = { $ne: excludeId }
+    }
+
+    const conflict = await Availability.exists(query)
+    return !conflict
+  }
+
+  /**
+   * Reserve the event window in a partner's calendar for a booked inquiry
+   * @param {string} partnerId - Partner ID
+   * @param {Object} inquiry - The booked inquiry
+   * @returns {Object} The booked slot
+   */
+  async reserveForInquiry(partnerId, inquiry) {
+    const { eventDate, eventTime, duration } = inquiry.eventDetails
+    const { start, end } = this.getEventWindow(eventDate, eventTime, duration)
+
+    const slot = await Availability.findOneAndUpdate(
+      { partnerId, inquiryId: inquiry._id, type: "booked" },
+      {
+        $set: {
+          startsAt: start,
+          endsAt: end,
+          allDay: false,
+          reason: `Booked for ${inquiry.category} inquiry`,
+        },
+      },
+      { new: true, upsert: true },
+    )
+
+    logger.info(`Reserved slot for partner ${partnerId} on inquiry ${inquiry._id}`)
+
+    return slot
+  }
+
+  /**
+   * Release every slot reserved for an inquiry
+   * @param {string} inquiryId - Inquiry ID
+   * @returns {number} Number of released slots
+   */
+  async releaseForInquiry(inquiryId) {
+    const result = await Availability.deleteMany({ inquiryId, type: "booked" })
+    return result.deletedCount
+  }
+}
+
+module.exports = new AvailabilityService()
@@ -0,0 +1,355 @@
+const mongoose = require("mongoose")
+const Booking = require("../models/Booking")
+const Partner = require("../models/Partner")
+const availabilityService = require("./availabilityService")
+const inquiryStatusService = require("./inquiryStatusService")
+const paymentService = require("./paymentService")
+const cancellationService = require("./cancellationService")
+const ledgerService = require("./ledgerService")
+const promoCodeService = require("./promoCodeService")
+const eventBus = require("./eventBus")
+const { EVENTS } = require("./eventBus")
+const logger = require("../utils/logger")
+
+// Allowed transitions: current status -> next status -> roles that may trigger it
+const TRANSITIONS = {
+  confirmed: {
+    in_progress: ["partner", "admin"],
+    cancelled: ["client", "partner", "admin"],
+  },
+  in_progress: {
+    delivered: ["partner", "admin"],
+    cancelled: ["admin"],
+  },
+  delivered: {
+    completed: ["client", "admin", "system"],
+  },
+  completed: {},
+  cancelled: {},
+}
+
+// Timestamp recorded when a booking enters each status
+const STATUS_TIMESTAMPS = {
+  in_progress: "startedAt",
+  delivered: "deliveredAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+}
+
+// Payment progress a booking needs before entering a status
+const PAYMENT_REQUIREMENTS = {
+  in_progress: { statuses: ["deposit_paid", "paid"], message: "The client has not paid the deposit yet" },
+  delivered: { statuses: ["paid"], message: "The client has not paid the balance yet" },
+}
+
+// Minutes after which a refund left processing, e.g. by a crashed server, may be claimed again
+const REFUND_CLAIM_MINUTES = 10
+
+// Hours after delivery before a booking the client hasn't confirmed is completed automatically
+const AUTO_COMPLETE_HOURS = Number.parseInt(process.env.AUTO_COMPLETE_HOURS) || 72
+
+class BookingTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "BookingTransitionError"
+    this.statusCode = statusCode
+  }
+}
+
+class BookingService {
+  /**
+   * Create the booking for an inquiry whose quotation the client accepted, along with its payment plan
+   * @param {Object} inquiry - Booked inquiry
+   * @param {Object} quote - Accepted quotation
+   * @param {Object} billing - Optional invoice name and GST number of the client
+   * @returns {Object} Saved booking
+   */
+  async createFromQuotation(inquiry, quote, billing) {
+    const { eventDate, eventTime, duration } = inquiry.eventDetails
+    const { start, end } = availabilityService.getEventWindow(eventDate, eventTime, duration)
+    const partner = await Partner.findById(quote.partnerId).select("cancellationPolicy")
+
+    const booking = await Booking.create({
+      inquiryId: inquiry._id,
+      clientId: inquiry.clientId._id || inquiry.clientId,
+      partnerId: quote.partnerId,
+      quotationId: quote._id,
+      quote: {
+        version: quote.version,
+        subtotal: quote.subtotal,
+        travelFee: quote.travelFee,
+        discountAmount: quote.discount ? quote.discount.amount : 0,
+        promoCode: quote.promo && quote.promo.code,
+        promoDiscount: quote.promo ? quote.promo.amount : 0,
+        gstRate: quote.gstRate,
+        gstAmount: quote.gstAmount,
+        total: quote.total,
+      },
+      schedule: {
+        eventDate,
+        eventTime,
+        duration,
+        start,
+        end,
+        venue: inquiry.location.venue,
+        city: inquiry.location.city,
+        state: inquiry.location.state,
+      },
+      billing,
+      cancellationPolicy: cancellationService.getPolicy(partner && partner.cancellationPolicy),
+    })
+
+    await paymentService.createPaymentPlan(booking)
+    await this.syncPartnerBookings(quote.partnerId)
+
+    logger.info(`Booking ${booking._id} created for inquiry ${inquiry._id}`)
+
+    return booking
+  }
+
+  /**
+   * Delete the booking created from a quotation whose selection couldn't be completed, with its payment plan
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} quotationId - Quotation the booking was created from
+   * @returns {boolean} Whether a booking was deleted
+   */
+  async discardForQuotation(inquiryId, quotationId) {
+    const booking = await Booking.findOneAndDelete({ inquiryId, quotationId, status: "confirmed" })
+    if (!booking) {
+      return false
+    }
+
+    await paymentService.deletePaymentPlan(booking._id)
+    await this.syncPartnerBookings(booking.partnerId)
+
+    logger.warn(`Booking ${booking._id} discarded for inquiry ${inquiryId}`)
+
+    return true
+  }
+
+  /**
+   * Check whether a role may move a booking between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {string} role - Actor role (client, partner, admin or system)
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransition(from, to, role) {
+    const allowedRoles = (TRANSITIONS[from] || {})[to]
+    return Boolean(allowedRoles && allowedRoles.includes(role))
+  }
+
+  /**
+   * List the statuses a role may move a booking to
+   * @param {string} from - Current status
+   * @param {string} role - Actor role
+   * @returns {Array} Reachable statuses
+   */
+  getAvailableTransitions(from, role) {
+    return Object.entries(TRANSITIONS[from] || {})
+      .filter(([, roles]) => roles.includes(role))
+      .map(([to]) => to)
+  }
+
+  /**
+   * Move a booking to a new status, record it in the status history and carry it over to the inquiry
+   * Completed bookings close their inquiry, cancelled ones cancel it, free the partner's calendar and refund the client
+   * @param {string} bookingId - Booking ID
+   * @param {string} to - Requested status
+   * @param {Object} options - actor ({ userId, role }), reason, extra filter and extra $set fields
+   * @returns {Object|null} Updated booking, or null if no booking matches the filter
+   * @throws {BookingTransitionError} If the transition is not allowed or the status changed concurrently
+   */
+  async transition(bookingId, to, { actor, reason, filter = {}, set = {} }) {
+    const booking = await Booking.findOne({ _id: bookingId, ...filter }).select(
+      "status paymentStatus amountPaid schedule cancellationPolicy",
+    )
+    if (!booking) {
+      return null
+    }
+
+    const from = booking.status
+    if (!this.canTransition(from, to, actor.role)) {
+      throw new BookingTransitionError(`Booking cannot move from ${from} to ${to}`)
+    }
+
+    const requirement = PAYMENT_REQUIREMENTS[to]
+    if (requirement && !requirement.statuses.includes(booking.paymentStatus)) {
+      throw new BookingTransitionError(requirement.message)
+    }
+
+    const changedAt = new Date()
+
+    const changes = {
+      $set: { ...set, status: to, [STATUS_TIMESTAMPS[to]]: changedAt },
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: actor.userId,
+          actorRole: actor.role,
+          reason,
+          changedAt,
+        },
+      },
+    }
+
+    // The refund is settled at the moment of cancellation, by the policy the booking was made under
+    if (to === "cancelled") {
+      const refund = cancellationService.calculateRefund(booking, actor.role, changedAt)
+      Object.assign(changes.$set, {
+        cancellationReason: reason,
+        cancelledBy: actor.userId,
+        cancelledByRole: actor.role,
+        refund: { ...refund, status: refund.amount > 0 ? "pending" : "none" },
+      })
+    }
+
+    // Guard on the status we validated against so concurrent changes can't skip the state machine
+    const updated = await Booking.findOneAndUpdate({ _id: bookingId, ...filter, status: from }, changes, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!updated) {
+      throw new BookingTransitionError("Booking status changed in the meantime, please retry")
+    }
+
+    logger.info(`Booking ${bookingId} moved from ${from} to ${to} by ${actor.role} ${actor.userId || ""}`.trim())
+
+    if (to === "completed" || to === "cancelled") {
+      await inquiryStatusService.transition(updated.inquiryId, to === "completed" ? "closed" : "cancelled", {
+        actor: inquiryStatusService.SYSTEM_ACTOR,
+        reason: `Booking ${to}${reason ? `: ${reason}` : ""}`,
+        filter: { status: "booked" },
+        update: to === "cancelled" ? { $set: { cancellationReason: reason, cancelledAt: changedAt } } : {},
+      })
+    }
+
+    // The partner's earnings become available once nothing can be taken back from them
+    if (to === "completed") {
+      await ledgerService.releaseBooking(updated)
+    }
+
+    if (to === "cancelled") {
+      await paymentService.cancelOutstanding(updated._id)
+      await this.syncPartnerBookings(updated.partnerId)
+      await promoCodeService.releaseForBooking(updated)
+
+      let refunded = updated
+      if (updated.refund.status === "pending") {
+        refunded = (await this.processRefund(updated)) || updated
+      } else {
+        await ledgerService.releaseBooking(updated)
+      }
+
+      eventBus.emit(EVENTS.BOOKING_CANCELLED, { booking: refunded })
+      return refunded
+    }
+
+    return updated
+  }
+
+  /**
+   * Pay out the refund of a cancelled booking through the payment gateway
+   * Whatever the client doesn't get back is released to the partner, a failed refund stays on the booking so it can be retried
+   * @param {Object} booking - Cancelled booking with a pending or failed refund
+   * @returns {Object|null} Booking with the refund outcome, or null if the refund is already being processed
+   */
+  async processRefund(booking) {
+    // Claimed before calling the gateway so concurrent retries don't refund twice
+    const now = new Date()
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: "cancelled",
+        $or: [
+          { "refund.status": { $in: ["pending", "failed"] } },
+          {
+            "refund.status": "processing",
+            "refund.claimedAt": { $lt: new Date(now.getTime() - REFUND_CLAIM_MINUTES * 60 * 1000) },
+          },
+        ],
+      },
+      { $set: { "refund.status": "processing", "refund.claimedAt": now } },
+      { new: true },
+    )
+    if (!claimed) {
+      return null
+    }
+
+    let refund
+    try {
+      await paymentService.refundBooking(claimed._id, claimed.refund.amount)
+      await ledgerService.releaseBooking(claimed)
+      refund = { "refund.status": "processed", "refund.processedAt": new Date(), "refund.failureReason": null }
+      logger.info(`Refund of ${booking.refund.amount} processed for booking ${booking._id}`)
+    } catch (error) {
+      refund = { "refund.status": "failed", "refund.failureReason": error.message }
+      logger.error(`Refund failed for booking ${booking._id}:`, error)
+    }
+
+    return Booking.findByIdAndUpdate(booking._id, { $set: refund }, { new: true })
+  }
+
+  /**
+   * Recompute a partner's booking count from their bookings that weren't cancelled
+   * @param {string} partnerId - Partner ID
+   * @returns {number} Number of bookings
+   */
+  async syncPartnerBookings(partnerId) {
+    const totalBookings = await Booking.countDocuments({ partnerId, status: { $ne: "cancelled" } })
+    await Partner.updateOne({ _id: partnerId }, { $set: { totalBookings } })
+    return totalBookings
+  }
+
+  /**
+   * Count bookings by status
+   * @param {Object} owner - Optional clientId or partnerId to restrict the count to
+   * @returns {Object} Status to count, with every status present
+   */
+  async countByStatus({ clientId, partnerId } = {}) {
+    const match = {}
+    if (clientId) match.clientId = new mongoose.Types.ObjectId(clientId)
+    if (partnerId) match.partnerId = new mongoose.Types.ObjectId(partnerId)
+
+    const counts = await Booking.aggregate([{ $match: match }, { $group: { _id: "$status", count: { $sum: 1 } } }])
+
+    const result = Object.fromEntries(Object.keys(TRANSITIONS).map((status) => [status, 0]))
+    counts.forEach(({ _id, count }) => {
+      result[_id] = count
+    })
+    return result
+  }
+
+  /**
+   * Complete bookings the client hasn't confirmed some time after delivery
+   * @returns {number} Number of bookings completed
+   */
+  async completeDeliveredBookings() {
+    const cutoff = new Date(Date.now() - AUTO_COMPLETE_HOURS * 60 * 60 * 1000)
+    const bookings = await Booking.find({ status: "delivered", deliveredAt: { $lt: cutoff } }).select("_id")
+
+    let completedCount = 0
+    for (const { _id } of bookings) {
+      try {
+        await this.transition(_id, "completed", {
+          actor: inquiryStatusService.SYSTEM_ACTOR,
+          reason: `Not disputed within ${AUTO_COMPLETE_HOURS} hours of delivery`,
+        })
+        completedCount++
+      } catch (error) {
+        // Changed by someone else since it was loaded, the next run picks it up again if still delivered
+        if (!(error instanceof BookingTransitionError)) {
+          throw error
+        }
+      }
+    }
+
+    return completedCount
+  }
+}
+
+module.exports = new BookingService()
+module.exports.BookingTransitionError = BookingTransitionError
+module.exports.TRANSITIONS = TRANSITIONS
@@ -0,0 +1,68 @@
+// Refund tiers for partners who haven't set their own policy
+// A tier applies when the booking is cancelled at least daysBefore days ahead of the event
+const DEFAULT_POLICY = [
+  { daysBefore: 30, refundPercent: 100 },
+  { daysBefore: 7, refundPercent: 50 },
+  { daysBefore: 0, refundPercent: 0 },
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+class CancellationService {
+  /**
+   * Get the refund tiers of a policy, furthest from the event first
+   * @param {Array} policy - Partner or booking policy, falls back to the platform default when empty
+   * @returns {Array} Tiers of { daysBefore, refundPercent }
+   */
+  getPolicy(policy) {
+    const tiers = policy && policy.length > 0 ? policy : DEFAULT_POLICY
+    return tiers
+      .map(({ daysBefore, refundPercent }) => ({ daysBefore, refundPercent }))
+      .sort((a, b) => b.daysBefore - a.daysBefore)
+  }
+
+  /**
+   * Whole days left until a booked event starts
+   * @param {Object} booking - Booking document
+   * @param {Date} at - Moment of cancellation
+   * @returns {number} Days before the event, negative once it has started
+   */
+  getDaysBeforeEvent(booking, at = new Date()) {
+    const start = booking.schedule.start || booking.schedule.eventDate
+    return Math.floor((start.getTime() - at.getTime()) / DAY_MS)
+  }
+
+  /**
+   * Work out how much of what the client paid is refunded when a booking is cancelled
+   * Partners cancelling on their client always refund in full, everyone else follows the booking's policy
+   * @param {Object} booking - Booking with schedule, amountPaid and cancellationPolicy
+   * @param {string} role - Role of whoever cancels
+   * @param {Date} at - Moment of cancellation
+   * @returns {Object} { percent, amount, daysBeforeEvent, rule }
+   */
+  calculateRefund(booking, role, at = new Date()) {
+    const daysBeforeEvent = this.getDaysBeforeEvent(booking, at)
+    const amountPaid = booking.amountPaid || 0
+
+    if (role === "partner") {
+      return { percent: 100, amount: amountPaid, daysBeforeEvent, rule: "Cancelled by the partner" }
+    }
+
+    const tier = this.getPolicy(booking.cancellationPolicy).find(({ daysBefore }) => daysBeforeEvent >= daysBefore)
+    const percent = tier ? tier.refundPercent : 0
+
+    return {
+      percent,
+      amount: roundAmount((amountPaid * percent) / 100),
+      daysBeforeEvent,
+      rule: tier
+        ? `${percent}% refund at least ${tier.daysBefore} days before the event`
+        : "No refund after the event started",
+    }
+  }
+}
+
+module.exports = new CancellationService()
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY
@@ -0,0 +1,47 @@
+const CommissionRule = require("../models/CommissionRule")
+
+// Commission kept by the platform when no rule applies
+const DEFAULT_COMMISSION_PERCENT = Number.parseFloat(process.env.DEFAULT_COMMISSION_PERCENT) || 10
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+class CommissionService {
+  /**
+   * Find the commission rate for a partner's booking in a category
+   * Featured-partner rules override tier rules, which override category rules
+   * @param {Object} partner - Partner with isFeatured and tier
+   * @param {string} category - Inquiry category
+   * @returns {Object} { percent, ruleId }, ruleId is undefined for the default rate
+   */
+  async resolveRate(partner, category) {
+    const candidates = [
+      partner.isFeatured && { type: "featured" },
+      { type: "tier", tier: partner.tier || "standard" },
+      category && { type: "category", category },
+    ].filter(Boolean)
+
+    const rules = await CommissionRule.find({ isActive: true, $or: candidates }).sort({ updatedAt: -1 })
+
+    for (const candidate of candidates) {
+      const rule = rules.find((item) => item.type === candidate.type)
+      if (rule) {
+        return { percent: rule.percent, ruleId: rule._id }
+      }
+    }
+
+    return { percent: DEFAULT_COMMISSION_PERCENT, ruleId: undefined }
+  }
+
+  /**
+   * Work out the platform's share of an amount
+   * @param {number} amount - Amount paid
+   * @param {number} percent - Commission rate
+   * @returns {number} Commission amount
+   */
+  calculate(amount, percent) {
+    return roundAmount((amount * percent) / 100)
+  }
+}
+
+module.exports = new CommissionService()
+module.exports.DEFAULT_COMMISSION_PERCENT = DEFAULT_COMMISSION_PERCENT
@@ -0,0 +1,48 @@
+const { EventEmitter } = require("events")
+const logger = require("../utils/logger")
+
+// Domain events emitted where something happens to a lead, quotation, booking or partner account
+const EVENTS = {
+  ACCOUNT_VERIFIED: "account.verified",
+  LEAD_ASSIGNED: "lead.assigned",
+  LEAD_REMINDER: "lead.reminder",
+  PARTNER_RESPONDED: "partner.responded",
+  QUOTATION_EXPIRING: "quotation.expiring",
+  PARTNER_SELECTED: "partner.selected",
+  BOOKING_CANCELLED: "booking.cancelled",
+  VERIFICATION_DECIDED: "verification.decided",
+  // Transactional emails, always sent and never kept in the inbox
+  OTP_REQUESTED: "account.otp_requested",
+  PASSWORD_RESET_REQUESTED: "account.password_reset_requested",
+  ADMIN_INVITED: "admin.invited",
+}
+
+class EventBus extends EventEmitter {
+  /**
+   * Handle an event in the background, a failing handler is logged and never reaches whoever emitted the event
+   * @param {string} event - Event name from EVENTS
+   * @param {Function} handler - Async handler receiving the event payload
+   */
+  subscribe(event, handler) {
+    this.on(event, (payload) =>
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch((error) => {
+          logger.error(`Error handling ${event} event:`, error)
+        }),
+    )
+  }
+
+  /**
+   * Emit an event and wait for its handlers, for callers whose response depends on them
+   * @param {string} event - Event name from EVENTS
+   * @param {Object} payload - Event payload
+   * @returns {Array} What each handler returned, undefined for handlers that failed
+   */
+  async emitAndWait(event, payload) {
+    return Promise.all(this.listeners(event).map((listener) => listener(payload)))
+  }
+}
+
+module.exports = new EventBus()
+module.exports.EVENTS = EVENTS
@@ -0,0 +1,205 @@
+const Inquiry = require("../models/Inquiry")
+const availabilityService = require("./availabilityService")
+const logger = require("../utils/logger")
+
+// Allowed transitions: current status -> next status -> roles that may trigger it
+const TRANSITIONS = {
+  new: {
+    assigned: ["system", "admin"],
+    cancelled: ["client", "admin"],
+    closed: ["admin", "system"],
+  },
+  assigned: {
+    assigned: ["system", "admin"],
+    responded: ["partner"],
+    cancelled: ["client", "admin"],
+    closed: ["admin", "system"],
+  },
+  responded: {
+    responded: ["partner"],
+    negotiating: ["client"],
+    booked: ["client"],
+    cancelled: ["client", "admin"],
+    closed: ["admin", "system"],
+  },
+  negotiating: {
+    negotiating: ["client", "partner"],
+    responded: ["client", "partner"],
+    booked: ["client"],
+    cancelled: ["client", "admin"],
+    closed: ["admin", "system"],
+  },
+  // Booked inquiries follow their booking, which closes or cancels them
+  booked: {
+    closed: ["system"],
+    cancelled: ["system"],
+  },
+  closed: {},
+  cancelled: {},
+}
+
+// Actor used for transitions triggered by the platform itself
+const SYSTEM_ACTOR = { role: "system" }
+
+// Statuses in which an inquiry is still waiting on a booking
+const OPEN_STATUSES = ["new", "assigned", "responded", "negotiating"]
+
+class InquiryTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "InquiryTransitionError"
+    this.statusCode = statusCode
+  }
+}
+
+class InquiryStatusService {
+  /**
+   * Check whether a role may move an inquiry between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {string} role - Actor role (client, partner, admin or system)
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransition(from, to, role) {
+    const allowedRoles = (TRANSITIONS[from] || {})[to]
+    return Boolean(allowedRoles && allowedRoles.includes(role))
+  }
+
+  /**
+   * List the statuses a role may move an inquiry to
+   * @param {string} from - Current status
+   * @param {string} role - Actor role
+   * @returns {Array} Reachable statuses
+   */
+  getAvailableTransitions(from, role) {
+    return Object.entries(TRANSITIONS[from] || {})
+      .filter(([to, roles]) => to !== from && roles.includes(role))
+      .map(([to]) => to)
+  }
+
+  /**
+   * Move an inquiry to a new status and record it in the status history
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} to - Requested status
+   * @param {Object} options - actor ({ userId, role }), reason, extra filter and extra update operators
+   * @returns {Object|null} Updated inquiry, or null if no inquiry matches the filter
+   * @throws {InquiryTransitionError} If the transition is not allowed or the status changed concurrently
+   */
+  async transition(inquiryId, to, { actor, reason, filter = {}, update = {} }) {
+    const inquiry = await Inquiry.findOne({ _id: inquiryId, ...filter }).select("status")
+    if (!inquiry) {
+      return null
+    }
+
+    const from = inquiry.status
+    if (!this.canTransition(from, to, actor.role)) {
+      throw new InquiryTransitionError(`Inquiry cannot move from ${from} to ${to}`)
+    }
+
+    const changes = {
+      ...update,
+      $set: { ...update.$set, status: to },
+    }
+
+    // Repeated transitions (e.g. a second partner responding) don't add timeline entries
+    if (from !== to) {
+      changes.$push = {
+        ...update.$push,
+        statusHistory: {
+          from,
+          to,
+          changedBy: actor.userId,
+          actorRole: actor.role,
+          reason,
+          changedAt: new Date(),
+        },
+      }
+    }
+
+    // Guard on the status we validated against so concurrent changes can't skip the state machine
+    const updated = await Inquiry.findOneAndUpdate({ _id: inquiryId, ...filter, status: from }, changes, {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!updated) {
+      throw new InquiryTransitionError("Inquiry status changed in the meantime, please retry")
+    }
+
+    // A cancelled booking frees the partner's calendar again
+    if (from === "booked" && to === "cancelled") {
+      await availabilityService.releaseForInquiry(updated._id)
+    }
+
+    logger.info(`Inquiry ${inquiryId} moved from ${from} to ${to} by ${actor.role} ${actor.userId || ""}`.trim())
+
+    return updated
+  }
+
+  /**
+   * Move an inquiry back after a transition whose follow-up steps failed
+   * Bypasses the state machine, so only use it to undo a transition made by the same request
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} from - Status the inquiry had before the transition
+   * @param {string} to - Status the transition moved it to
+   * @param {Object} options - reason, extra filter and extra update operators undoing the transition's changes
+   * @returns {Object|null} Reverted inquiry, or null if it moved on since
+   */
+  async revert(inquiryId, from, to, { reason, filter = {}, update = {} }) {
+    const reverted = await Inquiry.findOneAndUpdate(
+      { _id: inquiryId, ...filter, status: to },
+      {
+        ...update,
+        $set: { ...update.$set, status: from },
+        $push: {
+          ...update.$push,
+          statusHistory: { from: to, to: from, actorRole: "system", reason, changedAt: new Date() },
+        },
+      },
+      { new: true },
+    )
+
+    if (reverted) {
+      logger.warn(`Inquiry ${inquiryId} moved back from ${to} to ${from}: ${reason}`)
+    }
+
+    return reverted
+  }
+
+  /**
+   * Close inquiries whose event date passed without a booking
+   * @returns {number} Number of inquiries closed
+   */
+  async closePastEvents() {
+    // Event dates are stored without a time, so the event day is over a day after its date
+    const eventOver = new Date(Date.now() - 24 * 60 * 60 * 1000)
+
+    const inquiries = await Inquiry.find({
+      status: { $in: OPEN_STATUSES },
+      "eventDetails.eventDate": { $lt: eventOver },
+    }).select("_id")
+
+    let closedCount = 0
+    for (const { _id } of inquiries) {
+      try {
+        await this.transition(_id, "closed", {
+          actor: SYSTEM_ACTOR,
+          reason: "Event date passed without a booking",
+        })
+        closedCount++
+      } catch (error) {
+        // Changed by someone else since it was loaded, the next run picks it up again if still open
+        if (!(error instanceof InquiryTransitionError)) {
+          throw error
+        }
+      }
+    }
+
+    return closedCount
+  }
+}
+
+module.exports = new InquiryStatusService()
+module.exports.InquiryTransitionError = InquiryTransitionError
+module.exports.SYSTEM_ACTOR = SYSTEM_ACTOR
+module.exports.TRANSITIONS = TRANSITIONS
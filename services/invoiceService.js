@@ -0,0 +1,284 @@
+const Invoice = require("../models/Invoice")
+const Payment = require("../models/Payment")
+const Counter = require("../models/Counter")
+const Booking = require("../models/Booking")
+const Partner = require("../models/Partner")
+const User = require("../models/User")
+const { getStateCode, getStateName, getGstinStateCode, splitInclusiveAmount } = require("../utils/gst")
+const { PdfDocument } = require("../utils/pdf")
+const logger = require("../utils/logger")
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "PX"
+
+// SAC for photography and videography services
+const PHOTOGRAPHY_SAC = process.env.PHOTOGRAPHY_SAC || "998386"
+
+const PAYMENT_LABELS = {
+  deposit: "advance deposit",
+  milestone: "balance payment",
+}
+
+// How long a worker's claim to invoice a payment holds before another worker may take over
+const INVOICE_CLAIM_MS = 5 * 60 * 1000
+
+const formatAmount = (value) => Number(value || 0).toFixed(2)
+
+class InvoiceService {
+  /**
+   * Indian financial year a date falls in (April to March)
+   * @param {Date} date - Date
+   * @returns {string} Financial year such as 26-27
+   */
+  getFinancialYear(date) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1
+    return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`
+  }
+
+  /**
+   * Take the next invoice number, numbering restarts every financial year
+   * @param {Date} date - Invoice date
+   * @returns {string} Invoice number such as PX/26-27/00042
+   */
+  async nextInvoiceNumber(date) {
+    const financialYear = this.getFinancialYear(date)
+    const seq = await Counter.next(`invoice:${financialYear}`)
+    return `${INVOICE_PREFIX}/${financialYear}/${String(seq).padStart(5, "0")}`
+  }
+
+  /**
+   * Reserve the invoice number of a payment
+   * Only the worker holding the claim on the payment takes a number, and the number stays with the payment,
+   * so a retried invoice reuses it and invoice numbering has no gaps
+   * @param {string} paymentId - Payment ID
+   * @returns {Object|null} { invoiceNumber, issuedAt }, or null while another worker is issuing the invoice
+   */
+  async reserveInvoiceNumber(paymentId) {
+    const now = new Date()
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: paymentId,
+        invoiceNumber: { $exists: false },
+        invoiceClaimedAt: { $not: { $gt: new Date(now.getTime() - INVOICE_CLAIM_MS) } },
+      },
+      { $set: { invoiceClaimedAt: now } },
+    )
+
+    if (!claimed) {
+      const payment = await Payment.findById(paymentId).select("invoiceNumber invoiceClaimedAt")
+      if (!payment || !payment.invoiceNumber) {
+        return null
+      }
+      return { invoiceNumber: payment.invoiceNumber, issuedAt: payment.invoiceClaimedAt }
+    }
+
+    const invoiceNumber = await this.nextInvoiceNumber(now)
+    await Payment.updateOne({ _id: paymentId }, { $set: { invoiceNumber } })
+
+    return { invoiceNumber, issuedAt: now }
+  }
+
+  /**
+   * Issue the invoice for a completed payment, at most once per payment
+   * The partner supplies the service, so the invoice carries their GSTIN and is taxed at the quoted GST rate
+   * @param {Object} payment - Paid payment
+   * @returns {Object|null} Invoice, or null while another worker is issuing it
+   */
+  async createForPayment(payment) {
+    const existing = await Invoice.findOne({ paymentId: payment._id })
+    if (existing) {
+      return existing
+    }
+
+    const [booking, partner, client] = await Promise.all([
+      Booking.findById(payment.bookingId),
+      Partner.findById(payment.partnerId),
+      User.findById(payment.clientId).select("email profile"),
+    ])
+
+    const supplierGstin = partner.documents.gstNumber
+    const supplierStateCode = getGstinStateCode(supplierGstin) || getStateCode(partner.location.state)
+    const recipientGstin = booking.billing && booking.billing.gstNumber
+
+    // Registered clients are taxed where they are registered, everyone else where the event takes place
+    const placeOfSupplyCode = getGstinStateCode(recipientGstin) || getStateCode(booking.schedule.state)
+    const placeOfSupplyState = recipientGstin ? getStateName(placeOfSupplyCode) : booking.schedule.state
+
+    const gstRate = supplierGstin ? booking.quote.gstRate || 0 : 0
+    const interState = Boolean(supplierStateCode && placeOfSupplyCode && supplierStateCode !== placeOfSupplyCode)
+    const tax = splitInclusiveAmount(payment.amount, gstRate, interState)
+
+    // Everything above may fail without using up an invoice number
+    const reserved = await this.reserveInvoiceNumber(payment._id)
+    if (!reserved) {
+      logger.info(`Invoice for payment ${payment._id} is being issued by another worker`)
+      return null
+    }
+
+    const { invoiceNumber, issuedAt } = reserved
+    const invoice = await Invoice.create({
+      invoiceNumber,
+      type: gstRate > 0 ? "tax_invoice" : "bill_of_supply",
+      paymentId: payment._id,
+      bookingId: payment.bookingId,
+      inquiryId: payment.inquiryId,
+      clientId: payment.clientId,
+      partnerId: payment.partnerId,
+      issuedAt,
+      supplier: {
+        name: partner.businessInfo.businessName,
+        gstin: supplierGstin,
+        pan: partner.documents.panNumber,
+        address: [partner.location.address, partner.location.city, partner.location.pincode].filter(Boolean).join(", "),
+        state: partner.location.state,
+        stateCode: supplierStateCode,
+      },
+      recipient: {
+        name: (booking.billing && booking.billing.name) || client.fullName,
+        email: client.email,
+        gstin: recipientGstin,
+        state: recipientGstin ? placeOfSupplyState : undefined,
+        stateCode: recipientGstin ? placeOfSupplyCode : undefined,
+      },
+      placeOfSupply: {
+        state: placeOfSupplyState,
+        stateCode: placeOfSupplyCode,
+      },
+      items: [
+        {
+          description: `Photography services on ${booking.schedule.eventDate.toDateString()} - ${
+            PAYMENT_LABELS[payment.type]
+          }`,
+          sacCode: PHOTOGRAPHY_SAC,
+          taxableValue: tax.taxableAmount,
+        },
+      ],
+      gstRate,
+      taxableAmount: tax.taxableAmount,
+      cgst: tax.cgst,
+      sgst: tax.sgst,
+      igst: tax.igst,
+      totalTax: tax.totalTax,
+      total: payment.amount,
+    }).catch((error) => {
+      // Another worker issued it in the meantime
+      if (error.code === 11000) {
+        return null
+      }
+      throw error
+    })
+
+    if (!invoice) {
+      return Invoice.findOne({ paymentId: payment._id })
+    }
+
+    logger.info(`Invoice ${invoice.invoiceNumber} issued for payment ${payment._id}`)
+
+    return invoice
+  }
+
+  /**
+   * Issue invoices for payments that were made but never invoiced, e.g. after a failed write
+   * A payment that still can't be invoiced is logged and tried again on the next run
+   * @returns {number} Number of invoices issued
+   */
+  async createMissingInvoices() {
+    const payments = await Payment.aggregate([
+      { $match: { status: { $in: ["paid", "refunded"] }, bookingId: { $exists: true } } },
+      { $lookup: { from: Invoice.collection.name, localField: "_id", foreignField: "paymentId", as: "invoices" } },
+      { $match: { invoices: { $size: 0 } } },
+      { $project: { invoices: 0 } },
+    ])
+
+    let issuedCount = 0
+    for (const payment of payments) {
+      try {
+        if (await this.createForPayment(payment)) {
+          issuedCount++
+        }
+      } catch (error) {
+        logger.error(`Error issuing missing invoice for payment ${payment._id}:`, error)
+      }
+    }
+
+    return issuedCount
+  }
+
+  /**
+   * Render an invoice as a PDF
+   * @param {Object} invoice - Invoice document
+   * @returns {Buffer} PDF file contents
+   */
+  renderPdf(invoice) {
+    const doc = new PdfDocument()
+    const title = invoice.type === "tax_invoice" ? "TAX INVOICE" : "BILL OF SUPPLY"
+
+    doc.text(40, 60, title, { size: 18, bold: true })
+    doc.textRight(555, 52, `Invoice No: ${invoice.invoiceNumber}`)
+    doc.textRight(555, 66, `Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`)
+    doc.rule(80)
+
+    const party = (x, heading, details) => {
+      doc.text(x, 100, heading, { bold: true })
+      details.filter(Boolean).forEach((line, index) => doc.text(x, 116 + index * 14, line, { size: 9 }))
+    }
+
+    const { supplier, recipient, placeOfSupply } = invoice
+    party(40, "Supplier", [
+      supplier.name,
+      supplier.address,
+      `State: ${supplier.state}${supplier.stateCode ? ` (${supplier.stateCode})` : ""}`,
+      `GSTIN: ${supplier.gstin || "Unregistered"}`,
+      supplier.pan && `PAN: ${supplier.pan}`,
+    ])
+    party(310, "Bill To", [
+      recipient.name,
+      recipient.email,
+      recipient.gstin && `GSTIN: ${recipient.gstin}`,
+      `Place of supply: ${placeOfSupply.state}${placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ""}`,
+    ])
+
+    let y = 210
+    doc.rule(y - 14)
+    doc.text(40, y, "Description", { bold: true })
+    doc.text(360, y, "SAC", { bold: true })
+    doc.text(420, y, "Qty", { bold: true })
+    doc.textRight(555, y, "Taxable value", { bold: true })
+    doc.rule(y + 6)
+
+    invoice.items.forEach((item) => {
+      y += 22
+      doc.text(40, y, item.description, { size: 9 })
+      doc.text(360, y, item.sacCode, { size: 9 })
+      doc.text(420, y, String(item.quantity), { size: 9 })
+      doc.textRight(555, y, formatAmount(item.taxableValue), { size: 9 })
+    })
+
+    y += 16
+    doc.rule(y)
+
+    const totals = [["Taxable amount", invoice.taxableAmount]]
+    if (invoice.igst > 0) {
+      totals.push([`IGST @ ${invoice.gstRate}%`, invoice.igst])
+    } else if (invoice.totalTax > 0) {
+      totals.push([`CGST @ ${invoice.gstRate / 2}%`, invoice.cgst], [`SGST @ ${invoice.gstRate / 2}%`, invoice.sgst])
+    }
+    totals.push(["Total (INR)", invoice.total])
+
+    totals.forEach(([label, amount], index) => {
+      const bold = index === totals.length - 1
+      y += 18
+      doc.text(360, y, label, { bold })
+      doc.textRight(555, y, formatAmount(amount), { bold })
+    })
+
+    if (invoice.type === "bill_of_supply") {
+      doc.text(40, y + 40, "Supplier is not registered under GST, no tax is charged.", { size: 9 })
+    }
+
+    doc.text(40, 800, "This is a computer generated invoice issued through Pixisphere.", { size: 8 })
+
+    return doc.toBuffer()
+  }
+}
+
+module.exports = new InvoiceService()
@@ -0,0 +1,42 @@
+const scheduler = require("./scheduler")
+const matchingService = require("../matchingService")
+const inquiryStatusService = require("../inquiryStatusService")
+const quotationService = require("../quotationService")
+const bookingService = require("../bookingService")
+const ledgerService = require("../ledgerService")
+const payoutService = require("../payoutService")
+const invoiceService = require("../invoiceService")
+
+// Minutes between runs of each job
+const EXPIRE_LEADS_INTERVAL_MINUTES = Number.parseInt(process.env.EXPIRE_LEADS_INTERVAL_MINUTES) || 15
+const AUTO_CLOSE_INTERVAL_MINUTES = Number.parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES) || 60
+const REMINDER_INTERVAL_MINUTES = Number.parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 30
+const PAYOUT_INTERVAL_MINUTES = Number.parseInt(process.env.PAYOUT_INTERVAL_MINUTES) || 24 * 60
+const MISSING_INVOICES_INTERVAL_MINUTES = Number.parseInt(process.env.MISSING_INVOICES_INTERVAL_MINUTES) || 60
+
+const minutes = (value) => value * 60 * 1000
+
+scheduler.register("expire-unanswered-leads", minutes(EXPIRE_LEADS_INTERVAL_MINUTES), () =>
+  matchingService.expireUnansweredLeads(),
+)
+
+scheduler.register("auto-close-inquiries", minutes(AUTO_CLOSE_INTERVAL_MINUTES), async () => ({
+  closedCount: await inquiryStatusService.closePastEvents(),
+  completedBookings: await bookingService.completeDeliveredBookings(),
+}))
+
+scheduler.register("send-reminders", minutes(REMINDER_INTERVAL_MINUTES), async () => ({
+  leadReminders: await matchingService.remindUnansweredLeads(),
+  quotationReminders: await quotationService.remindExpiringQuotations(),
+}))
+
+scheduler.register("create-payout-batch", minutes(PAYOUT_INTERVAL_MINUTES), async () => ({
+  paymentsBooked: await ledgerService.recordMissingPayments(),
+  ...(await payoutService.createBatch()),
+}))
+
+scheduler.register("issue-missing-invoices", minutes(MISSING_INVOICES_INTERVAL_MINUTES), async () => ({
+  invoicesIssued: await invoiceService.createMissingInvoices(),
+}))
+
+module.exports = scheduler
@@ -0,0 +1,142 @@
+const os = require("os")
+const JobLock = require("../../models/JobLock")
+const logger = require("../../utils/logger")
+
+// How often the scheduler checks for due jobs
+const TICK_MS = (Number.parseInt(process.env.JOB_TICK_SECONDS) || 60) * 1000
+
+// How long a started run keeps other instances off the job if this instance dies before finishing it
+const LEASE_MS = (Number.parseInt(process.env.JOB_LEASE_MINUTES) || 30) * 60 * 1000
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map()
+    this.timer = null
+    this.instanceId = `${os.hostname()}:${process.pid}`
+  }
+
+  /**
+   * Register a job to run on a fixed interval
+   * @param {string} name - Unique job name, also used as the lock name
+   * @param {number} intervalMs - Time between runs in milliseconds
+   * @param {Function} handler - Async function doing the work, may return a summary to log
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`)
+    }
+    this.jobs.set(name, { name, intervalMs, handler, running: false })
+  }
+
+  /**
+   * Take the job's lease if the job is due and no other instance is running it
+   * Taking it also schedules the next run, so a job runs once per interval across all instances and restarts
+   * @param {Object} job - Registered job
+   * @returns {boolean} Whether this instance may run the job
+   */
+  async acquireLock(job) {
+    const now = new Date()
+
+    try {
+      // Missing dates count as passed, so new jobs and jobs that never ran are due right away
+      const lock = await JobLock.findOneAndUpdate(
+        { name: job.name, nextRunAt: { $not: { $gt: now } }, lockedUntil: { $not: { $gt: now } } },
+        {
+          $set: {
+            nextRunAt: new Date(now.getTime() + job.intervalMs),
+            lockedUntil: new Date(now.getTime() + LEASE_MS),
+            lockedBy: this.instanceId,
+          },
+        },
+        { upsert: true, new: true },
+      )
+      return Boolean(lock)
+    } catch (error) {
+      // The upsert hits the unique name index while the job isn't due or another instance holds the lease
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Run a job if it is due, skipping it if a previous run is still going or another instance holds the lease
+   * @param {string} name - Job name
+   * @returns {boolean} Whether the job ran
+   */
+  async run(name) {
+    const job = this.jobs.get(name)
+    if (!job || job.running) {
+      return false
+    }
+
+    job.running = true
+    const startedAt = Date.now()
+    let acquired = false
+    let lastError = null
+
+    try {
+      acquired = await this.acquireLock(job)
+      if (!acquired) {
+        return false
+      }
+
+      const summary = await job.handler()
+      logger.info(`Job ${name} finished in ${Date.now() - startedAt}ms`, summary ? { summary } : undefined)
+      return true
+    } catch (error) {
+      lastError = error.message
+      logger.error(`Job ${name} failed:`, error)
+      return acquired
+    } finally {
+      job.running = false
+
+      // Release the lease, the next run waits for nextRunAt
+      if (acquired) {
+        await JobLock.updateOne(
+          { name, lockedBy: this.instanceId },
+          {
+            $set: {
+              lockedUntil: new Date(),
+              lastRunAt: new Date(startedAt),
+              lastDurationMs: Date.now() - startedAt,
+              lastError,
+            },
+          },
+        ).catch((error) => logger.error(`Failed to record run of job ${name}:`, error))
+      }
+    }
+  }
+
+  /**
+   * Run every registered job that is due, now and on every tick
+   * Jobs whose interval passed while no instance was running catch up right away
+   */
+  start() {
+    this.stop()
+
+    const tick = () => {
+      for (const job of this.jobs.values()) {
+        this.run(job.name)
+      }
+    }
+
+    this.timer = setInterval(tick, TICK_MS)
+    // Timers alone shouldn't keep the process alive
+    this.timer.unref()
+    tick()
+
+    logger.info(`Job scheduler started with ${this.jobs.size} jobs`)
+  }
+
+  /**
+   * Stop checking for due jobs, runs already in progress finish on their own
+   */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
+
+module.exports = new JobScheduler()
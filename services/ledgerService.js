@@ -0,0 +1,318 @@
+const mongoose = require("mongoose")
+const LedgerEntry = require("../models/LedgerEntry")
+const Payment = require("../models/Payment")
+const Partner = require("../models/Partner")
+const Inquiry = require("../models/Inquiry")
+const commissionService = require("./commissionService")
+const logger = require("../utils/logger")
+
+// Accounts holding money owed to a partner, in the order it moves through them
+const PARTNER_ACCOUNTS = ["partner_pending", "partner_payable", "payout_in_transit"]
+
+// Accounts that grow with debits: money held and money the platform spends
+const DEBIT_ACCOUNTS = ["cash", "promotions"]
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+class LedgerService {
+  /**
+   * Post a balanced transaction, at most once per transaction ID
+   * @param {string} transactionId - Unique ID of the transaction, such as payment:<paymentId>
+   * @param {string} type - Transaction type
+   * @param {Array} entries - { account, debit, credit } plus any references
+   * @param {Object} common - References and description shared by all entries
+   * @returns {boolean} Whether the transaction was posted, false if it already was
+   */
+  async post(transactionId, type, entries, common = {}) {
+    const lines = entries
+      .map((entry) => ({
+        ...common,
+        ...entry,
+        transactionId,
+        type,
+        debit: roundAmount(entry.debit || 0),
+        credit: roundAmount(entry.credit || 0),
+      }))
+      .filter((line) => line.debit > 0 || line.credit > 0)
+
+    const debits = roundAmount(lines.reduce((sum, line) => sum + line.debit, 0))
+    const credits = roundAmount(lines.reduce((sum, line) => sum + line.credit, 0))
+    if (debits !== credits) {
+      throw new Error(`Unbalanced ledger transaction ${transactionId}: ${debits} debit, ${credits} credit`)
+    }
+    if (lines.length === 0) {
+      return false
+    }
+
+    try {
+      await LedgerEntry.insertMany(lines)
+    } catch (error) {
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
+
+    return true
+  }
+
+  /**
+   * Book a completed payment: the gateway holds the money, the platform earns its commission
+   * and the rest is owed to the partner once the booking is completed
+   * A promo subsidy on the payment is paid by the platform, so the partner earns on the undiscounted amount
+   * @param {Object} payment - Paid payment
+   * @returns {Object|null} Payment with the commission it was charged, null if its partner no longer exists
+   */
+  async recordPayment(payment) {
+    if (payment.commission && payment.commission.amount !== undefined) {
+      return payment
+    }
+
+    const [partner, inquiry] = await Promise.all([
+      Partner.findById(payment.partnerId).select("isFeatured tier"),
+      Inquiry.findById(payment.inquiryId).select("category"),
+    ])
+
+    // Nobody to owe the money to, left out of the ledger until someone looks into it
+    if (!partner) {
+      logger.error(`Partner ${payment.partnerId} of payment ${payment._id} not found, payment not booked`)
+      return null
+    }
+
+    const { percent, ruleId } = await commissionService.resolveRate(partner, inquiry && inquiry.category)
+    const subsidy = payment.promoSubsidy || 0
+    const commission = commissionService.calculate(payment.amount + subsidy, percent)
+
+    await this.post(
+      `payment:${payment._id}`,
+      "payment",
+      [
+        { account: "cash", debit: payment.amount },
+        { account: "promotions", debit: subsidy },
+        { account: "commission", credit: commission },
+        { account: "partner_pending", credit: payment.amount + subsidy - commission },
+      ],
+      {
+        partnerId: payment.partnerId,
+        bookingId: payment.bookingId,
+        paymentId: payment._id,
+        description: `${payment.description || payment.type} received, ${percent}% commission`,
+      },
+    )
+
+    return Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { commission: { percent, amount: commission, ruleId } } },
+      { new: true },
+    )
+  }
+
+  /**
+   * Book a refund, taking it back from the partner and the platform in the payment's commission ratio
+   * The matching share of a promo subsidy goes back to the promotions account
+   * @param {Object} payment - Refunded payment
+   * @param {number} amount - Amount refunded
+   * @param {string} refundId - Gateway refund ID
+   * @returns {boolean} Whether the refund was posted
+   */
+  async recordRefund(payment, amount, refundId) {
+    // The payment has to be in the ledger before anything can be taken back from it
+    const booked = await this.recordPayment(payment)
+    if (!booked) {
+      logger.error(`Refund ${refundId} of payment ${payment._id} not booked, the payment isn't in the ledger`)
+      return false
+    }
+
+    const subsidy = booked.amount > 0 ? roundAmount(((booked.promoSubsidy || 0) * amount) / booked.amount) : 0
+    const commission = commissionService.calculate(amount + subsidy, booked.commission.percent)
+
+    return this.post(
+      `refund:${refundId}`,
+      "refund",
+      [
+        { account: "partner_pending", debit: amount + subsidy - commission },
+        { account: "commission", debit: commission },
+        { account: "cash", credit: amount },
+        { account: "promotions", credit: subsidy },
+      ],
+      {
+        partnerId: payment.partnerId,
+        bookingId: payment.bookingId,
+        paymentId: payment._id,
+        description: `Refund of ${payment.description || payment.type}`,
+      },
+    )
+  }
+
+  /**
+   * Make what the partner earned on a booking available for payout
+   * Called once the booking is completed, or cancelled and its refund settled
+   * @param {Object} booking - Booking with partnerId
+   * @returns {number} Amount released
+   */
+  async releaseBooking(booking) {
+    const [pending] = await LedgerEntry.aggregate([
+      { $match: { bookingId: booking._id, account: "partner_pending" } },
+      { $group: { _id: null, balance: { $sum: { $subtract: ["$credit", "$debit"] } } } },
+    ])
+
+    const amount = roundAmount(pending ? pending.balance : 0)
+    if (amount <= 0) {
+      return 0
+    }
+
+    const posted = await this.post(
+      `release:${booking._id}`,
+      "release",
+      [
+        { account: "partner_pending", debit: amount },
+        { account: "partner_payable", credit: amount },
+      ],
+      {
+        partnerId: booking.partnerId,
+        bookingId: booking._id,
+        description: `Earnings released for booking ${booking._id}`,
+      },
+    )
+
+    return posted ? amount : 0
+  }
+
+  /**
+   * Book payments that were made but never reached the ledger, e.g. after a failed write
+   * A payment that still can't be booked is logged and tried again on the next run
+   * @returns {number} Number of payments booked
+   */
+  async recordMissingPayments() {
+    const payments = await Payment.find({
+      status: { $in: ["paid", "refunded"] },
+      "commission.amount": { $exists: false },
+    })
+
+    let bookedCount = 0
+    for (const payment of payments) {
+      try {
+        if (await this.recordPayment(payment)) {
+          bookedCount++
+        }
+      } catch (error) {
+        logger.error(`Error booking missing payment ${payment._id} in the ledger:`, error)
+      }
+    }
+
+    return bookedCount
+  }
+
+  /**
+   * Balances of the money owed to a partner
+   * @param {string} partnerId - Partner ID
+   * @returns {Object} { pending, available, inTransit }
+   */
+  async getPartnerBalance(partnerId) {
+    const balances = await LedgerEntry.aggregate([
+      {
+        $match: { partnerId: new mongoose.Types.ObjectId(partnerId), account: { $in: PARTNER_ACCOUNTS } },
+      },
+      { $group: { _id: "$account", balance: { $sum: { $subtract: ["$credit", "$debit"] } } } },
+    ])
+
+    const byAccount = Object.fromEntries(balances.map(({ _id, balance }) => [_id, roundAmount(balance)]))
+
+    return {
+      pending: byAccount.partner_pending || 0,
+      available: byAccount.partner_payable || 0,
+      inTransit: byAccount.payout_in_transit || 0,
+    }
+  }
+
+  /**
+   * Balances of every account across the platform
+   * @returns {Object} Account to balance, debit-normal accounts are positive when they hold money
+   */
+  async getAccountBalances() {
+    const balances = await LedgerEntry.aggregate([
+      { $group: { _id: "$account", debit: { $sum: "$debit" }, credit: { $sum: "$credit" } } },
+    ])
+
+    return Object.fromEntries(
+      balances.map(({ _id, debit, credit }) => [
+        _id,
+        roundAmount(DEBIT_ACCOUNTS.includes(_id) ? debit - credit : credit - debit),
+      ]),
+    )
+  }
+
+  /**
+   * List the ledger entries affecting a partner, with totals per transaction type for the period
+   * @param {string} partnerId - Partner ID
+   * @param {Object} options - from, to, page and limit
+   * @returns {Object} { entries, totals, total }
+   */
+  async getPartnerStatement(partnerId, { from, to, page = 1, limit = 20 }) {
+    const match = {
+      partnerId: new mongoose.Types.ObjectId(partnerId),
+      account: { $in: ["partner_pending", "partner_payable"] },
+    }
+    if (from || to) {
+      match.createdAt = {}
+      if (from) match.createdAt.$gte = new Date(from)
+      if (to) match.createdAt.$lte = new Date(to)
+    }
+
+    const [entries, total, totals] = await Promise.all([
+      LedgerEntry.find(match)
+        .populate("paymentId", "type description amount commission")
+        .populate("payoutId", "batch status bankReference")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      LedgerEntry.countDocuments(match),
+      LedgerEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { type: "$type", account: "$account" },
+            amount: { $sum: { $subtract: ["$credit", "$debit"] } },
+          },
+        },
+      ]),
+    ])
+
+    return {
+      entries: entries.map((entry) => ({
+        id: entry._id,
+        date: entry.createdAt,
+        type: entry.type,
+        account: entry.account,
+        description: entry.description,
+        amount: roundAmount(entry.credit - entry.debit),
+        bookingId: entry.bookingId,
+        payment: entry.paymentId,
+        payout: entry.payoutId,
+      })),
+      totals: {
+        earned: roundAmount(this.sumTotals(totals, "payment", "partner_pending")),
+        refunded: roundAmount(-this.sumTotals(totals, "refund", "partner_pending")),
+        released: roundAmount(this.sumTotals(totals, "release", "partner_payable")),
+        paidOut: roundAmount(-this.sumTotals(totals, "payout", "partner_payable")),
+        returnedPayouts: roundAmount(this.sumTotals(totals, "payout_failed", "partner_payable")),
+      },
+      total,
+    }
+  }
+
+  /**
+   * Pick a total out of the statement aggregation
+   * @param {Array} totals - Aggregated { _id: { type, account }, amount }
+   * @param {string} type - Transaction type
+   * @param {string} account - Account
+   * @returns {number} Total, 0 if there were no such entries
+   */
+  sumTotals(totals, type, account) {
+    const row = totals.find(({ _id }) => _id.type === type && _id.account === account)
+    return row ? row.amount : 0
+  }
+}
+
+module.exports = new LedgerService()
+module.exports.PARTNER_ACCOUNTS = PARTNER_ACCOUNTS
@@ -1,14 +1,38 @@
 const Partner = require("../models/Partner")
+const Inquiry = require("../models/Inquiry")
+const availabilityService = require("./availabilityService")
+const packageService = require("./packageService")
+const inquiryStatusService = require("./inquiryStatusService")
+const { toGeoPoint, withinRadius, distanceKm } = require("../utils/geo")
+const eventBus = require("./eventBus")
+const { EVENTS } = require("./eventBus")
 const logger = require("../utils/logger")
 
+// How far from the venue a partner may be based to be matched
+const MATCH_RADIUS_KM = Number.parseFloat(process.env.MATCH_RADIUS_KM) || 50
+
+// Partners an inquiry is distributed to, and the number of still-interested partners below which it is re-matched
+const PARTNERS_PER_INQUIRY = Number.parseInt(process.env.PARTNERS_PER_INQUIRY) || 5
+const MIN_ACTIVE_PARTNERS = Number.parseInt(process.env.MIN_ACTIVE_PARTNERS) || 3
+
+// Hours a partner has to respond to a lead before it can be passed to someone else
+const LEAD_RESPONSE_HOURS = Number.parseInt(process.env.LEAD_RESPONSE_HOURS) || 48
+
+// Hours before the response deadline at which the partner is reminded
+const LEAD_REMINDER_HOURS = Number.parseInt(process.env.LEAD_REMINDER_HOURS) || 12
+
+// Inquiries that can still take on more partners
+const REMATCH_STATUSES = ["new", "assigned", "responded", "negotiating"]
+
 class MatchingService {
   /**
    * Find matching partners for an inquiry
    * @param {Object} inquiry - The inquiry object
    * @param {number} limit - Maximum number of partners to return
+   * @param {Array} excludeIds - Partner IDs that must not be matched (e.g. already tried)
    * @returns {Array} Array of matching partner IDs
    */
-  async findMatchingPartners(inquiry, limit = 5) {
+  async findMatchingPartners(inquiry, limit = PARTNERS_PER_INQUIRY, excludeIds = []) {
     try {
       const { category, location, budget, eventDetails } = inquiry
 
@@ -17,19 +41,41 @@ class MatchingService {
         "verification.status": "verified",
         isActive: true,
         "businessInfo.categories": category,
-        "location.city": { $regex: new RegExp(location.city, "i") },
+        $and: [],
       }
 
-      // Budget filtering
+      // Partners based near the venue or serving its city or state
+      matchCriteria.$and.push(this.buildServiceAreaQuery(location, MATCH_RADIUS_KM))
+
+      // Budget filtering on package prices, or the overall price range for partners without packages
       if (budget && budget.max) {
-        matchCriteria.$or = [
-          { "businessInfo.priceRange.min": { $lte: budget.max } },
-          { "businessInfo.priceRange.max": { $gte: budget.min || 0 } },
-        ]
+        const priceRangeQuery = {
+          $or: [
+            { "businessInfo.priceRange.min": { $lte: budget.max } },
+            { "businessInfo.priceRange.max": { $gte: budget.min || 0 } },
+          ],
+        }
+        matchCriteria.$and.push(await packageService.buildBudgetQuery({ category, max: budget.max }, priceRangeQuery))
       }
 
-      // Find matching partners
-      const partners = await Partner.find(matchCriteria)
+      // Skip excluded partners and those who are blocked or booked during the event
+      const skippedPartnerIds = [...excludeIds]
+      if (eventDetails && eventDetails.eventDate) {
+        const { start, end } = availabilityService.getEventWindow(
+          eventDetails.eventDate,
+          eventDetails.eventTime,
+          eventDetails.duration,
+        )
+        skippedPartnerIds.push(...(await availabilityService.findUnavailablePartnerIds(start, end)))
+      }
+
+      if (skippedPartnerIds.length > 0) {
+        matchCriteria._id = { $nin: skippedPartnerIds }
+      }
+
+      // Find matching partners, dropping those whose service area doesn't reach the venue
+      // The check runs here rather than in the query, so keep reading until enough partners pass it
+      const cursor = Partner.find(matchCriteria)
         .populate("userId", "profile isActive")
         .sort({
           isFeatured: -1,
@@ -37,7 +83,18 @@ class MatchingService {
           totalBookings: -1,
           createdAt: -1,
         })
-        .limit(limit)
+        .cursor()
+
+      const partners = []
+      for await (const partner of cursor) {
+        if (partners.length >= limit) {
+          await cursor.close()
+          break
+        }
+        if (this.resolveServiceArea(partner, location)) {
+          partners.push(partner)
+        }
+      }
 
       // Apply additional scoring logic
       const scoredPartners = partners.map((partner) => ({
@@ -53,6 +110,67 @@ class MatchingService {
     }
   }
 
+  /**
+   * Build a query matching partners who are based in or serve a location
+   * @param {Object} location - { city, state, coordinates }
+   * @param {number} radiusKm - Also match partners based within this distance of the coordinates
+   * @returns {Object} MongoDB query
+   */
+  buildServiceAreaQuery(location, radiusKm) {
+    const { city, state, coordinates } = location
+    const clauses = []
+
+    if (city) {
+      const cityRegex = this.buildNameRegex(city)
+      clauses.push({ "location.city": cityRegex }, { "serviceAreas.city": cityRegex })
+    }
+
+    if (state) {
+      clauses.push({
+        serviceAreas: { $elemMatch: { city: { $in: [null, ""] }, state: this.buildNameRegex(state) } },
+      })
+    }
+
+    if (radiusKm && toGeoPoint(coordinates)) {
+      clauses.push({ "location.geo": withinRadius(coordinates.latitude, coordinates.longitude, radiusKm) })
+    }
+
+    return { $or: clauses }
+  }
+
+  /**
+   * Build a regex matching a city or state name exactly, ignoring case and surrounding spaces
+   * @param {string} name - Name as entered, special characters are matched literally
+   * @returns {RegExp} Anchored case-insensitive regex
+   */
+  buildNameRegex(name) {
+    const escaped = String(name)
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    return new RegExp(`^\\s*${escaped}\\s*$`, "i")
+  }
+
+  /**
+   * Resolve how a partner serves an inquiry location
+   * @param {Object} partner - Partner document
+   * @param {Object} location - Inquiry location
+   * @returns {Object|null} Service area with its travel fee, or null if the partner doesn't serve the location
+   */
+  resolveServiceArea(partner, location) {
+    const area = partner.findServiceArea(location)
+    if (area) {
+      return area
+    }
+
+    // Partners based close to the venue serve it without a travel fee
+    const distance = distanceKm(partner.location.coordinates, location.coordinates)
+    if (distance !== null && distance <= MATCH_RADIUS_KM) {
+      return { city: partner.location.city, state: partner.location.state, travelFee: 0, isHomeCity: false }
+    }
+
+    return null
+  }
+
   /**
    * Calculate match score for a partner
    * @param {Object} partner - Partner object
@@ -78,8 +196,11 @@ class MatchingService {
     // Experience bonus
     score += Math.min(partner.businessInfo.experience * 2, 20)
 
-    // Location match (same city)
-    if (partner.location.city.toLowerCase() === inquiry.location.city.toLowerCase()) {
+    // Location match: closer to the venue scores higher, same city when coordinates are missing
+    const distance = distanceKm(partner.location.coordinates, inquiry.location.coordinates)
+    if (distance !== null) {
+      score += 15 * Math.max(0, 1 - distance / MATCH_RADIUS_KM)
+    } else if (partner.location.city.toLowerCase() === inquiry.location.city.toLowerCase()) {
       score += 15
     }
 
@@ -101,6 +222,11 @@ class MatchingService {
       }
     }
 
+    // Responsiveness bonus: partners who quote quickly get up to 10 points
+    if (partner.averageResponseMinutes !== null) {
+      score += 10 * Math.max(0, 1 - partner.averageResponseMinutes / (LEAD_RESPONSE_HOURS * 60))
+    }
+
     // Booking history bonus
     if (partner.totalBookings > 0) {
       score += Math.min(partner.totalBookings, 10)
@@ -118,17 +244,15 @@ class MatchingService {
    * Get partner availability for a specific date
    * @param {string} partnerId - Partner ID
    * @param {Date} eventDate - Event date
+   * @param {string} eventTime - Event start time in HH:MM format
+   * @param {number} duration - Event duration in hours
    * @returns {boolean} Availability status
    */
-  async checkPartnerAvailability(partnerId, eventDate) {
+  async checkPartnerAvailability(partnerId, eventDate, eventTime, duration) {
     try {
-      // This is a simplified version
-      // In a real application, you would check against a booking calendar
-
-      // For now, we'll assume partners are available
-      // You could integrate with a calendar system or booking model
+      const { start, end } = availabilityService.getEventWindow(eventDate, eventTime, duration)
 
-      return true
+      return await availabilityService.isAvailable(partnerId, start, end)
     } catch (error) {
       logger.error("Error checking partner availability:", error)
       return false
@@ -143,20 +267,16 @@ class MatchingService {
    */
   async distributeInquiry(inquiryId, partnerIds) {
     try {
-      const Inquiry = require("../models/Inquiry")
-
-      const assignedPartners = partnerIds.map((partnerId) => ({
-        partnerId,
-        assignedAt: new Date(),
-      }))
+      const assignedPartners = this.buildAssignments(partnerIds)
 
-      await Inquiry.findByIdAndUpdate(inquiryId, {
-        $set: {
-          assignedPartners,
-          status: "assigned",
-        },
+      await inquiryStatusService.transition(inquiryId, "assigned", {
+        actor: inquiryStatusService.SYSTEM_ACTOR,
+        reason: `Distributed to ${partnerIds.length} partners`,
+        update: { $set: { assignedPartners } },
       })
 
+      eventBus.emit(EVENTS.LEAD_ASSIGNED, { inquiryId, assignments: assignedPartners })
+
       logger.info(`Inquiry ${inquiryId} distributed to ${partnerIds.length} partners`)
 
       return {
@@ -169,6 +289,214 @@ class MatchingService {
       throw error
     }
   }
+
+  /**
+   * Build assignedPartners entries with their response deadline
+   * @param {Array} partnerIds - Array of partner IDs
+   * @returns {Array} Assignment entries
+   */
+  buildAssignments(partnerIds) {
+    const assignedAt = new Date()
+    const respondBy = new Date(assignedAt.getTime() + LEAD_RESPONSE_HOURS * 60 * 60 * 1000)
+
+    return partnerIds.map((partnerId) => ({ partnerId, assignedAt, respondBy }))
+  }
+
+  /**
+   * Check whether an assigned partner may still respond to or is working on the inquiry
+   * @param {Object} assignment - Assigned partner entry
+   * @param {Date} now - Reference time
+   * @returns {boolean} Whether the partner still counts towards the inquiry
+   */
+  isActiveAssignment(assignment, now = new Date()) {
+    if (assignment.declinedAt) {
+      return false
+    }
+    if (assignment.response && assignment.response.respondedAt) {
+      return true
+    }
+    return !assignment.respondBy || assignment.respondBy > now
+  }
+
+  /**
+   * Top up an inquiry with new partners when too many assigned partners declined or didn't respond in time
+   * New partners are appended to assignedPartners and partners already tried are never matched again
+   * @param {string} inquiryId - Inquiry ID
+   * @returns {Object} Re-matching result
+   */
+  async rematchInquiry(inquiryId) {
+    try {
+      const inquiry = await Inquiry.findById(inquiryId)
+      if (!inquiry || !REMATCH_STATUSES.includes(inquiry.status)) {
+        return { success: true, assignedCount: 0, partnerIds: [] }
+      }
+
+      const activeCount = inquiry.assignedPartners.filter((assignment) => this.isActiveAssignment(assignment)).length
+      if (activeCount >= MIN_ACTIVE_PARTNERS) {
+        return { success: true, assignedCount: 0, partnerIds: [] }
+      }
+
+      const triedPartnerIds = inquiry.assignedPartners.map((assignment) => assignment.partnerId)
+      const partnerIds = await this.findMatchingPartners(inquiry, PARTNERS_PER_INQUIRY - activeCount, triedPartnerIds)
+
+      if (partnerIds.length === 0) {
+        logger.warn(`No replacement partners found for inquiry ${inquiryId}`)
+        return { success: true, assignedCount: 0, partnerIds: [] }
+      }
+
+      const assignments = this.buildAssignments(partnerIds)
+      const update = { $push: { assignedPartners: { $each: assignments } } }
+      const reason = `Re-matched to ${partnerIds.length} more partners`
+
+      // Inquiries already being quoted keep their status, only unanswered ones move (back) to assigned
+      if (["new", "assigned"].includes(inquiry.status)) {
+        await inquiryStatusService.transition(inquiryId, "assigned", {
+          actor: inquiryStatusService.SYSTEM_ACTOR,
+          reason,
+          update,
+        })
+      } else {
+        await Inquiry.updateOne({ _id: inquiryId, status: inquiry.status }, update)
+      }
+
+      eventBus.emit(EVENTS.LEAD_ASSIGNED, { inquiryId, assignments })
+
+      logger.info(`Inquiry ${inquiryId}: ${reason}`)
+
+      return {
+        success: true,
+        assignedCount: partnerIds.length,
+        partnerIds,
+      }
+    } catch (error) {
+      logger.error("Error re-matching inquiry:", error)
+      throw error
+    }
+  }
+
+  /**
+   * Mark leads whose response deadline passed as expired and re-match their inquiries
+   * Each expired lead counts against the partner's response stats
+   * @returns {Object} Number of leads expired and inquiries re-matched
+   */
+  async expireUnansweredLeads() {
+    const now = new Date()
+    const isOverdue = (assignment) =>
+      assignment.respondBy &&
+      assignment.respondBy < now &&
+      !assignment.expiredAt &&
+      !assignment.declinedAt &&
+      !(assignment.response && assignment.response.respondedAt)
+
+    const inquiries = await Inquiry.find({
+      status: { $in: REMATCH_STATUSES },
+      assignedPartners: {
+        $elemMatch: {
+          respondBy: { $lt: now },
+          expiredAt: { $exists: false },
+          declinedAt: { $exists: false },
+          "response.respondedAt": { $exists: false },
+        },
+      },
+    }).select("assignedPartners")
+
+    let expiredCount = 0
+    let rematchedCount = 0
+
+    for (const inquiry of inquiries) {
+      for (const assignment of inquiry.assignedPartners.filter(isOverdue)) {
+        // Guarded per partner so a lead answered in the meantime isn't expired
+        const result = await Inquiry.updateOne(
+          {
+            _id: inquiry._id,
+            assignedPartners: {
+              $elemMatch: {
+                partnerId: assignment.partnerId,
+                expiredAt: { $exists: false },
+                declinedAt: { $exists: false },
+                "response.respondedAt": { $exists: false },
+              },
+            },
+          },
+          { $set: { "assignedPartners.$.expiredAt": now } },
+        )
+
+        if (result.modifiedCount > 0) {
+          expiredCount++
+          await Partner.recordLeadOutcome(assignment.partnerId, "expired")
+        }
+      }
+
+      const { assignedCount } = await this.rematchInquiry(inquiry._id)
+      if (assignedCount > 0) {
+        rematchedCount++
+      }
+    }
+
+    return { expiredCount, rematchedCount }
+  }
+
+  /**
+   * Remind partners whose response deadline for a lead is coming up, once per lead
+   * @returns {number} Number of reminders sent
+   */
+  async remindUnansweredLeads() {
+    const now = new Date()
+    const pending = {
+      respondBy: { $gt: now, $lte: new Date(now.getTime() + LEAD_REMINDER_HOURS * 60 * 60 * 1000) },
+      remindedAt: { $exists: false },
+      declinedAt: { $exists: false },
+      "response.respondedAt": { $exists: false },
+    }
+
+    const inquiries = await Inquiry.find({
+      status: { $in: REMATCH_STATUSES },
+      assignedPartners: { $elemMatch: pending },
+    })
+      .select("category location eventDetails assignedPartners")
+      .populate("assignedPartners.partnerId", "userId")
+
+    let sentCount = 0
+    for (const inquiry of inquiries) {
+      const dueAssignments = inquiry.assignedPartners.filter(
+        (assignment) =>
+          assignment.partnerId &&
+          assignment.respondBy > now &&
+          assignment.respondBy <= pending.respondBy.$lte &&
+          !assignment.remindedAt &&
+          !assignment.declinedAt &&
+          !(assignment.response && assignment.response.respondedAt),
+      )
+
+      for (const assignment of dueAssignments) {
+        const partner = assignment.partnerId
+
+        // Mark first so overlapping runs never remind the same partner twice
+        const result = await Inquiry.updateOne(
+          { _id: inquiry._id, assignedPartners: { $elemMatch: { partnerId: partner._id, ...pending } } },
+          { $set: { "assignedPartners.$.remindedAt": now } },
+        )
+        if (result.modifiedCount === 0 || !partner.userId) {
+          continue
+        }
+
+        eventBus.emit(EVENTS.LEAD_REMINDER, {
+          userId: partner.userId,
+          partnerId: partner._id,
+          inquiryId: inquiry._id,
+          lead: {
+            category: inquiry.category,
+            city: inquiry.location.city,
+            eventDate: inquiry.eventDetails.eventDate,
+          },
+          respondBy: assignment.respondBy,
+        })
+        sentCount++
+      }
+    }
+
+    return sentCount
+  }
 }
 
 module.exports = new MatchingService()
@@ -0,0 +1,166 @@
+const mongoose = require("mongoose")
+const Message = require("../models/Message")
+const Inquiry = require("../models/Inquiry")
+const Partner = require("../models/Partner")
+const { getPrivateStorage } = require("./storage")
+const logger = require("../utils/logger")
+
+class MessageService {
+  /**
+   * Resolve a client–partner thread the user is allowed to access
+   * @param {Object} user - Authenticated user
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} partnerId - Assigned partner ID
+   * @returns {Object|null} Inquiry, partner and the other participant's user ID, or null if not accessible
+   */
+  async resolveThread(user, inquiryId, partnerId) {
+    const inquiry = await Inquiry.findOne({ _id: inquiryId, "assignedPartners.partnerId": partnerId })
+    if (!inquiry) {
+      return null
+    }
+
+    const partner = await Partner.findById(partnerId)
+    if (!partner) {
+      return null
+    }
+
+    // Only the inquiry's client and the assigned partner take part in a thread
+    if (user.role === "client" && inquiry.clientId.equals(user._id)) {
+      return { inquiry, partner, recipientId: partner.userId }
+    }
+
+    if (user.role === "partner" && partner.userId.equals(user._id)) {
+      return { inquiry, partner, recipientId: inquiry.clientId }
+    }
+
+    return null
+  }
+
+  /**
+   * Store message attachments
+   * Files go to private storage and are only served to thread participants through the attachment route
+   * @param {Array} files - Multer files (buffer and detected extension)
+   * @param {string} inquiryId - Inquiry the thread belongs to
+   * @param {string} partnerId - Partner the thread belongs to
+   * @returns {Array} Attachment entries ready for Message.attachments
+   */
+  async storeAttachments(files, inquiryId, partnerId) {
+    const storage = getPrivateStorage()
+    const attachments = []
+
+    try {
+      for (const file of files) {
+        const stored = await storage.upload(file.buffer, {
+          folder: `messages/${inquiryId}`,
+          extension: file.extension,
+        })
+
+        const _id = new mongoose.Types.ObjectId()
+        attachments.push({
+          _id,
+          url: `/api/inquiry/${inquiryId}/threads/${partnerId}/attachments/${_id}`,
+          storageKey: stored.key,
+          filename: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size,
+        })
+      }
+    } catch (error) {
+      for (const attachment of attachments) {
+        await storage.remove(attachment.storageKey).catch((removeError) => {
+          logger.error(`Failed to remove attachment ${attachment.storageKey}:`, removeError)
+        })
+      }
+      throw error
+    }
+
+    return attachments
+  }
+
+  /**
+   * Find an attachment of a thread and read its contents
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} partnerId - Partner ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Object|null} Attachment entry and file contents, or null if not found
+   */
+  async getAttachment(inquiryId, partnerId, attachmentId) {
+    const message = await Message.findOne(
+      { inquiryId, partnerId, "attachments._id": attachmentId },
+      { "attachments.$": 1 },
+    )
+    const attachment = message && message.attachments[0]
+    if (!attachment || !attachment.storageKey) {
+      return null
+    }
+
+    try {
+      const buffer = await getPrivateStorage().read(attachment.storageKey)
+      return { attachment, buffer }
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Mark every message in a thread addressed to the user as read
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} partnerId - Partner ID
+   * @param {string} userId - Reader's user ID
+   * @returns {number} Number of messages marked as read
+   */
+  async markThreadRead(inquiryId, partnerId, userId) {
+    const result = await Message.updateMany(
+      { inquiryId, partnerId, recipientId: userId, readAt: null },
+      { $set: { readAt: new Date() } },
+    )
+    return result.modifiedCount
+  }
+
+  /**
+   * Summarize threads of an inquiry with their last message and unread count for the user
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} userId - Viewer's user ID
+   * @param {Array} partnerIds - Partners whose threads the viewer may see
+   * @returns {Array} Thread summaries
+   */
+  async getThreadSummaries(inquiryId, userId, partnerIds) {
+    const viewerId = new mongoose.Types.ObjectId(userId)
+
+    return Message.aggregate([
+      {
+        $match: {
+          inquiryId: new mongoose.Types.ObjectId(inquiryId),
+          partnerId: { $in: partnerIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$partnerId",
+          lastMessage: { $first: "$$ROOT" },
+          messageCount: { $sum: 1 },
+          unreadCount: {
+            $sum: { $cond: [{ $and: [{ $eq: ["$recipientId", viewerId] }, { $eq: ["$readAt", null] }] }, 1, 0] },
+          },
+        },
+      },
+      { $project: { _id: 0, partnerId: "$_id", lastMessage: 1, messageCount: 1, unreadCount: 1 } },
+      { $sort: { "lastMessage.createdAt": -1 } },
+    ])
+  }
+
+  /**
+   * Count unread messages addressed to a user across all threads
+   * @param {string} userId - User ID
+   * @returns {number} Unread message count
+   */
+  async getUnreadCount(userId) {
+    return Message.countDocuments({ recipientId: userId, readAt: null })
+  }
+}
+
+module.exports = new MessageService()
@@ -0,0 +1,198 @@
+const Inquiry = require("../models/Inquiry")
+const quotationService = require("./quotationService")
+const inquiryStatusService = require("./inquiryStatusService")
+
+// Negotiation states in which one side still has to reply
+const OPEN_STATUSES = ["awaiting_partner", "awaiting_client"]
+
+// Negotiation state and timeline wording after each partner reply
+const PARTNER_REPLIES = {
+  accept: { status: "agreed", label: "accepted" },
+  reject: { status: "rejected", label: "rejected" },
+  counter: { status: "awaiting_client", label: "countered" },
+}
+
+class NegotiationError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "NegotiationError"
+    this.statusCode = statusCode
+  }
+}
+
+class NegotiationService {
+  /**
+   * Find a partner's assignment on an inquiry
+   * @param {Object} inquiry - Inquiry document
+   * @param {string} partnerId - Partner ID
+   * @returns {Object|undefined} Assigned partner entry
+   */
+  getAssignment(inquiry, partnerId) {
+    return inquiry.assignedPartners.find((assignment) => assignment.partnerId.toString() === partnerId.toString())
+  }
+
+  /**
+   * Check whether a negotiation is waiting on either side
+   * @param {Object} assignment - Assigned partner entry
+   * @returns {boolean} Whether the negotiation is open
+   */
+  isOpen(assignment) {
+    return Boolean(assignment && OPEN_STATUSES.includes(assignment.negotiation.status))
+  }
+
+  /**
+   * Status the inquiry should have once a partner's negotiation settles
+   * @param {Object} inquiry - Inquiry document
+   * @param {string} partnerId - Partner whose negotiation just settled
+   * @returns {string} negotiating while other partners still negotiate, otherwise responded
+   */
+  getSettledStatus(inquiry, partnerId) {
+    const othersOpen = inquiry.assignedPartners.some(
+      (assignment) => assignment.partnerId.toString() !== partnerId.toString() && this.isOpen(assignment),
+    )
+    return othersOpen ? "negotiating" : "responded"
+  }
+
+  /**
+   * Client counters or rejects a partner's current quotation
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} clientId - Client user ID
+   * @param {string} partnerId - Partner ID
+   * @param {Object} offer - action (counter or reject), price and message
+   * @returns {Object|null} Updated inquiry, or null if the inquiry or assignment doesn't exist
+   * @throws {NegotiationError} If it is the partner's turn or there is no quotation to negotiate
+   */
+  async clientRespond(inquiryId, clientId, partnerId, { action, price, message }) {
+    const inquiry = await Inquiry.findOne({ _id: inquiryId, clientId, "assignedPartners.partnerId": partnerId })
+    if (!inquiry) {
+      return null
+    }
+
+    const assignment = this.getAssignment(inquiry, partnerId)
+    if (assignment.negotiation.status === "awaiting_partner") {
+      throw new NegotiationError("Waiting for the partner to reply to your last offer")
+    }
+    if (action === "reject" && assignment.negotiation.status !== "awaiting_client") {
+      throw new NegotiationError("There is no counter-offer from the partner to reject")
+    }
+
+    const quote = await quotationService.getActive(inquiryId, partnerId)
+    if (!quote) {
+      throw new NegotiationError("Partner has not sent a quotation yet")
+    }
+
+    const isCounter = action === "counter"
+
+    return inquiryStatusService.transition(
+      inquiryId,
+      isCounter ? "negotiating" : this.getSettledStatus(inquiry, partnerId),
+      {
+        actor: { userId: clientId, role: "client" },
+        reason: isCounter
+          ? `Client countered quotation v${quote.version}`
+          : `Client rejected quotation v${quote.version}`,
+        filter: { clientId, "assignedPartners.partnerId": partnerId },
+        update: {
+          $set: { "assignedPartners.$.negotiation.status": isCounter ? "awaiting_partner" : "rejected" },
+          $push: {
+            "assignedPartners.$.negotiation.log": {
+              by: "client",
+              action,
+              price: isCounter ? price : undefined,
+              message,
+              quotationVersion: quote.version,
+              createdAt: new Date(),
+            },
+          },
+        },
+      },
+    )
+  }
+
+  /**
+   * Partner accepts, rejects or counters the client's latest offer
+   * Accepting or countering publishes a new quotation version the client can book
+   * @param {string} inquiryId - Inquiry ID
+   * @param {Object} partner - Partner document
+   * @param {string} userId - Partner user ID
+   * @param {Object} reply - action (accept, reject or counter), message and quotation fields for counters
+   * @returns {Object|null} { inquiry, quotation }, or null if the lead isn't assigned to the partner
+   * @throws {NegotiationError} If no client offer is waiting for the partner
+   */
+  async partnerRespond(inquiryId, partner, userId, { action, message, ...quoteData }) {
+    const inquiry = await Inquiry.findOne({ _id: inquiryId, "assignedPartners.partnerId": partner._id })
+    if (!inquiry) {
+      return null
+    }
+
+    const assignment = this.getAssignment(inquiry, partner._id)
+    if (assignment.negotiation.status !== "awaiting_partner") {
+      throw new NegotiationError("There is no counter-offer waiting for your reply")
+    }
+
+    const current = await quotationService.getActive(inquiryId, partner._id)
+    const offer = assignment.negotiation.log[assignment.negotiation.log.length - 1]
+
+    let quote = null
+    if (action === "accept") {
+      // Agreeing to a price replaces the items, a scope-only change keeps them
+      const items =
+        offer.price !== undefined && offer.price !== null
+          ? [{ description: "Negotiated price", unitPrice: offer.price }]
+          : current.items.map(({ description, quantity, unitPrice }) => ({ description, quantity, unitPrice }))
+
+      quote = await quotationService.buildVersion(inquiry, partner, {
+        items,
+        travelFee: current.travelFee,
+        terms: current.terms,
+        message: message || "Counter-offer accepted",
+      })
+    } else if (action === "counter") {
+      quote = await quotationService.buildVersion(inquiry, partner, {
+        ...quoteData,
+        travelFee: current.travelFee,
+        message,
+      })
+    }
+
+    const reply = PARTNER_REPLIES[action]
+    const changes = { "assignedPartners.$.negotiation.status": reply.status }
+    if (quote) {
+      changes["assignedPartners.$.response"] = quotationService.toResponseSummary(quote)
+    }
+
+    const recordReply = () =>
+      inquiryStatusService.transition(
+        inquiryId,
+        action === "counter" ? "negotiating" : this.getSettledStatus(inquiry, partner._id),
+        {
+          actor: { userId, role: "partner" },
+          reason: `Partner ${reply.label} the client's offer`,
+          filter: { "assignedPartners.partnerId": partner._id },
+          update: {
+            $set: changes,
+            $push: {
+              "assignedPartners.$.negotiation.log": {
+                by: "partner",
+                action,
+                price: quote ? quotationService.getServicePrice(quote) : undefined,
+                message,
+                quotationVersion: quote ? quote.version : offer.quotationVersion,
+                createdAt: new Date(),
+              },
+            },
+          },
+        },
+      )
+
+    const updated = quote ? await quotationService.publishVersion(quote, recordReply) : await recordReply()
+    if (!updated) {
+      return null
+    }
+
+    return { inquiry: updated, quotation: quote }
+  }
+}
+
+module.exports = new NegotiationService()
+module.exports.NegotiationError = NegotiationError
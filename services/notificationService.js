@@ -0,0 +1,455 @@
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const Partner = require("../models/Partner")
+const Inquiry = require("../models/Inquiry")
+const eventBus = require("./eventBus")
+const { EVENTS } = require("./eventBus")
+const {
+  sendOTPEmail,
+  sendPasswordResetEmail,
+  sendAdminInviteEmail,
+  sendWelcomeEmail,
+  sendPartnerVerificationEmail,
+  sendLeadAssignedEmail,
+  sendLeadReminderEmail,
+  sendQuotationReceivedEmail,
+  sendQuotationExpiryReminderEmail,
+  sendPartnerSelectedEmail,
+  sendBookingCancelledEmail,
+} = require("../utils/email")
+const logger = require("../utils/logger")
+
+// Events users are notified about, who receives them and the channels used until the user chooses otherwise
+const NOTIFICATION_EVENTS = {
+  [EVENTS.ACCOUNT_VERIFIED]: {
+    description: "Welcome once your account is verified",
+    roles: ["client", "partner", "admin"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.LEAD_ASSIGNED]: {
+    description: "A new lead is assigned to you",
+    roles: ["partner"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.LEAD_REMINDER]: {
+    description: "A lead is about to be passed on because you haven't responded",
+    roles: ["partner"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.PARTNER_RESPONDED]: {
+    description: "A partner sent you a quotation",
+    roles: ["client"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.QUOTATION_EXPIRING]: {
+    description: "A quotation you received is about to expire",
+    roles: ["client"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.PARTNER_SELECTED]: {
+    description: "A client booked you",
+    roles: ["partner"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.BOOKING_CANCELLED]: {
+    description: "One of your bookings was cancelled",
+    roles: ["client", "partner"],
+    inApp: true,
+    email: true,
+  },
+  [EVENTS.VERIFICATION_DECIDED]: {
+    description: "Your partner verification was approved or rejected",
+    roles: ["partner"],
+    inApp: true,
+    email: true,
+  },
+}
+
+class NotificationService {
+  /**
+   * Start delivering notifications for domain events
+   */
+  subscribe() {
+    eventBus.subscribe(EVENTS.ACCOUNT_VERIFIED, (payload) => this.onAccountVerified(payload))
+    eventBus.subscribe(EVENTS.LEAD_ASSIGNED, (payload) => this.onLeadAssigned(payload))
+    eventBus.subscribe(EVENTS.LEAD_REMINDER, (payload) => this.onLeadReminder(payload))
+    eventBus.subscribe(EVENTS.PARTNER_RESPONDED, (payload) => this.onPartnerResponded(payload))
+    eventBus.subscribe(EVENTS.QUOTATION_EXPIRING, (payload) => this.onQuotationExpiring(payload))
+    eventBus.subscribe(EVENTS.PARTNER_SELECTED, (payload) => this.onPartnerSelected(payload))
+    eventBus.subscribe(EVENTS.BOOKING_CANCELLED, (payload) => this.onBookingCancelled(payload))
+    eventBus.subscribe(EVENTS.VERIFICATION_DECIDED, (payload) => this.onVerificationDecided(payload))
+    eventBus.subscribe(EVENTS.OTP_REQUESTED, (payload) => this.onOtpRequested(payload))
+    eventBus.subscribe(EVENTS.PASSWORD_RESET_REQUESTED, (payload) => this.onPasswordResetRequested(payload))
+    eventBus.subscribe(EVENTS.ADMIN_INVITED, (payload) => this.onAdminInvited(payload))
+  }
+
+  /**
+   * Work out the channels a user receives an event on
+   * @param {Object} user - User with notificationPreferences
+   * @param {string} event - Event name
+   * @returns {Object} { inApp, email }
+   */
+  getChannels(user, event) {
+    const defaults = NOTIFICATION_EVENTS[event]
+    const preference = (user.notificationPreferences || []).find((item) => item.event === event)
+
+    return {
+      inApp: preference ? preference.inApp : defaults.inApp,
+      email: preference ? preference.email : defaults.email,
+    }
+  }
+
+  /**
+   * Notify a user on the channels they chose for the event
+   * @param {string} userId - Recipient
+   * @param {string} event - Event name
+   * @param {Object} content - title, message and data references for the in-app notification
+   * @param {Function} sendEmail - Sends the event's email, given the recipient user
+   * @returns {Object|null} In-app notification, null if the user doesn't receive it in the app
+   */
+  async notify(userId, event, { title, message, data }, sendEmail) {
+    const user = await User.findById(userId).select("email profile locale isActive notificationPreferences")
+    if (!user || !user.isActive) {
+      return null
+    }
+
+    const channels = this.getChannels(user, event)
+
+    let notification = null
+    if (channels.inApp) {
+      notification = await Notification.create({ userId: user._id, event, title, message, data })
+    }
+
+    if (channels.email && sendEmail) {
+      await sendEmail(user)
+    }
+
+    return notification
+  }
+
+  /**
+   * Send a verification code, by email only since the account can't be used until it is verified
+   * @param {Object} payload - email, otp, firstName and locale
+   * @returns {boolean} Whether the email was sent
+   */
+  async onOtpRequested({ email, otp, firstName, locale }) {
+    return sendOTPEmail(email, otp, firstName, locale)
+  }
+
+  /**
+   * Send a password reset code, by email only since it proves access to the address
+   * @param {Object} payload - email, code, firstName and locale
+   * @returns {boolean} Whether the email was sent
+   */
+  async onPasswordResetRequested({ email, code, firstName, locale }) {
+    return sendPasswordResetEmail(email, code, firstName, locale)
+  }
+
+  /**
+   * Invite someone to join as an admin, they have no account to keep preferences on yet
+   * @param {Object} payload - email, inviteUrl, invitedBy and expiresAt
+   * @returns {boolean} Whether the email was sent
+   */
+  async onAdminInvited({ email, inviteUrl, invitedBy, expiresAt }) {
+    return sendAdminInviteEmail(email, inviteUrl, invitedBy, expiresAt)
+  }
+
+  /**
+   * Welcome a user whose account was just verified
+   * @param {Object} payload - userId and role
+   */
+  async onAccountVerified({ userId, role }) {
+    await this.notify(
+      userId,
+      EVENTS.ACCOUNT_VERIFIED,
+      {
+        title: "Welcome to Pixisphere",
+        message:
+          role === "partner"
+            ? "Complete your profile and portfolio to get verified and start receiving leads."
+            : "Post an inquiry to get quotations from photographers near you.",
+      },
+      (user) => sendWelcomeEmail(user.email, user.profile.firstName, role, user.locale),
+    )
+  }
+
+  /**
+   * Tell partners about the leads they were just assigned
+   * @param {Object} payload - inquiryId and assignments of { partnerId, respondBy }
+   */
+  async onLeadAssigned({ inquiryId, assignments }) {
+    const inquiry = await Inquiry.findById(inquiryId).select("category location eventDetails")
+    if (!inquiry) {
+      return
+    }
+
+    const lead = {
+      category: inquiry.category,
+      city: inquiry.location.city,
+      eventDate: inquiry.eventDetails.eventDate,
+    }
+
+    const partners = await Partner.find({ _id: { $in: assignments.map(({ partnerId }) => partnerId) } }).select(
+      "userId",
+    )
+
+    for (const { partnerId, respondBy } of assignments) {
+      const partner = partners.find((item) => item._id.equals(partnerId))
+      if (!partner) {
+        continue
+      }
+
+      await this.notify(
+        partner.userId,
+        EVENTS.LEAD_ASSIGNED,
+        {
+          title: "New lead",
+          message: `A client is looking for a ${lead.category} photographer in ${lead.city} on ${lead.eventDate.toDateString()}.`,
+          data: { inquiryId, partnerId },
+        },
+        (user) => sendLeadAssignedEmail(user.email, user.profile.firstName, lead, respondBy, user.locale),
+      )
+    }
+  }
+
+  /**
+   * Remind a partner of a lead they haven't responded to
+   * @param {Object} payload - userId, partnerId, inquiryId, lead and respondBy
+   */
+  async onLeadReminder({ userId, partnerId, inquiryId, lead, respondBy }) {
+    await this.notify(
+      userId,
+      EVENTS.LEAD_REMINDER,
+      {
+        title: "A client is waiting for your quotation",
+        message: `Respond to the ${lead.category} inquiry in ${lead.city} before ${respondBy.toUTCString()} to keep the lead.`,
+        data: { inquiryId, partnerId },
+      },
+      (user) => sendLeadReminderEmail(user.email, user.profile.firstName, lead, respondBy, user.locale),
+    )
+  }
+
+  /**
+   * Tell a client a partner sent them a quotation
+   * @param {Object} payload - clientId, inquiryId, partnerId, quotationId, businessName and quote
+   */
+  async onPartnerResponded({ clientId, inquiryId, partnerId, quotationId, businessName, quote }) {
+    await this.notify(
+      clientId,
+      EVENTS.PARTNER_RESPONDED,
+      {
+        title: `New quotation from ${businessName}`,
+        message: `${businessName} quoted ₹${quote.total} for your ${quote.category} inquiry.`,
+        data: { inquiryId, partnerId, quotationId },
+      },
+      (user) => sendQuotationReceivedEmail(user.email, user.profile.firstName, businessName, quote, user.locale),
+    )
+  }
+
+  /**
+   * Remind a client of a quotation that is about to expire
+   * @param {Object} payload - clientId, inquiryId, partnerId, quotationId, businessName, total and validUntil
+   */
+  async onQuotationExpiring({ clientId, inquiryId, partnerId, quotationId, businessName, total, validUntil }) {
+    await this.notify(
+      clientId,
+      EVENTS.QUOTATION_EXPIRING,
+      {
+        title: "Quotation expiring soon",
+        message: `The quotation of ₹${total} from ${businessName} is valid until ${validUntil.toUTCString()}.`,
+        data: { inquiryId, partnerId, quotationId },
+      },
+      (user) =>
+        sendQuotationExpiryReminderEmail(
+          user.email,
+          user.profile.firstName,
+          businessName,
+          total,
+          validUntil,
+          user.locale,
+        ),
+    )
+  }
+
+  /**
+   * Tell a partner a client booked them
+   * @param {Object} payload - partnerId, inquiryId, bookingId and booking details
+   */
+  async onPartnerSelected({ partnerId, inquiryId, bookingId, booking }) {
+    const partner = await Partner.findById(partnerId).select("userId")
+    if (!partner) {
+      return
+    }
+
+    await this.notify(
+      partner.userId,
+      EVENTS.PARTNER_SELECTED,
+      {
+        title: "You have a new booking",
+        message: `${booking.clientName} booked you for the ${booking.category} shoot on ${booking.eventDate.toDateString()}.`,
+        data: { inquiryId, partnerId, bookingId },
+      },
+      (user) => sendPartnerSelectedEmail(user.email, user.profile.firstName, booking, user.locale),
+    )
+  }
+
+  /**
+   * Tell the client and the partner a booking was cancelled and what is refunded
+   * @param {Object} payload - The cancelled booking
+   */
+  async onBookingCancelled({ booking }) {
+    const partner = await Partner.findById(booking.partnerId).select("userId businessInfo.businessName")
+    if (!partner) {
+      return
+    }
+
+    const details = {
+      eventDate: booking.schedule.eventDate,
+      businessName: partner.businessInfo.businessName,
+      cancelledByRole: booking.cancelledByRole,
+      reason: booking.cancellationReason,
+      refund: booking.refund,
+    }
+
+    const recipients = [
+      { userId: booking.clientId, recipient: "client" },
+      { userId: partner.userId, recipient: "partner" },
+    ]
+
+    for (const { userId, recipient } of recipients) {
+      const refund =
+        booking.refund && booking.refund.amount > 0 ? ` A refund of ₹${booking.refund.amount} applies.` : ""
+
+      await this.notify(
+        userId,
+        EVENTS.BOOKING_CANCELLED,
+        {
+          title: "Booking cancelled",
+          message: `The booking with ${details.businessName} on ${details.eventDate.toDateString()} was cancelled.${refund}`,
+          data: { inquiryId: booking.inquiryId, partnerId: booking.partnerId, bookingId: booking._id },
+        },
+        (user) => sendBookingCancelledEmail(user.email, user.profile.firstName, recipient, details, user.locale),
+      )
+    }
+  }
+
+  /**
+   * Tell a partner the outcome of their verification
+   * @param {Object} payload - userId, partnerId, status and comment
+   */
+  async onVerificationDecided({ userId, partnerId, status, comment }) {
+    await this.notify(
+      userId,
+      EVENTS.VERIFICATION_DECIDED,
+      {
+        title: status === "verified" ? "Your partner account is verified" : "Partner verification update",
+        message:
+          status === "verified"
+            ? "You can now start receiving inquiries from clients."
+            : `Your verification was not approved${comment ? `: ${comment}` : "."} Update your profile and resubmit.`,
+        data: { partnerId },
+      },
+      (user) => sendPartnerVerificationEmail(user.email, user.profile.firstName, status, comment, user.locale),
+    )
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - unread, page and limit
+   * @returns {Object} { notifications, total, unreadCount }
+   */
+  async list(userId, { unread, page = 1, limit = 20 }) {
+    const query = { userId }
+    if (unread) query.readAt = null
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, readAt: null }),
+    ])
+
+    return { notifications, total, unreadCount }
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Object|null} Notification, null if it isn't the user's
+   */
+  async markRead(userId, notificationId) {
+    const notification = await Notification.findOne({ _id: notificationId, userId })
+    if (notification && !notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+    return notification
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {number} Number of notifications marked
+   */
+  async markAllRead(userId) {
+    const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } })
+    return result.modifiedCount
+  }
+
+  /**
+   * List the notification events relevant to a user with the channels they receive them on
+   * @param {Object} user - User with role and notificationPreferences
+   * @returns {Array} { event, description, inApp, email }
+   */
+  getPreferences(user) {
+    return Object.entries(NOTIFICATION_EVENTS)
+      .filter(([, config]) => config.roles.includes(user.role))
+      .map(([event, config]) => ({ event, description: config.description, ...this.getChannels(user, event) }))
+  }
+
+  /**
+   * Change the channels a user receives events on, events left out keep their current channels
+   * @param {string} userId - User ID
+   * @param {Object} changes - preferences of { event, inApp, email } and the locale of emails
+   * @returns {Object|null} { locale, preferences }, null if the user doesn't exist
+   */
+  async updatePreferences(userId, { preferences = [], locale }) {
+    const user = await User.findById(userId).select("role locale notificationPreferences")
+    if (!user) {
+      return null
+    }
+
+    const byEvent = new Map(user.notificationPreferences.map((item) => [item.event, item.toObject()]))
+    for (const { event, inApp, email } of preferences) {
+      const current = this.getChannels(user, event)
+      byEvent.set(event, {
+        event,
+        inApp: inApp === undefined ? current.inApp : inApp,
+        email: email === undefined ? current.email : email,
+      })
+    }
+
+    user.notificationPreferences = [...byEvent.values()]
+    if (locale) {
+      user.locale = locale
+    }
+    await user.save()
+
+    logger.info(`Notification preferences updated for user ${userId}`)
+
+    return { locale: user.locale, preferences: this.getPreferences(user) }
+  }
+}
+
+module.exports = new NotificationService()
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS
@@ -0,0 +1,48 @@
+const Package = require("../models/Package")
+
+class PackageService {
+  /**
+   * Build a query matching partners whose prices fit a budget
+   * Partners with active packages are compared on their package prices, the rest fall back to their price range
+   * @param {Object} budget - { category, min, max }
+   * @param {Object} priceRangeQuery - Query on businessInfo.priceRange used for partners without packages
+   * @returns {Object} MongoDB query on Partner
+   */
+  async buildBudgetQuery({ category, min, max }, priceRangeQuery) {
+    const packageFilter = { isActive: true }
+    if (category) packageFilter.category = category
+
+    const price = {}
+    if (min !== undefined) price.$gte = min
+    if (max !== undefined) price.$lte = max
+
+    const [partnersWithPackages, partnersInBudget] = await Promise.all([
+      Package.distinct("partnerId", packageFilter),
+      Package.distinct("partnerId", { ...packageFilter, price }),
+    ])
+
+    return {
+      $or: [{ _id: { $in: partnersInBudget } }, { _id: { $nin: partnersWithPackages }, ...priceRangeQuery }],
+    }
+  }
+
+  /**
+   * Get the cheapest active package price for each partner
+   * @param {Array} partnerIds - Partner IDs
+   * @param {string} category - Only consider packages in this category
+   * @returns {Map} Partner ID string to starting price
+   */
+  async getStartingPrices(partnerIds, category) {
+    const match = { partnerId: { $in: partnerIds }, isActive: true }
+    if (category) match.category = category
+
+    const prices = await Package.aggregate([
+      { $match: match },
+      { $group: { _id: "$partnerId", startingPrice: { $min: "$price" } } },
+    ])
+
+    return new Map(prices.map((item) => [item._id.toString(), item.startingPrice]))
+  }
+}
+
+module.exports = new PackageService()
@@ -0,0 +1,416 @@
+const Payment = require("../models/Payment")
+const Booking = require("../models/Booking")
+const invoiceService = require("./invoiceService")
+const ledgerService = require("./ledgerService")
+const { getGateway } = require("./payments")
+const logger = require("../utils/logger")
+
+// Share of the booking total paid as an advance deposit, the rest is due as a milestone before delivery
+const DEPOSIT_PERCENT = Number.parseFloat(process.env.DEPOSIT_PERCENT) || 30
+
+// Hours the client has to pay the deposit after booking
+const DEPOSIT_DUE_HOURS = Number.parseInt(process.env.DEPOSIT_DUE_HOURS) || 48
+
+// Statuses a payment may move to from each status, a status missing here is final
+const STATUS_FLOW = {
+  pending: ["processing", "paid", "failed", "cancelled"],
+  processing: ["paid", "failed", "cancelled"],
+  failed: ["processing", "paid", "cancelled"],
+  paid: ["refunded"],
+}
+
+class PaymentError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "PaymentError"
+    this.statusCode = statusCode
+  }
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+class PaymentService {
+  /**
+   * Create the deposit and milestone payments for a new booking
+   * @param {Object} booking - Booking document
+   * @returns {Array} Created payments
+   */
+  async createPaymentPlan(booking) {
+    const total = booking.quote.total
+    const deposit = roundAmount((total * Math.min(DEPOSIT_PERCENT, 100)) / 100)
+
+    // The platform makes up a promo discount to the partner, spread over the payments like the total
+    const promoDiscount = booking.quote.promoDiscount || 0
+    const depositSubsidy = total > 0 ? roundAmount((promoDiscount * deposit) / total) : promoDiscount
+
+    const base = {
+      bookingId: booking._id,
+      inquiryId: booking.inquiryId,
+      clientId: booking.clientId,
+      partnerId: booking.partnerId,
+    }
+
+    const payments = [
+      {
+        ...base,
+        type: "deposit",
+        description: `Advance deposit (${Math.min(DEPOSIT_PERCENT, 100)}%)`,
+        amount: deposit,
+        promoSubsidy: depositSubsidy,
+        dueBy: new Date(Date.now() + DEPOSIT_DUE_HOURS * 60 * 60 * 1000),
+      },
+    ]
+
+    // The balance has to be settled before the partner delivers
+    if (total - deposit > 0) {
+      payments.push({
+        ...base,
+        type: "milestone",
+        description: "Balance before delivery",
+        amount: roundAmount(total - deposit),
+        promoSubsidy: roundAmount(promoDiscount - depositSubsidy),
+        dueBy: booking.schedule.start,
+      })
+    }
+
+    return Payment.insertMany(payments)
+  }
+
+  /**
+   * Delete the payment plan of a booking that is being discarded, nothing of it may have been paid
+   * @param {string} bookingId - Booking ID
+   * @returns {number} Number of deleted payments
+   */
+  async deletePaymentPlan(bookingId) {
+    const result = await Payment.deleteMany({ bookingId, status: "pending" })
+    return result.deletedCount
+  }
+
+  /**
+   * Open a gateway order for a payment, reusing the existing order on retries
+   * @param {string} paymentId - Payment ID
+   * @param {string} clientId - Client paying
+   * @returns {Object|null} { payment, checkout }, or null if the payment doesn't belong to the client
+   * @throws {PaymentError} If the payment is already settled or its booking was cancelled
+   */
+  async startCheckout(paymentId, clientId) {
+    const payment = await Payment.findOne({ _id: paymentId, clientId })
+    if (!payment) {
+      return null
+    }
+
+    if (!["pending", "processing", "failed"].includes(payment.status)) {
+      throw new PaymentError(`Payment is already ${payment.status}`)
+    }
+
+    // The balance can only be paid once the deposit is in
+    if (payment.type === "milestone") {
+      const depositPaid = await Payment.exists({ bookingId: payment.bookingId, type: "deposit", status: "paid" })
+      if (!depositPaid) {
+        throw new PaymentError("Please pay the deposit first")
+      }
+    }
+
+    const gateway = getGateway()
+
+    if (!payment.gatewayOrderId || payment.gateway !== gateway.name) {
+      payment.gatewayOrderId = await gateway.createOrder({
+        amount: payment.amount,
+        currency: payment.currency,
+        receipt: payment._id.toString(),
+        notes: { bookingId: String(payment.bookingId), type: payment.type },
+      })
+      payment.gateway = gateway.name
+    }
+
+    payment.status = "processing"
+    await payment.save()
+
+    return {
+      payment,
+      checkout: gateway.getCheckoutOptions(payment.gatewayOrderId, payment.amount, payment.currency),
+    }
+  }
+
+  /**
+   * Confirm a payment with the signature the gateway's checkout returned to the client
+   * @param {string} paymentId - Payment ID
+   * @param {string} clientId - Client paying
+   * @param {Object} result - gatewayPaymentId and signature
+   * @returns {Object|null} Updated payment, or null if the payment doesn't belong to the client
+   * @throws {PaymentError} If the payment has no open order or the signature is invalid
+   */
+  async confirmCheckout(paymentId, clientId, { gatewayPaymentId, signature }) {
+    const payment = await Payment.findOne({ _id: paymentId, clientId })
+    if (!payment) {
+      return null
+    }
+
+    if (!payment.gatewayOrderId) {
+      throw new PaymentError("Payment has not been started")
+    }
+
+    const valid = getGateway().verifyPaymentSignature({
+      orderId: payment.gatewayOrderId,
+      paymentId: gatewayPaymentId,
+      signature,
+    })
+    if (!valid) {
+      throw new PaymentError("Invalid payment signature", 400)
+    }
+
+    return this.applyStatus(payment, "paid", { event: "checkout.success", source: "checkout", gatewayPaymentId })
+  }
+
+  /**
+   * Apply a signed gateway webhook
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @param {Object} body - Parsed request body
+   * @returns {Object|null} Updated payment, or null if the event doesn't concern a known payment
+   * @throws {PaymentError} If the signature is invalid
+   */
+  async handleWebhook(rawBody, headers, body) {
+    const gateway = getGateway()
+
+    if (!gateway.verifyWebhookSignature(rawBody, headers[gateway.signatureHeader])) {
+      throw new PaymentError("Invalid webhook signature", 400)
+    }
+
+    const event = gateway.parseWebhookEvent(body)
+    if (!event) {
+      return null
+    }
+
+    const lookup = event.orderId ? { gatewayOrderId: event.orderId } : { gatewayPaymentId: event.paymentId }
+    const payment = event.orderId || event.paymentId ? await Payment.findOne(lookup) : null
+    if (!payment) {
+      logger.warn(`Webhook ${event.event} for unknown payment ${event.orderId || event.paymentId}`)
+      return null
+    }
+
+    // Partial refunds leave the payment paid, they are tracked on the payment when issued
+    const status =
+      event.status === "refunded" && payment.refundedAmount < payment.amount ? payment.status : event.status
+
+    return this.applyStatus(payment, status, {
+      event: event.event,
+      source: "webhook",
+      gatewayPaymentId: event.paymentId,
+      failureReason: event.failureReason,
+    })
+  }
+
+  /**
+   * Move a payment to a new status and keep its booking's payment summary in sync
+   * Checkout confirmations and webhooks may arrive in any order, updates that don't fit the flow are only logged
+   * @param {Object} payment - Payment document
+   * @param {string} status - New status
+   * @param {Object} details - event, source, gatewayPaymentId and failureReason
+   * @returns {Object} Payment as it is after the update
+   */
+  async applyStatus(payment, status, { event, source, gatewayPaymentId, failureReason }) {
+    const allowedFrom = Object.keys(STATUS_FLOW).filter((from) => STATUS_FLOW[from].includes(status))
+    const changes = { $push: { events: { event, status, source, receivedAt: new Date() } } }
+
+    const set = { status }
+    if (gatewayPaymentId) set.gatewayPaymentId = gatewayPaymentId
+    if (status === "paid") set.paidAt = new Date()
+    if (status === "failed") set.failureReason = failureReason
+
+    // Guarded on the statuses the new one may follow so duplicate or late callbacks can't undo a payment
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: allowedFrom } },
+      { ...changes, $set: set },
+      { new: true },
+    )
+
+    if (!updated) {
+      const current = await Payment.findById(payment._id)
+
+      // Checkout may still be open when the booking is cancelled, the client must not be charged
+      if (status === "paid" && current.status === "cancelled") {
+        return this.refundLateCapture(current, { event, source, gatewayPaymentId })
+      }
+
+      await Payment.updateOne({ _id: payment._id }, changes)
+      logger.info(`Payment ${payment._id} ignored ${event} while ${current.status}`)
+      return Payment.findById(payment._id)
+    }
+
+    logger.info(`Payment ${payment._id} is now ${status} (${event})`)
+
+    if (updated.bookingId && ["paid", "refunded"].includes(status)) {
+      await this.syncBooking(updated.bookingId)
+    }
+
+    // The payment stands even if booking or invoicing fails, the payout and missing invoice jobs pick them up again
+    if (status === "paid") {
+      try {
+        await ledgerService.recordPayment(updated)
+      } catch (ledgerError) {
+        logger.error(`Error booking payment ${updated._id} in the ledger:`, ledgerError)
+      }
+
+      try {
+        await invoiceService.createForPayment(updated)
+      } catch (invoiceError) {
+        logger.error(`Error issuing invoice for payment ${updated._id}:`, invoiceError)
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * Refund a payment the gateway captured after it was cancelled, at most once
+   * The payment stays cancelled and never reaches the ledger
+   * A failed refund is logged for follow-up and tried again if the capture is delivered again
+   * @param {Object} payment - Cancelled payment
+   * @param {Object} details - event, source and gatewayPaymentId
+   * @returns {Object} Payment as it is after the refund
+   */
+  async refundLateCapture(payment, { event, source, gatewayPaymentId }) {
+    const paymentId = gatewayPaymentId || payment.gatewayPaymentId
+    const received = { $push: { events: { event, status: "cancelled", source, receivedAt: new Date() } } }
+
+    if (!paymentId) {
+      await Payment.updateOne({ _id: payment._id }, received)
+      logger.error(`Payment ${payment._id} was captured after it was cancelled, refund it manually`)
+      return Payment.findById(payment._id)
+    }
+
+    // Claimed before calling the gateway so duplicate captures don't refund twice
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: "cancelled", refundedAmount: 0 },
+      { ...received, $set: { gatewayPaymentId: paymentId, refundedAmount: payment.amount } },
+      { new: true },
+    )
+    if (!claimed) {
+      await Payment.updateOne({ _id: payment._id }, received)
+      return Payment.findById(payment._id)
+    }
+
+    try {
+      const { refundId, status } = await getGateway().refund(paymentId, payment.amount)
+      logger.warn(`Payment ${payment._id} was captured after it was cancelled, refunded in full (${refundId})`)
+
+      return Payment.findOneAndUpdate(
+        { _id: payment._id },
+        {
+          $push: {
+            refunds: { refundId, amount: payment.amount, status, createdAt: new Date() },
+            events: { event: "refund.created", status: "cancelled", source: "system", receivedAt: new Date() },
+          },
+        },
+        { new: true },
+      )
+    } catch (refundError) {
+      await Payment.updateOne({ _id: payment._id }, { $set: { refundedAmount: 0 } })
+      logger.error(`Error refunding payment ${payment._id} captured after it was cancelled:`, refundError)
+      return Payment.findById(payment._id)
+    }
+  }
+
+  /**
+   * Recompute a booking's paid and refunded amounts and payment status from its payments
+   * @param {string} bookingId - Booking ID
+   * @returns {Object} { amountPaid, amountRefunded, paymentStatus }
+   */
+  async syncBooking(bookingId) {
+    const payments = await Payment.find({ bookingId, status: { $ne: "cancelled" } }).select(
+      "type amount status refundedAmount",
+    )
+
+    const paid = payments.filter((payment) => ["paid", "refunded"].includes(payment.status))
+    const amountPaid = roundAmount(paid.reduce((sum, payment) => sum + payment.amount, 0))
+    const amountRefunded = roundAmount(paid.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0))
+
+    let paymentStatus = "unpaid"
+    if (amountRefunded > 0) {
+      paymentStatus = amountRefunded >= amountPaid ? "refunded" : "partially_refunded"
+    } else if (payments.length > 0 && paid.length === payments.length) {
+      paymentStatus = "paid"
+    } else if (paid.some((payment) => payment.type === "deposit")) {
+      paymentStatus = "deposit_paid"
+    }
+
+    await Booking.updateOne({ _id: bookingId }, { $set: { amountPaid, amountRefunded, paymentStatus } })
+
+    return { amountPaid, amountRefunded, paymentStatus }
+  }
+
+  /**
+   * Refund part of what was paid for a booking through the gateway, latest payments first
+   * Safe to call again after a failure, amounts already refunded count towards the total
+   * @param {string} bookingId - Booking ID
+   * @param {number} amount - Total amount the client should get back
+   * @returns {number} Amount refunded by this call
+   */
+  async refundBooking(bookingId, amount) {
+    const payments = await Payment.find({ bookingId, status: { $in: ["paid", "refunded"] } }).sort({ paidAt: -1 })
+    const alreadyRefunded = payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0)
+
+    const gateway = getGateway()
+    let remaining = roundAmount(amount - alreadyRefunded)
+    let refunded = 0
+
+    for (const payment of payments) {
+      const part = Math.min(remaining, roundAmount(payment.amount - payment.refundedAmount))
+      if (part <= 0) {
+        continue
+      }
+
+      const { refundId, status } = await gateway.refund(payment.gatewayPaymentId, part)
+      const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id },
+        {
+          $inc: { refundedAmount: part },
+          $push: {
+            refunds: { refundId, amount: part, status, createdAt: new Date() },
+            events: { event: "refund.created", status: payment.status, source: "system", receivedAt: new Date() },
+          },
+        },
+        { new: true },
+      )
+      await ledgerService.recordRefund(updated, part, refundId)
+
+      if (updated.refundedAmount >= updated.amount) {
+        await this.applyStatus(updated, "refunded", { event: "refund.completed", source: "system" })
+      }
+
+      logger.info(`Refunded ${part} of payment ${payment._id} (${refundId})`)
+
+      remaining = roundAmount(remaining - part)
+      refunded = roundAmount(refunded + part)
+      if (remaining <= 0) {
+        break
+      }
+    }
+
+    await this.syncBooking(bookingId)
+
+    return refunded
+  }
+
+  /**
+   * Cancel the payments of a booking that haven't been made yet
+   * @param {string} bookingId - Booking ID
+   * @returns {number} Number of payments cancelled
+   */
+  async cancelOutstanding(bookingId) {
+    const result = await Payment.updateMany(
+      { bookingId, status: { $in: ["pending", "processing", "failed"] } },
+      {
+        $set: { status: "cancelled" },
+        $push: {
+          events: { event: "booking.cancelled", status: "cancelled", source: "system", receivedAt: new Date() },
+        },
+      },
+    )
+    return result.modifiedCount
+  }
+}
+
+module.exports = new PaymentService()
+module.exports.PaymentError = PaymentError
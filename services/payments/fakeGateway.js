@@ -0,0 +1,46 @@
+const crypto = require("crypto")
+const RazorpayGateway = require("./razorpayGateway")
+
+/**
+ * Offline gateway for development and tests
+ * Behaves like Razorpay, including signatures, without calling any API
+ */
+class FakeGateway extends RazorpayGateway {
+  constructor(options = {}) {
+    super({
+      keyId: "fake_key",
+      keySecret: options.secret || process.env.FAKE_PAYMENT_SECRET || "fake_secret",
+      webhookSecret: options.secret || process.env.FAKE_PAYMENT_SECRET || "fake_secret",
+    })
+    this.name = "fake"
+  }
+
+  async createOrder() {
+    return `order_fake_${crypto.randomBytes(8).toString("hex")}`
+  }
+
+  async refund() {
+    return { refundId: `rfnd_fake_${crypto.randomBytes(8).toString("hex")}`, status: "processed" }
+  }
+
+  /**
+   * Sign a payment the way Checkout would, to simulate a client paying
+   * @param {string} orderId - Gateway order ID
+   * @param {string} paymentId - Payment ID to use
+   * @returns {string} Signature accepted by verifyPaymentSignature
+   */
+  signPayment(orderId, paymentId) {
+    return this.sign(`${orderId}|${paymentId}`, this.keySecret)
+  }
+
+  /**
+   * Sign a webhook body, to simulate gateway callbacks
+   * @param {string} rawBody - JSON body
+   * @returns {string} Signature accepted by verifyWebhookSignature
+   */
+  signWebhook(rawBody) {
+    return this.sign(rawBody, this.webhookSecret)
+  }
+}
+
+module.exports = FakeGateway
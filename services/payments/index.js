@@ -0,0 +1,39 @@
+const RazorpayGateway = require("./razorpayGateway")
+const FakeGateway = require("./fakeGateway")
+
+const drivers = {
+  razorpay: RazorpayGateway,
+  fake: FakeGateway,
+}
+
+// Environments the fake gateway may run in, anywhere else anyone could sign payments with its known secret
+const FAKE_ENVIRONMENTS = ["development", "test"]
+
+let gateway = null
+
+/**
+ * Get the configured payment gateway
+ * Selected with PAYMENT_GATEWAY (razorpay or fake), defaults to fake in development and tests and razorpay elsewhere
+ * @returns {Object} Gateway adapter exposing createOrder, getCheckoutOptions, verifyPaymentSignature,
+ *   verifyWebhookSignature, parseWebhookEvent and refund
+ */
+const getGateway = () => {
+  if (!gateway) {
+    const fakeAllowed = FAKE_ENVIRONMENTS.includes(process.env.NODE_ENV)
+    const driver = process.env.PAYMENT_GATEWAY || (fakeAllowed ? "fake" : "razorpay")
+    const Gateway = drivers[driver]
+
+    if (!Gateway) {
+      throw new Error(`Unknown payment gateway: ${driver}`)
+    }
+    if (driver === "fake" && !fakeAllowed) {
+      throw new Error(`The fake payment gateway is only available when NODE_ENV is ${FAKE_ENVIRONMENTS.join(" or ")}`)
+    }
+
+    gateway = new Gateway()
+  }
+
+  return gateway
+}
+
+module.exports = { getGateway }
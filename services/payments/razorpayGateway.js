@@ -0,0 +1,151 @@
+const crypto = require("crypto")
+
+// Razorpay webhook events mapped to payment statuses
+const EVENT_STATUSES = {
+  "payment.captured": "paid",
+  "order.paid": "paid",
+  "payment.failed": "failed",
+  "refund.processed": "refunded",
+}
+
+class RazorpayGateway {
+  constructor(options = {}) {
+    this.name = "razorpay"
+    this.keyId = options.keyId || process.env.RAZORPAY_KEY_ID
+    this.keySecret = options.keySecret || process.env.RAZORPAY_KEY_SECRET
+    this.webhookSecret = options.webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET
+    this.baseUrl = options.baseUrl || "https://api.razorpay.com/v1"
+    this.signatureHeader = "x-razorpay-signature"
+  }
+
+  /**
+   * Call the Razorpay REST API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - JSON body
+   * @returns {Object} Parsed response
+   */
+  async request(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString("base64")}`,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      const message = data.error ? data.error.description : response.statusText
+      throw new Error(`Razorpay ${method} ${path} failed: ${message}`)
+    }
+    return data
+  }
+
+  /**
+   * Create an order the client pays through Razorpay Checkout
+   * @param {Object} order - amount (in rupees), currency, receipt and notes
+   * @returns {string} Gateway order ID
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await this.request("POST", "/orders", {
+      amount: Math.round(amount * 100),
+      currency,
+      receipt,
+      notes,
+    })
+
+    return order.id
+  }
+
+  /**
+   * Options the client passes to Razorpay Checkout to pay an order
+   * @param {string} orderId - Gateway order ID
+   * @param {number} amount - Amount in rupees
+   * @param {string} currency - Currency code
+   * @returns {Object} Checkout options
+   */
+  getCheckoutOptions(orderId, amount, currency) {
+    return { gateway: this.name, key: this.keyId, orderId, amount: Math.round(amount * 100), currency }
+  }
+
+  /**
+   * Verify the signature Checkout returns to the client after a successful payment
+   * @param {Object} payment - orderId, paymentId and signature
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return this.safeCompare(this.sign(`${orderId}|${paymentId}`, this.keySecret), signature)
+  }
+
+  /**
+   * Verify a webhook request against the raw body
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string} signature - Signature header value
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    return Boolean(rawBody) && this.safeCompare(this.sign(rawBody, this.webhookSecret), signature)
+  }
+
+  /**
+   * Turn a webhook payload into a payment update
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object|null} event, orderId, paymentId, status and failureReason, or null for events we ignore
+   */
+  parseWebhookEvent(body) {
+    const status = EVENT_STATUSES[body.event]
+    if (!status) {
+      return null
+    }
+
+    const payload = body.payload || {}
+    const payment = payload.payment ? payload.payment.entity : {}
+    const refund = payload.refund ? payload.refund.entity : {}
+
+    return {
+      event: body.event,
+      orderId: payment.order_id || (payload.order && payload.order.entity.id),
+      paymentId: payment.id || refund.payment_id,
+      status,
+      failureReason: payment.error_description,
+    }
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {string} paymentId - Gateway payment ID
+   * @param {number} amount - Amount to refund in rupees
+   * @returns {Object} Refund ID and status
+   */
+  async refund(paymentId, amount) {
+    const refund = await this.request("POST", `/payments/${paymentId}/refund`, { amount: Math.round(amount * 100) })
+    return { refundId: refund.id, status: refund.status }
+  }
+
+  /**
+   * HMAC-SHA256 signature in hex, as Razorpay computes it
+   * @param {Buffer|string} payload - Signed content
+   * @param {string} secret - Key or webhook secret
+   * @returns {string} Hex signature
+   */
+  sign(payload, secret) {
+    return crypto.createHmac("sha256", secret).update(payload).digest("hex")
+  }
+
+  /**
+   * Compare signatures in constant time
+   * @param {string} expected - Signature we computed
+   * @param {string} actual - Signature we received
+   * @returns {boolean} Whether they match
+   */
+  safeCompare(expected, actual) {
+    if (typeof actual !== "string" || actual.length !== expected.length) {
+      return false
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))
+  }
+}
+
+module.exports = RazorpayGateway
@@ -0,0 +1,152 @@
+const LedgerEntry = require("../models/LedgerEntry")
+const Payout = require("../models/Payout")
+const ledgerService = require("./ledgerService")
+const logger = require("../utils/logger")
+
+// Smallest available balance worth a bank transfer, smaller balances wait for the next batch
+const MIN_PAYOUT_AMOUNT = Number.parseFloat(process.env.MIN_PAYOUT_AMOUNT) || 500
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+class PayoutError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "PayoutError"
+    this.statusCode = statusCode
+  }
+}
+
+class PayoutService {
+  /**
+   * Batch every partner's available balance into a payout, at most one per partner per day
+   * @param {Date} date - Batch date
+   * @returns {Object} { batch, payoutCount, totalAmount }
+   */
+  async createBatch(date = new Date()) {
+    const batch = date.toISOString().slice(0, 10)
+
+    const balances = await LedgerEntry.aggregate([
+      { $match: { account: "partner_payable" } },
+      { $group: { _id: "$partnerId", balance: { $sum: { $subtract: ["$credit", "$debit"] } } } },
+      { $match: { balance: { $gte: MIN_PAYOUT_AMOUNT } } },
+    ])
+
+    let payoutCount = 0
+    let totalAmount = 0
+
+    for (const { _id: partnerId, balance } of balances) {
+      const amount = roundAmount(balance)
+
+      let payout
+      try {
+        payout = await Payout.create({ partnerId, batch, amount })
+      } catch (error) {
+        // Already in today's batch
+        if (error.code === 11000) {
+          continue
+        }
+        throw error
+      }
+
+      try {
+        await ledgerService.post(
+          `payout:${payout._id}`,
+          "payout",
+          [
+            { account: "partner_payable", debit: amount },
+            { account: "payout_in_transit", credit: amount },
+          ],
+          { partnerId, payoutId: payout._id, description: `Payout batch ${batch}` },
+        )
+      } catch (error) {
+        // A payout the ledger doesn't know about would pay the same balance twice
+        await Payout.deleteOne({ _id: payout._id })
+        throw error
+      }
+
+      payoutCount++
+      totalAmount = roundAmount(totalAmount + amount)
+    }
+
+    if (payoutCount > 0) {
+      logger.info(`Payout batch ${batch} created with ${payoutCount} payouts totalling ${totalAmount}`)
+    }
+
+    return { batch, payoutCount, totalAmount }
+  }
+
+  /**
+   * Record the outcome of a payout's bank transfer
+   * Paid payouts leave the platform's cash, failed ones go back to the partner's available balance
+   * @param {string} payoutId - Payout ID
+   * @param {string} status - paid or failed
+   * @param {Object} details - adminId, bankReference, note and failureReason
+   * @returns {Object|null} Updated payout, or null if it doesn't exist
+   * @throws {PayoutError} If the payout was already processed
+   */
+  async markPayout(payoutId, status, { adminId, bankReference, note, failureReason }) {
+    const payout = await Payout.findById(payoutId)
+    if (!payout) {
+      return null
+    }
+
+    const updated = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: "pending" },
+      { $set: { status, bankReference, note, failureReason, processedBy: adminId, processedAt: new Date() } },
+      { new: true, runValidators: true },
+    )
+    if (!updated) {
+      throw new PayoutError(`Payout is already ${payout.status}`)
+    }
+
+    const entries =
+      status === "paid"
+        ? [
+            { account: "payout_in_transit", debit: payout.amount },
+            { account: "cash", credit: payout.amount },
+          ]
+        : [
+            { account: "payout_in_transit", debit: payout.amount },
+            { account: "partner_payable", credit: payout.amount },
+          ]
+
+    await ledgerService.post(`payout_${status}:${payout._id}`, `payout_${status}`, entries, {
+      partnerId: payout.partnerId,
+      payoutId: payout._id,
+      description: status === "paid" ? `Payout sent (${bankReference})` : `Payout returned: ${failureReason}`,
+    })
+
+    logger.info(`Payout ${payoutId} marked ${status} by admin ${adminId}`)
+
+    return updated
+  }
+
+  /**
+   * Sum payouts by status, optionally for one batch
+   * @param {string} batch - Optional batch date
+   * @returns {Object} Status to { count, amount }
+   */
+  async summarize(batch) {
+    const match = batch ? { batch } : {}
+    const rows = await Payout.aggregate([
+      { $match: match },
+      { $group: { _id: "$status", count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+    ])
+
+    return Object.fromEntries(rows.map(({ _id, count, amount }) => [_id, { count, amount: roundAmount(amount) }]))
+  }
+
+  /**
+   * List a partner's payouts, newest first
+   * @param {string} partnerId - Partner ID
+   * @param {number} limit - Maximum number of payouts
+   * @returns {Array} Payouts
+   */
+  async getRecentPayouts(partnerId, limit = 10) {
+    return Payout.find({ partnerId }).select("-processedBy").sort({ createdAt: -1 }).limit(limit)
+  }
+}
+
+module.exports = new PayoutService()
+module.exports.PayoutError = PayoutError
+module.exports.MIN_PAYOUT_AMOUNT = MIN_PAYOUT_AMOUNT
@@ -0,0 +1,112 @@
+const sharp = require("sharp")
+const { getStorage } = require("./storage")
+const logger = require("../utils/logger")
+
+// Responsive variants generated for every uploaded image (maximum width in pixels)
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600,
+}
+
+class PortfolioImageService {
+  /**
+   * Resize an image into every responsive variant
+   * @param {Buffer} buffer - Original image contents
+   * @returns {Object} Original dimensions and variant buffers keyed by size name
+   */
+  async generateVariants(buffer) {
+    const metadata = await sharp(buffer).metadata()
+
+    // EXIF orientations 5-8 are rotated by 90 degrees, report dimensions as displayed
+    const isRotated = metadata.orientation >= 5
+    const width = isRotated ? metadata.height : metadata.width
+    const height = isRotated ? metadata.width : metadata.height
+
+    // Apply EXIF orientation to the variants themselves
+    const original = sharp(buffer).rotate()
+
+    const variants = {}
+    for (const [name, maxWidth] of Object.entries(IMAGE_VARIANTS)) {
+      const { data, info } = await original
+        .clone()
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .webp({ quality: name === "thumbnail" ? 70 : 80 })
+        .toBuffer({ resolveWithObject: true })
+
+      variants[name] = { buffer: data, width: info.width, height: info.height }
+    }
+
+    return { width, height, variants }
+  }
+
+  /**
+   * Store uploaded images with their variants and build Portfolio.images entries
+   * @param {Array} files - Multer files (buffer and detected extension)
+   * @param {Object} options - partnerId, captions and the index of the first image
+   * @returns {Array} Image entries ready for Portfolio.images
+   */
+  async storeImages(files, { partnerId, captions = [], startIndex = 0 }) {
+    const storage = getStorage()
+    const folder = `portfolio/${partnerId}`
+    const images = []
+
+    try {
+      for (const [position, file] of files.entries()) {
+        const { width, height, variants } = await this.generateVariants(file.buffer)
+
+        const stored = await storage.upload(file.buffer, { folder, extension: file.extension })
+        const image = {
+          url: stored.url,
+          storageKey: stored.key,
+          width,
+          height,
+          variants: {},
+          caption: captions[position],
+          index: startIndex + position,
+        }
+        images.push(image)
+
+        for (const [name, variant] of Object.entries(variants)) {
+          const storedVariant = await storage.upload(variant.buffer, { folder: `${folder}/${name}`, extension: "webp" })
+          image.variants[name] = {
+            url: storedVariant.url,
+            storageKey: storedVariant.key,
+            width: variant.width,
+            height: variant.height,
+          }
+        }
+      }
+    } catch (error) {
+      // Don't leave orphaned files behind when part of a batch fails
+      await this.removeImages(images)
+      throw error
+    }
+
+    return images
+  }
+
+  /**
+   * Delete stored files (original and variants) for Portfolio.images entries
+   * Images added by URL have no storage key and are left alone
+   * @param {Array} images - Portfolio.images entries
+   */
+  async removeImages(images) {
+    const storage = getStorage()
+
+    for (const image of images) {
+      const variants = Object.keys(IMAGE_VARIANTS).map((name) => image.variants && image.variants[name])
+      const keys = [image.storageKey, ...variants.map((variant) => variant && variant.storageKey)].filter(Boolean)
+
+      for (const key of keys) {
+        try {
+          await storage.remove(key)
+        } catch (error) {
+          logger.error(`Failed to remove stored image ${key}:`, error)
+        }
+      }
+    }
+  }
+}
+
+module.exports = new PortfolioImageService()
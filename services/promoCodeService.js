@@ -0,0 +1,224 @@
+const PromoCode = require("../models/PromoCode")
+const PromoRedemption = require("../models/PromoRedemption")
+const Counter = require("../models/Counter")
+const logger = require("../utils/logger")
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+// Counter of a client's applied redemptions of a promo code
+const clientUsesCounter = (promoCodeId, clientId) => `promo:${promoCodeId}:${clientId}`
+
+class PromoCodeError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message)
+    this.name = "PromoCodeError"
+    this.statusCode = statusCode
+  }
+}
+
+class PromoCodeService {
+  /**
+   * Work out what a promo code takes off an amount
+   * @param {Object} promoCode - Promo code
+   * @param {number} amount - Quotation amount after the partner's discount, before GST
+   * @returns {number} Discount, never more than the amount
+   */
+  calculateDiscount(promoCode, amount) {
+    let discount =
+      promoCode.discountType === "percentage" ? (amount * Math.min(promoCode.value, 100)) / 100 : promoCode.value
+
+    if (promoCode.discountType === "percentage" && promoCode.maxDiscount) {
+      discount = Math.min(discount, promoCode.maxDiscount)
+    }
+
+    return roundAmount(Math.min(discount, amount))
+  }
+
+  /**
+   * Check that a client can use a promo code on a partner's quotation
+   * @param {string} code - Code entered by the client
+   * @param {Object} context - clientId, inquiry and quote
+   * @returns {Object} { promoCode, amount } with the discount before GST
+   * @throws {PromoCodeError} If the code doesn't exist or doesn't apply
+   */
+  async check(code, { clientId, inquiry, quote }) {
+    const promoCode = await PromoCode.findOne({ code: String(code).trim().toUpperCase() })
+    if (!promoCode || !promoCode.isActive) {
+      throw new PromoCodeError("Promo code is not valid", 404)
+    }
+
+    const now = new Date()
+    if (promoCode.startsAt && promoCode.startsAt > now) {
+      throw new PromoCodeError("Promo code is not active yet")
+    }
+    if (promoCode.endsAt && promoCode.endsAt <= now) {
+      throw new PromoCodeError("Promo code has expired")
+    }
+    if (promoCode.usageLimit && promoCode.usedCount >= promoCode.usageLimit) {
+      throw new PromoCodeError("Promo code has been fully redeemed")
+    }
+
+    if (promoCode.categories.length > 0 && !promoCode.categories.includes(inquiry.category)) {
+      throw new PromoCodeError(`Promo code is only valid for ${promoCode.categories.join(", ")} shoots`)
+    }
+
+    const city = (inquiry.location.city || "").trim().toLowerCase()
+    if (promoCode.cities.length > 0 && !promoCode.cities.some((item) => item.trim().toLowerCase() === city)) {
+      throw new PromoCodeError(`Promo code is only valid in ${promoCode.cities.join(", ")}`)
+    }
+
+    const amount = roundAmount(quote.subtotal - (quote.discount ? quote.discount.amount : 0))
+    if (amount < promoCode.minOrderAmount) {
+      throw new PromoCodeError(`Promo code needs a quotation of at least ₹${promoCode.minOrderAmount} before GST`)
+    }
+
+    const used = await PromoRedemption.countDocuments({ promoCodeId: promoCode._id, clientId, status: "applied" })
+    if (used >= promoCode.perUserLimit) {
+      throw new PromoCodeError("You have already used this promo code", 409)
+    }
+
+    return { promoCode, amount: this.calculateDiscount(promoCode, amount) }
+  }
+
+  /**
+   * Use a promo code on a quotation the client is accepting, counting it against the code's limits
+   * @param {string} code - Code entered by the client
+   * @param {Object} context - clientId, inquiry and quote
+   * @returns {Object} { promoCode, amount, redemption }
+   * @throws {PromoCodeError} If the code doesn't apply or its last use was just taken
+   */
+  async redeem(code, context) {
+    const { promoCode, amount } = await this.check(code, context)
+
+    // The client's own limit is claimed first, they may be accepting quotations on two inquiries at once
+    await this.claimClientUse(promoCode, context.clientId)
+
+    // Claim a use only while the global limit allows, two clients may be redeeming the last one
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        isActive: true,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true },
+    )
+    if (!claimed) {
+      await this.releaseClientUse(promoCode._id, context.clientId)
+      throw new PromoCodeError("Promo code has been fully redeemed")
+    }
+
+    try {
+      const redemption = await PromoRedemption.create({
+        promoCodeId: promoCode._id,
+        code: promoCode.code,
+        clientId: context.clientId,
+        inquiryId: context.inquiry._id,
+        quotationId: context.quote._id,
+        discountAmount: amount,
+      })
+
+      return { promoCode: claimed, amount, redemption }
+    } catch (error) {
+      await PromoCode.updateOne({ _id: promoCode._id }, { $inc: { usedCount: -1 } })
+      await this.releaseClientUse(promoCode._id, context.clientId)
+      throw error
+    }
+  }
+
+  /**
+   * Count a use of a promo code against the client's limit, atomically
+   * @param {Object} promoCode - Promo code
+   * @param {string} clientId - Client redeeming the code
+   * @throws {PromoCodeError} If the client has no uses left
+   */
+  async claimClientUse(promoCode, clientId) {
+    const name = clientUsesCounter(promoCode._id, clientId)
+    const filter = { name, seq: { $lt: promoCode.perUserLimit } }
+
+    let claimed
+    try {
+      claimed = await Counter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true, upsert: true })
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error
+      }
+      // The counter exists, either at the limit or created by a concurrent redemption
+      claimed = await Counter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true })
+    }
+
+    if (!claimed) {
+      throw new PromoCodeError("You have already used this promo code", 409)
+    }
+  }
+
+  /**
+   * Give a use of a promo code back to the client
+   * @param {string} promoCodeId - Promo code ID
+   * @param {string} clientId - Client who redeemed the code
+   */
+  async releaseClientUse(promoCodeId, clientId) {
+    await Counter.updateOne({ name: clientUsesCounter(promoCodeId, clientId), seq: { $gt: 0 } }, { $inc: { seq: -1 } })
+  }
+
+  /**
+   * Link a redemption to the booking it discounted
+   * @param {Object} redemption - Promo redemption
+   * @param {string} bookingId - Booking ID
+   */
+  async attachBooking(redemption, bookingId) {
+    await PromoRedemption.updateOne({ _id: redemption._id }, { $set: { bookingId } })
+  }
+
+  /**
+   * Give back a use of a promo code, e.g. when the booking fails or is cancelled
+   * @param {Object} filter - Redemption filter, only applied redemptions are released
+   * @returns {boolean} Whether a redemption was released
+   */
+  async release(filter) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { ...filter, status: "applied" },
+      { $set: { status: "released", releasedAt: new Date() } },
+      { new: true },
+    )
+    if (!redemption) {
+      return false
+    }
+
+    await PromoCode.updateOne({ _id: redemption.promoCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } })
+    await this.releaseClientUse(redemption.promoCodeId, redemption.clientId)
+
+    logger.info(`Promo code ${redemption.code} released from inquiry ${redemption.inquiryId}`)
+
+    return true
+  }
+
+  /**
+   * Give back the promo code used on a cancelled booking
+   * @param {Object} booking - Booking document
+   * @returns {boolean} Whether a redemption was released
+   */
+  async releaseForBooking(booking) {
+    if (!booking.quote.promoCode) {
+      return false
+    }
+    return this.release({ bookingId: booking._id })
+  }
+
+  /**
+   * Count a promo code's redemptions and the discount given
+   * @param {string} promoCodeId - Promo code ID
+   * @returns {Object} Status to { count, discount }
+   */
+  async summarize(promoCodeId) {
+    const rows = await PromoRedemption.aggregate([
+      { $match: { promoCodeId } },
+      { $group: { _id: "$status", count: { $sum: 1 }, discount: { $sum: "$discountAmount" } } },
+    ])
+
+    return Object.fromEntries(rows.map(({ _id, count, discount }) => [_id, { count, discount: roundAmount(discount) }]))
+  }
+}
+
+module.exports = new PromoCodeService()
+module.exports.PromoCodeError = PromoCodeError
@@ -0,0 +1,213 @@
+const Quotation = require("../models/Quotation")
+const logger = require("../utils/logger")
+const eventBus = require("./eventBus")
+const { EVENTS } = require("./eventBus")
+
+const GST_RATE = Number.parseFloat(process.env.GST_RATE) || 18
+const QUOTE_VALIDITY_DAYS = Number.parseInt(process.env.QUOTE_VALIDITY_DAYS) || 14
+
+// Hours before a quotation expires at which the client is reminded
+const QUOTE_REMINDER_HOURS = Number.parseInt(process.env.QUOTE_REMINDER_HOURS) || 24
+
+class QuotationService {
+  /**
+   * Build an unsaved quotation version with its totals worked out
+   * @param {Object} inquiry - Inquiry being quoted
+   * @param {Object} partner - Partner sending the quote
+   * @param {Object} data - items (or a single quotation amount), travelFee, discount, validUntil, terms and message
+   * @returns {Object} Validated quotation document
+   */
+  async buildVersion(inquiry, partner, data) {
+    const { items, quotation, travelFee = 0, discount, validUntil, terms, message } = data
+
+    const latest = await Quotation.findOne({ inquiryId: inquiry._id, partnerId: partner._id })
+      .sort({ version: -1 })
+      .select("version")
+
+    const quote = new Quotation({
+      inquiryId: inquiry._id,
+      partnerId: partner._id,
+      version: latest ? latest.version + 1 : 1,
+      // A plain amount becomes a single line item
+      items: items && items.length > 0 ? items : [{ description: "Photography services", unitPrice: quotation }],
+      travelFee,
+      discount,
+      // Partners without a GST registration can't charge GST
+      gstRate: partner.documents.gstNumber ? GST_RATE : 0,
+      validUntil: validUntil || new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+      terms,
+      message,
+    })
+
+    await quote.validate()
+    return quote
+  }
+
+  /**
+   * Save a quotation version, record it on the inquiry and mark the partner's earlier versions as superseded
+   * The version is saved before the inquiry refers to it and deleted again if recording it fails
+   * @param {Object} quote - Quotation built by buildVersion
+   * @param {Function} recordResponse - Records the saved version on the inquiry, resolves to null if the inquiry can't take it
+   * @returns {*} Result of recordResponse, or null if the version was not published
+   */
+  async publishVersion(quote, recordResponse) {
+    await quote.save()
+
+    let recorded
+    try {
+      recorded = await recordResponse(quote)
+    } catch (error) {
+      await this.discardVersion(quote)
+      throw error
+    }
+
+    if (!recorded) {
+      await this.discardVersion(quote)
+      return null
+    }
+
+    await Quotation.updateMany(
+      { inquiryId: quote.inquiryId, partnerId: quote.partnerId, status: "active", _id: { $ne: quote._id } },
+      { $set: { status: "superseded" } },
+    )
+
+    logger.info(`Quotation v${quote.version} sent by partner ${quote.partnerId} for inquiry ${quote.inquiryId}`)
+
+    return recorded
+  }
+
+  /**
+   * Delete a saved version the inquiry never recorded
+   * @param {Object} quote - Quotation document
+   */
+  async discardVersion(quote) {
+    try {
+      await Quotation.deleteOne({ _id: quote._id })
+    } catch (error) {
+      logger.error(`Failed to discard quotation ${quote._id}:`, error)
+    }
+  }
+
+  /**
+   * Get the partner's current quotation for an inquiry
+   * @param {string} inquiryId - Inquiry ID
+   * @param {string} partnerId - Partner ID
+   * @returns {Object|null} Active quotation
+   */
+  async getActive(inquiryId, partnerId) {
+    // A version being published is active next to the one it replaces until the inquiry records it
+    return Quotation.findOne({ inquiryId, partnerId, status: "active" }).sort({ version: -1 })
+  }
+
+  /**
+   * Mark a quotation as accepted
+   * @param {Object} quote - Quotation document
+   * @returns {Object} Updated quotation
+   */
+  async accept(quote) {
+    quote.status = "accepted"
+    quote.acceptedAt = new Date()
+    await quote.save()
+    return quote
+  }
+
+  /**
+   * Make an accepted quotation active again after its booking couldn't be completed
+   * @param {Object} quote - Quotation document
+   * @returns {Object} Updated quotation
+   */
+  async reopen(quote) {
+    quote.status = "active"
+    quote.acceptedAt = undefined
+    // A promo code has to be redeemed again with the next selection
+    quote.promo = undefined
+    await quote.save()
+    return quote
+  }
+
+  /**
+   * Take a promo code discount off a quotation and work out its totals again, without saving it
+   * @param {Object} quote - Quotation document
+   * @param {Object} promoCode - Promo code being applied
+   * @param {number} amount - Discount before GST
+   * @returns {Object} Validated quotation document
+   */
+  async applyPromo(quote, promoCode, amount) {
+    quote.promo = { promoCodeId: promoCode._id, code: promoCode.code, amount }
+    await quote.validate()
+    return quote
+  }
+
+  /**
+   * Price of the quoted services, without travel fee, discount or GST
+   * @param {Object} quote - Quotation document
+   * @returns {number} Service price
+   */
+  getServicePrice(quote) {
+    return Math.round((quote.subtotal - quote.travelFee) * 100) / 100
+  }
+
+  /**
+   * Summary stored on the inquiry's assigned partner response
+   * @param {Object} quote - Quotation document
+   * @returns {Object} Response fields
+   */
+  toResponseSummary(quote) {
+    return {
+      message: quote.message,
+      quotation: this.getServicePrice(quote),
+      travelFee: quote.travelFee,
+      total: quote.total,
+      quotationId: quote._id,
+      quotationVersion: quote.version,
+      respondedAt: new Date(),
+    }
+  }
+
+  /**
+   * Remind clients whose active quotations are about to expire, once per quotation
+   * @returns {number} Number of reminders sent
+   */
+  async remindExpiringQuotations() {
+    const now = new Date()
+    const expiring = {
+      status: "active",
+      validUntil: { $gt: now, $lte: new Date(now.getTime() + QUOTE_REMINDER_HOURS * 60 * 60 * 1000) },
+      reminderSentAt: { $exists: false },
+    }
+
+    const quotes = await Quotation.find(expiring)
+      .populate("inquiryId", "clientId status")
+      .populate("partnerId", "businessInfo.businessName")
+
+    let sentCount = 0
+    for (const quote of quotes) {
+      const inquiry = quote.inquiryId
+      // Only inquiries still choosing a partner need the nudge
+      if (!inquiry || !inquiry.clientId || !["responded", "negotiating"].includes(inquiry.status) || !quote.partnerId) {
+        continue
+      }
+
+      // Mark first so overlapping runs never remind the same client twice
+      const result = await Quotation.updateOne({ _id: quote._id, ...expiring }, { $set: { reminderSentAt: now } })
+      if (result.modifiedCount === 0) {
+        continue
+      }
+
+      eventBus.emit(EVENTS.QUOTATION_EXPIRING, {
+        clientId: inquiry.clientId,
+        inquiryId: inquiry._id,
+        partnerId: quote.partnerId._id,
+        quotationId: quote._id,
+        businessName: quote.partnerId.businessInfo.businessName,
+        total: quote.total,
+        validUntil: quote.validUntil,
+      })
+      sentCount++
+    }
+
+    return sentCount
+  }
+}
+
+module.exports = new QuotationService()
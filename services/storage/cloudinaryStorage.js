@@ -0,0 +1,52 @@
+const cloudinary = require("cloudinary").v2
+
+class CloudinaryStorage {
+  constructor(options = {}) {
+    cloudinary.config({
+      cloud_name: options.cloudName || process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: options.apiKey || process.env.CLOUDINARY_API_KEY,
+      api_secret: options.apiSecret || process.env.CLOUDINARY_API_SECRET,
+      secure: true,
+    })
+    this.rootFolder = options.rootFolder || "pixisphere"
+  }
+
+  /**
+   * Upload a file to Cloudinary
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options (folder, extension)
+   * @returns {Object} Stored file with public URL and storage key
+   */
+  upload(buffer, { folder = "", extension }) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        {
+          folder: [this.rootFolder, folder].filter(Boolean).join("/"),
+          resource_type: "image",
+          format: extension,
+        },
+        (error, result) => {
+          if (error) {
+            return reject(error)
+          }
+          resolve({
+            url: result.secure_url,
+            key: result.public_id,
+          })
+        },
+      )
+
+      stream.end(buffer)
+    })
+  }
+
+  /**
+   * Delete an uploaded file
+   * @param {string} key - Cloudinary public ID returned by upload
+   */
+  async remove(key) {
+    await cloudinary.uploader.destroy(key, { resource_type: "image" })
+  }
+}
+
+module.exports = CloudinaryStorage
@@ -0,0 +1,48 @@
+const path = require("path")
+const LocalStorage = require("./localStorage")
+const CloudinaryStorage = require("./cloudinaryStorage")
+
+const drivers = {
+  local: LocalStorage,
+  cloudinary: CloudinaryStorage,
+}
+
+let storage = null
+let privateStorage = null
+
+/**
+ * Get the configured storage backend
+ * Selected with STORAGE_DRIVER (local or cloudinary), defaults to local
+ * @returns {Object} Storage adapter exposing upload(buffer, options) and remove(key)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local"
+    const Storage = drivers[driver]
+
+    if (!Storage) {
+      throw new Error(`Unknown storage driver: ${driver}`)
+    }
+
+    storage = new Storage({ baseUrl: process.env.UPLOAD_BASE_URL })
+  }
+
+  return storage
+}
+
+/**
+ * Get the storage for files only served through authenticated routes
+ * Kept on local disk outside the public uploads directory, in PRIVATE_UPLOAD_DIR if set
+ * @returns {LocalStorage} Storage adapter exposing upload(buffer, options), read(key) and remove(key)
+ */
+const getPrivateStorage = () => {
+  if (!privateStorage) {
+    privateStorage = new LocalStorage({
+      rootDir: path.resolve(process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, "..", "..", "private-uploads")),
+    })
+  }
+
+  return privateStorage
+}
+
+module.exports = { getStorage, getPrivateStorage }
@@ -0,0 +1,65 @@
+const fs = require("fs/promises")
+const path = require("path")
+const crypto = require("crypto")
+
+class LocalStorage {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, "..", "..", "uploads")
+    this.baseUrl = (options.baseUrl || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, "")
+  }
+
+  /**
+   * Store a file on local disk
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options (folder, extension)
+   * @returns {Object} Stored file with public URL and storage key
+   */
+  async upload(buffer, { folder = "", extension }) {
+    const filename = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}.${extension}`
+    const key = path.posix.join(folder, filename)
+    const filePath = path.join(this.rootDir, key)
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, buffer)
+
+    return {
+      url: `${this.baseUrl}/${key}`,
+      key,
+    }
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} key - Storage key returned by upload
+   * @returns {Buffer} File contents
+   */
+  async read(key) {
+    return fs.readFile(this.resolvePath(key))
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Storage key returned by upload
+   */
+  async remove(key) {
+    await fs.rm(this.resolvePath(key), { force: true })
+  }
+
+  /**
+   * Map a storage key to its path on disk
+   * @param {string} key - Storage key returned by upload
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.join(this.rootDir, key)
+
+    // Never allow keys to escape the upload directory
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error("Invalid storage key")
+    }
+
+    return filePath
+  }
+}
+
+module.exports = LocalStorage
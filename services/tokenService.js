@@ -0,0 +1,174 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+const RevokedToken = require("../models/RevokedToken")
+const logger = require("../utils/logger")
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m"
+const REFRESH_TOKEN_EXPIRE_DAYS = Number.parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30
+
+class TokenService {
+  /**
+   * Hash an opaque refresh token for storage
+   * @param {string} token - Raw refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex")
+  }
+
+  /**
+   * Generate a short-lived access token
+   * @param {Object} user - User document
+   * @returns {string} Signed JWT
+   */
+  generateAccessToken(user) {
+    return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+      jwtid: crypto.randomUUID(),
+    })
+  }
+
+  /**
+   * Create and store a refresh token
+   * @param {Object} user - User document
+   * @param {Object} context - Request context (ip, userAgent)
+   * @param {string} family - Token family to continue, a new one is started when omitted
+   * @param {string} token - Raw token to store, a new one is generated when omitted
+   * @returns {string} Raw refresh token
+   */
+  async createRefreshToken(user, context = {}, family, token = crypto.randomBytes(48).toString("hex")) {
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(token),
+      family: family || crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+      createdByIp: context.ip,
+      userAgent: context.userAgent,
+    })
+
+    return token
+  }
+
+  /**
+   * Issue an access/refresh token pair for a new session
+   * @param {Object} user - User document
+   * @param {Object} context - Request context (ip, userAgent)
+   * @returns {Object} Token pair
+   */
+  async issueTokens(user, context) {
+    return {
+      token: this.generateAccessToken(user),
+      refreshToken: await this.createRefreshToken(user, context),
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, revoking the old one
+   * @param {string} token - Raw refresh token
+   * @param {Object} context - Request context (ip, userAgent)
+   * @returns {Object|null} New token pair with user, or null if the token is not usable
+   */
+  async rotateRefreshToken(token, context) {
+    const tokenHash = this.hashToken(token)
+    const refreshToken = crypto.randomBytes(48).toString("hex")
+
+    // Claimed atomically so only one of several concurrent requests with the same token gets a new pair
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date(), replacedBy: this.hashToken(refreshToken) } },
+    )
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ tokenHash })
+
+      // A revoked token being presented again means it was stolen, so end the whole session
+      if (existing && existing.revokedAt) {
+        await RefreshToken.updateMany({ family: existing.family, revokedAt: null }, { $set: { revokedAt: new Date() } })
+        logger.warn(`Refresh token reuse detected for user ${existing.userId}, session revoked`)
+      }
+      return null
+    }
+
+    const user = await User.findById(stored.userId)
+    if (!user || !user.isActive) {
+      return null
+    }
+
+    await this.createRefreshToken(user, context, stored.family, refreshToken)
+
+    return {
+      user,
+      token: this.generateAccessToken(user),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+    }
+  }
+
+  /**
+   * Revoke a refresh token
+   * @param {string} token - Raw refresh token
+   * @param {string} userId - Owner of the token
+   * @returns {boolean} Whether a token was revoked
+   */
+  async revokeRefreshToken(token, userId) {
+    const result = await RefreshToken.updateOne(
+      { tokenHash: this.hashToken(token), userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+    )
+    return result.modifiedCount > 0
+  }
+
+  /**
+   * Revoke an access token until it expires
+   * @param {Object} decoded - Decoded JWT payload
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded || !decoded.jti) {
+      return
+    }
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      { $setOnInsert: { jti: decoded.jti, userId: decoded.id, expiresAt: new Date(decoded.exp * 1000) } },
+      { upsert: true },
+    )
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   * @returns {Object} Updated user document
+   */
+  async revokeAllForUser(userId) {
+    // Bumping the token version invalidates all access tokens issued so far
+    const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true })
+    await RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+
+    logger.info(`All sessions revoked for user ${userId}`)
+
+    return user
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {Object} decoded - Decoded JWT payload
+   * @param {Object} user - User the token belongs to
+   * @returns {boolean} Revocation status
+   */
+  async isAccessTokenRevoked(decoded, user) {
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return true
+    }
+
+    if (decoded.jti && (await RevokedToken.exists({ jti: decoded.jti }))) {
+      return true
+    }
+
+    return false
+  }
+}
+
+module.exports = new TokenService()
@@ -0,0 +1,157 @@
+// Only the schema's instance methods are under test, so the model is a plain class carrying them
+jest.mock(
+  "mongoose",
+  () => {
+    class Schema {
+      constructor() {
+        this.methods = {}
+        this.statics = {}
+      }
+
+      virtual() {
+        return { get: () => {} }
+      }
+
+      index() {}
+
+      pre() {}
+    }
+    Schema.Types = { ObjectId: "ObjectId" }
+
+    return {
+      Schema,
+      model: (name, schema) => {
+        class Model {}
+        Object.assign(Model.prototype, schema.methods)
+        return Model
+      },
+    }
+  },
+  { virtual: true },
+)
+
+const User = require("../../models/User")
+
+describe("User one-time codes", () => {
+  const MINUTE = 60 * 1000
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2030-01-01T10:00:00Z") })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe("OTP", () => {
+    it("stores only a hash of the code", () => {
+      const user = new User()
+      const otp = user.generateOTP()
+
+      expect(otp).toMatch(/^\d{6}$/)
+      expect(user.otp.codeHash).toMatch(/^[a-f0-9]{64}$/)
+      expect(JSON.stringify(user.otp)).not.toContain(otp)
+    })
+
+    it("accepts the code until it expires", () => {
+      const user = new User()
+      const otp = user.generateOTP()
+
+      expect(user.verifyOTP(otp)).toEqual({ valid: true })
+
+      jest.advanceTimersByTime(11 * MINUTE)
+      expect(user.verifyOTP(otp)).toEqual({ valid: false, reason: "expired" })
+    })
+
+    it("counts wrong guesses and locks verification after the last one", () => {
+      const user = new User()
+      const otp = user.generateOTP()
+      const wrong = otp === "000000" ? "111111" : "000000"
+
+      expect(user.verifyOTP(wrong)).toEqual({ valid: false, reason: "invalid", attemptsRemaining: 4 })
+      for (let attempt = 2; attempt < 5; attempt++) {
+        user.verifyOTP(wrong)
+      }
+      expect(user.verifyOTP(wrong)).toEqual(expect.objectContaining({ valid: false, reason: "locked" }))
+
+      // The code is burnt, even the right one no longer works
+      expect(user.verifyOTP(otp).valid).toBe(false)
+      expect(user.otp.codeHash).toBeUndefined()
+    })
+
+    it("keeps a lockout across new codes", () => {
+      const user = new User()
+      user.generateOTP()
+      user.otp.lockedUntil = new Date(Date.now() + 15 * MINUTE)
+
+      expect(user.getOTPResendStatus()).toEqual(expect.objectContaining({ allowed: false, reason: "locked" }))
+
+      const otp = user.generateOTP()
+      expect(user.verifyOTP(otp)).toEqual(expect.objectContaining({ valid: false, reason: "locked" }))
+    })
+
+    it("enforces the resend cooldown", () => {
+      const user = new User()
+      user.generateOTP()
+
+      expect(user.getOTPResendStatus()).toEqual({ allowed: false, reason: "cooldown", retryAfter: 60 })
+
+      jest.advanceTimersByTime(MINUTE)
+      expect(user.getOTPResendStatus()).toEqual({ allowed: true })
+    })
+
+    it("limits sends per rolling hour", () => {
+      const user = new User()
+      for (let send = 0; send < 5; send++) {
+        user.generateOTP()
+        jest.advanceTimersByTime(MINUTE)
+      }
+
+      expect(user.getOTPResendStatus()).toEqual(expect.objectContaining({ allowed: false, reason: "limit" }))
+
+      jest.advanceTimersByTime(56 * MINUTE)
+      expect(user.getOTPResendStatus()).toEqual({ allowed: true })
+      user.generateOTP()
+      expect(user.otp.sendCount).toBe(1)
+    })
+  })
+
+  describe("password reset codes", () => {
+    it("accepts the code and burns it after too many wrong guesses", () => {
+      const user = new User()
+      const code = user.generatePasswordReset()
+      const wrong = code === "000000" ? "111111" : "000000"
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        expect(user.verifyPasswordReset(wrong)).toBe(false)
+      }
+      expect(user.verifyPasswordReset(code)).toBe(false)
+    })
+
+    it("shares the OTP cooldown and hourly limit", () => {
+      const user = new User()
+      expect(user.getPasswordResetStatus()).toEqual({ allowed: true })
+
+      user.generatePasswordReset()
+      expect(user.getPasswordResetStatus()).toEqual(expect.objectContaining({ allowed: false, reason: "cooldown" }))
+
+      for (let send = 1; send < 5; send++) {
+        jest.advanceTimersByTime(MINUTE)
+        user.generatePasswordReset()
+      }
+      jest.advanceTimersByTime(MINUTE)
+      expect(user.getPasswordResetStatus()).toEqual(expect.objectContaining({ allowed: false, reason: "limit" }))
+    })
+
+    it("keeps counting sends after the code is burnt", () => {
+      const user = new User()
+      const code = user.generatePasswordReset()
+      for (let attempt = 0; attempt < 5; attempt++) {
+        user.verifyPasswordReset(code === "000000" ? "111111" : "000000")
+      }
+
+      expect(user.passwordReset.sendCount).toBe(1)
+      expect(user.getPasswordResetStatus()).toEqual(expect.objectContaining({ allowed: false, reason: "cooldown" }))
+    })
+  })
+})
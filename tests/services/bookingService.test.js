@@ -0,0 +1,248 @@
+jest.mock("mongoose", () => ({ Types: { ObjectId: jest.fn((id) => id) } }), { virtual: true })
+jest.mock("../../models/Booking", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findOneAndDelete: jest.fn(),
+  findByIdAndUpdate: jest.fn((id, update) => Promise.resolve({ _id: id, refund: update.$set })),
+  countDocuments: jest.fn().mockResolvedValue(1),
+}))
+jest.mock("../../models/Partner", () => ({ findById: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../services/availabilityService", () => ({ getEventWindow: jest.fn() }))
+jest.mock("../../services/inquiryStatusService", () => ({ transition: jest.fn(), SYSTEM_ACTOR: { role: "system" } }))
+jest.mock("../../services/paymentService", () => ({
+  cancelOutstanding: jest.fn(),
+  refundBooking: jest.fn(),
+  deletePaymentPlan: jest.fn(),
+}))
+jest.mock("../../services/ledgerService", () => ({ releaseBooking: jest.fn() }))
+jest.mock("../../services/promoCodeService", () => ({ releaseForBooking: jest.fn() }))
+jest.mock("../../services/eventBus", () => ({ emit: jest.fn(), EVENTS: { BOOKING_CANCELLED: "booking.cancelled" } }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const Booking = require("../../models/Booking")
+const inquiryStatusService = require("../../services/inquiryStatusService")
+const paymentService = require("../../services/paymentService")
+const ledgerService = require("../../services/ledgerService")
+const promoCodeService = require("../../services/promoCodeService")
+const eventBus = require("../../services/eventBus")
+const bookingService = require("../../services/bookingService")
+const { BookingTransitionError } = require("../../services/bookingService")
+
+describe("bookingService", () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const client = { userId: "client_1", role: "client" }
+  const partner = { userId: "partner_user_1", role: "partner" }
+
+  const mockBooking = (booking) => {
+    Booking.findOne.mockReturnValue({
+      select: jest.fn().mockResolvedValue(booking && { _id: "booking_1", ...booking }),
+    })
+  }
+
+  const updatedBooking = (fields) => ({
+    _id: "booking_1",
+    inquiryId: "inquiry_1",
+    partnerId: "partner_1",
+    ...fields,
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("canTransition", () => {
+    it("follows the booking lifecycle", () => {
+      expect(bookingService.canTransition("confirmed", "in_progress", "partner")).toBe(true)
+      expect(bookingService.canTransition("confirmed", "in_progress", "client")).toBe(false)
+      expect(bookingService.canTransition("in_progress", "cancelled", "client")).toBe(false)
+      expect(bookingService.canTransition("in_progress", "cancelled", "admin")).toBe(true)
+      expect(bookingService.canTransition("delivered", "completed", "system")).toBe(true)
+      expect(bookingService.canTransition("completed", "cancelled", "admin")).toBe(false)
+    })
+  })
+
+  describe("transition", () => {
+    it("doesn't start work before the deposit is paid", async () => {
+      mockBooking({ status: "confirmed", paymentStatus: "unpaid" })
+
+      await expect(bookingService.transition("booking_1", "in_progress", { actor: partner })).rejects.toEqual(
+        expect.objectContaining({ message: "The client has not paid the deposit yet" }),
+      )
+      expect(Booking.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it("doesn't deliver before the balance is paid", async () => {
+      mockBooking({ status: "in_progress", paymentStatus: "deposit_paid" })
+
+      await expect(bookingService.transition("booking_1", "delivered", { actor: partner })).rejects.toBeInstanceOf(
+        BookingTransitionError,
+      )
+    })
+
+    it("guards the update on the validated status and stamps the status time", async () => {
+      mockBooking({ status: "confirmed", paymentStatus: "deposit_paid" })
+      Booking.findOneAndUpdate.mockResolvedValue(updatedBooking({ status: "in_progress" }))
+
+      await bookingService.transition("booking_1", "in_progress", {
+        actor: partner,
+        filter: { partnerId: "partner_1" },
+      })
+
+      expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "booking_1", partnerId: "partner_1", status: "confirmed" },
+        {
+          $set: { status: "in_progress", startedAt: expect.any(Date) },
+          $push: { statusHistory: expect.objectContaining({ from: "confirmed", to: "in_progress" }) },
+        },
+        { new: true, runValidators: true },
+      )
+      expect(inquiryStatusService.transition).not.toHaveBeenCalled()
+    })
+
+    it("fails when the status changed between reading and updating", async () => {
+      mockBooking({ status: "confirmed", paymentStatus: "paid" })
+      Booking.findOneAndUpdate.mockResolvedValue(null)
+
+      await expect(bookingService.transition("booking_1", "in_progress", { actor: partner })).rejects.toEqual(
+        expect.objectContaining({ message: "Booking status changed in the meantime, please retry" }),
+      )
+    })
+
+    it("closes the inquiry and releases the partner's earnings on completion", async () => {
+      mockBooking({ status: "delivered", paymentStatus: "paid" })
+      const completed = updatedBooking({ status: "completed" })
+      Booking.findOneAndUpdate.mockResolvedValue(completed)
+
+      await bookingService.transition("booking_1", "completed", { actor: client })
+
+      expect(inquiryStatusService.transition).toHaveBeenCalledWith(
+        "inquiry_1",
+        "closed",
+        expect.objectContaining({ filter: { status: "booked" } }),
+      )
+      expect(ledgerService.releaseBooking).toHaveBeenCalledWith(completed)
+    })
+
+    it("settles the refund by the booking's policy when the client cancels", async () => {
+      mockBooking({
+        status: "confirmed",
+        paymentStatus: "deposit_paid",
+        amountPaid: 3000,
+        schedule: { start: new Date(Date.now() + 10 * DAY) },
+        cancellationPolicy: [],
+      })
+      const cancelled = updatedBooking({ status: "cancelled", refund: { amount: 1500, status: "pending" } })
+      Booking.findOneAndUpdate.mockResolvedValueOnce(cancelled).mockResolvedValueOnce(cancelled)
+
+      await bookingService.transition("booking_1", "cancelled", { actor: client, reason: "Plans changed" })
+
+      expect(Booking.findOneAndUpdate.mock.calls[0][1].$set).toEqual(
+        expect.objectContaining({
+          cancelledByRole: "client",
+          cancellationReason: "Plans changed",
+          refund: expect.objectContaining({ percent: 50, amount: 1500, status: "pending" }),
+        }),
+      )
+      expect(inquiryStatusService.transition).toHaveBeenCalledWith("inquiry_1", "cancelled", expect.anything())
+      expect(paymentService.cancelOutstanding).toHaveBeenCalledWith("booking_1")
+      expect(promoCodeService.releaseForBooking).toHaveBeenCalledWith(cancelled)
+      expect(paymentService.refundBooking).toHaveBeenCalledWith("booking_1", 1500)
+      expect(eventBus.emit).toHaveBeenCalledWith("booking.cancelled", expect.anything())
+    })
+
+    it("releases everything to the partner when nothing is refunded", async () => {
+      mockBooking({
+        status: "confirmed",
+        paymentStatus: "deposit_paid",
+        amountPaid: 3000,
+        schedule: { start: new Date(Date.now() + 2 * DAY) },
+      })
+      const cancelled = updatedBooking({ status: "cancelled", refund: { amount: 0, status: "none" } })
+      Booking.findOneAndUpdate.mockResolvedValue(cancelled)
+
+      await bookingService.transition("booking_1", "cancelled", { actor: client })
+
+      expect(Booking.findOneAndUpdate.mock.calls[0][1].$set.refund).toEqual(
+        expect.objectContaining({ percent: 0, amount: 0, status: "none" }),
+      )
+      expect(paymentService.refundBooking).not.toHaveBeenCalled()
+      expect(ledgerService.releaseBooking).toHaveBeenCalledWith(cancelled)
+    })
+  })
+
+  describe("processRefund", () => {
+    const booking = updatedBooking({ status: "cancelled", refund: { amount: 1500, status: "pending" } })
+
+    it("claims the refund before calling the gateway", async () => {
+      Booking.findOneAndUpdate.mockResolvedValue({ ...booking, refund: { amount: 1500, status: "processing" } })
+
+      await bookingService.processRefund(booking)
+
+      expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: "booking_1",
+          status: "cancelled",
+          $or: [
+            { "refund.status": { $in: ["pending", "failed"] } },
+            { "refund.status": "processing", "refund.claimedAt": { $lt: expect.any(Date) } },
+          ],
+        },
+        { $set: { "refund.status": "processing", "refund.claimedAt": expect.any(Date) } },
+        { new: true },
+      )
+      expect(Booking.findOneAndUpdate.mock.invocationCallOrder[0]).toBeLessThan(
+        paymentService.refundBooking.mock.invocationCallOrder[0],
+      )
+    })
+
+    it("records a processed refund and releases the rest to the partner", async () => {
+      Booking.findOneAndUpdate.mockResolvedValue(booking)
+
+      const result = await bookingService.processRefund(booking)
+
+      expect(paymentService.refundBooking).toHaveBeenCalledWith("booking_1", 1500)
+      expect(ledgerService.releaseBooking).toHaveBeenCalledWith(booking)
+      expect(result.refund).toEqual(expect.objectContaining({ "refund.status": "processed" }))
+    })
+
+    it("keeps a failed refund on the booking for a retry", async () => {
+      Booking.findOneAndUpdate.mockResolvedValue(booking)
+      paymentService.refundBooking.mockRejectedValue(new Error("Gateway unavailable"))
+
+      const result = await bookingService.processRefund(booking)
+
+      expect(ledgerService.releaseBooking).not.toHaveBeenCalled()
+      expect(result.refund).toEqual({ "refund.status": "failed", "refund.failureReason": "Gateway unavailable" })
+    })
+
+    it("leaves a refund another request is processing alone", async () => {
+      Booking.findOneAndUpdate.mockResolvedValue(null)
+
+      expect(await bookingService.processRefund(booking)).toBeNull()
+      expect(paymentService.refundBooking).not.toHaveBeenCalled()
+      expect(Booking.findByIdAndUpdate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("discardForQuotation", () => {
+    it("deletes the unconfirmed booking with its payment plan", async () => {
+      Booking.findOneAndDelete.mockResolvedValue(updatedBooking({ status: "confirmed" }))
+
+      expect(await bookingService.discardForQuotation("inquiry_1", "quote_1")).toBe(true)
+      expect(Booking.findOneAndDelete).toHaveBeenCalledWith({
+        inquiryId: "inquiry_1",
+        quotationId: "quote_1",
+        status: "confirmed",
+      })
+      expect(paymentService.deletePaymentPlan).toHaveBeenCalledWith("booking_1")
+    })
+
+    it("does nothing when no booking was created", async () => {
+      Booking.findOneAndDelete.mockResolvedValue(null)
+
+      expect(await bookingService.discardForQuotation("inquiry_1", "quote_1")).toBe(false)
+      expect(paymentService.deletePaymentPlan).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,79 @@
+const cancellationService = require("../../services/cancellationService")
+const { DEFAULT_POLICY } = require("../../services/cancellationService")
+
+describe("cancellationService", () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const now = new Date("2030-01-01T10:00:00Z")
+
+  const booking = (daysAhead, policy) => ({
+    amountPaid: 3000,
+    schedule: { start: new Date(now.getTime() + daysAhead * DAY) },
+    cancellationPolicy: policy,
+  })
+
+  describe("getPolicy", () => {
+    it("falls back to the platform default without a policy", () => {
+      expect(cancellationService.getPolicy([])).toEqual(DEFAULT_POLICY)
+      expect(cancellationService.getPolicy(undefined)).toEqual(DEFAULT_POLICY)
+    })
+
+    it("orders tiers furthest from the event first", () => {
+      const policy = [
+        { daysBefore: 0, refundPercent: 0 },
+        { daysBefore: 14, refundPercent: 75 },
+      ]
+
+      expect(cancellationService.getPolicy(policy).map(({ daysBefore }) => daysBefore)).toEqual([14, 0])
+    })
+  })
+
+  describe("calculateRefund", () => {
+    it("refunds by the tier the cancellation falls in", () => {
+      expect(cancellationService.calculateRefund(booking(45), "client", now)).toEqual(
+        expect.objectContaining({ percent: 100, amount: 3000, daysBeforeEvent: 45 }),
+      )
+      expect(cancellationService.calculateRefund(booking(10), "client", now)).toEqual(
+        expect.objectContaining({ percent: 50, amount: 1500 }),
+      )
+      expect(cancellationService.calculateRefund(booking(3), "admin", now)).toEqual(
+        expect.objectContaining({ percent: 0, amount: 0 }),
+      )
+    })
+
+    it("applies a tier from the exact day it starts", () => {
+      expect(cancellationService.calculateRefund(booking(7), "client", now).percent).toBe(50)
+      expect(cancellationService.calculateRefund(booking(6.9), "client", now).percent).toBe(0)
+    })
+
+    it("follows the policy the booking was made under", () => {
+      const policy = [
+        { daysBefore: 14, refundPercent: 80 },
+        { daysBefore: 2, refundPercent: 25 },
+      ]
+
+      expect(cancellationService.calculateRefund(booking(5, policy), "client", now)).toEqual(
+        expect.objectContaining({ percent: 25, amount: 750, rule: "25% refund at least 2 days before the event" }),
+      )
+    })
+
+    it("refunds nothing once the event started if no tier covers it", () => {
+      const policy = [{ daysBefore: 2, refundPercent: 25 }]
+
+      expect(cancellationService.calculateRefund(booking(-1, policy), "client", now)).toEqual(
+        expect.objectContaining({ percent: 0, amount: 0, rule: "No refund after the event started" }),
+      )
+    })
+
+    it("always refunds in full when the partner cancels", () => {
+      expect(cancellationService.calculateRefund(booking(1), "partner", now)).toEqual(
+        expect.objectContaining({ percent: 100, amount: 3000, rule: "Cancelled by the partner" }),
+      )
+    })
+
+    it("rounds refunds to the paisa", () => {
+      const refund = cancellationService.calculateRefund({ ...booking(10), amountPaid: 999.99 }, "client", now)
+
+      expect(refund.amount).toBe(500)
+    })
+  })
+})
@@ -0,0 +1,71 @@
+jest.mock("../../models/CommissionRule", () => ({ find: jest.fn() }))
+
+const CommissionRule = require("../../models/CommissionRule")
+const commissionService = require("../../services/commissionService")
+const { DEFAULT_COMMISSION_PERCENT } = require("../../services/commissionService")
+
+describe("commissionService", () => {
+  const mockRules = (rules) => {
+    CommissionRule.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(rules) })
+  }
+
+  const featured = { _id: "rule_featured", type: "featured", percent: 5 }
+  const gold = { _id: "rule_gold", type: "tier", tier: "gold", percent: 8 }
+  const wedding = { _id: "rule_wedding", type: "category", category: "wedding", percent: 12 }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("resolveRate", () => {
+    it("only looks up the rules that can apply to the partner and category", async () => {
+      mockRules([])
+
+      await commissionService.resolveRate({ isFeatured: false }, "wedding")
+
+      expect(CommissionRule.find).toHaveBeenCalledWith({
+        isActive: true,
+        $or: [
+          { type: "tier", tier: "standard" },
+          { type: "category", category: "wedding" },
+        ],
+      })
+    })
+
+    it("prefers featured rules over tier rules over category rules", async () => {
+      mockRules([wedding, gold, featured])
+      expect(await commissionService.resolveRate({ isFeatured: true, tier: "gold" }, "wedding")).toEqual({
+        percent: 5,
+        ruleId: "rule_featured",
+      })
+
+      mockRules([wedding, gold])
+      expect(await commissionService.resolveRate({ isFeatured: false, tier: "gold" }, "wedding")).toEqual({
+        percent: 8,
+        ruleId: "rule_gold",
+      })
+
+      mockRules([wedding])
+      expect(await commissionService.resolveRate({ tier: "silver" }, "wedding")).toEqual({
+        percent: 12,
+        ruleId: "rule_wedding",
+      })
+    })
+
+    it("falls back to the default rate", async () => {
+      mockRules([])
+
+      expect(await commissionService.resolveRate({ tier: "gold" })).toEqual({
+        percent: DEFAULT_COMMISSION_PERCENT,
+        ruleId: undefined,
+      })
+    })
+  })
+
+  describe("calculate", () => {
+    it("rounds the commission to cents", () => {
+      expect(commissionService.calculate(999.99, 12.5)).toBe(125)
+      expect(commissionService.calculate(3000, 15)).toBe(450)
+    })
+  })
+})
@@ -0,0 +1,168 @@
+jest.mock("../../models/Inquiry", () => ({ find: jest.fn(), findOne: jest.fn(), findOneAndUpdate: jest.fn() }))
+jest.mock("../../services/availabilityService", () => ({ releaseForInquiry: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const Inquiry = require("../../models/Inquiry")
+const availabilityService = require("../../services/availabilityService")
+const inquiryStatusService = require("../../services/inquiryStatusService")
+const { InquiryTransitionError, SYSTEM_ACTOR } = require("../../services/inquiryStatusService")
+
+describe("inquiryStatusService", () => {
+  const client = { userId: "client_1", role: "client" }
+  const partner = { userId: "partner_user_1", role: "partner" }
+
+  const mockStatus = (status) => {
+    Inquiry.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(status && { _id: "inquiry_1", status }) })
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("canTransition", () => {
+    it("only lets the roles of a transition trigger it", () => {
+      expect(inquiryStatusService.canTransition("assigned", "responded", "partner")).toBe(true)
+      expect(inquiryStatusService.canTransition("assigned", "responded", "client")).toBe(false)
+      expect(inquiryStatusService.canTransition("responded", "booked", "client")).toBe(true)
+      expect(inquiryStatusService.canTransition("responded", "booked", "partner")).toBe(false)
+    })
+
+    it("leaves booked inquiries to the system and ends at closed and cancelled", () => {
+      expect(inquiryStatusService.canTransition("booked", "cancelled", "client")).toBe(false)
+      expect(inquiryStatusService.canTransition("booked", "cancelled", "system")).toBe(true)
+      expect(inquiryStatusService.canTransition("closed", "new", "admin")).toBe(false)
+      expect(inquiryStatusService.canTransition("cancelled", "assigned", "system")).toBe(false)
+      expect(inquiryStatusService.canTransition("unknown", "closed", "admin")).toBe(false)
+    })
+  })
+
+  describe("getAvailableTransitions", () => {
+    it("lists the other statuses a role can move to", () => {
+      expect(inquiryStatusService.getAvailableTransitions("negotiating", "client")).toEqual([
+        "responded",
+        "booked",
+        "cancelled",
+      ])
+      expect(inquiryStatusService.getAvailableTransitions("closed", "admin")).toEqual([])
+    })
+  })
+
+  describe("transition", () => {
+    it("guards the update on the validated status and records the change", async () => {
+      mockStatus("assigned")
+      const updated = { _id: "inquiry_1", status: "responded" }
+      Inquiry.findOneAndUpdate.mockResolvedValue(updated)
+
+      const result = await inquiryStatusService.transition("inquiry_1", "responded", {
+        actor: partner,
+        reason: "Quotation sent",
+        filter: { "assignedPartners.partnerId": "partner_1" },
+        update: { $set: { "assignedPartners.$.response": { status: "interested" } } },
+      })
+
+      expect(result).toBe(updated)
+      expect(Inquiry.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "inquiry_1", "assignedPartners.partnerId": "partner_1", status: "assigned" },
+        {
+          $set: { "assignedPartners.$.response": { status: "interested" }, status: "responded" },
+          $push: {
+            statusHistory: expect.objectContaining({
+              from: "assigned",
+              to: "responded",
+              changedBy: "partner_user_1",
+              actorRole: "partner",
+              reason: "Quotation sent",
+            }),
+          },
+        },
+        { new: true, runValidators: true },
+      )
+    })
+
+    it("doesn't add a history entry when the status stays the same", async () => {
+      mockStatus("responded")
+      Inquiry.findOneAndUpdate.mockResolvedValue({ _id: "inquiry_1", status: "responded" })
+
+      await inquiryStatusService.transition("inquiry_1", "responded", { actor: partner })
+
+      expect(Inquiry.findOneAndUpdate.mock.calls[0][1].$push).toBeUndefined()
+    })
+
+    it("rejects transitions the state machine doesn't allow", async () => {
+      mockStatus("new")
+
+      await expect(inquiryStatusService.transition("inquiry_1", "booked", { actor: client })).rejects.toEqual(
+        expect.objectContaining({ name: "InquiryTransitionError", statusCode: 409 }),
+      )
+      expect(Inquiry.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it("fails when the status changed between reading and updating", async () => {
+      mockStatus("responded")
+      Inquiry.findOneAndUpdate.mockResolvedValue(null)
+
+      await expect(inquiryStatusService.transition("inquiry_1", "booked", { actor: client })).rejects.toBeInstanceOf(
+        InquiryTransitionError,
+      )
+    })
+
+    it("returns null when no inquiry matches the filter", async () => {
+      mockStatus(null)
+
+      expect(await inquiryStatusService.transition("inquiry_1", "cancelled", { actor: client })).toBeNull()
+    })
+
+    it("frees the partner's calendar when a booked inquiry is cancelled", async () => {
+      mockStatus("booked")
+      Inquiry.findOneAndUpdate.mockResolvedValue({ _id: "inquiry_1", status: "cancelled" })
+
+      await inquiryStatusService.transition("inquiry_1", "cancelled", { actor: SYSTEM_ACTOR })
+
+      expect(availabilityService.releaseForInquiry).toHaveBeenCalledWith("inquiry_1")
+    })
+  })
+
+  describe("revert", () => {
+    it("moves the inquiry back only while it still has the status the transition set", async () => {
+      Inquiry.findOneAndUpdate.mockResolvedValue({ _id: "inquiry_1", status: "responded" })
+
+      await inquiryStatusService.revert("inquiry_1", "responded", "booked", {
+        reason: "Booking could not be completed",
+        filter: { "assignedPartners.partnerId": "partner_1" },
+        update: { $unset: { selectedPartner: "" } },
+      })
+
+      expect(Inquiry.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "inquiry_1", "assignedPartners.partnerId": "partner_1", status: "booked" },
+        {
+          $unset: { selectedPartner: "" },
+          $set: { status: "responded" },
+          $push: {
+            statusHistory: expect.objectContaining({ from: "booked", to: "responded", actorRole: "system" }),
+          },
+        },
+        { new: true },
+      )
+    })
+  })
+
+  describe("closePastEvents", () => {
+    it("closes open inquiries whose event is over and skips ones changed meanwhile", async () => {
+      Inquiry.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: "inquiry_1" }, { _id: "inquiry_2" }]),
+      })
+      const transition = jest
+        .spyOn(inquiryStatusService, "transition")
+        .mockResolvedValueOnce({ _id: "inquiry_1", status: "closed" })
+        .mockRejectedValueOnce(new InquiryTransitionError("Inquiry status changed in the meantime, please retry"))
+
+      expect(await inquiryStatusService.closePastEvents()).toBe(1)
+      expect(Inquiry.find).toHaveBeenCalledWith({
+        status: { $in: ["new", "assigned", "responded", "negotiating"] },
+        "eventDetails.eventDate": { $lt: expect.any(Date) },
+      })
+      expect(transition).toHaveBeenCalledWith("inquiry_2", "closed", expect.objectContaining({ actor: SYSTEM_ACTOR }))
+      transition.mockRestore()
+    })
+  })
+})
@@ -0,0 +1,148 @@
+jest.mock("../../models/Invoice", () => ({ findOne: jest.fn(), create: jest.fn() }))
+jest.mock("../../models/Payment", () => ({ findOneAndUpdate: jest.fn(), findById: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../models/Counter", () => ({ next: jest.fn() }))
+jest.mock("../../models/Booking", () => ({ findById: jest.fn() }))
+jest.mock("../../models/Partner", () => ({ findById: jest.fn() }))
+jest.mock("../../models/User", () => ({ findById: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const Invoice = require("../../models/Invoice")
+const Payment = require("../../models/Payment")
+const Counter = require("../../models/Counter")
+const Booking = require("../../models/Booking")
+const Partner = require("../../models/Partner")
+const User = require("../../models/User")
+const invoiceService = require("../../services/invoiceService")
+
+describe("invoiceService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("nextInvoiceNumber", () => {
+    it("numbers invoices per financial year starting in April", async () => {
+      Counter.next.mockResolvedValue(42)
+
+      expect(await invoiceService.nextInvoiceNumber(new Date(2027, 2, 31))).toBe("PX/26-27/00042")
+      expect(Counter.next).toHaveBeenCalledWith("invoice:26-27")
+      expect(await invoiceService.nextInvoiceNumber(new Date(2027, 3, 1))).toBe("PX/27-28/00042")
+    })
+  })
+
+  describe("reserveInvoiceNumber", () => {
+    it("takes a number only after claiming the payment and keeps it on the payment", async () => {
+      Payment.findOneAndUpdate.mockResolvedValue({ _id: "payment_1" })
+      Counter.next.mockResolvedValue(7)
+
+      const reserved = await invoiceService.reserveInvoiceNumber("payment_1")
+
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: "payment_1",
+          invoiceNumber: { $exists: false },
+          invoiceClaimedAt: { $not: { $gt: expect.any(Date) } },
+        },
+        { $set: { invoiceClaimedAt: reserved.issuedAt } },
+      )
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "payment_1" },
+        { $set: { invoiceNumber: reserved.invoiceNumber } },
+      )
+      expect(reserved.invoiceNumber).toMatch(/^PX\/\d{2}-\d{2}\/00007$/)
+    })
+
+    it("reuses the number a failed earlier attempt reserved", async () => {
+      const claimedAt = new Date("2030-01-01")
+      Payment.findOneAndUpdate.mockResolvedValue(null)
+      Payment.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ invoiceNumber: "PX/29-30/00007", invoiceClaimedAt: claimedAt }),
+      })
+
+      expect(await invoiceService.reserveInvoiceNumber("payment_1")).toEqual({
+        invoiceNumber: "PX/29-30/00007",
+        issuedAt: claimedAt,
+      })
+      expect(Counter.next).not.toHaveBeenCalled()
+    })
+
+    it("leaves the payment to the worker holding the claim", async () => {
+      Payment.findOneAndUpdate.mockResolvedValue(null)
+      Payment.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ invoiceClaimedAt: new Date() }) })
+
+      expect(await invoiceService.reserveInvoiceNumber("payment_1")).toBeNull()
+      expect(Counter.next).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("createForPayment", () => {
+    const payment = {
+      _id: "payment_1",
+      bookingId: "booking_1",
+      partnerId: "partner_1",
+      clientId: "client_1",
+      type: "deposit",
+      amount: 11800,
+    }
+
+    beforeEach(() => {
+      Invoice.findOne.mockResolvedValue(null)
+      Booking.findById.mockResolvedValue({
+        quote: { gstRate: 18 },
+        schedule: { eventDate: new Date("2030-01-10"), state: "Karnataka" },
+      })
+      Partner.findById.mockResolvedValue({
+        businessInfo: { businessName: "Studio One" },
+        documents: { gstNumber: "29ABCDE1234F1Z5" },
+        location: { city: "Bengaluru", state: "Karnataka" },
+      })
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ email: "client@example.com" }) })
+      jest
+        .spyOn(invoiceService, "reserveInvoiceNumber")
+        .mockResolvedValue({ invoiceNumber: "PX/29-30/00007", issuedAt: new Date("2030-01-01") })
+    })
+
+    afterEach(() => {
+      invoiceService.reserveInvoiceNumber.mockRestore()
+    })
+
+    it("issues the invoice under the reserved number", async () => {
+      Invoice.create.mockImplementation((invoice) => Promise.resolve(invoice))
+
+      const invoice = await invoiceService.createForPayment(payment)
+
+      expect(invoice).toEqual(
+        expect.objectContaining({
+          invoiceNumber: "PX/29-30/00007",
+          type: "tax_invoice",
+          issuedAt: new Date("2030-01-01"),
+          taxableAmount: 10000,
+          cgst: 900,
+          sgst: 900,
+        }),
+      )
+    })
+
+    it("returns an existing invoice without reserving a number", async () => {
+      const existing = { invoiceNumber: "PX/29-30/00001" }
+      Invoice.findOne.mockResolvedValue(existing)
+
+      expect(await invoiceService.createForPayment(payment)).toBe(existing)
+      expect(invoiceService.reserveInvoiceNumber).not.toHaveBeenCalled()
+    })
+
+    it("returns the invoice another worker issued in the meantime", async () => {
+      const issued = { invoiceNumber: "PX/29-30/00007" }
+      Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(issued)
+      Invoice.create.mockRejectedValue(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }))
+
+      expect(await invoiceService.createForPayment(payment)).toBe(issued)
+    })
+
+    it("doesn't reserve a number when the invoice details can't be worked out", async () => {
+      Partner.findById.mockResolvedValue(null)
+
+      await expect(invoiceService.createForPayment(payment)).rejects.toThrow(TypeError)
+      expect(invoiceService.reserveInvoiceNumber).not.toHaveBeenCalled()
+    })
+  })
+})
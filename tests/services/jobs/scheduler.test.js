@@ -0,0 +1,95 @@
+jest.mock("../../../models/JobLock", () => ({ findOneAndUpdate: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const JobLock = require("../../../models/JobLock")
+const scheduler = require("../../../services/jobs/scheduler")
+
+describe("JobScheduler", () => {
+  const HOUR = 60 * 60 * 1000
+  const handler = jest.fn()
+
+  beforeAll(() => {
+    scheduler.register("hourly-job", HOUR, handler)
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    JobLock.updateOne.mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    scheduler.stop()
+  })
+
+  describe("run", () => {
+    it("only takes due jobs and schedules the next run when taking one", async () => {
+      JobLock.findOneAndUpdate.mockResolvedValue({ name: "hourly-job" })
+
+      expect(await scheduler.run("hourly-job")).toBe(true)
+
+      const [filter, update, options] = JobLock.findOneAndUpdate.mock.calls[0]
+      expect(filter).toEqual({
+        name: "hourly-job",
+        nextRunAt: { $not: { $gt: expect.any(Date) } },
+        lockedUntil: { $not: { $gt: expect.any(Date) } },
+      })
+      expect(update.$set.nextRunAt.getTime() - filter.nextRunAt.$not.$gt.getTime()).toBe(HOUR)
+      expect(update.$set.lockedUntil.getTime()).toBeLessThan(update.$set.nextRunAt.getTime())
+      expect(options).toEqual({ upsert: true, new: true })
+      expect(handler).toHaveBeenCalledTimes(1)
+    })
+
+    it("releases the lease and records the run once it finished", async () => {
+      JobLock.findOneAndUpdate.mockResolvedValue({ name: "hourly-job" })
+      handler.mockRejectedValueOnce(new Error("Database unavailable"))
+
+      expect(await scheduler.run("hourly-job")).toBe(true)
+      expect(JobLock.updateOne).toHaveBeenCalledWith(
+        { name: "hourly-job", lockedBy: scheduler.instanceId },
+        {
+          $set: expect.objectContaining({
+            lockedUntil: expect.any(Date),
+            lastRunAt: expect.any(Date),
+            lastError: "Database unavailable",
+          }),
+        },
+      )
+    })
+
+    it("skips jobs that aren't due or run elsewhere without touching their lock", async () => {
+      JobLock.findOneAndUpdate.mockRejectedValue(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }))
+
+      expect(await scheduler.run("hourly-job")).toBe(false)
+      expect(handler).not.toHaveBeenCalled()
+      expect(JobLock.updateOne).not.toHaveBeenCalled()
+    })
+
+    it("doesn't start a job again while it is still running", async () => {
+      let finish
+      JobLock.findOneAndUpdate.mockResolvedValue({ name: "hourly-job" })
+      handler.mockImplementationOnce(() => new Promise((resolve) => (finish = resolve)))
+
+      const first = scheduler.run("hourly-job")
+      expect(await scheduler.run("hourly-job")).toBe(false)
+
+      await new Promise(setImmediate)
+      finish()
+      expect(await first).toBe(true)
+      expect(handler).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe("start", () => {
+    it("checks for due jobs right away instead of waiting a full interval", () => {
+      JobLock.findOneAndUpdate.mockResolvedValue(null)
+
+      scheduler.start()
+
+      expect(JobLock.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "hourly-job" }),
+        expect.anything(),
+        expect.anything(),
+      )
+    })
+  })
+})
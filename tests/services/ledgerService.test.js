@@ -0,0 +1,182 @@
+jest.mock("mongoose", () => ({ Types: { ObjectId: jest.fn((id) => id) } }), { virtual: true })
+jest.mock("../../models/LedgerEntry", () => ({ insertMany: jest.fn(), aggregate: jest.fn() }))
+jest.mock("../../models/Payment", () => ({ find: jest.fn(), findByIdAndUpdate: jest.fn() }))
+jest.mock("../../models/Partner", () => ({ findById: jest.fn() }))
+jest.mock("../../models/Inquiry", () => ({ findById: jest.fn() }))
+jest.mock("../../models/CommissionRule", () => ({ find: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const LedgerEntry = require("../../models/LedgerEntry")
+const Payment = require("../../models/Payment")
+const Partner = require("../../models/Partner")
+const Inquiry = require("../../models/Inquiry")
+const CommissionRule = require("../../models/CommissionRule")
+const logger = require("../../utils/logger")
+const ledgerService = require("../../services/ledgerService")
+
+describe("ledgerService", () => {
+  const payment = {
+    _id: "payment_1",
+    partnerId: "partner_1",
+    bookingId: "booking_1",
+    inquiryId: "inquiry_1",
+    type: "deposit",
+    amount: 2700,
+    promoSubsidy: 300,
+  }
+
+  const mockPartner = (partner) => {
+    Partner.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(partner) })
+    Inquiry.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ category: "wedding" }) })
+  }
+
+  const mockRules = (rules) => {
+    CommissionRule.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(rules) })
+  }
+
+  const postedLines = () => LedgerEntry.insertMany.mock.calls[0][0]
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("post", () => {
+    it("writes the lines of a balanced transaction and drops empty ones", async () => {
+      LedgerEntry.insertMany.mockResolvedValue([])
+
+      const posted = await ledgerService.post(
+        "payment:payment_1",
+        "payment",
+        [
+          { account: "cash", debit: 100 },
+          { account: "promotions", debit: 0 },
+          { account: "commission", credit: 10 },
+          { account: "partner_pending", credit: 90 },
+        ],
+        { partnerId: "partner_1" },
+      )
+
+      expect(posted).toBe(true)
+      expect(postedLines()).toHaveLength(3)
+      expect(postedLines()[0]).toEqual({
+        partnerId: "partner_1",
+        account: "cash",
+        transactionId: "payment:payment_1",
+        type: "payment",
+        debit: 100,
+        credit: 0,
+      })
+    })
+
+    it("refuses transactions whose debits and credits differ", async () => {
+      await expect(
+        ledgerService.post("payment:payment_1", "payment", [
+          { account: "cash", debit: 100 },
+          { account: "partner_pending", credit: 99 },
+        ]),
+      ).rejects.toThrow("Unbalanced ledger transaction payment:payment_1")
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled()
+    })
+
+    it("posts a transaction only once", async () => {
+      LedgerEntry.insertMany.mockRejectedValue(Object.assign(new Error("duplicate key"), { code: 11000 }))
+
+      expect(
+        await ledgerService.post("payment:payment_1", "payment", [
+          { account: "cash", debit: 100 },
+          { account: "partner_pending", credit: 100 },
+        ]),
+      ).toBe(false)
+    })
+  })
+
+  describe("recordPayment", () => {
+    it("charges commission on the undiscounted amount and books the subsidy as a promotion", async () => {
+      mockPartner({ _id: "partner_1", tier: "standard" })
+      mockRules([{ _id: "rule_1", type: "category", category: "wedding", percent: 15 }])
+      LedgerEntry.insertMany.mockResolvedValue([])
+      Payment.findByIdAndUpdate.mockResolvedValue({ ...payment, commission: { percent: 15, amount: 450 } })
+
+      await ledgerService.recordPayment(payment)
+
+      expect(postedLines()).toEqual([
+        expect.objectContaining({ account: "cash", debit: 2700 }),
+        expect.objectContaining({ account: "promotions", debit: 300 }),
+        expect.objectContaining({ account: "commission", credit: 450 }),
+        expect.objectContaining({ account: "partner_pending", credit: 2550 }),
+      ])
+      expect(Payment.findByIdAndUpdate).toHaveBeenCalledWith(
+        "payment_1",
+        { $set: { commission: { percent: 15, amount: 450, ruleId: "rule_1" } } },
+        { new: true },
+      )
+    })
+
+    it("leaves payments that already have a commission alone", async () => {
+      const booked = { ...payment, commission: { percent: 10, amount: 300 } }
+
+      expect(await ledgerService.recordPayment(booked)).toBe(booked)
+      expect(Partner.findById).not.toHaveBeenCalled()
+    })
+
+    it("skips the payment when its partner no longer exists", async () => {
+      mockPartner(null)
+
+      expect(await ledgerService.recordPayment(payment)).toBeNull()
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled()
+      expect(logger.error).toHaveBeenCalled()
+    })
+  })
+
+  describe("recordRefund", () => {
+    it("takes the refund back in the payment's commission ratio, subsidy included", async () => {
+      const booked = { ...payment, commission: { percent: 15, amount: 450 } }
+      LedgerEntry.insertMany.mockResolvedValue([])
+
+      expect(await ledgerService.recordRefund(booked, 900, "rfnd_1")).toBe(true)
+      expect(postedLines()).toEqual([
+        expect.objectContaining({ account: "partner_pending", debit: 850, transactionId: "refund:rfnd_1" }),
+        expect.objectContaining({ account: "commission", debit: 150 }),
+        expect.objectContaining({ account: "cash", credit: 900 }),
+        expect.objectContaining({ account: "promotions", credit: 100 }),
+      ])
+    })
+
+    it("doesn't book a refund of a payment that couldn't be booked", async () => {
+      mockPartner(null)
+
+      expect(await ledgerService.recordRefund(payment, 900, "rfnd_1")).toBe(false)
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("recordMissingPayments", () => {
+    it("keeps going past payments that can't be booked and counts the ones that were", async () => {
+      Payment.find.mockResolvedValue([{ _id: "payment_1" }, { _id: "payment_2" }, { _id: "payment_3" }])
+      const recordPayment = jest
+        .spyOn(ledgerService, "recordPayment")
+        .mockRejectedValueOnce(new Error("write failed"))
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: "payment_3" })
+
+      expect(await ledgerService.recordMissingPayments()).toBe(1)
+      expect(recordPayment).toHaveBeenCalledTimes(3)
+      expect(logger.error).toHaveBeenCalledWith(
+        "Error booking missing payment payment_1 in the ledger:",
+        expect.any(Error),
+      )
+      recordPayment.mockRestore()
+    })
+  })
+
+  describe("getAccountBalances", () => {
+    it("reports debit accounts by what they hold and the rest by what they owe", async () => {
+      LedgerEntry.aggregate.mockResolvedValue([
+        { _id: "cash", debit: 3000, credit: 900 },
+        { _id: "commission", debit: 150, credit: 450 },
+      ])
+
+      expect(await ledgerService.getAccountBalances()).toEqual({ cash: 2100, commission: 300 })
+    })
+  })
+})
@@ -0,0 +1,186 @@
+jest.mock("../../models/Inquiry", () => ({ findOne: jest.fn() }))
+jest.mock("../../services/quotationService", () => ({
+  getActive: jest.fn(),
+  buildVersion: jest.fn(),
+  publishVersion: jest.fn((quote, recordResponse) => recordResponse(quote)),
+  toResponseSummary: jest.fn(() => ({ quotationVersion: 3 })),
+  getServicePrice: jest.fn(() => 8000),
+}))
+jest.mock("../../services/inquiryStatusService", () => ({ transition: jest.fn() }))
+
+const Inquiry = require("../../models/Inquiry")
+const quotationService = require("../../services/quotationService")
+const inquiryStatusService = require("../../services/inquiryStatusService")
+const negotiationService = require("../../services/negotiationService")
+const { NegotiationError } = require("../../services/negotiationService")
+
+describe("negotiationService", () => {
+  const partner = { _id: "partner_1" }
+  const current = {
+    version: 2,
+    items: [{ description: "Full day", quantity: 1, unitPrice: 10000 }],
+    travelFee: 500,
+    terms: "50% upfront",
+  }
+
+  const assignment = (partnerId, status, log = []) => ({ partnerId, negotiation: { status, log } })
+  const mockInquiry = (...assignedPartners) => Inquiry.findOne.mockResolvedValue({ _id: "inquiry_1", assignedPartners })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("clientRespond", () => {
+    it("counters the current quotation and waits for the partner", async () => {
+      mockInquiry(assignment("partner_1", "none"))
+      quotationService.getActive.mockResolvedValue(current)
+
+      await negotiationService.clientRespond("inquiry_1", "client_1", "partner_1", {
+        action: "counter",
+        price: 8000,
+        message: "Can you do 8000?",
+      })
+
+      expect(inquiryStatusService.transition).toHaveBeenCalledWith(
+        "inquiry_1",
+        "negotiating",
+        expect.objectContaining({
+          actor: { userId: "client_1", role: "client" },
+          update: {
+            $set: { "assignedPartners.$.negotiation.status": "awaiting_partner" },
+            $push: {
+              "assignedPartners.$.negotiation.log": expect.objectContaining({
+                by: "client",
+                action: "counter",
+                price: 8000,
+                quotationVersion: 2,
+              }),
+            },
+          },
+        }),
+      )
+    })
+
+    it("doesn't let the client offer again before the partner replied", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_partner"))
+
+      await expect(
+        negotiationService.clientRespond("inquiry_1", "client_1", "partner_1", { action: "counter", price: 7000 }),
+      ).rejects.toBeInstanceOf(NegotiationError)
+      expect(inquiryStatusService.transition).not.toHaveBeenCalled()
+    })
+
+    it("only lets the client reject a partner's counter-offer", async () => {
+      mockInquiry(assignment("partner_1", "none"))
+
+      await expect(
+        negotiationService.clientRespond("inquiry_1", "client_1", "partner_1", { action: "reject" }),
+      ).rejects.toEqual(expect.objectContaining({ message: "There is no counter-offer from the partner to reject" }))
+    })
+
+    it("settles on negotiating while another partner's negotiation is still open", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_client"), assignment("partner_2", "awaiting_partner"))
+      quotationService.getActive.mockResolvedValue(current)
+
+      await negotiationService.clientRespond("inquiry_1", "client_1", "partner_1", { action: "reject" })
+
+      expect(inquiryStatusService.transition).toHaveBeenCalledWith("inquiry_1", "negotiating", expect.anything())
+    })
+
+    it("requires a quotation to negotiate", async () => {
+      mockInquiry(assignment("partner_1", "none"))
+      quotationService.getActive.mockResolvedValue(null)
+
+      await expect(
+        negotiationService.clientRespond("inquiry_1", "client_1", "partner_1", { action: "counter", price: 8000 }),
+      ).rejects.toEqual(expect.objectContaining({ message: "Partner has not sent a quotation yet" }))
+    })
+  })
+
+  describe("partnerRespond", () => {
+    const offer = { by: "client", action: "counter", price: 8000, quotationVersion: 2 }
+
+    it("publishes a version at the client's price when the partner accepts", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_partner", [offer]))
+      quotationService.getActive.mockResolvedValue(current)
+      const quote = { _id: "quote_3", version: 3 }
+      quotationService.buildVersion.mockResolvedValue(quote)
+      const updated = { _id: "inquiry_1", status: "responded" }
+      inquiryStatusService.transition.mockResolvedValue(updated)
+
+      const result = await negotiationService.partnerRespond("inquiry_1", partner, "partner_user_1", {
+        action: "accept",
+      })
+
+      expect(quotationService.buildVersion).toHaveBeenCalledWith(
+        expect.anything(),
+        partner,
+        expect.objectContaining({
+          items: [{ description: "Negotiated price", unitPrice: 8000 }],
+          travelFee: 500,
+          terms: "50% upfront",
+        }),
+      )
+      expect(quotationService.publishVersion).toHaveBeenCalledWith(quote, expect.any(Function))
+      expect(inquiryStatusService.transition).toHaveBeenCalledWith(
+        "inquiry_1",
+        "responded",
+        expect.objectContaining({
+          update: expect.objectContaining({
+            $set: {
+              "assignedPartners.$.negotiation.status": "agreed",
+              "assignedPartners.$.response": { quotationVersion: 3 },
+            },
+          }),
+        }),
+      )
+      expect(result).toEqual({ inquiry: updated, quotation: quote })
+    })
+
+    it("keeps the current items when the client only asked for a scope change", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_partner", [{ ...offer, price: null }]))
+      quotationService.getActive.mockResolvedValue(current)
+      quotationService.buildVersion.mockResolvedValue({ _id: "quote_3", version: 3 })
+      inquiryStatusService.transition.mockResolvedValue({ _id: "inquiry_1" })
+
+      await negotiationService.partnerRespond("inquiry_1", partner, "partner_user_1", { action: "accept" })
+
+      expect(quotationService.buildVersion.mock.calls[0][2].items).toEqual(current.items)
+    })
+
+    it("rejects without publishing a new version", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_partner", [offer]))
+      quotationService.getActive.mockResolvedValue(current)
+      inquiryStatusService.transition.mockResolvedValue({ _id: "inquiry_1" })
+
+      const result = await negotiationService.partnerRespond("inquiry_1", partner, "partner_user_1", {
+        action: "reject",
+      })
+
+      expect(quotationService.publishVersion).not.toHaveBeenCalled()
+      expect(inquiryStatusService.transition.mock.calls[0][2].update.$push).toEqual({
+        "assignedPartners.$.negotiation.log": expect.objectContaining({ action: "reject", quotationVersion: 2 }),
+      })
+      expect(result.quotation).toBeNull()
+    })
+
+    it("requires a client offer waiting for the partner", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_client", [offer]))
+
+      await expect(
+        negotiationService.partnerRespond("inquiry_1", partner, "partner_user_1", { action: "accept" }),
+      ).rejects.toBeInstanceOf(NegotiationError)
+    })
+
+    it("returns null when the inquiry didn't record the reply", async () => {
+      mockInquiry(assignment("partner_1", "awaiting_partner", [offer]))
+      quotationService.getActive.mockResolvedValue(current)
+      quotationService.buildVersion.mockResolvedValue({ _id: "quote_3", version: 3 })
+      inquiryStatusService.transition.mockResolvedValue(null)
+
+      expect(
+        await negotiationService.partnerRespond("inquiry_1", partner, "partner_user_1", { action: "counter" }),
+      ).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,279 @@
+jest.mock("../../models/Payment", () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  insertMany: jest.fn((payments) => Promise.resolve(payments)),
+  exists: jest.fn(),
+}))
+jest.mock("../../models/Booking", () => ({ updateOne: jest.fn() }))
+jest.mock("../../services/ledgerService", () => ({ recordPayment: jest.fn(), recordRefund: jest.fn() }))
+jest.mock("../../services/invoiceService", () => ({ createForPayment: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const Payment = require("../../models/Payment")
+const Booking = require("../../models/Booking")
+const ledgerService = require("../../services/ledgerService")
+const invoiceService = require("../../services/invoiceService")
+const paymentService = require("../../services/paymentService")
+const { PaymentError } = require("../../services/paymentService")
+const { getGateway } = require("../../services/payments")
+
+describe("paymentService", () => {
+  const gateway = getGateway()
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("createPaymentPlan", () => {
+    const booking = (quote) => ({
+      _id: "booking_1",
+      inquiryId: "inquiry_1",
+      clientId: "client_1",
+      partnerId: "partner_1",
+      quote,
+      schedule: { start: new Date("2030-01-10") },
+    })
+
+    it("splits the total into a 30% deposit and the balance due at the event", async () => {
+      const [deposit, milestone] = await paymentService.createPaymentPlan(booking({ total: 10000 }))
+
+      expect(deposit).toEqual(expect.objectContaining({ type: "deposit", amount: 3000, promoSubsidy: 0 }))
+      expect(milestone).toEqual(
+        expect.objectContaining({ type: "milestone", amount: 7000, dueBy: new Date("2030-01-10") }),
+      )
+    })
+
+    it("spreads a promo discount over the payments like the total", async () => {
+      const [deposit, milestone] = await paymentService.createPaymentPlan(booking({ total: 9000, promoDiscount: 1000 }))
+
+      expect(deposit).toEqual(expect.objectContaining({ amount: 2700, promoSubsidy: 300 }))
+      expect(milestone).toEqual(expect.objectContaining({ amount: 6300, promoSubsidy: 700 }))
+    })
+
+    it("keeps rounded amounts adding up to the total", async () => {
+      const [deposit, milestone] = await paymentService.createPaymentPlan(
+        booking({ total: 999.99, promoDiscount: 33.33 }),
+      )
+
+      expect(deposit.amount).toBe(300)
+      expect(milestone.amount).toBe(699.99)
+      expect(deposit.promoSubsidy + milestone.promoSubsidy).toBeCloseTo(33.33, 2)
+    })
+  })
+
+  describe("confirmCheckout", () => {
+    const payment = { _id: "payment_1", gatewayOrderId: "order_1", status: "processing" }
+
+    it("marks the payment paid when the checkout signature is valid", async () => {
+      Payment.findOne.mockResolvedValue(payment)
+      const applyStatus = jest.spyOn(paymentService, "applyStatus").mockResolvedValue({ status: "paid" })
+
+      await paymentService.confirmCheckout("payment_1", "client_1", {
+        gatewayPaymentId: "pay_1",
+        signature: gateway.signPayment("order_1", "pay_1"),
+      })
+
+      expect(applyStatus).toHaveBeenCalledWith(payment, "paid", expect.objectContaining({ gatewayPaymentId: "pay_1" }))
+      applyStatus.mockRestore()
+    })
+
+    it("rejects a signature for another order", async () => {
+      Payment.findOne.mockResolvedValue(payment)
+
+      await expect(
+        paymentService.confirmCheckout("payment_1", "client_1", {
+          gatewayPaymentId: "pay_1",
+          signature: gateway.signPayment("order_2", "pay_1"),
+        }),
+      ).rejects.toEqual(expect.objectContaining({ name: "PaymentError", statusCode: 400 }))
+    })
+
+    it("rejects payments that were never started", async () => {
+      Payment.findOne.mockResolvedValue({ _id: "payment_1", status: "pending" })
+
+      await expect(
+        paymentService.confirmCheckout("payment_1", "client_1", { gatewayPaymentId: "pay_1", signature: "x" }),
+      ).rejects.toBeInstanceOf(PaymentError)
+    })
+  })
+
+  describe("handleWebhook", () => {
+    const captured = JSON.stringify({
+      event: "payment.captured",
+      payload: { payment: { entity: { id: "pay_1", order_id: "order_1" } } },
+    })
+
+    it("rejects unsigned webhooks", async () => {
+      await expect(
+        paymentService.handleWebhook(Buffer.from(captured), { "x-razorpay-signature": "forged" }, JSON.parse(captured)),
+      ).rejects.toEqual(expect.objectContaining({ statusCode: 400 }))
+      expect(Payment.findOne).not.toHaveBeenCalled()
+    })
+
+    it("applies a signed capture to the payment of the order", async () => {
+      const payment = { _id: "payment_1", amount: 3000, refundedAmount: 0, status: "processing" }
+      Payment.findOne.mockResolvedValue(payment)
+      const applyStatus = jest.spyOn(paymentService, "applyStatus").mockResolvedValue(payment)
+
+      await paymentService.handleWebhook(
+        Buffer.from(captured),
+        { "x-razorpay-signature": gateway.signWebhook(captured) },
+        JSON.parse(captured),
+      )
+
+      expect(Payment.findOne).toHaveBeenCalledWith({ gatewayOrderId: "order_1" })
+      expect(applyStatus).toHaveBeenCalledWith(payment, "paid", expect.objectContaining({ source: "webhook" }))
+      applyStatus.mockRestore()
+    })
+
+    it("leaves partially refunded payments paid", async () => {
+      const refund = JSON.stringify({
+        event: "refund.processed",
+        payload: { refund: { entity: { id: "rfnd_1", payment_id: "pay_1" } } },
+      })
+      const payment = { _id: "payment_1", amount: 3000, refundedAmount: 1000, status: "paid" }
+      Payment.findOne.mockResolvedValue(payment)
+      const applyStatus = jest.spyOn(paymentService, "applyStatus").mockResolvedValue(payment)
+
+      await paymentService.handleWebhook(
+        Buffer.from(refund),
+        { "x-razorpay-signature": gateway.signWebhook(refund) },
+        JSON.parse(refund),
+      )
+
+      expect(Payment.findOne).toHaveBeenCalledWith({ gatewayPaymentId: "pay_1" })
+      expect(applyStatus).toHaveBeenCalledWith(payment, "paid", expect.anything())
+      applyStatus.mockRestore()
+    })
+  })
+
+  describe("applyStatus", () => {
+    const details = { event: "payment.captured", source: "webhook", gatewayPaymentId: "pay_1" }
+
+    it("only moves a payment to paid from statuses that may precede it", async () => {
+      const updated = { _id: "payment_1", status: "paid" }
+      Payment.findOneAndUpdate.mockResolvedValue(updated)
+
+      await paymentService.applyStatus({ _id: "payment_1", status: "processing" }, "paid", details)
+
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "payment_1", status: { $in: ["pending", "processing", "failed"] } },
+        expect.objectContaining({ $set: expect.objectContaining({ status: "paid", gatewayPaymentId: "pay_1" }) }),
+        { new: true },
+      )
+      expect(ledgerService.recordPayment).toHaveBeenCalledWith(updated)
+      expect(invoiceService.createForPayment).toHaveBeenCalledWith(updated)
+    })
+
+    it("only records callbacks that don't fit the flow", async () => {
+      const refunded = { _id: "payment_1", status: "refunded" }
+      Payment.findOneAndUpdate.mockResolvedValue(null)
+      Payment.findById.mockResolvedValue(refunded)
+
+      const result = await paymentService.applyStatus(refunded, "failed", {
+        event: "payment.failed",
+        source: "webhook",
+      })
+
+      expect(result).toBe(refunded)
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "payment_1" },
+        { $push: { events: expect.objectContaining({ event: "payment.failed" }) } },
+      )
+      expect(ledgerService.recordPayment).not.toHaveBeenCalled()
+    })
+
+    it("refunds a payment captured after it was cancelled, once", async () => {
+      const cancelled = { _id: "payment_1", amount: 3000, status: "cancelled", refundedAmount: 0 }
+      Payment.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ ...cancelled, refundedAmount: 3000 })
+        .mockResolvedValueOnce({ ...cancelled, refundedAmount: 3000, refunds: [{ amount: 3000 }] })
+      Payment.findById.mockResolvedValue(cancelled)
+      const refund = jest.spyOn(gateway, "refund")
+
+      const result = await paymentService.applyStatus(cancelled, "paid", details)
+
+      expect(refund).toHaveBeenCalledWith("pay_1", 3000)
+      expect(Payment.findOneAndUpdate).toHaveBeenNthCalledWith(
+        2,
+        { _id: "payment_1", status: "cancelled", refundedAmount: 0 },
+        expect.objectContaining({ $set: { gatewayPaymentId: "pay_1", refundedAmount: 3000 } }),
+        { new: true },
+      )
+      expect(result.refunds).toHaveLength(1)
+      expect(ledgerService.recordPayment).not.toHaveBeenCalled()
+      refund.mockRestore()
+    })
+
+    it("doesn't refund a late capture twice", async () => {
+      const cancelled = { _id: "payment_1", amount: 3000, status: "cancelled", refundedAmount: 3000 }
+      Payment.findOneAndUpdate.mockResolvedValue(null)
+      Payment.findById.mockResolvedValue(cancelled)
+      const refund = jest.spyOn(gateway, "refund")
+
+      await paymentService.applyStatus(cancelled, "paid", details)
+
+      expect(refund).not.toHaveBeenCalled()
+      refund.mockRestore()
+    })
+  })
+
+  describe("syncBooking", () => {
+    const mockPayments = (payments) => {
+      Payment.find.mockReturnValue({ select: jest.fn().mockResolvedValue(payments) })
+    }
+
+    it("reports a paid deposit", async () => {
+      mockPayments([
+        { type: "deposit", amount: 3000, status: "paid", refundedAmount: 0 },
+        { type: "milestone", amount: 7000, status: "pending", refundedAmount: 0 },
+      ])
+
+      const summary = await paymentService.syncBooking("booking_1")
+
+      expect(summary).toEqual({ amountPaid: 3000, amountRefunded: 0, paymentStatus: "deposit_paid" })
+      expect(Booking.updateOne).toHaveBeenCalledWith({ _id: "booking_1" }, { $set: summary })
+    })
+
+    it("reports a booking paid in full", async () => {
+      mockPayments([
+        { type: "deposit", amount: 3000.1, status: "paid", refundedAmount: 0 },
+        { type: "milestone", amount: 7000.2, status: "paid", refundedAmount: 0 },
+      ])
+
+      expect(await paymentService.syncBooking("booking_1")).toEqual({
+        amountPaid: 10000.3,
+        amountRefunded: 0,
+        paymentStatus: "paid",
+      })
+    })
+
+    it("reports partial and full refunds", async () => {
+      mockPayments([
+        { type: "deposit", amount: 3000, status: "paid", refundedAmount: 1500 },
+        { type: "milestone", amount: 7000, status: "paid", refundedAmount: 0 },
+      ])
+      expect((await paymentService.syncBooking("booking_1")).paymentStatus).toBe("partially_refunded")
+
+      mockPayments([
+        { type: "deposit", amount: 3000, status: "refunded", refundedAmount: 3000 },
+        { type: "milestone", amount: 7000, status: "refunded", refundedAmount: 7000 },
+      ])
+      expect((await paymentService.syncBooking("booking_1")).paymentStatus).toBe("refunded")
+    })
+
+    it("reports nothing paid", async () => {
+      mockPayments([{ type: "deposit", amount: 3000, status: "failed", refundedAmount: 0 }])
+
+      expect(await paymentService.syncBooking("booking_1")).toEqual({
+        amountPaid: 0,
+        amountRefunded: 0,
+        paymentStatus: "unpaid",
+      })
+    })
+  })
+})
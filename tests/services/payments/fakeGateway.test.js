@@ -0,0 +1,126 @@
+const FakeGateway = require("../../../services/payments/fakeGateway")
+
+describe("FakeGateway", () => {
+  const gateway = new FakeGateway({ secret: "test_secret" })
+
+  describe("payment signatures", () => {
+    it("accepts the signature Checkout would return", () => {
+      const signature = gateway.signPayment("order_1", "pay_1")
+
+      expect(gateway.verifyPaymentSignature({ orderId: "order_1", paymentId: "pay_1", signature })).toBe(true)
+    })
+
+    it("rejects a signature made for another order or payment", () => {
+      const signature = gateway.signPayment("order_1", "pay_1")
+
+      expect(gateway.verifyPaymentSignature({ orderId: "order_2", paymentId: "pay_1", signature })).toBe(false)
+      expect(gateway.verifyPaymentSignature({ orderId: "order_1", paymentId: "pay_2", signature })).toBe(false)
+    })
+
+    it("rejects a signature made with another secret", () => {
+      const signature = new FakeGateway({ secret: "other_secret" }).signPayment("order_1", "pay_1")
+
+      expect(gateway.verifyPaymentSignature({ orderId: "order_1", paymentId: "pay_1", signature })).toBe(false)
+    })
+
+    it("rejects missing or malformed signatures", () => {
+      expect(gateway.verifyPaymentSignature({ orderId: "order_1", paymentId: "pay_1" })).toBe(false)
+      expect(gateway.verifyPaymentSignature({ orderId: "order_1", paymentId: "pay_1", signature: "abc" })).toBe(false)
+    })
+  })
+
+  describe("webhook signatures", () => {
+    const rawBody = JSON.stringify({ event: "payment.captured", payload: {} })
+
+    it("accepts a body signed with the webhook secret", () => {
+      expect(gateway.verifyWebhookSignature(rawBody, gateway.signWebhook(rawBody))).toBe(true)
+      expect(gateway.verifyWebhookSignature(Buffer.from(rawBody), gateway.signWebhook(rawBody))).toBe(true)
+    })
+
+    it("rejects a body changed after signing", () => {
+      const signature = gateway.signWebhook(rawBody)
+
+      expect(gateway.verifyWebhookSignature(rawBody.replace("captured", "failed"), signature)).toBe(false)
+    })
+
+    it("rejects an empty body", () => {
+      expect(gateway.verifyWebhookSignature("", gateway.signWebhook(""))).toBe(false)
+    })
+  })
+
+  describe("parseWebhookEvent", () => {
+    it("maps captured payments to paid", () => {
+      const event = gateway.parseWebhookEvent({
+        event: "payment.captured",
+        payload: { payment: { entity: { id: "pay_1", order_id: "order_1" } } },
+      })
+
+      expect(event).toEqual(expect.objectContaining({ orderId: "order_1", paymentId: "pay_1", status: "paid" }))
+    })
+
+    it("maps processed refunds to refunded by payment ID", () => {
+      const event = gateway.parseWebhookEvent({
+        event: "refund.processed",
+        payload: { refund: { entity: { id: "rfnd_1", payment_id: "pay_1" } } },
+      })
+
+      expect(event).toEqual(expect.objectContaining({ orderId: undefined, paymentId: "pay_1", status: "refunded" }))
+    })
+
+    it("keeps the failure reason of failed payments", () => {
+      const event = gateway.parseWebhookEvent({
+        event: "payment.failed",
+        payload: { payment: { entity: { id: "pay_1", order_id: "order_1", error_description: "Card declined" } } },
+      })
+
+      expect(event).toEqual(expect.objectContaining({ status: "failed", failureReason: "Card declined" }))
+    })
+
+    it("ignores events that don't change a payment", () => {
+      expect(gateway.parseWebhookEvent({ event: "payment.authorized", payload: {} })).toBeNull()
+    })
+  })
+})
+
+describe("getGateway", () => {
+  const env = { ...process.env }
+
+  afterEach(() => {
+    process.env = { ...env }
+  })
+
+  const loadGateway = () => {
+    let gateway
+    jest.isolateModules(() => {
+      gateway = require("../../../services/payments").getGateway()
+    })
+    return gateway
+  }
+
+  it("uses the fake gateway in tests by default", () => {
+    delete process.env.PAYMENT_GATEWAY
+    process.env.NODE_ENV = "test"
+
+    expect(loadGateway().name).toBe("fake")
+  })
+
+  it("uses Razorpay by default outside development and tests", () => {
+    delete process.env.PAYMENT_GATEWAY
+    delete process.env.NODE_ENV
+
+    expect(loadGateway().name).toBe("razorpay")
+  })
+
+  it("refuses the fake gateway outside development and tests", () => {
+    process.env.PAYMENT_GATEWAY = "fake"
+    process.env.NODE_ENV = "production"
+
+    expect(loadGateway).toThrow("only available when NODE_ENV is development or test")
+  })
+
+  it("refuses unknown gateways", () => {
+    process.env.PAYMENT_GATEWAY = "paypal"
+
+    expect(loadGateway).toThrow("Unknown payment gateway: paypal")
+  })
+})
@@ -0,0 +1,162 @@
+jest.mock("../../models/PromoCode", () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../models/PromoRedemption", () => ({
+  countDocuments: jest.fn(),
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}))
+jest.mock("../../models/Counter", () => ({ findOneAndUpdate: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const PromoCode = require("../../models/PromoCode")
+const PromoRedemption = require("../../models/PromoRedemption")
+const Counter = require("../../models/Counter")
+const promoCodeService = require("../../services/promoCodeService")
+const { PromoCodeError } = require("../../services/promoCodeService")
+
+describe("promoCodeService", () => {
+  const promoCode = {
+    _id: "promo_1",
+    code: "SHOOT10",
+    isActive: true,
+    discountType: "percentage",
+    value: 10,
+    maxDiscount: 500,
+    usageLimit: 100,
+    usedCount: 0,
+    perUserLimit: 1,
+    minOrderAmount: 0,
+    categories: [],
+    cities: [],
+  }
+  const context = {
+    clientId: "client_1",
+    inquiry: { _id: "inquiry_1", category: "wedding", location: { city: "Pune" } },
+    quote: { _id: "quote_1", subtotal: 3000 },
+  }
+  const duplicateKey = () => Object.assign(new Error("duplicate key"), { code: 11000 })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("calculateDiscount", () => {
+    it("caps percentage discounts and never discounts more than the amount", () => {
+      expect(promoCodeService.calculateDiscount(promoCode, 3000)).toBe(300)
+      expect(promoCodeService.calculateDiscount(promoCode, 10000)).toBe(500)
+      expect(promoCodeService.calculateDiscount({ discountType: "flat", value: 800 }, 600)).toBe(600)
+    })
+  })
+
+  describe("claimClientUse", () => {
+    it("counts the use only while the client is under their limit", async () => {
+      Counter.findOneAndUpdate.mockResolvedValue({ seq: 1 })
+
+      await promoCodeService.claimClientUse(promoCode, "client_1")
+
+      expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+        { name: "promo:promo_1:client_1", seq: { $lt: 1 } },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true },
+      )
+    })
+
+    it("retries without upserting when the counter already exists", async () => {
+      Counter.findOneAndUpdate.mockRejectedValueOnce(duplicateKey()).mockResolvedValueOnce({ seq: 1 })
+
+      await promoCodeService.claimClientUse(promoCode, "client_1")
+
+      expect(Counter.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { name: "promo:promo_1:client_1", seq: { $lt: 1 } },
+        { $inc: { seq: 1 } },
+        { new: true },
+      )
+    })
+
+    it("refuses a client who has used up the code", async () => {
+      Counter.findOneAndUpdate.mockRejectedValueOnce(duplicateKey()).mockResolvedValueOnce(null)
+
+      await expect(promoCodeService.claimClientUse(promoCode, "client_1")).rejects.toEqual(
+        expect.objectContaining({ name: "PromoCodeError", statusCode: 409 }),
+      )
+    })
+  })
+
+  describe("redeem", () => {
+    beforeEach(() => {
+      PromoCode.findOne.mockResolvedValue(promoCode)
+      PromoRedemption.countDocuments.mockResolvedValue(0)
+      Counter.findOneAndUpdate.mockResolvedValue({ seq: 1 })
+    })
+
+    it("claims a use within the global limit and records the redemption", async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue({ ...promoCode, usedCount: 1 })
+      PromoRedemption.create.mockResolvedValue({ _id: "redemption_1" })
+
+      const result = await promoCodeService.redeem(" shoot10 ", context)
+
+      expect(PromoCode.findOne).toHaveBeenCalledWith({ code: "SHOOT10" })
+      expect(PromoCode.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: "promo_1",
+          isActive: true,
+          $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true },
+      )
+      expect(PromoRedemption.create).toHaveBeenCalledWith(
+        expect.objectContaining({ promoCodeId: "promo_1", clientId: "client_1", discountAmount: 300 }),
+      )
+      expect(result).toEqual(expect.objectContaining({ amount: 300, redemption: { _id: "redemption_1" } }))
+    })
+
+    it("gives the client's use back when another client took the last one", async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue(null)
+
+      await expect(promoCodeService.redeem("SHOOT10", context)).rejects.toBeInstanceOf(PromoCodeError)
+      expect(Counter.updateOne).toHaveBeenCalledWith(
+        { name: "promo:promo_1:client_1", seq: { $gt: 0 } },
+        { $inc: { seq: -1 } },
+      )
+      expect(PromoRedemption.create).not.toHaveBeenCalled()
+    })
+
+    it("gives both uses back when the redemption can't be recorded", async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue({ ...promoCode, usedCount: 1 })
+      PromoRedemption.create.mockRejectedValue(new Error("write failed"))
+
+      await expect(promoCodeService.redeem("SHOOT10", context)).rejects.toThrow("write failed")
+      expect(PromoCode.updateOne).toHaveBeenCalledWith({ _id: "promo_1" }, { $inc: { usedCount: -1 } })
+      expect(Counter.updateOne).toHaveBeenCalled()
+    })
+  })
+
+  describe("release", () => {
+    it("gives back the uses of an applied redemption", async () => {
+      PromoRedemption.findOneAndUpdate.mockResolvedValue({
+        _id: "redemption_1",
+        promoCodeId: "promo_1",
+        clientId: "client_1",
+      })
+
+      expect(await promoCodeService.release({ _id: "redemption_1" })).toBe(true)
+      expect(PromoRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "redemption_1", status: "applied" },
+        { $set: { status: "released", releasedAt: expect.any(Date) } },
+        { new: true },
+      )
+      expect(PromoCode.updateOne).toHaveBeenCalledWith(
+        { _id: "promo_1", usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+      )
+      expect(Counter.updateOne).toHaveBeenCalled()
+    })
+
+    it("releases a redemption only once", async () => {
+      PromoRedemption.findOneAndUpdate.mockResolvedValue(null)
+
+      expect(await promoCodeService.release({ _id: "redemption_1" })).toBe(false)
+      expect(PromoCode.updateOne).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,64 @@
+jest.mock("../../models/Quotation", () => ({ findOne: jest.fn(), updateMany: jest.fn(), deleteOne: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const Quotation = require("../../models/Quotation")
+const quotationService = require("../../services/quotationService")
+
+describe("quotationService", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("publishVersion", () => {
+    const buildQuote = () => ({
+      _id: "quote_2",
+      inquiryId: "inquiry_1",
+      partnerId: "partner_1",
+      version: 2,
+      save: jest.fn(),
+    })
+
+    it("saves the version before the inquiry records it, then supersedes earlier versions", async () => {
+      const quote = buildQuote()
+      const inquiry = { _id: "inquiry_1", status: "responded" }
+      const recordResponse = jest.fn(async () => {
+        expect(quote.save).toHaveBeenCalled()
+        return inquiry
+      })
+
+      expect(await quotationService.publishVersion(quote, recordResponse)).toBe(inquiry)
+      expect(recordResponse).toHaveBeenCalledWith(quote)
+      expect(Quotation.updateMany).toHaveBeenCalledWith(
+        { inquiryId: "inquiry_1", partnerId: "partner_1", status: "active", _id: { $ne: "quote_2" } },
+        { $set: { status: "superseded" } },
+      )
+      expect(Quotation.deleteOne).not.toHaveBeenCalled()
+    })
+
+    it("deletes the version and keeps earlier ones when the inquiry can't take it", async () => {
+      const quote = buildQuote()
+
+      expect(await quotationService.publishVersion(quote, jest.fn().mockResolvedValue(null))).toBeNull()
+      expect(Quotation.deleteOne).toHaveBeenCalledWith({ _id: "quote_2" })
+      expect(Quotation.updateMany).not.toHaveBeenCalled()
+    })
+
+    it("deletes the version when recording it fails", async () => {
+      const quote = buildQuote()
+      const error = new Error("Inquiry status changed in the meantime, please retry")
+
+      await expect(quotationService.publishVersion(quote, jest.fn().mockRejectedValue(error))).rejects.toBe(error)
+      expect(Quotation.deleteOne).toHaveBeenCalledWith({ _id: "quote_2" })
+      expect(Quotation.updateMany).not.toHaveBeenCalled()
+    })
+
+    it("doesn't record a version that couldn't be saved", async () => {
+      const quote = buildQuote()
+      quote.save.mockRejectedValue(new Error("E11000 duplicate key"))
+      const recordResponse = jest.fn()
+
+      await expect(quotationService.publishVersion(quote, recordResponse)).rejects.toThrow("E11000")
+      expect(recordResponse).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,36 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const LocalStorage = require("../../../services/storage/localStorage")
+
+describe("LocalStorage", () => {
+  let rootDir
+  let storage
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"))
+    storage = new LocalStorage({ rootDir, baseUrl: "http://localhost/uploads" })
+  })
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true })
+  })
+
+  it("reads back and removes stored files", async () => {
+    const stored = await storage.upload(Buffer.from("hello"), { folder: "messages/inquiry_1", extension: "pdf" })
+
+    expect(stored.key).toMatch(/^messages\/inquiry_1\/\d+-[a-f0-9]{16}\.pdf$/)
+    expect((await storage.read(stored.key)).toString()).toBe("hello")
+
+    await storage.remove(stored.key)
+    await expect(storage.read(stored.key)).rejects.toEqual(expect.objectContaining({ code: "ENOENT" }))
+  })
+
+  it("refuses keys outside the storage directory", async () => {
+    const sibling = `../${path.basename(rootDir)}-other/file.pdf`
+
+    await expect(storage.read("../secret.pdf")).rejects.toThrow("Invalid storage key")
+    await expect(storage.read(sibling)).rejects.toThrow("Invalid storage key")
+    await expect(storage.remove("../secret.pdf")).rejects.toThrow("Invalid storage key")
+  })
+})
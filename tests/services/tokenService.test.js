@@ -0,0 +1,142 @@
+jest.mock("jsonwebtoken", () => ({ sign: jest.fn(() => "access_token") }), { virtual: true })
+jest.mock("../../models/User", () => ({ findById: jest.fn(), findByIdAndUpdate: jest.fn() }))
+jest.mock("../../models/RefreshToken", () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+}))
+jest.mock("../../models/RevokedToken", () => ({ exists: jest.fn(), updateOne: jest.fn() }))
+jest.mock("../../utils/logger", () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }))
+
+const User = require("../../models/User")
+const RefreshToken = require("../../models/RefreshToken")
+const RevokedToken = require("../../models/RevokedToken")
+const tokenService = require("../../services/tokenService")
+
+describe("tokenService", () => {
+  const user = { _id: "user_1", isActive: true, tokenVersion: 2 }
+  const context = { ip: "127.0.0.1", userAgent: "jest" }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe("rotateRefreshToken", () => {
+    it("revokes the presented token and issues a pair in the same family", async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ userId: "user_1", family: "family_1" })
+      User.findById.mockResolvedValue(user)
+
+      const result = await tokenService.rotateRefreshToken("old_token", context)
+
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: tokenService.hashToken("old_token"), revokedAt: null, expiresAt: { $gt: expect.any(Date) } },
+        { $set: { revokedAt: expect.any(Date), replacedBy: tokenService.hashToken(result.refreshToken) } },
+      )
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: "user_1",
+          family: "family_1",
+          tokenHash: tokenService.hashToken(result.refreshToken),
+          createdByIp: "127.0.0.1",
+        }),
+      )
+      expect(result).toEqual(expect.objectContaining({ user, token: "access_token" }))
+      expect(result.refreshToken).not.toBe("old_token")
+    })
+
+    it("ends the whole session when a revoked token is presented again", async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null)
+      RefreshToken.findOne.mockResolvedValue({ userId: "user_1", family: "family_1", revokedAt: new Date() })
+
+      expect(await tokenService.rotateRefreshToken("stolen_token", context)).toBeNull()
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: "family_1", revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } },
+      )
+      expect(RefreshToken.create).not.toHaveBeenCalled()
+    })
+
+    it("gives only one of two concurrent requests with the same token a new pair", async () => {
+      RefreshToken.findOneAndUpdate
+        .mockResolvedValueOnce({ userId: "user_1", family: "family_1" })
+        .mockResolvedValueOnce(null)
+      RefreshToken.findOne.mockResolvedValue({ userId: "user_1", family: "family_1", revokedAt: new Date() })
+      User.findById.mockResolvedValue(user)
+
+      const results = await Promise.all([
+        tokenService.rotateRefreshToken("token", context),
+        tokenService.rotateRefreshToken("token", context),
+      ])
+
+      expect(results.filter(Boolean)).toHaveLength(1)
+      expect(RefreshToken.create).toHaveBeenCalledTimes(1)
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: "family_1", revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } },
+      )
+    })
+
+    it("rejects unknown and expired tokens without revoking anything", async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null)
+      RefreshToken.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ family: "family_1", revokedAt: null })
+
+      expect(await tokenService.rotateRefreshToken("unknown", context)).toBeNull()
+      expect(await tokenService.rotateRefreshToken("expired", context)).toBeNull()
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled()
+    })
+
+    it("doesn't issue tokens to deactivated users", async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ userId: "user_1", family: "family_1" })
+      User.findById.mockResolvedValue({ ...user, isActive: false })
+
+      expect(await tokenService.rotateRefreshToken("token", context)).toBeNull()
+      expect(RefreshToken.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("revokeRefreshToken", () => {
+    it("only revokes the user's own active token", async () => {
+      RefreshToken.updateOne.mockResolvedValue({ modifiedCount: 0 })
+
+      expect(await tokenService.revokeRefreshToken("token", "user_2")).toBe(false)
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        { tokenHash: tokenService.hashToken("token"), userId: "user_2", revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } },
+      )
+    })
+  })
+
+  describe("isAccessTokenRevoked", () => {
+    it("revokes tokens issued before the user's token version was bumped", async () => {
+      expect(await tokenService.isAccessTokenRevoked({ id: "user_1", tv: 1, jti: "jti_1" }, user)).toBe(true)
+      expect(RevokedToken.exists).not.toHaveBeenCalled()
+    })
+
+    it("revokes tokens logged out individually", async () => {
+      RevokedToken.exists.mockResolvedValue({ _id: "revoked_1" })
+
+      expect(await tokenService.isAccessTokenRevoked({ id: "user_1", tv: 2, jti: "jti_1" }, user)).toBe(true)
+      expect(RevokedToken.exists).toHaveBeenCalledWith({ jti: "jti_1" })
+    })
+
+    it("accepts current tokens", async () => {
+      RevokedToken.exists.mockResolvedValue(null)
+
+      expect(await tokenService.isAccessTokenRevoked({ id: "user_1", tv: 2, jti: "jti_1" }, user)).toBe(false)
+    })
+  })
+
+  describe("revokeAllForUser", () => {
+    it("bumps the token version and revokes every refresh token", async () => {
+      await tokenService.revokeAllForUser("user_1")
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith("user_1", { $inc: { tokenVersion: 1 } }, { new: true })
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { userId: "user_1", revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } },
+      )
+    })
+  })
+})
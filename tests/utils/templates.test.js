@@ -0,0 +1,92 @@
+const {
+  DEFAULT_LOCALE,
+  escapeHtml,
+  resolveLocale,
+  renderEmail,
+  listTemplates,
+  getSampleData,
+} = require("../../utils/templates")
+
+describe("email templates", () => {
+  describe("escapeHtml", () => {
+    it("escapes the characters that could open markup or an attribute", () => {
+      expect(escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`)).toBe(
+        "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;",
+      )
+      expect(escapeHtml(8850)).toBe("8850")
+    })
+  })
+
+  describe("resolveLocale", () => {
+    it("falls back to the default locale for unsupported ones", () => {
+      expect(resolveLocale("hi")).toBe("hi")
+      expect(resolveLocale("fr")).toBe(DEFAULT_LOCALE)
+      expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE)
+    })
+  })
+
+  describe("renderEmail", () => {
+    it("escapes values in the HTML body but not in the text body or subject", () => {
+      const email = renderEmail("otp", { name: "<b>Aarav</b> & co", code: "482913", expiryMinutes: 10 }, "en")
+
+      expect(email.html).toContain("Hi &lt;b&gt;Aarav&lt;/b&gt; &amp; co,")
+      expect(email.html).not.toContain("<b>Aarav</b>")
+      expect(email.text).toContain("Hi <b>Aarav</b> & co,")
+    })
+
+    it("places the body in the layout without escaping it", () => {
+      const email = renderEmail("otp", getSampleData("otp"), "en")
+
+      expect(email.html).toContain('<h2 style="color: #333;">Welcome to Pixisphere!</h2>')
+      expect(email.html).toContain("482913")
+      expect(email.html).not.toContain("&lt;h2")
+    })
+
+    it("renders conditions on the data", () => {
+      const data = getSampleData("booking-cancelled")
+
+      const client = renderEmail("booking-cancelled", data, "en")
+      expect(client.html).toContain("cancelled by the client.")
+      expect(client.html).toContain("You will receive a refund of ₹8850 (50% of the amount paid).")
+      expect(client.html).toContain("<strong>Reason:</strong> Event postponed")
+
+      const partner = renderEmail("booking-cancelled", { ...data, isClient: false, reason: "", refund: null }, "en")
+      expect(partner.html).toContain("No refund is due under the cancellation policy.")
+      expect(partner.html).not.toContain("Reason:")
+    })
+
+    it("uses the locale's templates and falls back to the default locale for missing ones", () => {
+      const email = renderEmail("otp", getSampleData("otp"), "hi")
+
+      expect(email.locale).toBe("hi")
+      expect(email.subject).toBe("Pixisphere सत्यापन के लिए आपका OTP")
+      expect(email.html).toContain("नमस्ते Aarav,")
+      // The Hindi templates have no layout or code partial of their own
+      expect(email.html).toContain("482913")
+      expect(email.html).toContain('<html lang="hi">')
+    })
+
+    it("sends unsupported locales in the default one", () => {
+      const email = renderEmail("otp", getSampleData("otp"), "fr")
+
+      expect(email.locale).toBe(DEFAULT_LOCALE)
+      expect(email.subject).toBe("Your OTP for Pixisphere Verification")
+    })
+
+    it("fails for templates that don't exist", () => {
+      expect(() => renderEmail("missing", {}, "en")).toThrow("Email template missing.subject not found")
+    })
+  })
+
+  describe("listTemplates", () => {
+    it("lists every template of the default locale with sample data to preview it", () => {
+      const names = listTemplates()
+
+      expect(names).toContain("otp")
+      expect(names).toEqual([...names].sort())
+      for (const name of names) {
+        expect(getSampleData(name)).not.toBeNull()
+      }
+    })
+  })
+})
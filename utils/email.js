@@ -1,6 +1,14 @@
 const nodemailer = require("nodemailer")
+const { renderEmail, resolveLocale } = require("./templates")
 const logger = require("./logger")
 
+// Dates in emails are shown in Indian time, in the recipient's language
+const EMAIL_TIME_ZONE = process.env.EMAIL_TIME_ZONE || "Asia/Kolkata"
+const DATE_LOCALES = {
+  en: "en-IN",
+  hi: "hi-IN",
+}
+
 // Create transporter
 const createTransporter = () => {
   return nodemailer.createTransporter({
@@ -14,152 +22,173 @@ const createTransporter = () => {
   })
 }
 
-// Send OTP email
-const sendOTPEmail = async (email, otp, name) => {
+const formatDate = (date, locale) =>
+  date.toLocaleDateString(DATE_LOCALES[resolveLocale(locale)], { dateStyle: "long", timeZone: EMAIL_TIME_ZONE })
+
+const formatDateTime = (date, locale) =>
+  date.toLocaleString(DATE_LOCALES[resolveLocale(locale)], {
+    dateStyle: "long",
+    timeStyle: "short",
+    timeZone: EMAIL_TIME_ZONE,
+  })
+
+/**
+ * Render an email template with its plain-text alternative and send it
+ * @param {string} email - Recipient address
+ * @param {string} template - Template name in templates/email
+ * @param {Object} data - Template data, escaped in the HTML version
+ * @param {string} locale - Recipient's locale, English when missing or unsupported
+ * @returns {boolean} Whether the email was sent
+ */
+const sendTemplatedEmail = async (email, template, data, locale) => {
   try {
     const transporter = createTransporter()
+    const { subject, html, text } = renderEmail(template, data, locale)
 
-    const mailOptions = {
+    await transporter.sendMail({
       from: `"Pixisphere" <${process.env.EMAIL_USER}>`,
       to: email,
-      subject: "Your OTP for Pixisphere Verification",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Welcome to Pixisphere!</h2>
-          <p>Hi ${name},</p>
-          <p>Your OTP for account verification is:</p>
-          <div style="background-color: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
-            <h1 style="color: #007bff; font-size: 32px; margin: 0;">${otp}</h1>
-          </div>
-          <p>This OTP will expire in 10 minutes.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-          <hr style="margin: 30px 0;">
-          <p style="color: #666; font-size: 12px;">
-            This is an automated email from Pixisphere. Please do not reply.
-          </p>
-        </div>
-      `,
-    }
-
-    await transporter.sendMail(mailOptions)
-    logger.info(`OTP email sent to ${email}`)
+      subject,
+      html,
+      text,
+    })
+
+    logger.info(`Email ${template} sent to ${email}`)
     return true
   } catch (error) {
-    logger.error("Failed to send OTP email:", error)
+    logger.error(`Failed to send ${template} email:`, error)
     return false
   }
 }
 
+// Send OTP email
+const sendOTPEmail = (email, otp, name, locale) =>
+  sendTemplatedEmail(email, "otp", { name, code: otp, expiryMinutes: 10 }, locale)
+
+// Send password reset email
+const sendPasswordResetEmail = (email, code, name, locale) =>
+  sendTemplatedEmail(email, "password-reset", { name, code, expiryMinutes: 15 }, locale)
+
 // Send welcome email
-const sendWelcomeEmail = async (email, name, role) => {
-  try {
-    const transporter = createTransporter()
+const sendWelcomeEmail = (email, name, role, locale) =>
+  sendTemplatedEmail(email, "welcome", { name, isPartner: role === "partner" }, locale)
 
-    const mailOptions = {
-      from: `"Pixisphere" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: "Welcome to Pixisphere!",
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Welcome to Pixisphere!</h2>
-          <p>Hi ${name},</p>
-          <p>Your account has been successfully created as a <strong>${role}</strong>.</p>
-          ${
-            role === "partner"
-              ? `
-            <p>Next steps:</p>
-            <ul>
-              <li>Complete your business profile</li>
-              <li>Upload your portfolio</li>
-              <li>Wait for admin verification</li>
-            </ul>
-          `
-              : ""
-          }
-          <p>Thank you for joining our photography marketplace!</p>
-          <hr style="margin: 30px 0;">
-          <p style="color: #666; font-size: 12px;">
-            This is an automated email from Pixisphere. Please do not reply.
-          </p>
-        </div>
-      `,
-    }
-
-    await transporter.sendMail(mailOptions)
-    logger.info(`Welcome email sent to ${email}`)
-    return true
-  } catch (error) {
-    logger.error("Failed to send welcome email:", error)
-    return false
-  }
-}
+// Send admin invitation email
+const sendAdminInviteEmail = (email, inviteUrl, inviterName, expiresAt, locale) =>
+  sendTemplatedEmail(
+    email,
+    "admin-invite",
+    { inviteUrl, inviterName, expiresAt: formatDateTime(expiresAt, locale) },
+    locale,
+  )
 
 // Send partner verification email
-const sendPartnerVerificationEmail = async (email, name, status, comment) => {
-  try {
-    const transporter = createTransporter()
+const sendPartnerVerificationEmail = (email, name, status, comment, locale) =>
+  sendTemplatedEmail(email, "partner-verification", { name, verified: status === "verified", comment }, locale)
 
-    const statusMessages = {
-      verified: {
-        subject: "Congratulations! Your Partner Account is Verified",
-        message:
-          "Your partner account has been successfully verified. You can now start receiving inquiries from clients.",
-        color: "#28a745",
-      },
-      rejected: {
-        subject: "Partner Account Verification Update",
-        message: "Unfortunately, your partner account verification was not approved at this time.",
-        color: "#dc3545",
-      },
-    }
-
-    const statusInfo = statusMessages[status]
-
-    const mailOptions = {
-      from: `"Pixisphere" <${process.env.EMAIL_USER}>`,
-      to: email,
-      subject: statusInfo.subject,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: ${statusInfo.color};">${statusInfo.subject}</h2>
-          <p>Hi ${name},</p>
-          <p>${statusInfo.message}</p>
-          ${
-            comment
-              ? `
-            <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid ${statusInfo.color}; margin: 20px 0;">
-              <strong>Admin Comment:</strong><br>
-              ${comment}
-            </div>
-          `
-              : ""
-          }
-          ${
-            status === "rejected"
-              ? `
-            <p>You can update your profile and resubmit for verification.</p>
-          `
-              : ""
-          }
-          <hr style="margin: 30px 0;">
-          <p style="color: #666; font-size: 12px;">
-            This is an automated email from Pixisphere. Please do not reply.
-          </p>
-        </div>
-      `,
-    }
-
-    await transporter.sendMail(mailOptions)
-    logger.info(`Partner verification email sent to ${email}`)
-    return true
-  } catch (error) {
-    logger.error("Failed to send partner verification email:", error)
-    return false
-  }
+// Send a new lead to a partner
+const sendLeadAssignedEmail = (email, name, lead, respondBy, locale) =>
+  sendTemplatedEmail(
+    email,
+    "lead-assigned",
+    {
+      name,
+      category: lead.category,
+      city: lead.city,
+      eventDate: formatDate(lead.eventDate, locale),
+      respondBy: formatDateTime(respondBy, locale),
+    },
+    locale,
+  )
+
+// Send reminder to a partner who hasn't responded to a lead yet
+const sendLeadReminderEmail = (email, name, lead, respondBy, locale) =>
+  sendTemplatedEmail(
+    email,
+    "lead-reminder",
+    {
+      name,
+      category: lead.category,
+      city: lead.city,
+      eventDate: formatDate(lead.eventDate, locale),
+      respondBy: formatDateTime(respondBy, locale),
+    },
+    locale,
+  )
+
+// Tell a client a partner sent or revised their quotation
+const sendQuotationReceivedEmail = (email, name, businessName, quote, locale) =>
+  sendTemplatedEmail(
+    email,
+    "quotation-received",
+    {
+      name,
+      businessName,
+      total: quote.total,
+      category: quote.category,
+      validUntil: formatDateTime(quote.validUntil, locale),
+    },
+    locale,
+  )
+
+// Send reminder to a client whose quotation is about to expire
+const sendQuotationExpiryReminderEmail = (email, name, businessName, total, validUntil, locale) =>
+  sendTemplatedEmail(
+    email,
+    "quotation-expiry-reminder",
+    { name, businessName, total, validUntil: formatDateTime(validUntil, locale) },
+    locale,
+  )
+
+// Tell a partner a client booked them
+const sendPartnerSelectedEmail = (email, name, booking, locale) =>
+  sendTemplatedEmail(
+    email,
+    "partner-selected",
+    {
+      name,
+      clientName: booking.clientName,
+      total: booking.total,
+      category: booking.category,
+      city: booking.city,
+      eventDate: formatDate(booking.eventDate, locale),
+    },
+    locale,
+  )
+
+// Tell the client or the partner a booking was cancelled and what is refunded
+const sendBookingCancelledEmail = (email, name, recipient, booking, locale) => {
+  const { refund } = booking
+
+  return sendTemplatedEmail(
+    email,
+    "booking-cancelled",
+    {
+      name,
+      isClient: recipient === "client",
+      businessName: booking.businessName,
+      eventDate: formatDate(booking.eventDate, locale),
+      cancelledBy: { [booking.cancelledByRole || "admin"]: true },
+      reason: booking.reason,
+      refund:
+        refund && refund.amount > 0
+          ? { amount: refund.amount, percent: refund.percent, failed: refund.status === "failed" }
+          : null,
+    },
+    locale,
+  )
 }
 
 module.exports = {
   sendOTPEmail,
+  sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendAdminInviteEmail,
   sendPartnerVerificationEmail,
+  sendLeadAssignedEmail,
+  sendLeadReminderEmail,
+  sendQuotationReceivedEmail,
+  sendQuotationExpiryReminderEmail,
+  sendPartnerSelectedEmail,
+  sendBookingCancelledEmail,
 }
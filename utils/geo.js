@@ -0,0 +1,55 @@
+const EARTH_RADIUS_KM = 6378.1
+
+/**
+ * Convert stored latitude/longitude into a GeoJSON point for the 2dsphere indexes
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {Object|undefined} GeoJSON point, or undefined when coordinates are incomplete
+ */
+const toGeoPoint = (coordinates) => {
+  if (!coordinates || typeof coordinates.latitude !== "number" || typeof coordinates.longitude !== "number") {
+    return undefined
+  }
+
+  // GeoJSON stores longitude first
+  return { type: "Point", coordinates: [coordinates.longitude, coordinates.latitude] }
+}
+
+/**
+ * Build a $geoWithin filter matching points inside a radius
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {Object} MongoDB query operator
+ */
+const withinRadius = (latitude, longitude, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] },
+})
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number|null} Distance in kilometers, or null if either point is missing
+ */
+const distanceKm = (from, to) => {
+  if (!toGeoPoint(from) || !toGeoPoint(to)) {
+    return null
+  }
+
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const dLat = toRadians(to.latitude - from.latitude)
+  const dLng = toRadians(to.longitude - from.longitude)
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toGeoPoint,
+  withinRadius,
+  distanceKm,
+}
@@ -0,0 +1,94 @@
+// GST state codes, also the first two digits of a GSTIN
+const STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  "uttar pradesh": "09",
+  bihar: "10",
+  sikkim: "11",
+  "arunachal pradesh": "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  "west bengal": "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  "madhya pradesh": "23",
+  gujarat: "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  "tamil nadu": "33",
+  puducherry: "34",
+  "andaman and nicobar islands": "35",
+  telangana: "36",
+  "andhra pradesh": "37",
+  ladakh: "38",
+}
+
+const roundAmount = (value) => Math.round(value * 100) / 100
+
+/**
+ * Look up the GST state code of a state name
+ * @param {string} state - State name, case-insensitive
+ * @returns {string|null} Two digit state code
+ */
+const getStateCode = (state) => (state && STATE_CODES[state.trim().toLowerCase()]) || null
+
+/**
+ * Look up the state name of a GST state code
+ * @param {string} code - Two digit state code
+ * @returns {string|null} State name in title case
+ */
+const getStateName = (code) => {
+  const state = Object.keys(STATE_CODES).find((name) => STATE_CODES[name] === code)
+  return state ? state.replace(/\b(?!and\b)\w/g, (letter) => letter.toUpperCase()) : null
+}
+
+/**
+ * Read the state code a GSTIN was registered in
+ * @param {string} gstin - GST identification number
+ * @returns {string|null} Two digit state code
+ */
+const getGstinStateCode = (gstin) => (gstin && /^\d{2}/.test(gstin) ? gstin.slice(0, 2) : null)
+
+/**
+ * Work out the taxable value and GST contained in a tax-inclusive amount
+ * Supplies within a state are taxed as CGST + SGST, supplies across states as IGST
+ * @param {number} amount - Amount including GST
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - Whether the supplier and place of supply are in different states
+ * @returns {Object} { taxableAmount, cgst, sgst, igst, totalTax }
+ */
+const splitInclusiveAmount = (amount, rate, interState) => {
+  const taxableAmount = roundAmount(amount / (1 + rate / 100))
+  const totalTax = roundAmount(amount - taxableAmount)
+
+  if (interState) {
+    return { taxableAmount, cgst: 0, sgst: 0, igst: totalTax, totalTax }
+  }
+
+  // Any odd paisa goes to SGST so the halves always add up to the total
+  const cgst = roundAmount(Math.floor((totalTax / 2) * 100) / 100)
+  return { taxableAmount, cgst, sgst: roundAmount(totalTax - cgst), igst: 0, totalTax }
+}
+
+module.exports = {
+  STATE_CODES,
+  getStateCode,
+  getStateName,
+  getGstinStateCode,
+  splitInclusiveAmount,
+}
@@ -0,0 +1,90 @@
+// Minimal single-page PDF writer for generated documents such as invoices
+// Uses the standard Helvetica fonts, so only Latin-1 text is supported
+
+const PAGE_WIDTH = 595
+const PAGE_HEIGHT = 842
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)")
+
+class PdfDocument {
+  constructor() {
+    this.operations = []
+  }
+
+  /**
+   * Draw text with its baseline at a position measured from the top left corner
+   * @param {number} x - Distance from the left edge in points
+   * @param {number} y - Distance from the top edge in points
+   * @param {string} text - Text to draw
+   * @param {Object} options - size and bold
+   * @returns {PdfDocument} The document, for chaining
+   */
+  text(x, y, text, { size = 10, bold = false } = {}) {
+    this.operations.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${x} ${PAGE_HEIGHT - y} Td (${escapeText(text)}) Tj ET`)
+    return this
+  }
+
+  /**
+   * Draw text ending at a position, for right-aligned columns
+   * Width is estimated from the average Helvetica glyph width
+   * @param {number} x - Right edge in points
+   * @param {number} y - Distance from the top edge in points
+   * @param {string} text - Text to draw
+   * @param {Object} options - size and bold
+   * @returns {PdfDocument} The document, for chaining
+   */
+  textRight(x, y, text, options = {}) {
+    const width = String(text).length * (options.size || 10) * 0.52
+    return this.text(x - width, y, text, options)
+  }
+
+  /**
+   * Draw a horizontal rule
+   * @param {number} y - Distance from the top edge in points
+   * @param {number} x1 - Start
+   * @param {number} x2 - End
+   * @returns {PdfDocument} The document, for chaining
+   */
+  rule(y, x1 = 40, x2 = PAGE_WIDTH - 40) {
+    this.operations.push(`0.5 w ${x1} ${PAGE_HEIGHT - y} m ${x2} ${PAGE_HEIGHT - y} l S`)
+    return this
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    const content = this.operations.join("\n")
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        "/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+    ]
+
+    let pdf = "%PDF-1.4\n"
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(pdf, "latin1")
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+      return offset
+    })
+
+    const xrefOffset = Buffer.byteLength(pdf, "latin1")
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("")
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+    return Buffer.from(pdf, "latin1")
+  }
+}
+
+module.exports = { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT }
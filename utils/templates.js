@@ -0,0 +1,221 @@
+const fs = require("fs")
+const path = require("path")
+
+const TEMPLATE_DIR = path.join(__dirname, "..", "templates", "email")
+
+// Locales emails can be sent in, templates missing in a locale fall back to the default one
+const LOCALES = ["en", "hi"]
+const DEFAULT_LOCALE = "en"
+
+// {{{raw}}}, {{value}}, {{#if value}}, {{#unless value}}, {{else}}, {{/if}}, {{/unless}} and {{> partial}}
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|\/if|\/unless|else|>)?\s*([\w.-]*)\s*\}\}/g
+
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:#if|#unless|\/if|\/unless|else)\b[^}]*\}\})[ \t]*\r?\n/gm
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+
+// Compiled templates by file path, re-read on every render in development so edits show up right away
+const cache = new Map()
+
+/**
+ * Parse a template into a tree of text, value, condition and partial nodes
+ * @param {string} source - Template source
+ * @param {string} name - Template name for error messages
+ * @returns {Array} Nodes
+ */
+const parse = (source, name) => {
+  // Condition tags on a line of their own don't leave an empty line behind
+  source = source.replace(STANDALONE_TAG, "$1")
+
+  const root = { body: [] }
+  const stack = [root]
+  const target = () => {
+    const node = stack[stack.length - 1]
+    return node.inElse ? node.inverse : node.body
+  }
+
+  let index = 0
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > index) {
+      target().push({ type: "text", value: source.slice(index, match.index) })
+    }
+    index = match.index + match[0].length
+
+    const [, raw, keyword, key] = match
+    if (raw) {
+      target().push({ type: "value", key: raw, raw: true })
+    } else if (!keyword) {
+      target().push({ type: "value", key })
+    } else if (keyword === ">") {
+      target().push({ type: "partial", name: key })
+    } else if (keyword === "#if" || keyword === "#unless") {
+      const node = { type: keyword.slice(1), key, body: [], inverse: [] }
+      target().push(node)
+      stack.push(node)
+    } else if (keyword === "else") {
+      if (stack.length === 1) {
+        throw new Error(`{{else}} outside a condition in template ${name}`)
+      }
+      stack[stack.length - 1].inElse = true
+    } else {
+      if (stack[stack.length - 1].type !== keyword.slice(1)) {
+        throw new Error(`Unexpected {{${keyword}}} in template ${name}`)
+      }
+      stack.pop()
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template ${name}`)
+  }
+  if (index < source.length) {
+    target().push({ type: "text", value: source.slice(index) })
+  }
+
+  return root.body
+}
+
+/**
+ * Read and compile a template file
+ * @param {string} file - Path relative to the template directory
+ * @returns {Array|null} Nodes, null if the file doesn't exist
+ */
+const load = (file) => {
+  if (process.env.NODE_ENV !== "development" && cache.has(file)) {
+    return cache.get(file)
+  }
+
+  const fullPath = path.join(TEMPLATE_DIR, file)
+  const nodes = fs.existsSync(fullPath) ? parse(fs.readFileSync(fullPath, "utf8").replace(/\r?\n$/, ""), file) : null
+  cache.set(file, nodes)
+  return nodes
+}
+
+/**
+ * Load a locale's template file, falling back to the default locale
+ * @param {string} locale - Locale
+ * @param {string} file - Path inside the locale directory
+ * @returns {Array} Nodes
+ * @throws {Error} If the default locale doesn't have the file either
+ */
+const loadLocalized = (locale, file) => {
+  const nodes = load(path.join(locale, file)) || load(path.join(DEFAULT_LOCALE, file))
+  if (!nodes) {
+    throw new Error(`Email template ${file} not found`)
+  }
+  return nodes
+}
+
+const lookup = (data, key) => key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), data)
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value))
+
+/**
+ * Render template nodes, escaping values in HTML unless they use triple braces
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} data - Template data
+ * @param {Object} context - locale and format (html or txt)
+ * @returns {string} Rendered output
+ */
+const renderNodes = (nodes, data, context) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value
+        case "value": {
+          const value = lookup(data, node.key)
+          if (value === undefined || value === null) {
+            return ""
+          }
+          return node.raw || context.format !== "html" ? String(value) : escapeHtml(value)
+        }
+        case "partial":
+          return renderNodes(loadLocalized(context.locale, `partials/${node.name}.${context.format}`), data, context)
+        case "if":
+          return renderNodes(isTruthy(lookup(data, node.key)) ? node.body : node.inverse, data, context)
+        case "unless":
+          return renderNodes(isTruthy(lookup(data, node.key)) ? node.inverse : node.body, data, context)
+        default:
+          return ""
+      }
+    })
+    .join("")
+
+/**
+ * Resolve a requested locale to one emails can be sent in
+ * @param {string} locale - Requested locale, e.g. the user's
+ * @returns {string} Supported locale
+ */
+const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE)
+
+/**
+ * Render an email's subject, HTML and plain-text bodies in a locale
+ * Bodies are wrapped in the default layout, which places them with {{{body}}}
+ * @param {string} name - Template name, e.g. otp
+ * @param {Object} data - Template data
+ * @param {string} locale - Locale, falls back to the default one
+ * @returns {Object} { subject, html, text, locale }
+ */
+const renderEmail = (name, data, locale) => {
+  const resolved = resolveLocale(locale)
+  const context = { locale: resolved }
+  const values = { ...data, locale: resolved }
+
+  const render = (format) => {
+    const formatContext = { ...context, format }
+    const body = renderNodes(loadLocalized(resolved, `${name}.${format}`), values, formatContext)
+    return renderNodes(loadLocalized(resolved, `layouts/default.${format}`), { ...values, body }, formatContext)
+  }
+
+  // Subjects are headers, never HTML, and must stay on one line
+  const subject = renderNodes(loadLocalized(resolved, `${name}.subject`), values, { ...context, format: "txt" })
+
+  return {
+    subject: subject.replace(/\s+/g, " ").trim(),
+    html: render("html"),
+    text: render("txt")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    locale: resolved,
+  }
+}
+
+/**
+ * List the email templates of the default locale
+ * @returns {Array} Template names
+ */
+const listTemplates = () =>
+  fs
+    .readdirSync(path.join(TEMPLATE_DIR, DEFAULT_LOCALE))
+    .filter((file) => file.endsWith(".subject"))
+    .map((file) => file.slice(0, -".subject".length))
+    .sort()
+
+/**
+ * Sample data to preview a template with
+ * @param {string} name - Template name
+ * @returns {Object|null} Sample data, null if the template has none
+ */
+const getSampleData = (name) => {
+  const samples = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, "samples.json"), "utf8"))
+  return samples[name] || null
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  escapeHtml,
+  resolveLocale,
+  renderEmail,
+  listTemplates,
+  getSampleData,
+}